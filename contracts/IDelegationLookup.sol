@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+/**
+ * @title IDelegationLookup
+ * @notice Delegation-registry-style lookup of NFTLendAuctionV1, for token-gated apps checking
+ *         whether a wallet may use an NFT escrowed by the auction.
+ */
+interface IDelegationLookup {
+    /**
+     * @notice Returns whether the holder of a token delegated its utility to an address.
+     * @param vault Holder of the token (the auction for escrowed collateral).
+     * @param delegate Address acting for the holder.
+     * @param collection Address of the NFT contract.
+     * @param tokenId Token ID of the NFT.
+     */
+    function isDelegated(
+        address vault,
+        address delegate,
+        address collection,
+        uint256 tokenId
+    ) external view returns (bool);
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+/**
+ * @title IFloorPriceOracle
+ * @notice Floor price feed of NFT collections, used by NFTLendAuctionV1 for loan-to-value checks.
+ */
+interface IFloorPriceOracle {
+    /**
+     * @notice Returns the floor price of a collection.
+     * @param nftAddress Address of the NFT contract.
+     * @param currency Currency of the price (address(0) for native CORE).
+     * @return price Floor price of one token (one unit for ERC-1155 collections), 0 if unknown.
+     * @return updatedAt Timestamp of the last price update.
+     */
+    function getFloorPrice(
+        address nftAddress,
+        address currency
+    ) external view returns (uint256 price, uint256 updatedAt);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+/**
+ * @title ILoanNote
+ * @notice Promissory note minted by NFTLendAuctionV1 for each side of an accepted loan.
+ *         The token ID of a note is the ID of its loan.
+ */
+interface ILoanNote {
+    /**
+     * @notice Returns the auction allowed to mint and burn notes.
+     */
+    function auction() external view returns (address);
+
+    /**
+     * @notice Mints the note of a loan. Only callable by the auction.
+     * @param to Holder of the position.
+     * @param loanId ID of the loan.
+     */
+    function mint(address to, uint256 loanId) external;
+
+    /**
+     * @notice Burns the note of a loan if it exists. Only callable by the auction.
+     * @param loanId ID of the loan.
+     */
+    function burn(uint256 loanId) external;
+}
+
+/**
+ * @title ILoanNoteReceiver
+ * @notice Callback of the auction run by a note on every transfer between holders.
+ */
+interface ILoanNoteReceiver {
+    /**
+     * @notice Moves the position of a loan to the new holder of its note.
+     * @param loanId ID of the loan.
+     * @param to New holder of the note.
+     */
+    function onLoanNoteTransfer(uint256 loanId, address to) external;
+}
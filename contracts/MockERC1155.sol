@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev A simple ERC1155 contract for testing purposes.
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    /**
+     * @notice Mint units of a token to the caller.
+     * @param id Token ID to mint.
+     * @param amount Number of units to mint.
+     */
+    function mint(uint256 id, uint256 amount) external {
+        _mint(msg.sender, id, amount, "");
+    }
+}
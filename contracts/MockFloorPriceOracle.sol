@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IFloorPriceOracle.sol";
+
+/**
+ * @title MockFloorPriceOracle
+ * @dev A floor price oracle whose prices are set by hand, for testing purposes.
+ */
+contract MockFloorPriceOracle is IFloorPriceOracle {
+    struct FloorPrice {
+        uint256 price;
+        uint256 updatedAt;
+    }
+
+    mapping(address => mapping(address => FloorPrice)) private _prices;
+
+    /**
+     * @notice Sets the floor price of a collection, timestamped with the current block.
+     * @param nftAddress Address of the NFT contract.
+     * @param currency Currency of the price (address(0) for native CORE).
+     * @param price Floor price of one token.
+     */
+    function setFloorPrice(
+        address nftAddress,
+        address currency,
+        uint256 price
+    ) external {
+        _prices[nftAddress][currency] = FloorPrice(price, block.timestamp);
+    }
+
+    /**
+     * @inheritdoc IFloorPriceOracle
+     */
+    function getFloorPrice(
+        address nftAddress,
+        address currency
+    ) external view returns (uint256 price, uint256 updatedAt) {
+        FloorPrice storage floorPrice = _prices[nftAddress][currency];
+        return (floorPrice.price, floorPrice.updatedAt);
+    }
+}
@@ -21,4 +21,15 @@ contract MockNFT is ERC721 {
         _mint(msg.sender, _tokenIds);
         return _tokenIds;
     }
+
+    /**
+     * @notice Safe-mint a new token to an address, as airdrops do.
+     * @param to Recipient of the token.
+     * @return The newly minted token ID.
+     */
+    function safeMint(address to) external returns (uint256) {
+        _tokenIds++;
+        _safeMint(to, _tokenIds);
+        return _tokenIds;
+    }
 }
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockWallet
+ * @dev A contract account, like a multisig, that does not implement any token receiver hooks.
+ */
+contract MockWallet {
+    /**
+     * @notice Calls a target contract with the value sent.
+     * @param target The contract to call.
+     * @param data The calldata of the call.
+     */
+    function execute(address target, bytes calldata data) external payable {
+        (bool success, ) = target.call{value: msg.value}(data);
+        require(success, "Call failed");
+    }
+}
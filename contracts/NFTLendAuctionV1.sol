@@ -1,246 +1,53 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.23;
 
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./NFTLendAuctionV1Base.sol";
 
 /**
  * @title NFTLendAuction
  * @notice A decentralized lending platform where borrowers can list NFTs as collateral for loans.
  *         Lenders compete to provide loans by bidding with lower interest rates.
  *         Loans can be repaid or claimed by lenders in case of default.
+ *         Loans are denominated in native CORE or in an allow-listed ERC-20 currency.
+ *         Lenders can also sign EIP-712 offers off-chain that borrowers accept in one transaction,
+ *         or post standing offers for any token of a collection.
+ * @dev Functions not implemented here are delegated along a chain of modules, each forwarding the
+ *      selectors it does not know to the next: NFTLendAuctionV1Extension (offer book, other listings),
+ *      NFTLendAuctionV1Servicing (loan servicing), NFTLendAuctionV1Defaults (default claims,
+ *      liquidations) and NFTLendAuctionV1Admin (protocol administration, queries). This keeps
+ *      every contract under the EIP-170 code size limit.
  */
-contract NFTLendAuctionV1 is ReentrancyGuard, AccessControl {
-    bytes32 public constant OWNER_ROLE = keccak256("OWNER_ROLE");
-    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-
-    // Enum to define loan types
-    enum LoanType {
-        FIXED,
-        APR
-    }
-
-    struct Loan {
-        address borrower; // Borrower's address
-        address lender; // Current lender (bidder offering the lowest rate)
-        address nftAddress; // Address of the NFT contract
-        uint256 tokenId; // Token ID of the NFT used as collateral
-        uint256 loanAmount; // Amount of the loan in wei
-        uint256 maxInterestRate; // Maximum acceptable interest rate (basis points)
-        uint256 currentInterestRate; // Current best bid interest rate (basis points)
-        uint256 duration; // Duration of the loan in seconds
-        uint256 startTime; // Loan start time (0 if not accepted)
-        LoanType loanType; // Fixed or APR
-        bool isAccepted; // Whether the loan is accepted
-    }
-
-    uint256 public loanCounter; // Counter to track the total number of loans created
-    mapping(uint256 => Loan) public loans; // Mapping of loan IDs to loan details
-    mapping(uint256 => uint256) public escrowedFunds; // Mapping of loan IDs to escrowed lender funds
-    mapping(address => bool) public allowedNFTContracts; // Tracks which NFT contracts are allowed
-    mapping(address => mapping(uint256 => bool)) public isCollateralized;
-
-    uint256 public maxActiveLoans = 1000; // Default maximum size for active loans
-    uint256[] public activeLoanIds; // List of IDs for currently active loans
-    mapping(uint256 => bool) public activeLoans; // Tracks whether a loan ID is active
-
-    uint256 public protocolFeeRate = 200; // Protocol fee rate in basis points (5%)
-    uint256 public protocolFeeBalance; // Accumulated protocol fees
-
-    // Refund handling
-    mapping(address => uint256) public pendingWithdrawals;
-    uint256 public totalPendingWithdrawals; // Accumulated pending withdrawals
-
-    // Add bid cooldown period
-    mapping(uint256 => uint256) public bidTimestamps; // Timestamp for the last bid placed
-    uint256 public bidCancelPeriod = 1 days; // Initial cooldown period
-
-    // Events
-    event LoanListed(
-        uint256 indexed loanId,
-        address indexed borrower,
-        address nftAddress,
-        uint256 tokenId,
-        uint256 loanAmount,
-        uint256 maxInterestRate,
-        uint256 duration,
-        LoanType loanType // Fixed or APR
-    );
-
-    event LoanDelisted(uint256 indexed loanId, address indexed borrower);
-
-    event LoanBidPlaced(
-        uint256 indexed loanId,
-        address indexed lender,
-        uint256 currentInterestRate
-    );
-
-    event LoanBidCancelled(uint256 indexed loanId, address indexed lender);
-
-    event LoanAccepted(
-        uint256 indexed loanId,
-        address indexed borrower,
-        address indexed lender,
-        uint256 startTime
-    );
-
-    event LoanRepaid(
-        uint256 indexed loanId,
-        address indexed borrower,
-        uint256 repaymentAmount
-    );
-
-    event LoanDefaulted(uint256 indexed loanId, address indexed lender);
-
-    event AllowedNFTUpdated(address indexed nftAddress, bool allowed);
-
-    event ProtocolFeeRateUpdated(uint256 newFeeRate);
-
-    event ProtocolFeesWithdrawn(address to, uint256 amount);
-
-    event MaxActiveLoansUpdated(uint256 newMaxActiveLoans);
-
-    event BidCancelPeriodUpdated(uint256 newBidCancelPeriod);
-
-    event FundsWithdrawn(
-        address indexed user,
-        uint256 amount,
-        address indexed to
-    );
-
-    // Modifiers
-    modifier onlyBorrower(uint256 loanId) {
-        require(msg.sender == loans[loanId].borrower, "Not loan borrower");
-        _;
-    }
-
-    modifier onlyLender(uint256 loanId) {
-        require(msg.sender == loans[loanId].lender, "Not loan lender");
-        _;
-    }
-
-    modifier onlyNftOwner(address nftAddress, uint256 tokenId) {
-        require(
-            IERC721(nftAddress).ownerOf(tokenId) == msg.sender,
-            "Not NFT owner"
-        );
-        _;
-    }
-
-    modifier loanExists(uint256 loanId) {
-        require(loans[loanId].borrower != address(0), "Loan does not exist");
-        _;
-    }
+contract NFTLendAuctionV1 is NFTLendAuctionV1Base, Proxy {
+    using SafeERC20 for IERC20;
 
-    modifier isNotAccepted(uint256 loanId) {
-        require(!loans[loanId].isAccepted, "Loan already accepted");
-        _;
-    }
-
-    modifier isAllowedNFT(address nftAddress) {
-        require(allowedNFTContracts[nftAddress], "NFT contract not allowed");
-        _;
-    }
+    address public immutable extension; // NFTLendAuctionV1Extension implementation
 
     /**
      * @notice Initializes the contract and sets the govern address.
+     * @param _govAddress Address granted the admin, owner and manager roles.
+     * @param _extension Address of the NFTLendAuctionV1Extension implementation.
      */
-    constructor(address _govAddress) {
-        // Grant the initial owner the DEFAULT_ADMIN_ROLE and OWNER_ROLE
-        _grantRole(DEFAULT_ADMIN_ROLE, _govAddress);
-        _grantRole(OWNER_ROLE, _govAddress);
-        _grantRole(MANAGER_ROLE, _govAddress);
-    }
+    constructor(address _govAddress, address _extension) {
+        require(_extension.code.length > 0, "Extension is not a contract");
+        extension = _extension;
 
-    // Admin can grant roles to other addresses
-    function grantManagerRole(
-        address account
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        grantRole(MANAGER_ROLE, account);
-    }
-
-    // Function for the admin to adjust the maximum size of activeLoanIds
-    function setMaxActiveLoans(uint256 newMax) external onlyRole(OWNER_ROLE) {
-        maxActiveLoans = newMax;
-        emit MaxActiveLoansUpdated(maxActiveLoans);
-    }
-
-    /**
-     * @notice Updates the list of allowed NFT contracts.
-     * @param nftAddress Address of the NFT contract.
-     * @param allowed Whether the NFT contract is allowed.
-     */
-    function updateAllowedNFT(
-        address nftAddress,
-        bool allowed
-    ) external onlyRole(MANAGER_ROLE) {
-        require(nftAddress != address(0), "Invalid NFT address");
-        require(nftAddress.code.length > 0, "Address is not a contract");
-
-        // Check if the contract supports ERC721 interface
-        try IERC721(nftAddress).supportsInterface(0x80ac58cd) returns (
-            bool isERC721
-        ) {
-            require(isERC721, "Contract does not support ERC721 interface");
-        } catch {
-            revert("Failed to verify ERC721 interface");
-        }
-
-        // Verify the presence of 'safeTransferFrom(address,address,uint256)'
-        bytes4 safeTransferSelector = bytes4(
-            keccak256("safeTransferFrom(address,address,uint256)")
-        );
-        require(
-            nftAddress.code.length > 0 && safeTransferSelector != bytes4(0),
-            "Contract lacks safeTransferFrom"
-        );
-
-        allowedNFTContracts[nftAddress] = allowed;
-        emit AllowedNFTUpdated(nftAddress, allowed);
-    }
-
-    // Admin can revoke roles from other addresses
-    function revokeManagerRole(
-        address account
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        revokeRole(MANAGER_ROLE, account);
-    }
-
-    /**
-     * @notice Sets the protocol fee rate.
-     * @param newFeeRate New protocol fee rate in basis points.
-     */
-    function setProtocolFeeRate(
-        uint256 newFeeRate
-    ) external onlyRole(OWNER_ROLE) {
-        require(newFeeRate <= 1000, "Fee rate too high"); // Max 10%
-        protocolFeeRate = newFeeRate;
-        emit ProtocolFeeRateUpdated(newFeeRate);
-    }
-
-    /**
-     * @notice Sets the BidCancelPeriod.
-     * @param newBidCancelPeriod New newBidCancelPeriod.
-     */
-    function setBidCancelPeriod(
-        uint256 newBidCancelPeriod
-    ) external onlyRole(OWNER_ROLE) {
-        require(
-            newBidCancelPeriod > 1 hours,
-            "New BidCancelPeriod is less than 1 hour"
-        );
-        bidCancelPeriod = newBidCancelPeriod;
-        emit BidCancelPeriodUpdated(newBidCancelPeriod);
+        _grantGovernanceRoles(_govAddress);
     }
 
     /**
      * @notice Lists a new loan by depositing an NFT as collateral.
+     * @dev Reverts if the loan amount exceeds the collection's maximum loan-to-value.
      * @param nftAddress Address of the NFT contract.
      * @param tokenId Token ID of the NFT.
      * @param loanAmount Desired loan amount in wei.
      * @param maxInterestRate Maximum acceptable interest rate (basis points).
      * @param duration Loan duration in seconds.
+     * @param loanType Fixed or APR.
+     * @param currency Loan currency (address(0) for native CORE or an allowed ERC-20).
+     * @param referrer Front end credited with a share of the borrower fees (address(0) for none).
+     * @param options Optional auto-accept rate, deadline and auction end of the listing (zero
+     *        values for none).
      */
     function listLoan(
         address nftAddress,
@@ -248,118 +55,127 @@ contract NFTLendAuctionV1 is ReentrancyGuard, AccessControl {
         uint256 loanAmount,
         uint256 maxInterestRate,
         uint256 duration,
-        LoanType loanType // Specify loan type
+        LoanType loanType, // Specify loan type
+        address currency,
+        address referrer,
+        ListingOptions calldata options
     )
         external
         nonReentrant
+        whenNotPaused(PAUSE_LISTING)
         isAllowedNFT(nftAddress)
+        isAllowedCurrency(currency)
         onlyNftOwner(nftAddress, tokenId)
     {
-        require(
-            activeLoanIds.length < maxActiveLoans,
-            "Active loan limit reached"
-        );
-        require(
-            !isCollateralized[nftAddress][tokenId],
-            "NFT is already collateralized"
+        uint256 loanId = _createLoan(
+            nftAddress,
+            tokenId,
+            loanAmount,
+            maxInterestRate,
+            duration,
+            loanType,
+            currency
         );
-        require(loanAmount > 0, "Loan amount must be greater than zero");
-        require(maxInterestRate > 0, "Interest rate must be greater than zero");
-        require(duration > 0, "Loan duration must be greater than zero");
-        require(
-            uint256(loanType) <= uint256(type(LoanType).max),
-            "Invalid loan type"
-        );
-
-        uint256 loanId = loanCounter;
-        // Create a new loan
-        loans[loanId] = Loan({
-            borrower: msg.sender,
-            lender: address(0),
-            nftAddress: nftAddress,
-            tokenId: tokenId,
-            loanAmount: loanAmount,
-            maxInterestRate: maxInterestRate,
-            currentInterestRate: maxInterestRate,
-            duration: duration,
-            startTime: 0,
-            loanType: loanType, // Assign loan type
-            isAccepted: false
-        });
-
-        // Track active loan
-        activeLoans[loanId] = true;
-        activeLoanIds.push(loanId);
-
-        loanCounter++;
-
-        // Mark NFT as collateralized
-        isCollateralized[nftAddress][tokenId] = true;
 
         // Transfer the NFT to the contract
-        try
-            IERC721(nftAddress).transferFrom(msg.sender, address(this), tokenId)
-        {
-            emit LoanListed(
-                loanId,
-                msg.sender,
-                nftAddress,
-                tokenId,
-                loanAmount,
-                maxInterestRate,
-                duration,
-                loanType
-            );
-        } catch {
-            revert("NFT transfer failed"); // Abort on failure
-        }
+        _depositCollateral(loanId, 0);
+        _checkLoanToValue(loanId);
+        _emitLoanListed(loanId);
+        _setReferrer(loanId, referrer, false);
+        _setListingOptions(loanId, options);
     }
 
     /**
-     * @notice Adds a pending withdrawal for a specified recipient.
-     * @dev Internal function to record funds owed to a recipient without transferring immediately.
-     * @param recipient The address of the recipient who can later withdraw the funds.
-     * @param amount The amount of funds to be added to the pending withdrawals.
+     * @notice Accepts ERC-721 tokens safe-minted to the contract, such as airdrops for escrowed
+     *         collateral, which managers forward with `forwardAirdrop`.
+     * @dev Collateral is pulled with `transferFrom` and never triggers this hook, so tokens sent
+     *      with `safeTransferFrom` can only be stray transfers and are rejected.
      */
-    function addPendingWithdrawal(address recipient, uint256 amount) internal {
-        pendingWithdrawals[recipient] += amount;
-        totalPendingWithdrawals += amount; // Update global pending withdrawals
+    function onERC721Received(
+        address,
+        address from,
+        uint256,
+        bytes calldata
+    ) external pure returns (bytes4) {
+        require(from == address(0), "Direct transfers not accepted");
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @notice Reports support for the ERC-721 and ERC-1155 receiver interfaces next to AccessControl's interfaces.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override returns (bool) {
+        return
+            interfaceId == 0x4e2312e0 || // IERC1155Receiver
+            interfaceId == 0x150b7a02 || // IERC721Receiver
+            super.supportsInterface(interfaceId);
     }
 
     /**
      * @notice Allows a user to withdraw their pending funds.
      * @dev Ensures withdrawals are safe from reentrancy attacks and logs the withdrawal event.
+     * @param currency The currency to withdraw (address(0) for native CORE).
      * @param to The address where the funds should be sent.
      */
-    function withdrawFunds(address payable to) external nonReentrant {
+    function withdrawFunds(
+        address currency,
+        address payable to
+    ) external nonReentrant {
         require(to != address(0), "Invalid address");
 
-        uint256 amount = pendingWithdrawals[msg.sender];
+        uint256 amount = pendingWithdrawals[msg.sender][currency];
         require(amount > 0, "No funds to withdraw");
 
-        pendingWithdrawals[msg.sender] = 0;
-        totalPendingWithdrawals -= amount; // Deduct from global pending withdrawals
-        payable(to).transfer(amount);
+        pendingWithdrawals[msg.sender][currency] = 0;
+        totalPendingWithdrawals[currency] -= amount; // Deduct from global pending withdrawals
+        _sendFunds(currency, to, amount);
 
-        emit FundsWithdrawn(msg.sender, amount, to);
+        emit FundsWithdrawn(msg.sender, amount, to, currency);
     }
 
     /**
      * @notice Places a bid to offer a loan at a specified interest rate.
+     * @dev The full loan amount is escrowed in the loan currency: attached as msg.value
+     *      for native loans, or pulled from the lender for ERC-20 loans. A bid must undercut
+     *      the current bid by at least the minimum bid decrement and, when the listing has
+     *      an auction end, land before it.
      * @param loanId ID of the loan to bid on.
      * @param interestRate Proposed interest rate (basis points).
+     * @param referrer Front end credited with a share of the lender fees (address(0) for none).
      */
     function placeBid(
         uint256 loanId,
-        uint256 interestRate
-    ) external payable nonReentrant loanExists(loanId) isNotAccepted(loanId) {
+        uint256 interestRate,
+        address referrer
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_BIDDING)
+        loanExists(loanId)
+        isNotAccepted(loanId)
+        isListingOpen(loanId)
+    {
         Loan storage loan = loans[loanId];
         require(
             interestRate < loan.currentInterestRate &&
                 interestRate <= loan.maxInterestRate,
             "Bid interest rate invalid"
         );
-        require(msg.value == loan.loanAmount, "Incorrect loan amount");
+        _checkAuction(loan, loanId, interestRate);
+        _checkCollectionLimits(
+            loanId,
+            loan.loanAmount,
+            interestRate,
+            loan.duration
+        );
+        if (loan.currency == address(0)) {
+            require(msg.value == loan.loanAmount, "Incorrect loan amount");
+        } else {
+            _pullFunds(loan.currency, msg.sender, loan.loanAmount);
+        }
 
         address previousBidder = loan.lender;
         uint256 escrowRefund = 0;
@@ -367,97 +183,213 @@ contract NFTLendAuctionV1 is ReentrancyGuard, AccessControl {
             escrowRefund = escrowedFunds[loanId];
         }
         // Update loan details
-        loan.lender = msg.sender;
+        _setLender(loan, loanId, msg.sender);
         loan.currentInterestRate = interestRate;
-        escrowedFunds[loanId] = msg.value;
+        _setEscrow(loanId, loan.loanAmount);
+        _setReferrer(loanId, referrer, true);
+
+        if (previousBidder == address(0)) {
+            _setStatus(loanId, LoanStatus.BIDDED);
+        }
 
         // Setting cooldown period start
         bidTimestamps[loanId] = block.timestamp;
 
         // Refund the previous lender if there is one
         if (previousBidder != address(0) && escrowRefund > 0) {
-            addPendingWithdrawal(previousBidder, escrowRefund);
+            addPendingWithdrawal(previousBidder, loan.currency, escrowRefund);
         }
         emit LoanBidPlaced(loanId, msg.sender, interestRate);
-    }
-
-    /**
-     * @notice Delist a loan
-     * @param loanId ID of the loan to delist.
-     */
-    function delistLoan(
-        uint256 loanId
-    )
-        external
-        nonReentrant
-        loanExists(loanId)
-        isNotAccepted(loanId)
-        onlyBorrower(loanId)
-    {
-        Loan memory loan = loans[loanId];
-
-        // Refund escrowed funds to the last bidder (if any)
-        address previousBidder = loan.lender;
-        uint256 escrowRefund = 0;
-        if (previousBidder != address(0)) {
-            escrowRefund = escrowedFunds[loanId];
-            escrowedFunds[loanId] = 0; // Clear escrow
-            if (escrowRefund > 0) {
-                addPendingWithdrawal(previousBidder, escrowRefund);
-            }
-        }
 
-        // Clean up loan data
-        delete loans[loanId];
-        _removeActiveLoan(loanId);
-        // Mark NFT as no longer collateralized
-        isCollateralized[loan.nftAddress][loan.tokenId] = false;
-
-        // Return the NFT to the borrower
-        try
-            IERC721(loan.nftAddress).safeTransferFrom(
-                address(this),
-                loan.borrower,
-                loan.tokenId
-            )
-        {
-            emit LoanDelisted(loanId, loan.borrower);
-        } catch {
-            revert("NFT transfer failed"); // Abort on failure
+        // Start the loan right away at or below the borrower's auto-accept rate
+        uint256 autoAcceptRate = autoAcceptRates[loanId];
+        if (
+            autoAcceptRate > 0 &&
+            interestRate <= autoAcceptRate &&
+            pausedActions & PAUSE_ACCEPTANCE == 0
+        ) {
+            _startLoan(loan, loanId);
         }
     }
 
     /**
      * @notice Accepts a loan bid, starting the loan.
+     * @dev The collection's maximum loan-to-value is checked again against the current floor price.
+     *      Accepting a bid of the bid book replaces the loan's amount, interest rate and duration with
+     *      the bid's terms. Every other open bid, including the leading bid, is refunded to pending withdrawals.
      * @param loanId ID of the loan to accept.
+     * @param bidId ID of the bid book bid to accept, or 0 for the leading `placeBid` bid.
      */
     function acceptLoan(
-        uint256 loanId
+        uint256 loanId,
+        uint256 bidId
     )
         external
         nonReentrant
+        whenNotPaused(PAUSE_ACCEPTANCE)
         loanExists(loanId)
         isNotAccepted(loanId)
+        isListingOpen(loanId)
         onlyBorrower(loanId)
     {
         Loan storage loan = loans[loanId];
+        if (bidId > 0) {
+            _takeBookBid(loan, loanId, bidId);
+        }
         require(loan.lender != address(0), "No lender bid yet");
+        _startLoan(loan, loanId);
+    }
+
+    /**
+     * @dev Starts a loan funded by its leading bid: sends the escrowed funds to the borrower
+     *      and refunds the open bids of the bid book.
+     * @param loan The loan.
+     * @param loanId ID of the loan.
+     */
+    function _startLoan(Loan storage loan, uint256 loanId) private {
         require(
             escrowedFunds[loanId] == loan.loanAmount,
             "Escrowed funds do not match loan amount"
         );
         require(loan.startTime == 0, "Loan already started");
+        _checkLoanToValue(loanId);
         loan.startTime = block.timestamp;
 
-        loan.isAccepted = true;
+        _setStatus(loanId, LoanStatus.ACTIVE);
 
         uint256 loanAmount = escrowedFunds[loanId];
-        escrowedFunds[loanId] = 0;
-        payable(loan.borrower).transfer(loanAmount);
+        _setEscrow(loanId, 0);
+        _refundOpenBids(loanId, loan.currency);
+        _sendFunds(loan.currency, loan.borrower, loanAmount);
 
         emit LoanAccepted(loanId, loan.borrower, loan.lender, loan.startTime);
     }
 
+    /**
+     * @dev Records the auto-accept rate, deadline and auction end of a new listing.
+     * @param loanId ID of the loan.
+     * @param options Auto-accept rate and deadline of the listing (zero values for none).
+     */
+    function _setListingOptions(
+        uint256 loanId,
+        ListingOptions calldata options
+    ) private {
+        require(
+            options.autoAcceptRate <= loans[loanId].maxInterestRate,
+            "Invalid auto-accept rate"
+        );
+        require(
+            options.listingDeadline == 0 ||
+                options.listingDeadline > block.timestamp,
+            "Invalid listing deadline"
+        );
+        require(
+            options.auctionEndTime == 0 ||
+                (options.auctionEndTime > block.timestamp &&
+                    (options.listingDeadline == 0 ||
+                        options.auctionEndTime <= options.listingDeadline)),
+            "Invalid auction end"
+        );
+        if (
+            options.autoAcceptRate == 0 &&
+            options.listingDeadline == 0 &&
+            options.auctionEndTime == 0
+        ) {
+            return;
+        }
+
+        autoAcceptRates[loanId] = options.autoAcceptRate;
+        listingDeadlines[loanId] = options.listingDeadline;
+        auctionEndTimes[loanId] = options.auctionEndTime;
+        emit ListingOptionsSet(
+            loanId,
+            options.autoAcceptRate,
+            options.listingDeadline,
+            options.auctionEndTime
+        );
+    }
+
+    /**
+     * @dev Checks a placeBid bid against the minimum bid decrement and the loan's auction
+     *      end. A bid landing within auctionExtensionWindow of the end pushes the end back
+     *      to a full window from now, capped at the listing deadline.
+     * @param loan The loan.
+     * @param loanId ID of the loan.
+     * @param interestRate Interest rate of the bid (basis points).
+     */
+    function _checkAuction(
+        Loan storage loan,
+        uint256 loanId,
+        uint256 interestRate
+    ) private {
+        if (loan.lender != address(0)) {
+            uint256 decrement = isMinBidDecrementPercentage
+                ? (loan.currentInterestRate * minBidDecrement) / 10000
+                : minBidDecrement;
+            require(
+                loan.currentInterestRate - interestRate >= decrement,
+                "Bid decrement too small"
+            );
+        }
+
+        uint256 endTime = auctionEndTimes[loanId];
+        if (endTime == 0) {
+            return;
+        }
+        require(block.timestamp <= endTime, "Auction ended");
+        if (endTime - block.timestamp < auctionExtensionWindow) {
+            uint256 newEndTime = block.timestamp + auctionExtensionWindow;
+            uint256 deadline = listingDeadlines[loanId];
+            if (deadline > 0 && newEndTime > deadline) {
+                newEndTime = deadline;
+            }
+            if (newEndTime > endTime) {
+                auctionEndTimes[loanId] = newEndTime;
+                emit AuctionExtended(loanId, newEndTime);
+            }
+        }
+    }
+
+    /**
+     * @dev Makes a bid of the loan's bid book its leading bid, with the bid's terms.
+     *      The previous leading bid is refunded to pending withdrawals.
+     * @param loan The loan.
+     * @param loanId ID of the loan.
+     * @param bidId ID of the open bid.
+     */
+    function _takeBookBid(
+        Loan storage loan,
+        uint256 loanId,
+        uint256 bidId
+    ) private {
+        require(bidId <= loanBids[loanId].length, "Bid does not exist");
+        Bid storage bid = loanBids[loanId][bidId - 1];
+        require(bid.status == BidStatus.OPEN, "Bid not open");
+        // The collection limits may have been tightened since the bid was placed
+        _checkCollectionLimits(
+            loanId,
+            bid.loanAmount,
+            bid.interestRate,
+            bid.duration
+        );
+
+        if (loan.lender != address(0)) {
+            addPendingWithdrawal(
+                loan.lender,
+                loan.currency,
+                escrowedFunds[loanId]
+            );
+        }
+        _closeBid(loanId, bidId, loan.currency, BidStatus.ACCEPTED);
+
+        _setLender(loan, loanId, bid.lender);
+        loan.loanAmount = bid.loanAmount;
+        loan.currentInterestRate = bid.interestRate;
+        loan.duration = bid.duration;
+        bidReferrers[loanId] = bid.referrer;
+        _setEscrow(loanId, bid.loanAmount);
+    }
+
     /**
      * @notice Get the total required repayment for a loan.
      * @param loanId ID of the loan to repay.
@@ -467,246 +399,94 @@ contract NFTLendAuctionV1 is ReentrancyGuard, AccessControl {
     ) public view loanExists(loanId) returns (uint256) {
         Loan storage loan = loans[loanId];
 
-        uint256 interestAmount;
-
-        if (loan.loanType == LoanType.FIXED) {
-            // Fixed interest calculation
-            interestAmount =
-                (loan.loanAmount * loan.currentInterestRate) /
-                10000;
-        } else if (loan.loanType == LoanType.APR) {
-            // APR interest calculation
-            uint256 annualizedInterest = (loan.loanAmount *
-                loan.currentInterestRate) / 10000;
-
-            if (loan.isAccepted) {
-                // Pro-rate interest for elapsed days
-                uint256 elapsedTimeInDays = (block.timestamp - loan.startTime) /
-                    1 days;
-                // If less than a day, use 1 day as minimum
-                interestAmount =
-                    (annualizedInterest *
-                        (elapsedTimeInDays > 0 ? elapsedTimeInDays : 1)) /
-                    365;
-            } else {
-                // Calculate APR based on full loan duration if not yet accepted
-                uint256 durationInDays = loan.duration / 1 days;
-                interestAmount =
-                    (annualizedInterest *
-                        (durationInDays > 0 ? durationInDays : 1)) /
-                    365;
-            }
-        }
-
         // Return total repayment: principal + interest
-        return loan.loanAmount + interestAmount;
-    }
-
-    // Calculate Protocol Fee
-    function calculateProtocolFee(
-        uint256 amount
-    ) internal view returns (uint256) {
-        return (amount * protocolFeeRate) / 10000;
+        return loan.loanAmount + _calculateInterest(loan, loan.loanAmount);
     }
 
     /**
      * @notice Repays a loan and returns the NFT collateral to the borrower.
+     * @dev Repayment stays possible during the grace period after expiry, with a penalty paid to the lender.
+     *      Native loans accept msg.value of at least the required repayment and credit any excess
+     *      to the borrower's pending withdrawals, ERC-20 loans pull exactly the required repayment.
      * @param loanId ID of the loan to repay.
+     * @param referrer Front end credited with a share of the borrower fee instead of the
+     *        listing's referrer (address(0) to keep the listing's referrer).
      */
     function repayLoan(
-        uint256 loanId
+        uint256 loanId,
+        address referrer
     ) external payable nonReentrant loanExists(loanId) onlyBorrower(loanId) {
+        require(referrer != msg.sender, "Invalid referrer");
         Loan storage loan = loans[loanId];
-        require(loan.isAccepted, "Loan not accepted yet");
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted yet");
         require(
             block.timestamp >= loan.startTime,
             "Repayment before loan start time"
         );
         require(
-            block.timestamp <= loan.startTime + loan.duration,
+            block.timestamp <= loan.startTime + loan.duration + gracePeriod,
             "Loan duration expired"
         );
 
-        // Get total repayment amount
+        // Get total repayment amount, including the penalty owed to the lender during the grace period
         uint256 totalRepayment = getTotalRepayment(loanId);
+        uint256 gracePenalty = _calculateGracePenalty(loan, totalRepayment);
 
         // Calculate protocol fees
-        uint256 borrowerProtocolFee = calculateProtocolFee(totalRepayment);
-        uint256 lenderProtocolFee = calculateProtocolFee(totalRepayment);
+        uint256 borrowerProtocolFee = _borrowerFee(loanId, totalRepayment);
+        uint256 lenderProtocolFee = _lenderFee(loanId, totalRepayment);
 
         // Total amount required from borrower
-        uint256 requiredRepayment = totalRepayment + borrowerProtocolFee;
-        require(msg.value >= requiredRepayment, "Incorrect repayment amount");
+        uint256 requiredRepayment = totalRepayment +
+            borrowerProtocolFee +
+            gracePenalty;
+        if (loan.currency == address(0)) {
+            require(
+                msg.value >= requiredRepayment,
+                "Incorrect repayment amount"
+            );
+            _refundNativeExcess(requiredRepayment);
+        } else {
+            _pullFunds(loan.currency, msg.sender, requiredRepayment);
+        }
 
         // Calculate lender payout
-        uint256 lenderPayout = totalRepayment - lenderProtocolFee;
-
-        // Update protocol fee balance
-        protocolFeeBalance += (lenderProtocolFee + borrowerProtocolFee);
+        uint256 lenderPayout = totalRepayment -
+            lenderProtocolFee +
+            gracePenalty;
+
+        // Book protocol fees
+        _collectFees(
+            loanId,
+            borrowerProtocolFee,
+            referrer != address(0) ? referrer : listingReferrers[loanId]
+        );
+        _collectFees(loanId, lenderProtocolFee, bidReferrers[loanId]);
 
         // Clean up loan data
-        loan.isAccepted = false;
+        _setStatus(loanId, LoanStatus.REPAID);
         _removeActiveLoan(loanId);
-        // Mark NFT as no longer collateralized
-        isCollateralized[loan.nftAddress][loan.tokenId] = false;
 
         // Add Pending lender payout
-        addPendingWithdrawal(loan.lender, lenderPayout);
+        addPendingWithdrawal(loan.lender, loan.currency, lenderPayout);
 
         // Transfer NFT back to borrower
-        try
-            IERC721(loan.nftAddress).safeTransferFrom(
-                address(this),
-                loan.borrower,
-                loan.tokenId
-            )
-        {
-            emit LoanRepaid(loanId, loan.borrower, msg.value);
-        } catch {
-            revert("NFT transfer failed"); // Abort on failure
-        }
-    }
-
-    /**
-     * @notice Cancels a bid if the borrower doesn't accept.
-     * @param loanId ID of the loan to cancel.
-     */
-    function cancelBid(
-        uint256 loanId
-    )
-        external
-        nonReentrant
-        loanExists(loanId)
-        isNotAccepted(loanId)
-        onlyLender(loanId)
-    {
-        Loan storage loan = loans[loanId];
-
-        // Enforce cooldown period before cancel
-        require(
-            block.timestamp >= bidTimestamps[loanId] + bidCancelPeriod,
-            "bidCancelPeriod not met"
+        _releaseCollateral(loanId, loan.borrower);
+        emit LoanRepaid(
+            loanId,
+            loan.borrower,
+            requiredRepayment,
+            totalRepayment - loan.loanAmount,
+            borrowerProtocolFee,
+            lenderProtocolFee,
+            gracePenalty
         );
-
-        // Refund escrowed funds to the last bidder (if any)
-        address previousBidder = loan.lender;
-        uint256 escrowRefund = escrowedFunds[loanId];
-        escrowedFunds[loanId] = 0; // Clear escrow
-
-        // Clear lender information
-        loan.lender = address(0);
-        loan.currentInterestRate = loan.maxInterestRate; // Reset to max rate
-
-        if (previousBidder != address(0) && escrowRefund > 0) {
-            payable(previousBidder).transfer(escrowRefund);
-        }
-
-        emit LoanBidCancelled(loanId, loan.lender);
     }
 
     /**
-     * @notice Claims an NFT as collateral if the borrower defaults.
-     * @param loanId ID of the loan to claim.
+     * @dev Target of the fallback: every unknown selector runs in the extension.
      */
-    function claimDefaultedLoan(
-        uint256 loanId
-    ) external payable nonReentrant loanExists(loanId) {
-        Loan storage loan = loans[loanId];
-        require(loan.isAccepted, "Loan not accepted");
-        require(
-            block.timestamp > loan.startTime + loan.duration,
-            "Loan not expired"
-        );
-
-        // Get the total repayment (principal + interest)
-        uint256 totalRepayment = getTotalRepayment(loanId);
-
-        // Calculate the lender's protocol fee based on the total repayment
-        uint256 lenderProtocolFee = calculateProtocolFee(totalRepayment);
-
-        // Ensure lender sends the correct protocol fee
-        require(msg.value == lenderProtocolFee, "Incorrect protocol fee sent");
-
-        // Update protocol fee balance
-        protocolFeeBalance += lenderProtocolFee;
-
-        // Clean up loan data
-        loan.isAccepted = false;
-        _removeActiveLoan(loanId);
-        // Mark NFT as no longer collateralized
-        isCollateralized[loan.nftAddress][loan.tokenId] = false;
-
-        // Transfer NFT to the lender
-        try
-            IERC721(loan.nftAddress).safeTransferFrom(
-                address(this),
-                loan.lender,
-                loan.tokenId
-            )
-        {
-            emit LoanDefaulted(loanId, loan.lender);
-        } catch {
-            revert("NFT transfer failed"); // Abort on failure
-        }
-    }
-
-    /**
-     * @notice Returns the IDs of all active loans.
-     */
-    function getActiveLoans() external view returns (uint256[] memory) {
-        return activeLoanIds;
-    }
-
-    /**
-     * @dev Removes a loan from the active loan list.
-     * @param loanId ID of the loan to remove.
-     */
-    function _removeActiveLoan(uint256 loanId) private {
-        delete activeLoans[loanId];
-        for (uint256 i = 0; i < activeLoanIds.length; ) {
-            if (activeLoanIds[i] == loanId) {
-                activeLoanIds[i] = activeLoanIds[activeLoanIds.length - 1];
-                activeLoanIds.pop();
-                break;
-            }
-            unchecked {
-                i++;
-            }
-        }
-    }
-
-    /**
-     * @notice Withdraws accumulated protocol fees and excess ETH to the specified address.
-     * @param to Address to receive the fees.
-     */
-    function withdrawProtocolFees(
-        address payable to
-    ) external nonReentrant onlyRole(OWNER_ROLE) {
-        require(to != address(0), "Invalid recipient address");
-
-        // Calculate the total balance held by the contract
-        uint256 totalBalance = address(this).balance;
-
-        // Calculate total escrowed funds
-        uint256 totalEscrowedFunds = 0;
-        for (uint256 i = 0; i < activeLoanIds.length; i++) {
-            totalEscrowedFunds += escrowedFunds[activeLoanIds[i]];
-        }
-
-        // Calculate withdrawable amount: (protocol fees + excess funds)
-        uint256 withdrawableAmount = totalBalance -
-            totalEscrowedFunds -
-            totalPendingWithdrawals; // Use global pending withdrawals
-
-        require(withdrawableAmount > 0, "No funds available for withdrawal");
-
-        // Reset protocol fees (if any were included in the balance)
-        protocolFeeBalance = 0;
-
-        // Perform the withdrawal
-        (bool success, ) = to.call{value: withdrawableAmount}("");
-        require(success, "Withdrawal failed");
-
-        emit ProtocolFeesWithdrawn(to, withdrawableAmount);
+    function _implementation() internal view override returns (address) {
+        return extension;
     }
 }
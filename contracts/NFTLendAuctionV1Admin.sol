@@ -0,0 +1,849 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "./NFTLendAuctionV1Base.sol";
+
+/**
+ * @title NFTLendAuctionV1Admin
+ * @notice Protocol administration of NFTLendAuctionV1: roles, allowed collections and currencies,
+ *         fees, their recipients and referral shares, loan parameters, collection limits, the
+ *         governance timelock, emergency pause, protocol fee withdrawals and paginated loan views.
+ * @dev Never used directly. NFTLendAuctionV1Defaults delegatecalls into this contract for every
+ *      selector it does not implement itself, so all state lives in the auction contract.
+ */
+contract NFTLendAuctionV1Admin is NFTLendAuctionV1Base {
+    using SafeERC20 for IERC20;
+
+    // Admin can grant roles to other addresses
+    function grantManagerRole(
+        address account
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        grantRole(MANAGER_ROLE, account);
+    }
+
+    // Admin can revoke roles from other addresses
+    function revokeManagerRole(
+        address account
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        revokeRole(MANAGER_ROLE, account);
+    }
+
+    // Function for the admin to adjust the maximum size of activeLoanIds, raising it is timelocked
+    function setMaxActiveLoans(
+        uint256 newMax
+    ) external onlyRole(OWNER_ROLE) {
+        _updateRiskSetting(address(0), newMax > maxActiveLoans);
+        maxActiveLoans = newMax;
+        emit MaxActiveLoansUpdated(maxActiveLoans);
+    }
+
+    /**
+     * @notice Queues a timelocked parameter change, executable once the governance delay has passed.
+     * @dev The change is executed by calling the function with the queued calldata, which still
+     *      requires the function's role, within GOVERNANCE_GRACE_PERIOD of becoming executable.
+     * @param data Calldata of the change.
+     * @return changeId ID of the change (hash of its calldata).
+     */
+    function queueChange(
+        bytes calldata data
+    ) external returns (bytes32 changeId) {
+        require(
+            hasRole(OWNER_ROLE, msg.sender) ||
+                hasRole(MANAGER_ROLE, msg.sender),
+            "Not governance"
+        );
+        require(governanceDelay > 0, "Timelock disabled");
+        require(data.length >= 4, "Invalid change");
+        changeId = keccak256(data);
+        require(queuedChanges[changeId] == 0, "Change already queued");
+
+        uint256 executableAt = block.timestamp + governanceDelay;
+        queuedChanges[changeId] = executableAt;
+        queuedChangeNumbers[changeId] = ++queuedChangeCount;
+        emit ChangeQueued(changeId, msg.sender, data, executableAt);
+    }
+
+    /**
+     * @notice Cancels a queued parameter change.
+     * @dev Open to the owner and the guardian, so either can veto a change before it executes.
+     * @param changeId ID of the change.
+     */
+    function cancelChange(bytes32 changeId) external {
+        require(
+            hasRole(OWNER_ROLE, msg.sender) ||
+                hasRole(GUARDIAN_ROLE, msg.sender),
+            "Not governance"
+        );
+        require(queuedChanges[changeId] > 0, "Change not queued");
+        delete queuedChanges[changeId];
+        emit ChangeCancelled(changeId, msg.sender);
+    }
+
+    /**
+     * @notice Sets the delay between queuing a parameter change and executing it.
+     * @dev Timelocked itself, so shortening or disabling the delay takes the current delay.
+     * @param newDelay New delay in seconds (max MAX_GOVERNANCE_DELAY, 0 to apply changes directly).
+     */
+    function setGovernanceDelay(
+        uint256 newDelay
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(newDelay <= MAX_GOVERNANCE_DELAY, "Governance delay too long");
+        governanceDelay = newDelay;
+        emit GovernanceDelayUpdated(newDelay);
+    }
+
+    /**
+     * @notice Updates the list of allowed NFT contracts.
+     * @dev Accepts ERC-721 and ERC-1155 collections, the token standard is detected through ERC-165.
+     *      Allowing a collection is timelocked, disallowing it takes effect immediately.
+     * @param nftAddress Address of the NFT contract.
+     * @param allowed Whether the NFT contract is allowed.
+     */
+    function updateAllowedNFT(
+        address nftAddress,
+        bool allowed
+    ) external onlyRole(MANAGER_ROLE) {
+        _updateRiskSetting(nftAddress, allowed);
+        require(nftAddress != address(0), "Invalid NFT address");
+        require(nftAddress.code.length > 0, "Address is not a contract");
+
+        // Check if the contract supports the ERC721 or ERC1155 interface
+        bool isERC1155;
+        try IERC721(nftAddress).supportsInterface(0x80ac58cd) returns (
+            bool isERC721
+        ) {
+            if (!isERC721) {
+                isERC1155 = IERC1155(nftAddress).supportsInterface(0xd9b67a26);
+                require(
+                    isERC1155,
+                    "Contract does not support ERC721 or ERC1155 interface"
+                );
+            }
+        } catch {
+            revert("Failed to verify NFT interface");
+        }
+
+        // Verify the presence of 'safeTransferFrom(address,address,uint256)'
+        bytes4 safeTransferSelector = bytes4(
+            keccak256("safeTransferFrom(address,address,uint256)")
+        );
+        require(
+            nftAddress.code.length > 0 && safeTransferSelector != bytes4(0),
+            "Contract lacks safeTransferFrom"
+        );
+
+        allowedNFTContracts[nftAddress] = allowed;
+        isERC1155Collection[nftAddress] = isERC1155;
+        emit AllowedNFTUpdated(nftAddress, allowed);
+    }
+
+    /**
+     * @notice Updates the list of allowed ERC-20 loan currencies.
+     * @dev Native CORE (address(0)) is always allowed. Allowing a currency is timelocked,
+     *      disallowing it takes effect immediately.
+     * @param currency Address of the ERC-20 token contract.
+     * @param allowed Whether the currency is allowed.
+     */
+    function updateAllowedCurrency(
+        address currency,
+        bool allowed
+    ) external onlyRole(MANAGER_ROLE) {
+        _updateRiskSetting(currency, allowed);
+        require(currency != address(0), "Invalid currency address");
+        require(currency.code.length > 0, "Address is not a contract");
+
+        allowedCurrencies[currency] = allowed;
+        emit AllowedCurrencyUpdated(currency, allowed);
+    }
+
+    /**
+     * @notice Sets the protocol fee rates charged to borrowers and lenders.
+     * @dev Borrowers pay their fee on top of each repayment, lenders have theirs deducted from it.
+     * @param newBorrowerFeeRate New borrower fee rate in basis points (max 10%).
+     * @param newLenderFeeRate New lender fee rate in basis points (max 10%).
+     */
+    function setFeeRates(
+        uint256 newBorrowerFeeRate,
+        uint256 newLenderFeeRate
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newBorrowerFeeRate <= 1000 && newLenderFeeRate <= 1000,
+            "Fee rate too high"
+        ); // Max 10%
+        borrowerFeeRate = newBorrowerFeeRate;
+        lenderFeeRate = newLenderFeeRate;
+        emit FeeRatesUpdated(newBorrowerFeeRate, newLenderFeeRate);
+    }
+
+    /**
+     * @notice Sets the recipients protocol fees are distributed to, e.g. the treasury and partners.
+     * @dev Shares must add up to 100%. An empty list sends fees to the `withdrawProtocolFees` recipient again.
+     * @param accounts Fee recipients.
+     * @param shares Share of each recipient in basis points.
+     */
+    function setFeeRecipients(
+        address[] calldata accounts,
+        uint256[] calldata shares
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            accounts.length == shares.length &&
+                accounts.length <= MAX_FEE_RECIPIENTS,
+            "Invalid fee recipients"
+        );
+
+        delete feeRecipients;
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "Invalid fee recipient");
+            totalShares += shares[i];
+            feeRecipients.push(FeeShare(accounts[i], shares[i]));
+        }
+        require(
+            accounts.length == 0 || totalShares == 10000,
+            "Fee shares must total 100%"
+        );
+
+        emit FeeRecipientsUpdated(accounts, shares);
+    }
+
+    /**
+     * @notice Returns the recipients protocol fees are distributed to.
+     */
+    function getFeeRecipients() external view returns (FeeShare[] memory) {
+        return feeRecipients;
+    }
+
+    /**
+     * @notice Sets the share of each fee paid to the front end that referred the paying side.
+     * @dev Borrower fees go to the referrer of the listing (or of the repayment), lender fees
+     *      to the referrer of the winning bid.
+     * @param newReferralFeeShare New referral share in basis points (max MAX_REFERRAL_FEE_SHARE).
+     */
+    function setReferralFeeShare(
+        uint256 newReferralFeeShare
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newReferralFeeShare <= MAX_REFERRAL_FEE_SHARE,
+            "Referral share too high"
+        );
+        referralFeeShare = newReferralFeeShare;
+        emit ReferralFeeShareUpdated(newReferralFeeShare);
+    }
+
+    /**
+     * @notice Sets the ERC-721 note contracts minting lender notes and borrower obligation
+     *         tokens for every loan accepted from now on.
+     * @dev Can only be set once, so notes already minted always stay bound to their loans.
+     *      Each note must be deployed with this auction (the proxy for upgradeable
+     *      deployments) as its auction.
+     * @param newLenderNote Lender note contract.
+     * @param newBorrowerNote Borrower note contract (address(0) for none).
+     */
+    function setLoanNotes(
+        address newLenderNote,
+        address newBorrowerNote
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(lenderNote == address(0), "Loan notes already set");
+        require(
+            newLenderNote != address(0) &&
+                ILoanNote(newLenderNote).auction() == address(this),
+            "Invalid lender note"
+        );
+        require(
+            newBorrowerNote == address(0) ||
+                (newBorrowerNote != newLenderNote &&
+                    ILoanNote(newBorrowerNote).auction() == address(this)),
+            "Invalid borrower note"
+        );
+        lenderNote = newLenderNote;
+        borrowerNote = newBorrowerNote;
+        emit LoanNotesSet(newLenderNote, newBorrowerNote);
+    }
+
+    /**
+     * @notice Sets how much a placeBid bid must undercut the current bid by.
+     * @param newMinBidDecrement Minimum decrement (max MAX_BID_DECREMENT): in basis points of
+     *        interest, or in basis points of the current rate when isPercentage is set.
+     * @param isPercentage Whether the decrement is a share of the current rate.
+     */
+    function setMinBidDecrement(
+        uint256 newMinBidDecrement,
+        bool isPercentage
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newMinBidDecrement <= MAX_BID_DECREMENT,
+            "Bid decrement too high"
+        );
+        minBidDecrement = newMinBidDecrement;
+        isMinBidDecrementPercentage = isPercentage;
+        emit MinBidDecrementUpdated(newMinBidDecrement, isPercentage);
+    }
+
+    /**
+     * @notice Sets the final period of a listing's auction in which a bid extends it.
+     * @dev A bid landing within the window pushes the auction end to a full window after
+     *      the bid. Zero disables extensions.
+     * @param newWindow New window in seconds (max MAX_AUCTION_EXTENSION_WINDOW).
+     */
+    function setAuctionExtensionWindow(
+        uint256 newWindow
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newWindow <= MAX_AUCTION_EXTENSION_WINDOW,
+            "Extension window too long"
+        );
+        auctionExtensionWindow = newWindow;
+        emit AuctionExtensionWindowUpdated(newWindow);
+    }
+
+    /**
+     * @notice Sets the share of the fees charged on a collection's loans paid to its creator.
+     * @dev The share is taken from every fee booked from now on and credited to the creator's
+     *      pending withdrawals. Bundle loans pay the creator of their first token's collection.
+     * @param nftAddress Address of the NFT contract.
+     * @param creator Recipient of the creator fees (address(0) with a zero share to remove it).
+     * @param share Share of the fees in basis points (max 50%).
+     */
+    function setCollectionCreatorFee(
+        address nftAddress,
+        address creator,
+        uint256 share
+    ) external onlyRole(MANAGER_ROLE) timelocked {
+        require(share <= 5000, "Creator share too high"); // Max 50%
+        require(share == 0 || creator != address(0), "Invalid creator");
+
+        collectionCreatorFees[nftAddress] = FeeShare(creator, share);
+        emit CollectionCreatorFeeUpdated(nftAddress, creator, share);
+    }
+
+    /**
+     * @notice Distributes the protocol fee balance of a currency to the fee recipients.
+     * @dev Callable by anyone. Each recipient's share is credited to its pending withdrawals,
+     *      the last recipient also receives the rounding remainder.
+     * @param currency The currency to distribute (address(0) for native CORE).
+     */
+    function distributeProtocolFees(address currency) external nonReentrant {
+        require(feeRecipients.length > 0, "No fee recipients");
+        require(
+            _distributeProtocolFees(currency) > 0,
+            "No protocol fees to distribute"
+        );
+    }
+
+    /**
+     * @notice Sets the BidCancelPeriod.
+     * @param newBidCancelPeriod New newBidCancelPeriod.
+     */
+    function setBidCancelPeriod(
+        uint256 newBidCancelPeriod
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newBidCancelPeriod > 1 hours,
+            "New BidCancelPeriod is less than 1 hour"
+        );
+        bidCancelPeriod = newBidCancelPeriod;
+        emit BidCancelPeriodUpdated(newBidCancelPeriod);
+    }
+
+    /**
+     * @notice Sets the minimum time APR interest is charged for.
+     * @param newMinInterestPeriod New minimum interest period in seconds (0 for none, max 30 days).
+     */
+    function setMinInterestPeriod(
+        uint256 newMinInterestPeriod
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newMinInterestPeriod <= 30 days,
+            "Min interest period too long"
+        );
+        minInterestPeriod = newMinInterestPeriod;
+        emit MinInterestPeriodUpdated(newMinInterestPeriod);
+    }
+
+    /**
+     * @notice Withdraws accumulated protocol fees and excess funds of a currency to the specified address.
+     * @dev When fee recipients are set, the protocol fees are distributed to them first and only
+     *      excess funds (e.g. tokens sent to the contract directly) are sent to `to`.
+     * @param currency The currency to withdraw (address(0) for native CORE).
+     * @param to Address to receive the fees.
+     */
+    function withdrawProtocolFees(
+        address currency,
+        address payable to
+    ) external nonReentrant onlyRole(OWNER_ROLE) timelocked {
+        require(to != address(0), "Invalid recipient address");
+
+        uint256 distributedAmount = 0;
+        if (feeRecipients.length > 0) {
+            distributedAmount = _distributeProtocolFees(currency);
+        }
+
+        // Calculate the total balance held by the contract
+        uint256 totalBalance = currency == address(0)
+            ? address(this).balance
+            : IERC20(currency).balanceOf(address(this));
+
+        // Calculate withdrawable amount: (protocol fees + excess funds)
+        uint256 withdrawableAmount = totalBalance -
+            totalEscrowedFunds[currency] -
+            collectionOfferEscrow[currency] -
+            totalPendingWithdrawals[currency]; // Use global pending withdrawals
+
+        require(
+            withdrawableAmount > 0 || distributedAmount > 0,
+            "No funds available for withdrawal"
+        );
+
+        // Reset protocol fees (if any were included in the balance)
+        protocolFeeBalance[currency] = 0;
+
+        // Perform the withdrawal
+        if (withdrawableAmount > 0) {
+            if (currency == address(0)) {
+                (bool success, ) = to.call{value: withdrawableAmount}("");
+                require(success, "Withdrawal failed");
+            } else {
+                IERC20(currency).safeTransfer(to, withdrawableAmount);
+            }
+        }
+
+        emit ProtocolFeesWithdrawn(to, withdrawableAmount, currency);
+    }
+
+    /**
+     * @dev Credits the protocol fee balance of a currency to the fee recipients' pending withdrawals.
+     * @param currency The currency to distribute (address(0) for native CORE).
+     * @return amount The distributed amount.
+     */
+    function _distributeProtocolFees(
+        address currency
+    ) private returns (uint256 amount) {
+        amount = protocolFeeBalance[currency];
+        if (amount == 0) {
+            return 0;
+        }
+        protocolFeeBalance[currency] = 0;
+
+        uint256 remaining = amount;
+        uint256 lastIndex = feeRecipients.length - 1;
+        for (uint256 i = 0; i < lastIndex; i++) {
+            uint256 share = (amount * feeRecipients[i].share) / 10000;
+            addPendingWithdrawal(feeRecipients[i].account, currency, share);
+            remaining -= share;
+        }
+        addPendingWithdrawal(
+            feeRecipients[lastIndex].account,
+            currency,
+            remaining
+        );
+
+        emit ProtocolFeesDistributed(currency, amount);
+    }
+
+    /**
+     * @notice Pauses or resumes protocol actions in an emergency.
+     * @dev Repayments, withdrawals, delisting and bid or offer cancellations are never paused,
+     *      so users can always recover their funds and NFTs.
+     * @param actions Bit flags of the actions to update (PAUSE_LISTING, PAUSE_BIDDING,
+     *        PAUSE_ACCEPTANCE, PAUSE_DEFAULT_CLAIMS).
+     * @param paused Whether to pause or resume the actions.
+     */
+    function setPaused(
+        uint256 actions,
+        bool paused
+    ) external onlyRole(GUARDIAN_ROLE) {
+        require(
+            actions > 0 &&
+                actions <=
+                (PAUSE_LISTING |
+                    PAUSE_BIDDING |
+                    PAUSE_ACCEPTANCE |
+                    PAUSE_DEFAULT_CLAIMS),
+            "Invalid pause actions"
+        );
+        pausedActions = paused
+            ? pausedActions | actions
+            : pausedActions & ~actions;
+        emit PausedActionsUpdated(msg.sender, pausedActions);
+    }
+
+    /**
+     * @notice Winds down a listing that was not accepted when retiring this deployment.
+     * @dev Refunds the bidder's escrow to pending withdrawals and returns the NFT to the
+     *      borrower, who can list it again on the new deployment. Only allowed while
+     *      listing and acceptance are paused.
+     * @param loanId ID of the loan to delist.
+     */
+    function windDownListing(
+        uint256 loanId
+    )
+        external
+        nonReentrant
+        onlyRole(OWNER_ROLE)
+        loanExists(loanId)
+        isNotAccepted(loanId)
+    {
+        require(
+            pausedActions & (PAUSE_LISTING | PAUSE_ACCEPTANCE) ==
+                (PAUSE_LISTING | PAUSE_ACCEPTANCE),
+            "Listing and acceptance not paused"
+        );
+        _delistLoan(loanId);
+    }
+
+    /**
+     * @notice Sets the loan limits of a collection, enforced when listing and bidding.
+     * @dev Zero values remove a limit. Listings keep their terms when limits change, but new bids
+     *      must fit the limits in force. Bundle loans must fit the limits of every collection in the bundle.
+     *      Loosening any limit is timelocked, tightening them takes effect immediately.
+     * @param nftAddress Address of the NFT contract.
+     * @param maxLoanAmount Maximum loan amount.
+     * @param minDuration Minimum loan duration in seconds.
+     * @param maxDuration Maximum loan duration in seconds.
+     * @param maxInterestRate Maximum interest rate (basis points).
+     */
+    function setCollectionLimits(
+        address nftAddress,
+        uint256 maxLoanAmount,
+        uint256 minDuration,
+        uint256 maxDuration,
+        uint256 maxInterestRate
+    ) external onlyRole(MANAGER_ROLE) {
+        require(
+            maxDuration == 0 || maxDuration >= minDuration,
+            "Invalid duration limits"
+        );
+
+        CollectionRiskParams storage params = collectionRiskParams[nftAddress];
+        _updateRiskSetting(
+            nftAddress,
+            _isLooser(params.maxLoanAmount, maxLoanAmount) ||
+                minDuration < params.minDuration ||
+                _isLooser(params.maxDuration, maxDuration) ||
+                _isLooser(params.maxInterestRate, maxInterestRate)
+        );
+        params.maxLoanAmount = maxLoanAmount;
+        params.minDuration = minDuration;
+        params.maxDuration = maxDuration;
+        params.maxInterestRate = maxInterestRate;
+
+        emit CollectionLimitsUpdated(
+            nftAddress,
+            maxLoanAmount,
+            minDuration,
+            maxDuration,
+            maxInterestRate
+        );
+    }
+
+    /**
+     * @notice Sets the floor price oracle and maximum loan-to-value of a collection.
+     * @dev The maximum loan-to-value is enforced when listing and accepting loans against the collection.
+     *      Bundles are held to the lowest maximum among their collections. Replacing the oracle or
+     *      raising the maximum loan-to-value or price age is timelocked, lowering them is not.
+     * @param nftAddress Address of the NFT contract.
+     * @param oracle Floor price oracle of the collection (address(0) to remove it).
+     * @param maxLoanToValue Maximum loan-to-value in basis points (0 for no limit, max 100%).
+     * @param maxPriceAge Maximum age of oracle prices in seconds (0 for no limit).
+     */
+    function setCollectionOracle(
+        address nftAddress,
+        address oracle,
+        uint256 maxLoanToValue,
+        uint256 maxPriceAge
+    ) external onlyRole(MANAGER_ROLE) {
+        require(
+            oracle == address(0) || oracle.code.length > 0,
+            "Oracle is not a contract"
+        );
+        require(maxLoanToValue <= 10000, "Loan-to-value too high");
+        require(
+            maxLoanToValue == 0 || oracle != address(0),
+            "Loan-to-value requires an oracle"
+        );
+
+        CollectionRiskParams storage params = collectionRiskParams[nftAddress];
+        _updateRiskSetting(
+            nftAddress,
+            oracle != params.oracle ||
+                _isLooser(params.maxLoanToValue, maxLoanToValue) ||
+                _isLooser(params.maxPriceAge, maxPriceAge)
+        );
+        params.oracle = oracle;
+        params.maxLoanToValue = maxLoanToValue;
+        params.maxPriceAge = maxPriceAge;
+
+        emit CollectionOracleUpdated(
+            nftAddress,
+            oracle,
+            maxLoanToValue,
+            maxPriceAge
+        );
+    }
+
+    /**
+     * @notice Sets or clears the protocol fee rate override of a collection.
+     * @dev The override applies to every fee charged on loans against the collection from now on,
+     *      including loans already running. Bundles spanning several collections pay the highest
+     *      rate among them, each at its override or at the default rate.
+     * @param nftAddress Address of the NFT contract.
+     * @param hasFeeOverride Whether the collection uses its own fee rate instead of the borrower and lender fee rates.
+     * @param feeRate Protocol fee rate of the collection in basis points (max 10%).
+     */
+    function setCollectionFeeRate(
+        address nftAddress,
+        bool hasFeeOverride,
+        uint256 feeRate
+    ) external onlyRole(MANAGER_ROLE) timelocked {
+        require(feeRate <= 1000, "Fee rate too high"); // Max 10%
+        if (!hasFeeOverride) {
+            feeRate = 0;
+        }
+
+        CollectionRiskParams storage params = collectionRiskParams[nftAddress];
+        params.hasFeeOverride = hasFeeOverride;
+        params.feeRate = feeRate;
+
+        emit CollectionFeeRateUpdated(nftAddress, hasFeeOverride, feeRate);
+    }
+
+    /**
+     * @notice Sets the grace period after loan expiry and the penalty owed to the lender for repaying in it.
+     * @param newGracePeriod New grace period in seconds (max 30 days).
+     * @param newPenaltyRate New penalty rate in basis points of the total repayment (max 10%).
+     */
+    function setGracePeriod(
+        uint256 newGracePeriod,
+        uint256 newPenaltyRate
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(newGracePeriod <= 30 days, "Grace period too long");
+        require(newPenaltyRate <= 1000, "Penalty rate too high");
+        gracePeriod = newGracePeriod;
+        gracePenaltyRate = newPenaltyRate;
+        emit GracePeriodUpdated(newGracePeriod, newPenaltyRate);
+    }
+
+    /**
+     * @notice Sets the duration of collateral auctions for defaulted loans.
+     * @param newDuration New auction duration in seconds (0 lets lenders claim defaulted NFTs directly).
+     */
+    function setLiquidationAuctionDuration(
+        uint256 newDuration
+    ) external onlyRole(OWNER_ROLE) timelocked {
+        require(newDuration <= 30 days, "Auction duration too long");
+        liquidationAuctionDuration = newDuration;
+        emit LiquidationAuctionDurationUpdated(newDuration);
+    }
+
+    /**
+     * @notice Returns the IDs of all active loans.
+     */
+    function getActiveLoans() external view returns (uint256[] memory) {
+        return activeLoanIds;
+    }
+
+    /**
+     * @notice Returns a page of active loans matching a filter.
+     * @dev Scans the active loan list from `offset` until `limit` matching loans are found.
+     *      Pass the returned `nextOffset` to fetch the next page; it equals the number of
+     *      active loans once the whole list was scanned.
+     * @param filter Borrower, lender, NFT contract and state to match (zero values match any loan).
+     * @param offset Position in the active loan list to start scanning from.
+     * @param limit Maximum number of loans to return.
+     * @return loanIds IDs of the matching loans.
+     * @return page The matching loans.
+     * @return nextOffset Position in the active loan list to continue scanning from.
+     */
+    function getActiveLoansPage(
+        LoanFilter calldata filter,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (uint256[] memory loanIds, Loan[] memory page, uint256 nextOffset)
+    {
+        uint256 total = activeLoanIds.length;
+        if (offset >= total) {
+            return (new uint256[](0), new Loan[](0), total);
+        }
+        if (limit > total - offset) {
+            limit = total - offset;
+        }
+
+        uint256[] memory matches = new uint256[](limit);
+        uint256 count;
+        nextOffset = offset;
+        while (nextOffset < total && count < limit) {
+            uint256 loanId = activeLoanIds[nextOffset];
+            if (_matchesFilter(loans[loanId], filter)) {
+                matches[count] = loanId;
+                count++;
+            }
+            nextOffset++;
+        }
+
+        loanIds = new uint256[](count);
+        page = new Loan[](count);
+        for (uint256 i = 0; i < count; i++) {
+            loanIds[i] = matches[i];
+            page[i] = loans[matches[i]];
+        }
+    }
+
+    /**
+     * @notice Returns the loans with the given IDs.
+     * @param loanIds IDs of the loans.
+     */
+    function getLoansByIds(
+        uint256[] calldata loanIds
+    ) external view returns (Loan[] memory page) {
+        page = new Loan[](loanIds.length);
+        for (uint256 i = 0; i < loanIds.length; i++) {
+            require(
+                loans[loanIds[i]].borrower != address(0),
+                "Loan does not exist"
+            );
+            page[i] = loans[loanIds[i]];
+        }
+    }
+
+    /**
+     * @notice Returns the IDs of all loans listed by a borrower, including closed ones.
+     * @param borrower Address of the borrower.
+     */
+    function getBorrowerLoanIds(
+        address borrower
+    ) external view returns (uint256[] memory) {
+        return borrowerLoanIds[borrower];
+    }
+
+    /**
+     * @notice Returns the IDs of all loans a lender has bid on or funded, including closed ones.
+     * @param lender Address of the lender.
+     */
+    function getLenderLoanIds(
+        address lender
+    ) external view returns (uint256[] memory) {
+        return lenderLoanIds[lender];
+    }
+
+    /**
+     * @notice Returns the current loan-to-value of an active loan, from the collateral's oracle floor prices.
+     * @dev The debt is the loan amount for listings, and the principal plus accrued interest once accepted.
+     *      Tokens of collections without an oracle are valued at 0.
+     * @param loanId ID of the loan.
+     * @return loanToValue Debt over collateral value in basis points.
+     * @return collateralValue Value of the collateral in the loan currency.
+     */
+    function getLoanToValue(
+        uint256 loanId
+    ) external view returns (uint256 loanToValue, uint256 collateralValue) {
+        require(activeLoans[loanId], "Loan not active");
+        Loan storage loan = loans[loanId];
+
+        uint256 debt = loan.loanAmount;
+        if (loan.status == LoanStatus.ACTIVE) {
+            debt += _calculateInterest(loan, loan.loanAmount);
+        }
+        collateralValue = _collateralValue(loanId);
+        require(collateralValue > 0, "No collateral price");
+        loanToValue = (debt * 10000) / collateralValue;
+    }
+
+    /**
+     * @notice Returns every token backing a loan: its own NFT followed by the rest of a bundle.
+     * @param loanId ID of the loan.
+     */
+    function getLoanCollateral(
+        uint256 loanId
+    )
+        external
+        view
+        loanExists(loanId)
+        returns (CollateralItem[] memory items)
+    {
+        Loan storage loan = loans[loanId];
+        CollateralItem[] storage bundle = bundleItems[loanId];
+
+        items = new CollateralItem[](bundle.length + 1);
+        items[0] = CollateralItem({
+            nftAddress: loan.nftAddress,
+            tokenId: loan.tokenId,
+            amount: collateralAmounts[loanId]
+        });
+        for (uint256 i = 0; i < bundle.length; i++) {
+            items[i + 1] = bundle[i];
+        }
+    }
+
+    /**
+     * @dev Checks whether a loan matches an active loan query filter.
+     * @param loan The loan.
+     * @param filter The filter to match.
+     */
+    function _matchesFilter(
+        Loan storage loan,
+        LoanFilter calldata filter
+    ) private view returns (bool) {
+        if (filter.borrower != address(0) && loan.borrower != filter.borrower) {
+            return false;
+        }
+        if (filter.lender != address(0) && loan.lender != filter.lender) {
+            return false;
+        }
+        if (
+            filter.nftAddress != address(0) &&
+            loan.nftAddress != filter.nftAddress
+        ) {
+            return false;
+        }
+        if (filter.state == LoanQueryState.ANY) {
+            return true;
+        }
+        if (loan.status == LoanStatus.LISTED) {
+            return filter.state == LoanQueryState.LISTED;
+        }
+        if (loan.status == LoanStatus.BIDDED) {
+            return filter.state == LoanQueryState.HAS_BID;
+        }
+        return
+            block.timestamp > loan.startTime + loan.duration
+                ? filter.state == LoanQueryState.EXPIRED
+                : filter.state == LoanQueryState.ACCEPTED;
+    }
+
+    /**
+     * @dev Applies the timelock to a change of a setting that is only timelocked when it raises risk.
+     *      Changes lowering risk apply immediately and invalidate the changes of the same setting
+     *      queued before them, so a change queued earlier cannot undo them once its delay has passed.
+     *      A setting is identified by the function called and the collection or currency it updates.
+     * @param target The collection or currency the change applies to (address(0) for none).
+     * @param raisesRisk Whether the change raises risk.
+     */
+    function _updateRiskSetting(address target, bool raisesRisk) private {
+        bytes32 setting = keccak256(abi.encode(msg.sig, target));
+        if (!raisesRisk) {
+            settingReducedAt[setting] = queuedChangeCount;
+        } else if (governanceDelay > 0) {
+            _executeQueuedChange();
+            require(
+                queuedChangeNumbers[keccak256(msg.data)] >
+                    settingReducedAt[setting],
+                "Setting changed since queued"
+            );
+        }
+    }
+
+    /**
+     * @dev Returns whether a new limit is looser than the current one, 0 meaning no limit.
+     * @param current The limit in force.
+     * @param next The new limit.
+     */
+    function _isLooser(
+        uint256 current,
+        uint256 next
+    ) private pure returns (bool) {
+        return current != 0 && (next == 0 || next > current);
+    }
+}
@@ -0,0 +1,1446 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./IFloorPriceOracle.sol";
+import "./ILoanNote.sol";
+
+/**
+ * @title NFTLendAuctionV1Base
+ * @notice Shared storage layout, events, modifiers and helpers of NFTLendAuctionV1.
+ * @dev Inherited by both NFTLendAuctionV1 and NFTLendAuctionV1Extension, which runs through
+ *      delegatecall against the same storage. New state must only ever be appended here.
+ */
+abstract contract NFTLendAuctionV1Base is ReentrancyGuard, AccessControl {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant OWNER_ROLE = keccak256("OWNER_ROLE");
+    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Actions the guardian can pause, as bit flags of pausedActions
+    uint256 public constant PAUSE_LISTING = 1; // Listing loans
+    uint256 public constant PAUSE_BIDDING = 2; // Bidding, collection offers and refinancing
+    uint256 public constant PAUSE_ACCEPTANCE = 4; // Starting loans
+    uint256 public constant PAUSE_DEFAULT_CLAIMS = 8; // Default claims and liquidations
+
+    uint256 public constant MAX_BUNDLE_SIZE = 20; // Maximum number of tokens backing a bundle loan
+    uint256 public constant MAX_FEE_RECIPIENTS = 10; // Maximum number of protocol fee recipients
+    uint256 public constant MAX_REFERRAL_FEE_SHARE = 5000; // Maximum share of a fee paid to a referrer (50%)
+    uint256 public constant MAX_OPEN_BIDS = 20; // Maximum number of open bids in a loan's bid book
+    uint256 public constant MAX_BID_DECREMENT = 5000; // Maximum minimum bid decrement (basis points)
+    uint256 public constant MAX_AUCTION_EXTENSION_WINDOW = 1 days; // Maximum anti-sniping window
+    uint256 public constant MAX_GOVERNANCE_DELAY = 30 days; // Maximum delay of queued parameter changes
+    uint256 public constant GOVERNANCE_GRACE_PERIOD = 14 days; // Time a change stays executable once ready
+
+    // Enum to define loan types
+    enum LoanType {
+        FIXED,
+        APR
+    }
+
+    enum LoanStatus {
+        LISTED, // Listed without a bid
+        BIDDED, // Listed with a bid held in escrow
+        ACTIVE, // Accepted and running
+        REPAID, // Repaid by the borrower
+        DEFAULTED, // Collateral claimed by the lender or liquidated
+        DELISTED // Withdrawn by the borrower before acceptance
+    }
+
+    enum BidStatus {
+        OPEN, // Escrowed and waiting for the borrower
+        ACCEPTED, // Accepted by the borrower, funding the loan
+        CANCELLED, // Withdrawn by the lender
+        REFUNDED // Refunded when the loan was delisted or funded by another bid
+    }
+
+    struct Loan {
+        address borrower; // Borrower's address
+        address lender; // Current lender (bidder offering the lowest rate)
+        address nftAddress; // Address of the NFT contract
+        uint256 tokenId; // Token ID of the NFT used as collateral
+        uint256 loanAmount; // Amount of the loan in wei
+        uint256 maxInterestRate; // Maximum acceptable interest rate (basis points)
+        uint256 currentInterestRate; // Current best bid interest rate (basis points)
+        uint256 duration; // Duration of the loan in seconds
+        uint256 startTime; // Loan start time (0 if not accepted)
+        LoanType loanType; // Fixed or APR
+        bool isAccepted; // Whether the loan is accepted (mirrors status == ACTIVE)
+        address currency; // Loan currency (address(0) for native CORE)
+        LoanStatus status; // Lifecycle status of the loan
+    }
+
+    // Borrower-approved terms under which a new lender may take over an accepted loan
+    struct RefinanceTerms {
+        uint256 maxInterestRate; // Maximum interest rate accepted from a new lender (basis points)
+        uint256 minDuration; // Minimum duration of the refinanced loan in seconds
+    }
+
+    // Optional terms a borrower sets when listing a loan
+    struct ListingOptions {
+        uint256 autoAcceptRate; // Rate at or below which a placeBid bid starts the loan (0 to accept manually)
+        uint256 listingDeadline; // Time after which the listing expires (0 for none)
+        uint256 auctionEndTime; // Time the rate auction ends, extended by late bids (0 for no end)
+    }
+
+    // Lender bid on its own terms, held in a loan's bid book
+    struct Bid {
+        address lender; // Lender funding the loan
+        uint256 loanAmount; // Proposed loan amount, held in escrow while the bid is open
+        uint256 interestRate; // Proposed interest rate (basis points)
+        uint256 duration; // Proposed loan duration in seconds
+        address referrer; // Referrer of the lender (address(0) for none)
+        uint256 timestamp; // Time the bid was placed
+        BidStatus status; // Status of the bid
+    }
+
+    // Collateral auction of a defaulted loan
+    struct Liquidation {
+        uint256 endTime; // Auction end time (0 if no auction started)
+        uint256 debt; // Amount owed to the lender, fixed when the auction starts
+        address highestBidder; // Current highest bidder, whose bid is held in escrowedFunds
+    }
+
+    // Loan state a query can filter on
+    enum LoanQueryState {
+        ANY, // Any active loan
+        LISTED, // Listed without a bid
+        HAS_BID, // Listed with a bid, not accepted yet
+        ACCEPTED, // Accepted and not expired
+        EXPIRED // Accepted and past its duration
+    }
+
+    // Filter for active loan queries (zero values match any loan)
+    struct LoanFilter {
+        address borrower; // Borrower of the loan
+        address lender; // Current lender or highest bidder
+        address nftAddress; // NFT contract of the collateral
+        LoanQueryState state; // Loan state
+    }
+
+    // Amounts owed if a loan was repaid or claimed now
+    struct RepaymentBreakdown {
+        uint256 principal; // Outstanding principal
+        uint256 interest; // Interest accrued on the principal
+        uint256 gracePenalty; // Penalty owed to the lender during the grace period
+        uint256 borrowerFee; // Protocol fee paid by the borrower on repayment
+        uint256 lenderFee; // Protocol fee paid by the lender, on repayment or default claim
+        uint256 borrowerPayment; // Total amount the borrower pays to repay
+        uint256 lenderPayout; // Amount credited to the lender on repayment
+    }
+
+    // Limits a manager sets on loans against a collection (zero values mean no limit)
+    struct CollectionRiskParams {
+        uint256 maxLoanAmount; // Maximum loan amount
+        uint256 minDuration; // Minimum loan duration in seconds
+        uint256 maxDuration; // Maximum loan duration in seconds
+        uint256 maxInterestRate; // Maximum interest rate (basis points)
+        bool hasFeeOverride; // Whether feeRate replaces borrowerFeeRate and lenderFeeRate for the collection
+        uint256 feeRate; // Protocol fee rate of the collection, charged to both sides (basis points)
+        address oracle; // Floor price oracle of the collection (address(0) for none)
+        uint256 maxLoanToValue; // Maximum loan-to-value of loans against the collection (basis points)
+        uint256 maxPriceAge; // Maximum age of oracle prices in seconds
+    }
+
+    // Token held as collateral
+    struct CollateralItem {
+        address nftAddress; // Address of the NFT contract
+        uint256 tokenId; // Token ID of the NFT
+        uint256 amount; // ERC-1155 units (0 for an ERC-721 token)
+    }
+
+    // Recipient of a share of protocol fees
+    struct FeeShare {
+        address account; // Recipient of the fees
+        uint256 share; // Share of the fees (basis points)
+    }
+
+    // Standing lender offer for any token of an allowed collection
+    struct CollectionOffer {
+        address lender; // Lender funding the loans
+        address nftAddress; // Address of the NFT contract
+        address currency; // Loan currency (address(0) for native CORE)
+        uint256 loanAmount; // Amount lent per loan
+        uint256 interestRate; // Offered interest rate (basis points)
+        uint256 duration; // Duration of each loan in seconds
+        LoanType loanType; // Fixed or APR
+        uint256 remainingFunds; // Escrowed funds left for future loans
+    }
+
+    uint256 public loanCounter; // Counter to track the total number of loans created
+    mapping(uint256 => Loan) public loans; // Mapping of loan IDs to loan details
+    mapping(uint256 => uint256) public escrowedFunds; // Mapping of loan IDs to escrowed lender funds
+    mapping(address => bool) public allowedNFTContracts; // Tracks which NFT contracts are allowed
+    mapping(address => mapping(uint256 => bool)) public isCollateralized;
+    mapping(address => bool) public allowedCurrencies; // Tracks which ERC-20 currencies are allowed
+
+    uint256 public maxActiveLoans = 1000; // Default maximum size for active loans
+    uint256[] public activeLoanIds; // List of IDs for currently active loans
+    mapping(uint256 => bool) public activeLoans; // Tracks whether a loan ID is active
+
+    uint256 public borrowerFeeRate = 200; // Protocol fee rate charged to borrowers in basis points (2%)
+    mapping(address => uint256) public protocolFeeBalance; // Accumulated protocol fees per currency
+
+    // Refund handling
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals; // user => currency => amount
+    mapping(address => uint256) public totalPendingWithdrawals; // Accumulated pending withdrawals per currency
+
+    // Add bid cooldown period
+    mapping(uint256 => uint256) public bidTimestamps; // Timestamp for the last bid placed
+    uint256 public bidCancelPeriod = 1 days; // Initial cooldown period
+
+    // Signed offer nonces
+    mapping(address => mapping(uint256 => bool)) public usedOfferNonces; // Nonces accepted or cancelled per lender
+    mapping(address => uint256) public minOfferNonce; // Offers with a lower nonce are invalid
+
+    // Collection offer book
+    uint256 public collectionOfferCounter; // Counter to track the total number of collection offers created
+    mapping(uint256 => CollectionOffer) public collectionOffers; // Mapping of offer IDs to offer details
+    mapping(address => uint256[]) internal openCollectionOfferIds; // Open offer IDs per NFT contract
+    mapping(uint256 => uint256) internal openCollectionOfferIndex; // Position of an open offer in its collection list
+    mapping(address => uint256) public collectionOfferEscrow; // Funds escrowed by collection offers per currency
+
+    // Refinancing
+    mapping(uint256 => RefinanceTerms) public refinanceTerms; // Mapping of loan IDs to borrower refinance terms
+
+    // Loan extensions
+    mapping(uint256 => uint256) public extensionRequests; // Mapping of loan IDs to the requested total duration
+
+    // Grace period and liquidation
+    uint256 public gracePeriod; // Time after expiry during which the borrower can still repay
+    uint256 public gracePenaltyRate; // Penalty owed to the lender for repaying in the grace period (basis points)
+    uint256 public liquidationAuctionDuration; // Duration of collateral auctions (0 to let lenders claim directly)
+    mapping(uint256 => Liquidation) public liquidations; // Mapping of loan IDs to collateral auctions
+
+    uint256 public minInterestPeriod; // Minimum time APR interest is charged for (0 for none)
+
+    // Loan indexes
+    mapping(uint256 => uint256) internal activeLoanIndex; // Position of each active loan in activeLoanIds
+    mapping(address => uint256[]) internal borrowerLoanIds; // Loans listed by each borrower
+    mapping(address => uint256[]) internal lenderLoanIds; // Loans each lender has bid on or funded
+    mapping(address => mapping(uint256 => bool)) internal isLenderLoanIndexed; // Whether a loan is in a lender's index
+
+    uint256 public pausedActions; // Bit flags of the actions paused by the guardian
+
+    // ERC-1155 collateral
+    mapping(address => bool) public isERC1155Collection; // Whether an allowed NFT contract is an ERC-1155 collection
+    mapping(uint256 => uint256) public collateralAmounts; // Mapping of loan IDs to ERC-1155 units held as collateral (0 for ERC-721)
+    mapping(address => mapping(uint256 => uint256)) public collateralizedBalance; // ERC-1155 units held as collateral per token ID
+
+    mapping(uint256 => CollateralItem[]) internal bundleItems; // Tokens backing a bundle loan besides its nftAddress/tokenId
+
+    mapping(address => CollectionRiskParams) public collectionRiskParams; // Per-collection loan limits and fee override
+
+    // Fee split
+    uint256 public lenderFeeRate = 200; // Protocol fee rate charged to lenders in basis points (2%)
+    FeeShare[] internal feeRecipients; // Recipients the protocol fee balance is distributed to
+    mapping(address => FeeShare) public collectionCreatorFees; // Share of each collection's fees paid to its creator
+    mapping(address => uint256) public totalEscrowedFunds; // Sum of escrowedFunds per currency
+
+    // Referrals
+    uint256 public referralFeeShare; // Share of each fee paid to the referrer of the paying side (basis points)
+    mapping(uint256 => address) public listingReferrers; // Referrer of each loan's borrower, credited with borrower fees
+    mapping(uint256 => address) public bidReferrers; // Referrer of each loan's lender, credited with lender fees
+
+    // Bid books
+    mapping(uint256 => Bid[]) internal loanBids; // Bids placed in each loan's bid book (bid ID = index + 1)
+    mapping(uint256 => uint256[]) internal openBidIds; // IDs of the open bids of each loan
+
+    // Listing options
+    mapping(uint256 => uint256) public autoAcceptRates; // Rate at or below which a bid starts each loan (0 for none)
+    mapping(uint256 => uint256) public listingDeadlines; // Time after which each listing expires (0 for none)
+    mapping(uint256 => uint256) public auctionEndTimes; // Time after which placeBid bids are refused (0 for none)
+
+    // Bid increments
+    uint256 public minBidDecrement; // Minimum amount a bid must undercut the current rate by
+    bool public isMinBidDecrementPercentage; // Whether minBidDecrement is a share of the current rate (basis points)
+    uint256 public auctionExtensionWindow = 10 minutes; // Final period of an auction in which a bid extends it
+
+    // Loan notes
+    address public lenderNote; // ERC-721 lender note minted per accepted loan (address(0) for none)
+    address public borrowerNote; // ERC-721 borrower obligation token minted per accepted loan (address(0) for none)
+
+    // Governance timelock
+    uint256 public governanceDelay; // Delay between queuing a parameter change and executing it (0 for none)
+    mapping(bytes32 => uint256) public queuedChanges; // Time each queued change becomes executable, by change ID
+
+    // Collateral delegation
+    mapping(uint256 => address) public loanDelegates; // Address each borrower delegates its collateral's utility to
+    mapping(address => mapping(address => mapping(uint256 => uint256)))
+        internal delegatedTokens; // Number of loans delegating each escrowed token to each delegate
+
+    // Governance timelock ordering
+    uint256 internal queuedChangeCount; // Number of changes queued so far
+    mapping(bytes32 => uint256) internal queuedChangeNumbers; // Queue order of each change, by change ID
+    mapping(bytes32 => uint256) internal settingReducedAt; // queuedChangeCount when each risk setting was last lowered
+
+    // Events
+    event LoanListed(
+        uint256 indexed loanId,
+        address indexed borrower,
+        address nftAddress,
+        uint256 tokenId,
+        uint256 loanAmount,
+        uint256 maxInterestRate,
+        uint256 duration,
+        LoanType loanType, // Fixed or APR
+        address currency
+    );
+
+    event LoanStatusChanged(uint256 indexed loanId, LoanStatus status);
+
+    event ERC1155CollateralDeposited(uint256 indexed loanId, uint256 amount);
+
+    event BundleCollateralDeposited(
+        uint256 indexed loanId,
+        CollateralItem[] items
+    );
+
+    event LoanDelisted(uint256 indexed loanId, address indexed borrower);
+
+    event ListingOptionsSet(
+        uint256 indexed loanId,
+        uint256 autoAcceptRate,
+        uint256 listingDeadline,
+        uint256 auctionEndTime
+    );
+
+    event AuctionExtended(uint256 indexed loanId, uint256 auctionEndTime);
+
+    event LoanNotesSet(address lenderNote, address borrowerNote);
+
+    event GovernanceDelayUpdated(uint256 governanceDelay);
+
+    event ChangeQueued(
+        bytes32 indexed changeId,
+        address indexed caller,
+        bytes data,
+        uint256 executableAt
+    );
+
+    event ChangeCancelled(bytes32 indexed changeId, address indexed caller);
+
+    event ChangeExecuted(bytes32 indexed changeId, address indexed caller);
+
+    event LoanDelegateUpdated(uint256 indexed loanId, address indexed delegate);
+
+    event AirdropForwarded(
+        uint256 indexed loanId,
+        address indexed token,
+        address indexed borrower,
+        uint256 tokenIdOrAmount,
+        bool isERC721
+    );
+
+    event LoanPositionTransferred(
+        uint256 indexed loanId,
+        address indexed to,
+        bool isLender
+    );
+
+    event ListingExpired(uint256 indexed loanId, address indexed caller);
+
+    event LoanBidPlaced(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 currentInterestRate
+    );
+
+    event LoanBidCancelled(uint256 indexed loanId, address indexed lender);
+
+    event BookBidPlaced(
+        uint256 indexed loanId,
+        uint256 indexed bidId,
+        address indexed lender,
+        uint256 loanAmount,
+        uint256 interestRate,
+        uint256 duration
+    );
+
+    event BookBidStatusChanged(
+        uint256 indexed loanId,
+        uint256 indexed bidId,
+        BidStatus status
+    );
+
+    event LoanAccepted(
+        uint256 indexed loanId,
+        address indexed borrower,
+        address indexed lender,
+        uint256 startTime
+    );
+
+    event LoanRepaid(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 repaymentAmount,
+        uint256 interestPaid,
+        uint256 borrowerFee,
+        uint256 lenderFee,
+        uint256 gracePenalty
+    );
+
+    event LoanDefaulted(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 debt,
+        uint256 lenderFee
+    );
+
+    event LoanPartiallyRepaid(
+        uint256 indexed loanId,
+        uint256 principalRepaid,
+        uint256 interestPaid,
+        uint256 remainingPrincipal,
+        uint256 borrowerFee,
+        uint256 lenderFee
+    );
+
+    event LoanExtensionRequested(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 newDuration
+    );
+
+    event LoanExtended(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 newDuration
+    );
+
+    event RefinanceTermsUpdated(
+        uint256 indexed loanId,
+        uint256 maxInterestRate,
+        uint256 minDuration
+    );
+
+    event LoanRefinanced(
+        uint256 indexed loanId,
+        address indexed oldLender,
+        address indexed newLender,
+        uint256 oldLoanAmount,
+        uint256 oldInterestRate,
+        uint256 oldDuration,
+        uint256 newLoanAmount,
+        uint256 newInterestRate,
+        uint256 newDuration,
+        uint256 interestPaid,
+        uint256 borrowerFee,
+        uint256 lenderFee
+    );
+
+    event LoanOfferAccepted(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 nonce
+    );
+
+    event LoanOfferCancelled(address indexed lender, uint256 nonce);
+
+    event LoanOfferNoncesInvalidated(address indexed lender, uint256 minNonce);
+
+    event CollectionOfferPlaced(
+        uint256 indexed offerId,
+        address indexed lender,
+        address indexed nftAddress,
+        address currency,
+        uint256 loanAmount,
+        uint256 interestRate,
+        uint256 duration,
+        LoanType loanType,
+        uint256 totalFunds
+    );
+
+    event CollectionOfferTaken(
+        uint256 indexed offerId,
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 remainingFunds
+    );
+
+    event CollectionOfferCancelled(
+        uint256 indexed offerId,
+        address indexed lender,
+        uint256 refund
+    );
+
+    event LiquidationStarted(
+        uint256 indexed loanId,
+        uint256 debt,
+        uint256 endTime
+    );
+
+    event LiquidationBidPlaced(
+        uint256 indexed loanId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event LiquidationSettled(
+        uint256 indexed loanId,
+        address indexed winner,
+        uint256 amount,
+        uint256 borrowerSurplus,
+        uint256 lenderFee
+    );
+
+    event AllowedNFTUpdated(address indexed nftAddress, bool allowed);
+
+    event AllowedCurrencyUpdated(address indexed currency, bool allowed);
+
+    event FeeRatesUpdated(uint256 borrowerFeeRate, uint256 lenderFeeRate);
+
+    event FeeRecipientsUpdated(address[] accounts, uint256[] shares);
+
+    event CollectionCreatorFeeUpdated(
+        address indexed nftAddress,
+        address creator,
+        uint256 share
+    );
+
+    event CreatorFeeAccrued(
+        uint256 indexed loanId,
+        address indexed creator,
+        address currency,
+        uint256 amount
+    );
+
+    event ProtocolFeesDistributed(address indexed currency, uint256 amount);
+
+    event ReferralFeeShareUpdated(uint256 newReferralFeeShare);
+
+    event LoanReferred(
+        uint256 indexed loanId,
+        address indexed referrer,
+        address indexed account,
+        bool isBid
+    );
+
+    event ReferralFeeAccrued(
+        uint256 indexed loanId,
+        address indexed referrer,
+        address currency,
+        uint256 amount
+    );
+
+    event ProtocolFeesWithdrawn(
+        address to,
+        uint256 amount,
+        address indexed currency
+    );
+
+    event MaxActiveLoansUpdated(uint256 newMaxActiveLoans);
+
+    event MinBidDecrementUpdated(uint256 minBidDecrement, bool isPercentage);
+
+    event AuctionExtensionWindowUpdated(uint256 auctionExtensionWindow);
+
+    event BidCancelPeriodUpdated(uint256 newBidCancelPeriod);
+
+    event MinInterestPeriodUpdated(uint256 newMinInterestPeriod);
+
+    event CollectionLimitsUpdated(
+        address indexed nftAddress,
+        uint256 maxLoanAmount,
+        uint256 minDuration,
+        uint256 maxDuration,
+        uint256 maxInterestRate
+    );
+
+    event CollectionOracleUpdated(
+        address indexed nftAddress,
+        address oracle,
+        uint256 maxLoanToValue,
+        uint256 maxPriceAge
+    );
+
+    event CollectionFeeRateUpdated(
+        address indexed nftAddress,
+        bool hasFeeOverride,
+        uint256 feeRate
+    );
+
+    event GracePeriodUpdated(uint256 newGracePeriod, uint256 newPenaltyRate);
+
+    event LiquidationAuctionDurationUpdated(uint256 newDuration);
+
+    event PausedActionsUpdated(address indexed guardian, uint256 pausedActions);
+
+    event FundsWithdrawn(
+        address indexed user,
+        uint256 amount,
+        address indexed to,
+        address indexed currency
+    );
+
+    // Modifiers
+    modifier onlyBorrower(uint256 loanId) {
+        require(msg.sender == loans[loanId].borrower, "Not loan borrower");
+        _;
+    }
+
+    modifier onlyLender(uint256 loanId) {
+        require(msg.sender == loans[loanId].lender, "Not loan lender");
+        _;
+    }
+
+    modifier onlyNftOwner(address nftAddress, uint256 tokenId) {
+        require(
+            isERC1155Collection[nftAddress]
+                ? IERC1155(nftAddress).balanceOf(msg.sender, tokenId) > 0
+                : IERC721(nftAddress).ownerOf(tokenId) == msg.sender,
+            "Not NFT owner"
+        );
+        _;
+    }
+
+    modifier loanExists(uint256 loanId) {
+        require(loans[loanId].borrower != address(0), "Loan does not exist");
+        _;
+    }
+
+    modifier whenNotPaused(uint256 actions) {
+        require(pausedActions & actions == 0, "Action paused");
+        _;
+    }
+
+    modifier timelocked() {
+        _executeQueuedChange();
+        _;
+    }
+
+    modifier isNotAccepted(uint256 loanId) {
+        LoanStatus status = loans[loanId].status;
+        require(status != LoanStatus.ACTIVE, "Loan already accepted");
+        require(
+            status == LoanStatus.LISTED || status == LoanStatus.BIDDED,
+            "Loan closed"
+        );
+        _;
+    }
+
+    modifier isListingOpen(uint256 loanId) {
+        uint256 deadline = listingDeadlines[loanId];
+        require(
+            deadline == 0 || block.timestamp <= deadline,
+            "Listing expired"
+        );
+        _;
+    }
+
+    modifier isAllowedNFT(address nftAddress) {
+        require(allowedNFTContracts[nftAddress], "NFT contract not allowed");
+        _;
+    }
+
+    modifier isAllowedCurrency(address currency) {
+        require(
+            currency == address(0) || allowedCurrencies[currency],
+            "Currency not allowed"
+        );
+        _;
+    }
+
+    /**
+     * @dev Validates listing terms and records a new, not yet accepted, loan for the caller.
+     *      The collateral is not deposited yet, see `_depositCollateral`.
+     * @return loanId ID of the created loan.
+     */
+    function _createLoan(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 loanAmount,
+        uint256 maxInterestRate,
+        uint256 duration,
+        LoanType loanType,
+        address currency
+    ) internal returns (uint256 loanId) {
+        require(
+            activeLoanIds.length < maxActiveLoans,
+            "Active loan limit reached"
+        );
+        require(loanAmount > 0, "Loan amount must be greater than zero");
+        require(maxInterestRate > 0, "Interest rate must be greater than zero");
+        require(duration > 0, "Loan duration must be greater than zero");
+        require(
+            uint256(loanType) <= uint256(type(LoanType).max),
+            "Invalid loan type"
+        );
+        loanId = loanCounter;
+        // Create a new loan
+        loans[loanId] = Loan({
+            borrower: msg.sender,
+            lender: address(0),
+            nftAddress: nftAddress,
+            tokenId: tokenId,
+            loanAmount: loanAmount,
+            maxInterestRate: maxInterestRate,
+            currentInterestRate: maxInterestRate,
+            duration: duration,
+            startTime: 0,
+            loanType: loanType, // Assign loan type
+            isAccepted: false,
+            currency: currency,
+            status: LoanStatus.LISTED
+        });
+        emit LoanStatusChanged(loanId, LoanStatus.LISTED);
+        _checkCollectionLimits(loanId, loanAmount, maxInterestRate, duration);
+
+        // Track active loan
+        activeLoans[loanId] = true;
+        activeLoanIndex[loanId] = activeLoanIds.length;
+        activeLoanIds.push(loanId);
+        borrowerLoanIds[msg.sender].push(loanId);
+
+        loanCounter++;
+    }
+
+    /**
+     * @dev Grants the governance address the admin, owner, manager and guardian roles.
+     * @param govAddress Address of the protocol governance.
+     */
+    function _grantGovernanceRoles(address govAddress) internal {
+        _grantRole(DEFAULT_ADMIN_ROLE, govAddress);
+        _grantRole(OWNER_ROLE, govAddress);
+        _grantRole(MANAGER_ROLE, govAddress);
+        _grantRole(GUARDIAN_ROLE, govAddress);
+    }
+
+    /**
+     * @dev Closes a loan that was not accepted: refunds the bidder's escrow to pending
+     *      withdrawals and returns the NFT to the borrower.
+     * @param loanId ID of the loan to delist.
+     */
+    function _delistLoan(uint256 loanId) internal {
+        Loan memory loan = loans[loanId];
+
+        // Refund escrowed funds to the last bidder (if any)
+        address previousBidder = loan.lender;
+        uint256 escrowRefund = 0;
+        if (previousBidder != address(0)) {
+            escrowRefund = escrowedFunds[loanId];
+            _setEscrow(loanId, 0); // Clear escrow
+            if (escrowRefund > 0) {
+                addPendingWithdrawal(previousBidder, loan.currency, escrowRefund);
+            }
+        }
+
+        _refundOpenBids(loanId, loan.currency);
+
+        // Clean up loan data, keeping the loan for history
+        _setStatus(loanId, LoanStatus.DELISTED);
+        _removeActiveLoan(loanId);
+
+        // Return the NFT to the borrower
+        _releaseCollateral(loanId, loan.borrower);
+        emit LoanDelisted(loanId, loan.borrower);
+    }
+
+    /**
+     * @dev Pulls a loan's collateral from the caller and marks it as collateralized.
+     * @param loanId ID of the loan.
+     * @param amount ERC-1155 units to deposit (0 for ERC-721 collateral).
+     */
+    function _depositCollateral(uint256 loanId, uint256 amount) internal {
+        Loan storage loan = loans[loanId];
+        collateralAmounts[loanId] = amount;
+        _depositToken(loan.nftAddress, loan.tokenId, amount);
+        if (amount > 0) {
+            emit ERC1155CollateralDeposited(loanId, amount);
+        }
+    }
+
+    /**
+     * @dev Transfers all of a loan's collateral out of escrow, including the other tokens of a bundle.
+     *      Ends the delegation of the collateral.
+     * @param loanId ID of the loan.
+     * @param to Recipient of the collateral.
+     */
+    function _releaseCollateral(uint256 loanId, address to) internal {
+        if (loanDelegates[loanId] != address(0)) {
+            _setDelegate(loanId, address(0));
+        }
+        Loan storage loan = loans[loanId];
+        _releaseToken(
+            loan.nftAddress,
+            loan.tokenId,
+            collateralAmounts[loanId],
+            to
+        );
+
+        CollateralItem[] storage items = bundleItems[loanId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _releaseToken(
+                items[i].nftAddress,
+                items[i].tokenId,
+                items[i].amount,
+                to
+            );
+        }
+    }
+
+    /**
+     * @dev Delegates the utility of every token backing a loan to a new delegate, replacing the
+     *      previous one.
+     * @param loanId ID of the loan.
+     * @param delegate The new delegate (address(0) to end the delegation).
+     */
+    function _setDelegate(uint256 loanId, address delegate) internal {
+        address previous = loanDelegates[loanId];
+        Loan storage loan = loans[loanId];
+        CollateralItem[] storage items = bundleItems[loanId];
+        for (uint256 i = 0; i <= items.length; i++) {
+            (address nftAddress, uint256 tokenId) = i == 0
+                ? (loan.nftAddress, loan.tokenId)
+                : (items[i - 1].nftAddress, items[i - 1].tokenId);
+            if (previous != address(0)) {
+                delegatedTokens[previous][nftAddress][tokenId]--;
+            }
+            if (delegate != address(0)) {
+                delegatedTokens[delegate][nftAddress][tokenId]++;
+            }
+        }
+        loanDelegates[loanId] = delegate;
+        emit LoanDelegateUpdated(loanId, delegate);
+    }
+
+    /**
+     * @dev Pulls a token from the caller into escrow and marks it as collateralized.
+     *      ERC-1155 units are also counted per token ID, as several loans can hold units of the same token.
+     * @param nftAddress Address of the NFT contract.
+     * @param tokenId Token ID of the collateral.
+     * @param amount ERC-1155 units to deposit (0 for an ERC-721 token).
+     */
+    function _depositToken(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount
+    ) internal {
+        bool isERC1155 = isERC1155Collection[nftAddress];
+        require(
+            isERC1155 ? amount > 0 : amount == 0,
+            "Invalid collateral amount"
+        );
+        require(
+            isERC1155 || !isCollateralized[nftAddress][tokenId],
+            "NFT is already collateralized"
+        );
+        isCollateralized[nftAddress][tokenId] = true;
+
+        if (!isERC1155) {
+            try
+                IERC721(nftAddress).transferFrom(
+                    msg.sender,
+                    address(this),
+                    tokenId
+                )
+            {} catch {
+                revert("NFT transfer failed"); // Abort on failure
+            }
+        } else {
+            collateralizedBalance[nftAddress][tokenId] += amount;
+            try
+                IERC1155(nftAddress).safeTransferFrom(
+                    msg.sender,
+                    address(this),
+                    tokenId,
+                    amount,
+                    ""
+                )
+            {} catch {
+                revert("NFT transfer failed"); // Abort on failure
+            }
+        }
+    }
+
+    /**
+     * @dev Transfers a token out of escrow. The token stays marked as collateralized
+     *      while other loans still hold ERC-1155 units of it.
+     * @param nftAddress Address of the NFT contract.
+     * @param tokenId Token ID of the collateral.
+     * @param amount ERC-1155 units to release (0 for an ERC-721 token).
+     * @param to Recipient of the token.
+     */
+    function _releaseToken(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 amount,
+        address to
+    ) internal {
+        if (amount == 0) {
+            isCollateralized[nftAddress][tokenId] = false;
+            try
+                IERC721(nftAddress).safeTransferFrom(address(this), to, tokenId)
+            {} catch {
+                revert("NFT transfer failed"); // Abort on failure
+            }
+        } else {
+            uint256 remaining = collateralizedBalance[nftAddress][tokenId] -
+                amount;
+            collateralizedBalance[nftAddress][tokenId] = remaining;
+            isCollateralized[nftAddress][tokenId] = remaining > 0;
+            try
+                IERC1155(nftAddress).safeTransferFrom(
+                    address(this),
+                    to,
+                    tokenId,
+                    amount,
+                    ""
+                )
+            {} catch {
+                revert("NFT transfer failed"); // Abort on failure
+            }
+        }
+    }
+
+    /**
+     * @dev Emits the LoanListed event with the terms stored for a loan.
+     * @param loanId ID of the listed loan.
+     */
+    function _emitLoanListed(uint256 loanId) internal {
+        Loan storage loan = loans[loanId];
+        emit LoanListed(
+            loanId,
+            loan.borrower,
+            loan.nftAddress,
+            loan.tokenId,
+            loan.loanAmount,
+            loan.maxInterestRate,
+            loan.duration,
+            loan.loanType,
+            loan.currency
+        );
+    }
+
+    /**
+     * @notice Adds a pending withdrawal for a specified recipient.
+     * @dev Internal function to record funds owed to a recipient without transferring immediately.
+     * @param recipient The address of the recipient who can later withdraw the funds.
+     * @param currency The currency of the funds (address(0) for native CORE).
+     * @param amount The amount of funds to be added to the pending withdrawals.
+     */
+    function addPendingWithdrawal(
+        address recipient,
+        address currency,
+        uint256 amount
+    ) internal {
+        pendingWithdrawals[recipient][currency] += amount;
+        totalPendingWithdrawals[currency] += amount; // Update global pending withdrawals
+    }
+
+    /**
+     * @dev Credits native value sent above the required amount back to the sender's pending withdrawals.
+     *      Interest accrues every second, so callers quoting an amount off-chain send a small buffer.
+     * @param requiredAmount The native amount the call required.
+     */
+    function _refundNativeExcess(uint256 requiredAmount) internal {
+        if (msg.value > requiredAmount) {
+            addPendingWithdrawal(
+                msg.sender,
+                address(0),
+                msg.value - requiredAmount
+            );
+        }
+    }
+
+    /**
+     * @dev Pulls ERC-20 funds owed to the contract, rejecting any attached native value.
+     * @param currency The ERC-20 currency of the funds.
+     * @param from The address paying the funds.
+     * @param amount The amount to pull.
+     */
+    function _pullFunds(address currency, address from, uint256 amount) internal {
+        require(msg.value == 0, "Native value not accepted");
+        IERC20(currency).safeTransferFrom(from, address(this), amount);
+    }
+
+    /**
+     * @dev Sends funds held by the contract in the given currency.
+     * @param currency The currency of the funds (address(0) for native CORE).
+     * @param to The recipient of the funds.
+     * @param amount The amount to send.
+     */
+    function _sendFunds(address currency, address to, uint256 amount) internal {
+        if (currency == address(0)) {
+            payable(to).transfer(amount);
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Calculates the interest owed on (a portion of) a loan's principal.
+     * @param loan The loan.
+     * @param principal The principal amount the interest accrues on.
+     */
+    function _calculateInterest(
+        Loan storage loan,
+        uint256 principal
+    ) internal view returns (uint256 interestAmount) {
+        if (loan.loanType == LoanType.FIXED) {
+            // Fixed interest calculation
+            interestAmount = (principal * loan.currentInterestRate) / 10000;
+        } else if (loan.loanType == LoanType.APR) {
+            // APR interest accrues per second: on the elapsed time once accepted,
+            // on the full loan duration before that. It stops accruing at loan expiry.
+            uint256 elapsedTime = loan.duration;
+            if (
+                loan.isAccepted &&
+                block.timestamp < loan.startTime + loan.duration
+            ) {
+                elapsedTime = block.timestamp - loan.startTime;
+            }
+            // Charge at least the minimum interest period
+            if (elapsedTime < minInterestPeriod) {
+                elapsedTime = minInterestPeriod;
+            }
+            interestAmount =
+                (principal * loan.currentInterestRate * elapsedTime) /
+                (10000 * 365 days);
+        }
+    }
+
+    // Calculate the borrower's protocol fee, at the collection fee rate when a manager set one
+    function _borrowerFee(
+        uint256 loanId,
+        uint256 amount
+    ) internal view returns (uint256) {
+        return _protocolFee(loanId, amount, borrowerFeeRate);
+    }
+
+    // Calculate the lender's protocol fee, at the collection fee rate when a manager set one
+    function _lenderFee(
+        uint256 loanId,
+        uint256 amount
+    ) internal view returns (uint256) {
+        return _protocolFee(loanId, amount, lenderFeeRate);
+    }
+
+    // Bundles spanning several collections pay the highest rate among them
+    function _protocolFee(
+        uint256 loanId,
+        uint256 amount,
+        uint256 feeRate
+    ) private view returns (uint256) {
+        uint256 rate;
+        for (uint256 i = 0; i <= bundleItems[loanId].length; i++) {
+            CollectionRiskParams storage params = _collateralRiskParams(
+                loanId,
+                i
+            );
+            uint256 collectionRate = params.hasFeeOverride
+                ? params.feeRate
+                : feeRate;
+            if (collectionRate > rate) {
+                rate = collectionRate;
+            }
+        }
+        return (amount * rate) / 10000;
+    }
+
+    /**
+     * @dev Books protocol fees charged on a loan: the referrer's and collection creator's shares are
+     *      credited to their pending withdrawals, the rest to the protocol fee balance.
+     * @param loanId ID of the loan the fees were charged on.
+     * @param amount Total fees charged.
+     * @param referrer Referrer of the side paying the fees (address(0) for none).
+     */
+    function _collectFees(
+        uint256 loanId,
+        uint256 amount,
+        address referrer
+    ) internal {
+        if (amount == 0) {
+            return;
+        }
+
+        Loan storage loan = loans[loanId];
+        uint256 referralAmount = 0;
+        if (referrer != address(0)) {
+            referralAmount = (amount * referralFeeShare) / 10000;
+        }
+        if (referralAmount > 0) {
+            addPendingWithdrawal(referrer, loan.currency, referralAmount);
+            emit ReferralFeeAccrued(
+                loanId,
+                referrer,
+                loan.currency,
+                referralAmount
+            );
+        }
+
+        FeeShare storage creatorFee = collectionCreatorFees[loan.nftAddress];
+        uint256 creatorAmount = (amount * creatorFee.share) / 10000;
+        if (creatorAmount > 0) {
+            addPendingWithdrawal(
+                creatorFee.account,
+                loan.currency,
+                creatorAmount
+            );
+            emit CreatorFeeAccrued(
+                loanId,
+                creatorFee.account,
+                loan.currency,
+                creatorAmount
+            );
+        }
+        protocolFeeBalance[loan.currency] +=
+            amount -
+            referralAmount -
+            creatorAmount;
+    }
+
+    /**
+     * @dev Attributes the caller's listing or bid on a loan to the front end that referred it.
+     * @param loanId ID of the loan.
+     * @param referrer Referrer of the caller (address(0) for none).
+     * @param isBid Whether the caller is bidding on the loan rather than listing it.
+     */
+    function _setReferrer(
+        uint256 loanId,
+        address referrer,
+        bool isBid
+    ) internal {
+        require(referrer != msg.sender, "Invalid referrer");
+        if (isBid) {
+            bidReferrers[loanId] = referrer;
+        } else {
+            listingReferrers[loanId] = referrer;
+        }
+        if (referrer != address(0)) {
+            emit LoanReferred(loanId, referrer, msg.sender, isBid);
+        }
+    }
+
+    /**
+     * @dev Sets the lender funds escrowed for a loan, keeping the per-currency total in sync
+     *      so fee withdrawals don't have to iterate the active loans.
+     * @param loanId ID of the loan.
+     * @param amount New escrowed amount.
+     */
+    function _setEscrow(uint256 loanId, uint256 amount) internal {
+        address currency = loans[loanId].currency;
+        totalEscrowedFunds[currency] =
+            totalEscrowedFunds[currency] -
+            escrowedFunds[loanId] +
+            amount;
+        escrowedFunds[loanId] = amount;
+    }
+
+    /**
+     * @dev Returns the oracle value of every token backing a loan, in the loan currency.
+     *      Tokens of collections without an oracle are valued at 0.
+     * @param loanId ID of the loan.
+     */
+    function _collateralValue(
+        uint256 loanId
+    ) internal view returns (uint256 value) {
+        Loan storage loan = loans[loanId];
+        value = _tokenValue(
+            loan.nftAddress,
+            collateralAmounts[loanId],
+            loan.currency
+        );
+
+        CollateralItem[] storage items = bundleItems[loanId];
+        for (uint256 i = 0; i < items.length; i++) {
+            value += _tokenValue(
+                items[i].nftAddress,
+                items[i].amount,
+                loan.currency
+            );
+        }
+    }
+
+    /**
+     * @dev Values a token at its collection's oracle floor price, rejecting stale prices.
+     * @param nftAddress Address of the NFT contract.
+     * @param amount ERC-1155 units (0 for an ERC-721 token).
+     * @param currency Currency of the value.
+     */
+    function _tokenValue(
+        address nftAddress,
+        uint256 amount,
+        address currency
+    ) internal view returns (uint256) {
+        CollectionRiskParams storage params = collectionRiskParams[nftAddress];
+        if (params.oracle == address(0)) {
+            return 0;
+        }
+
+        (uint256 price, uint256 updatedAt) = IFloorPriceOracle(params.oracle)
+            .getFloorPrice(nftAddress, currency);
+        require(
+            params.maxPriceAge == 0 ||
+                block.timestamp <= updatedAt + params.maxPriceAge,
+            "Stale oracle price"
+        );
+        return amount == 0 ? price : price * amount;
+    }
+
+    /**
+     * @dev Checks a loan amount against the maximum loan-to-value of the loan's collection, if set.
+     *      Bundle loans are valued across all their tokens, against the strictest maximum set for
+     *      their collections.
+     * @param loanId ID of the loan.
+     */
+    function _checkLoanToValue(uint256 loanId) internal view {
+        uint256 maxLoanToValue;
+        for (uint256 i = 0; i <= bundleItems[loanId].length; i++) {
+            uint256 collectionMax = _collateralRiskParams(loanId, i)
+                .maxLoanToValue;
+            if (
+                collectionMax != 0 &&
+                (maxLoanToValue == 0 || collectionMax < maxLoanToValue)
+            ) {
+                maxLoanToValue = collectionMax;
+            }
+        }
+        if (maxLoanToValue == 0) {
+            return;
+        }
+
+        require(
+            loans[loanId].loanAmount * 10000 <=
+                _collateralValue(loanId) * maxLoanToValue,
+            "Loan-to-value too high"
+        );
+    }
+
+    /**
+     * @dev Checks loan terms against the limits a manager set for each collection backing the loan.
+     * @param loanId ID of the loan.
+     * @param loanAmount Loan amount.
+     * @param interestRate Interest rate (basis points).
+     * @param duration Loan duration in seconds.
+     */
+    function _checkCollectionLimits(
+        uint256 loanId,
+        uint256 loanAmount,
+        uint256 interestRate,
+        uint256 duration
+    ) internal view {
+        for (uint256 i = 0; i <= bundleItems[loanId].length; i++) {
+            CollectionRiskParams storage params = _collateralRiskParams(
+                loanId,
+                i
+            );
+            require(
+                params.maxLoanAmount == 0 ||
+                    loanAmount <= params.maxLoanAmount,
+                "Loan amount above collection limit"
+            );
+            require(
+                duration >= params.minDuration &&
+                    (params.maxDuration == 0 ||
+                        duration <= params.maxDuration),
+                "Duration outside collection limits"
+            );
+            require(
+                params.maxInterestRate == 0 ||
+                    interestRate <= params.maxInterestRate,
+                "Interest rate above collection limit"
+            );
+        }
+    }
+
+    /**
+     * @dev Returns the risk parameters of the collection of a token backing a loan.
+     * @param loanId ID of the loan.
+     * @param index Index of the token: 0 for the listed token, then the other tokens of a bundle.
+     */
+    function _collateralRiskParams(
+        uint256 loanId,
+        uint256 index
+    ) internal view returns (CollectionRiskParams storage) {
+        return
+            collectionRiskParams[
+                index == 0
+                    ? loans[loanId].nftAddress
+                    : bundleItems[loanId][index - 1].nftAddress
+            ];
+    }
+
+    /**
+     * @dev Removes a loan from the active loan list by swapping it with the last active loan.
+     * @param loanId ID of the loan to remove.
+     */
+    function _removeActiveLoan(uint256 loanId) internal {
+        if (!activeLoans[loanId]) {
+            return;
+        }
+        delete activeLoans[loanId];
+
+        uint256 index = activeLoanIndex[loanId];
+        uint256 lastLoanId = activeLoanIds[activeLoanIds.length - 1];
+        activeLoanIds[index] = lastLoanId;
+        activeLoanIndex[lastLoanId] = index;
+        activeLoanIds.pop();
+        delete activeLoanIndex[loanId];
+    }
+
+    /**
+     * @dev Consumes the queued change matching the current call once its delay has passed.
+     *      A change is identified by the hash of its full calldata, so it only executes with
+     *      the exact arguments it was queued with. Calls go through right away while the
+     *      governance delay is 0.
+     */
+    function _executeQueuedChange() internal {
+        if (governanceDelay == 0) {
+            return;
+        }
+        bytes32 changeId = keccak256(msg.data);
+        uint256 executableAt = queuedChanges[changeId];
+        require(executableAt > 0, "Change not queued");
+        require(block.timestamp >= executableAt, "Change still timelocked");
+        require(
+            block.timestamp <= executableAt + GOVERNANCE_GRACE_PERIOD,
+            "Change expired"
+        );
+        delete queuedChanges[changeId];
+        emit ChangeExecuted(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Moves a loan to a new lifecycle status, keeping `isAccepted` in sync. Loan notes are
+     *      minted when the loan starts and burned when it closes.
+     * @param loanId ID of the loan.
+     * @param status The new status.
+     */
+    function _setStatus(uint256 loanId, LoanStatus status) internal {
+        Loan storage loan = loans[loanId];
+        if (status == LoanStatus.ACTIVE) {
+            _mintNote(lenderNote, loan.lender, loanId);
+            _mintNote(borrowerNote, loan.borrower, loanId);
+        } else if (loan.status == LoanStatus.ACTIVE) {
+            _burnNote(lenderNote, loanId);
+            _burnNote(borrowerNote, loanId);
+        }
+        loan.status = status;
+        loan.isAccepted = status == LoanStatus.ACTIVE;
+        emit LoanStatusChanged(loanId, status);
+    }
+
+    /**
+     * @dev Sets the lender of a loan and adds the loan to the lender's index.
+     * @param loan The loan.
+     * @param loanId ID of the loan.
+     * @param lender The new lender or highest bidder.
+     */
+    function _setLender(
+        Loan storage loan,
+        uint256 loanId,
+        address lender
+    ) internal {
+        if (loan.status == LoanStatus.ACTIVE) {
+            // A new lender taking over an accepted loan gets a new note
+            _burnNote(lenderNote, loanId);
+            _mintNote(lenderNote, lender, loanId);
+        }
+        loan.lender = lender;
+        _indexLenderLoan(lender, loanId);
+    }
+
+    /**
+     * @dev Mints the note of a loan when a note contract is set.
+     * @param note The lender or borrower note contract.
+     * @param to Holder of the position.
+     * @param loanId ID of the loan.
+     */
+    function _mintNote(address note, address to, uint256 loanId) private {
+        if (note != address(0)) {
+            ILoanNote(note).mint(to, loanId);
+        }
+    }
+
+    /**
+     * @dev Burns the note of a loan when a note contract is set.
+     * @param note The lender or borrower note contract.
+     * @param loanId ID of the loan.
+     */
+    function _burnNote(address note, uint256 loanId) private {
+        if (note != address(0)) {
+            ILoanNote(note).burn(loanId);
+        }
+    }
+
+    /**
+     * @dev Adds a loan to a lender's loan index, once.
+     * @param lender Lender bidding on or funding the loan.
+     * @param loanId ID of the loan.
+     */
+    function _indexLenderLoan(address lender, uint256 loanId) internal {
+        if (!isLenderLoanIndexed[lender][loanId]) {
+            isLenderLoanIndexed[lender][loanId] = true;
+            lenderLoanIds[lender].push(loanId);
+        }
+    }
+
+    /**
+     * @dev Closes an open bid of a loan's bid book and releases its escrow from the escrow total.
+     *      The caller pays out or reassigns the bid's funds.
+     * @param loanId ID of the loan.
+     * @param bidId ID of the open bid.
+     * @param currency Currency of the loan.
+     * @param status New status of the bid.
+     */
+    function _closeBid(
+        uint256 loanId,
+        uint256 bidId,
+        address currency,
+        BidStatus status
+    ) internal {
+        uint256[] storage bidIds = openBidIds[loanId];
+        for (uint256 i = 0; i < bidIds.length; i++) {
+            if (bidIds[i] == bidId) {
+                bidIds[i] = bidIds[bidIds.length - 1];
+                bidIds.pop();
+                break;
+            }
+        }
+
+        loanBids[loanId][bidId - 1].status = status;
+        totalEscrowedFunds[currency] -= loanBids[loanId][bidId - 1].loanAmount;
+        emit BookBidStatusChanged(loanId, bidId, status);
+    }
+
+    /**
+     * @dev Refunds every open bid of a loan's bid book to the lenders' pending withdrawals.
+     * @param loanId ID of the loan.
+     * @param currency Currency of the loan.
+     */
+    function _refundOpenBids(uint256 loanId, address currency) internal {
+        uint256[] storage bidIds = openBidIds[loanId];
+        while (bidIds.length > 0) {
+            Bid storage bid = loanBids[loanId][bidIds[bidIds.length - 1] - 1];
+            addPendingWithdrawal(bid.lender, currency, bid.loanAmount);
+            _closeBid(
+                loanId,
+                bidIds[bidIds.length - 1],
+                currency,
+                BidStatus.REFUNDED
+            );
+        }
+    }
+
+    /**
+     * @dev Calculates the penalty owed on top of the total repayment once a loan is in its grace period.
+     * @param loan The loan.
+     * @param totalRepayment The loan's total repayment (principal + interest).
+     */
+    function _calculateGracePenalty(
+        Loan storage loan,
+        uint256 totalRepayment
+    ) internal view returns (uint256) {
+        if (block.timestamp <= loan.startTime + loan.duration) {
+            return 0;
+        }
+        return (totalRepayment * gracePenaltyRate) / 10000;
+    }
+}
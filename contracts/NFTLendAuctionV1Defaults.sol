@@ -0,0 +1,242 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./NFTLendAuctionV1Base.sol";
+
+/**
+ * @title NFTLendAuctionV1Defaults
+ * @notice Defaults of NFTLendAuctionV1 loans: default claims by lenders and collateral auctions of
+ *         loans that were not repaid by the end of their grace period.
+ * @dev Never used directly. NFTLendAuctionV1Servicing delegatecalls into this contract for every
+ *      selector it does not implement itself, so all state lives in the auction contract.
+ *      Selectors unknown here are in turn delegated to NFTLendAuctionV1Admin.
+ */
+contract NFTLendAuctionV1Defaults is NFTLendAuctionV1Base, Proxy {
+    address public immutable admin; // NFTLendAuctionV1Admin implementation
+
+    /**
+     * @param _admin Address of the NFTLendAuctionV1Admin implementation.
+     */
+    constructor(address _admin) {
+        require(_admin.code.length > 0, "Admin is not a contract");
+        admin = _admin;
+    }
+
+    /**
+     * @notice Claims an NFT as collateral if the borrower defaults.
+     * @dev The lender protocol fee is paid in the loan currency. Claims open once the grace period is over.
+     *      When liquidation auctions are enabled, the lender can only claim the NFT after an auction
+     *      ended without any bid covering the debt.
+     * @param loanId ID of the loan to claim.
+     */
+    function claimDefaultedLoan(
+        uint256 loanId
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_DEFAULT_CLAIMS)
+        loanExists(loanId)
+    {
+        Loan storage loan = loans[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted");
+        require(
+            block.timestamp > loan.startTime + loan.duration + gracePeriod,
+            "Loan not expired"
+        );
+        Liquidation storage liquidation = liquidations[loanId];
+        if (liquidation.endTime > 0) {
+            require(
+                block.timestamp > liquidation.endTime &&
+                    liquidation.highestBidder == address(0),
+                "Liquidation auction in progress"
+            );
+        } else {
+            require(
+                liquidationAuctionDuration == 0,
+                "Liquidation auction required"
+            );
+        }
+
+        // Get the total repayment (principal + interest)
+        uint256 totalRepayment = loan.loanAmount +
+            _calculateInterest(loan, loan.loanAmount);
+
+        // Calculate the lender's protocol fee based on the total repayment
+        uint256 lenderProtocolFee = _lenderFee(loanId, totalRepayment);
+
+        // Ensure lender sends the correct protocol fee
+        if (loan.currency == address(0)) {
+            require(
+                msg.value == lenderProtocolFee,
+                "Incorrect protocol fee sent"
+            );
+        } else {
+            _pullFunds(loan.currency, msg.sender, lenderProtocolFee);
+        }
+
+        // Book protocol fees
+        _collectFees(loanId, lenderProtocolFee, bidReferrers[loanId]);
+
+        // Clean up loan data
+        _setStatus(loanId, LoanStatus.DEFAULTED);
+        _removeActiveLoan(loanId);
+
+        // Transfer NFT to the lender
+        _releaseCollateral(loanId, loan.lender);
+        emit LoanDefaulted(
+            loanId,
+            loan.lender,
+            totalRepayment,
+            lenderProtocolFee
+        );
+    }
+
+    /**
+     * @notice Starts the collateral auction of a loan that was not repaid by the end of its grace period.
+     * @dev Callable by anyone. The debt owed to the lender is fixed when the auction starts.
+     * @param loanId The ID of the defaulted loan.
+     */
+    function startLiquidation(
+        uint256 loanId
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_DEFAULT_CLAIMS)
+        loanExists(loanId)
+    {
+        Loan storage loan = loans[loanId];
+        Liquidation storage liquidation = liquidations[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted");
+        require(liquidationAuctionDuration > 0, "Liquidation auctions disabled");
+        require(
+            block.timestamp > loan.startTime + loan.duration + gracePeriod,
+            "Loan not expired"
+        );
+        require(liquidation.endTime == 0, "Liquidation already started");
+
+        // Debt is the total repayment plus the grace period penalty
+        uint256 totalRepayment = loan.loanAmount +
+            _calculateInterest(loan, loan.loanAmount);
+        liquidation.debt =
+            totalRepayment +
+            _calculateGracePenalty(loan, totalRepayment);
+        liquidation.endTime = block.timestamp + liquidationAuctionDuration;
+
+        emit LiquidationStarted(loanId, liquidation.debt, liquidation.endTime);
+    }
+
+    /**
+     * @notice Bids on the collateral of a loan being liquidated.
+     * @dev Bids must cover the debt and exceed the current highest bid. The outbid
+     *      bidder is refunded through pending withdrawals.
+     * @param loanId The ID of the loan being liquidated.
+     * @param amount Bid amount in the loan currency (must equal msg.value for native loans).
+     */
+    function placeLiquidationBid(
+        uint256 loanId,
+        uint256 amount
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_DEFAULT_CLAIMS)
+        loanExists(loanId)
+    {
+        Loan storage loan = loans[loanId];
+        Liquidation storage liquidation = liquidations[loanId];
+        require(
+            liquidation.endTime > 0 && loan.status == LoanStatus.ACTIVE,
+            "Liquidation not started"
+        );
+        require(block.timestamp <= liquidation.endTime, "Liquidation ended");
+        require(amount >= liquidation.debt, "Bid below debt");
+        require(amount > escrowedFunds[loanId], "Bid not higher");
+
+        if (loan.currency == address(0)) {
+            require(msg.value == amount, "Incorrect bid amount");
+        } else {
+            _pullFunds(loan.currency, msg.sender, amount);
+        }
+
+        // Refund the previous highest bidder
+        if (liquidation.highestBidder != address(0)) {
+            addPendingWithdrawal(
+                liquidation.highestBidder,
+                loan.currency,
+                escrowedFunds[loanId]
+            );
+        }
+
+        liquidation.highestBidder = msg.sender;
+        _setEscrow(loanId, amount);
+
+        emit LiquidationBidPlaced(loanId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Settles a finished collateral auction.
+     * @dev Callable by anyone. The NFT goes to the winner, the lender receives the debt minus
+     *      the lender protocol fee and any surplus is credited to the borrower.
+     * @param loanId The ID of the liquidated loan.
+     */
+    function settleLiquidation(
+        uint256 loanId
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_DEFAULT_CLAIMS)
+        loanExists(loanId)
+    {
+        Loan storage loan = loans[loanId];
+        Liquidation storage liquidation = liquidations[loanId];
+        require(
+            liquidation.endTime > 0 && loan.status == LoanStatus.ACTIVE,
+            "Liquidation not started"
+        );
+        require(
+            block.timestamp > liquidation.endTime,
+            "Liquidation not ended"
+        );
+        address winner = liquidation.highestBidder;
+        require(winner != address(0), "No liquidation bids");
+
+        uint256 amount = escrowedFunds[loanId];
+        uint256 lenderProtocolFee = _lenderFee(loanId, liquidation.debt);
+        uint256 borrowerSurplus = amount - liquidation.debt;
+
+        // Distribute the winning bid
+        _setEscrow(loanId, 0);
+        _collectFees(loanId, lenderProtocolFee, bidReferrers[loanId]);
+        addPendingWithdrawal(
+            loan.lender,
+            loan.currency,
+            liquidation.debt - lenderProtocolFee
+        );
+        if (borrowerSurplus > 0) {
+            addPendingWithdrawal(loan.borrower, loan.currency, borrowerSurplus);
+        }
+
+        // Clean up loan data
+        _setStatus(loanId, LoanStatus.DEFAULTED);
+        _removeActiveLoan(loanId);
+
+        _releaseCollateral(loanId, winner);
+
+        emit LiquidationSettled(
+            loanId,
+            winner,
+            amount,
+            borrowerSurplus,
+            lenderProtocolFee
+        );
+    }
+
+    /**
+     * @dev Target of the fallback: every unknown selector runs in the admin module.
+     */
+    function _implementation() internal view override returns (address) {
+        return admin;
+    }
+}
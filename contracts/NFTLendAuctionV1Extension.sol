@@ -0,0 +1,552 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./NFTLendAuctionV1Base.sol";
+
+/**
+ * @title NFTLendAuctionV1Extension
+ * @notice Offer book and listings of NFTLendAuctionV1: signed off-chain lender offers, collection-wide
+ *         standing offers, ERC-1155 (with the ERC-1155 receiver hooks) and bundle listings and delisting.
+ * @dev Never used directly. NFTLendAuctionV1 delegatecalls into this contract for every
+ *      selector it does not implement itself, so all state lives in the auction contract.
+ *      Selectors unknown here are in turn delegated to NFTLendAuctionV1Servicing.
+ */
+contract NFTLendAuctionV1Extension is NFTLendAuctionV1Base, EIP712, Proxy {
+    using SafeERC20 for IERC20;
+
+    address public immutable servicing; // NFTLendAuctionV1Servicing implementation
+
+    bytes32 public constant LOAN_OFFER_TYPEHASH =
+        keccak256(
+            "LoanOffer(address lender,address nftAddress,uint256 tokenId,bool collectionOffer,uint256 loanAmount,uint256 interestRate,uint256 duration,uint8 loanType,address currency,uint256 expiry,uint256 nonce)"
+        );
+
+    // Lender offer signed off-chain (EIP-712) and accepted on-chain by a borrower
+    struct LoanOffer {
+        address lender; // Signer funding the loan
+        address nftAddress; // Address of the NFT contract
+        uint256 tokenId; // Token ID the offer is for (ignored for collection offers)
+        bool collectionOffer; // Whether any token of the collection is accepted
+        uint256 loanAmount; // Amount of the loan in the offer currency
+        uint256 interestRate; // Offered interest rate (basis points)
+        uint256 duration; // Duration of the loan in seconds
+        LoanType loanType; // Fixed or APR
+        address currency; // ERC-20 loan currency
+        uint256 expiry; // Timestamp after which the offer can no longer be accepted
+        uint256 nonce; // Lender nonce, each nonce can be used once
+    }
+
+    /**
+     * @param _servicing Address of the NFTLendAuctionV1Servicing implementation.
+     */
+    constructor(address _servicing) EIP712("NFTLendAuction", "1") {
+        require(_servicing.code.length > 0, "Servicing is not a contract");
+        servicing = _servicing;
+    }
+
+    /**
+     * @notice Starts a loan against a lender's signed offer in a single transaction.
+     * @dev The NFT is deposited by the caller and the loan amount is pulled from the lender
+     *      straight to the borrower, so lenders do not need to escrow funds in advance.
+     *      Signed offers only cover ERC-721 collateral.
+     * @param offer The signed lender offer.
+     * @param signature The lender's EIP-712 signature (or ERC-1271 signature for contract lenders).
+     * @param tokenId Token ID of the NFT used as collateral.
+     */
+    function acceptOffer(
+        LoanOffer calldata offer,
+        bytes calldata signature,
+        uint256 tokenId
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_LISTING | PAUSE_ACCEPTANCE)
+        isAllowedNFT(offer.nftAddress)
+        isAllowedCurrency(offer.currency)
+        onlyNftOwner(offer.nftAddress, tokenId)
+    {
+        require(offer.currency != address(0), "Offer currency must be ERC-20");
+        require(block.timestamp <= offer.expiry, "Offer expired");
+        require(
+            offer.collectionOffer || offer.tokenId == tokenId,
+            "Offer not valid for token"
+        );
+        require(
+            offer.nonce >= minOfferNonce[offer.lender] &&
+                !usedOfferNonces[offer.lender][offer.nonce],
+            "Offer nonce invalid"
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(
+                offer.lender,
+                hashLoanOffer(offer),
+                signature
+            ),
+            "Invalid offer signature"
+        );
+
+        // Consume the nonce
+        usedOfferNonces[offer.lender][offer.nonce] = true;
+
+        uint256 loanId = _startOfferLoan(offer, tokenId);
+        Loan storage loan = loans[loanId];
+
+        // Transfer the NFT to the contract
+        _depositCollateral(loanId, 0);
+        _checkLoanToValue(loanId);
+        _emitLoanListed(loanId);
+
+        // Fund the borrower directly from the lender
+        IERC20(offer.currency).safeTransferFrom(
+            offer.lender,
+            msg.sender,
+            offer.loanAmount
+        );
+
+        emit LoanAccepted(loanId, msg.sender, offer.lender, loan.startTime);
+        emit LoanOfferAccepted(loanId, offer.lender, offer.nonce);
+    }
+
+    /**
+     * @notice Cancels a signed offer so it can no longer be accepted.
+     * @param nonce Nonce of the offer to cancel.
+     */
+    function cancelOffer(uint256 nonce) external {
+        require(!usedOfferNonces[msg.sender][nonce], "Offer nonce already used");
+        usedOfferNonces[msg.sender][nonce] = true;
+        emit LoanOfferCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @notice Invalidates all signed offers with a nonce lower than `minNonce`.
+     * @param minNonce New minimum valid nonce for the caller's offers.
+     */
+    function invalidateOfferNonces(uint256 minNonce) external {
+        require(minNonce > minOfferNonce[msg.sender], "Nonce too low");
+        minOfferNonce[msg.sender] = minNonce;
+        emit LoanOfferNoncesInvalidated(msg.sender, minNonce);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest a lender signs for an offer.
+     * @param offer The lender offer.
+     */
+    function hashLoanOffer(
+        LoanOffer calldata offer
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(LOAN_OFFER_TYPEHASH, offer)));
+    }
+
+    /**
+     * @notice Places a standing offer to lend on any token of an allowed collection.
+     * @dev `totalFunds` is escrowed once and drawn by `loanAmount` on every fill until it runs out.
+     *      Only ERC-721 collections take collection offers.
+     * @param nftAddress Address of the NFT contract.
+     * @param currency Loan currency (address(0) for native CORE or an allowed ERC-20).
+     * @param loanAmount Amount lent per loan.
+     * @param interestRate Offered interest rate (basis points).
+     * @param duration Duration of each loan in seconds.
+     * @param loanType Fixed or APR.
+     * @param totalFunds Total funds escrowed for the offer, capping the amount lent.
+     */
+    function placeCollectionOffer(
+        address nftAddress,
+        address currency,
+        uint256 loanAmount,
+        uint256 interestRate,
+        uint256 duration,
+        LoanType loanType,
+        uint256 totalFunds
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_BIDDING)
+        isAllowedNFT(nftAddress)
+        isAllowedCurrency(currency)
+    {
+        require(
+            !isERC1155Collection[nftAddress],
+            "ERC1155 collections not supported"
+        );
+        require(loanAmount > 0, "Loan amount must be greater than zero");
+        require(interestRate > 0, "Interest rate must be greater than zero");
+        require(duration > 0, "Loan duration must be greater than zero");
+        require(totalFunds >= loanAmount, "Funds below loan amount");
+
+        if (currency == address(0)) {
+            require(msg.value == totalFunds, "Incorrect offer funds");
+        } else {
+            _pullFunds(currency, msg.sender, totalFunds);
+        }
+
+        uint256 offerId = collectionOfferCounter++;
+        collectionOffers[offerId] = CollectionOffer({
+            lender: msg.sender,
+            nftAddress: nftAddress,
+            currency: currency,
+            loanAmount: loanAmount,
+            interestRate: interestRate,
+            duration: duration,
+            loanType: loanType,
+            remainingFunds: totalFunds
+        });
+        collectionOfferEscrow[currency] += totalFunds;
+
+        openCollectionOfferIndex[offerId] = openCollectionOfferIds[nftAddress].length;
+        openCollectionOfferIds[nftAddress].push(offerId);
+
+        emit CollectionOfferPlaced(
+            offerId,
+            msg.sender,
+            nftAddress,
+            currency,
+            loanAmount,
+            interestRate,
+            duration,
+            loanType,
+            totalFunds
+        );
+    }
+
+    /**
+     * @notice Starts a loan against a collection offer with any token of the collection.
+     * @dev The NFT is deposited by the caller and the loan amount is paid from the offer escrow.
+     * @param offerId ID of the collection offer to take.
+     * @param tokenId Token ID of the NFT used as collateral.
+     */
+    function takeCollectionOffer(
+        uint256 offerId,
+        uint256 tokenId
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_LISTING | PAUSE_ACCEPTANCE)
+    {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(
+            offer.remainingFunds >= offer.loanAmount && offer.loanAmount > 0,
+            "Collection offer not available"
+        );
+        require(
+            allowedNFTContracts[offer.nftAddress],
+            "NFT contract not allowed"
+        );
+        require(
+            IERC721(offer.nftAddress).ownerOf(tokenId) == msg.sender,
+            "Not NFT owner"
+        );
+
+        uint256 loanId = _createLoan(
+            offer.nftAddress,
+            tokenId,
+            offer.loanAmount,
+            offer.interestRate,
+            offer.duration,
+            offer.loanType,
+            offer.currency
+        );
+
+        // Start the loan immediately
+        Loan storage loan = loans[loanId];
+        _setLender(loan, loanId, offer.lender);
+        loan.startTime = block.timestamp;
+        _setStatus(loanId, LoanStatus.ACTIVE);
+
+        // Draw the loan amount from the offer escrow
+        offer.remainingFunds -= offer.loanAmount;
+        collectionOfferEscrow[offer.currency] -= offer.loanAmount;
+        if (offer.remainingFunds < offer.loanAmount) {
+            // Not enough left for another loan: close and refund the remainder
+            _closeCollectionOffer(offerId);
+        }
+
+        // Transfer the NFT to the contract
+        _depositCollateral(loanId, 0);
+        _checkLoanToValue(loanId);
+        _emitLoanListed(loanId);
+
+        _sendFunds(offer.currency, msg.sender, offer.loanAmount);
+
+        emit LoanAccepted(loanId, msg.sender, offer.lender, loan.startTime);
+        emit CollectionOfferTaken(
+            offerId,
+            loanId,
+            msg.sender,
+            offer.remainingFunds
+        );
+    }
+
+    /**
+     * @notice Cancels a collection offer and refunds its remaining escrow to the lender.
+     * @param offerId ID of the collection offer to cancel.
+     */
+    function cancelCollectionOffer(uint256 offerId) external nonReentrant {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(msg.sender == offer.lender, "Not offer lender");
+        require(
+            offer.remainingFunds >= offer.loanAmount,
+            "Collection offer not available"
+        );
+
+        uint256 refund = _closeCollectionOffer(offerId);
+
+        emit CollectionOfferCancelled(offerId, msg.sender, refund);
+    }
+
+    /**
+     * @notice Returns the IDs of all open collection offers for an NFT contract.
+     * @param nftAddress Address of the NFT contract.
+     */
+    function getCollectionOffers(
+        address nftAddress
+    ) external view returns (uint256[] memory) {
+        return openCollectionOfferIds[nftAddress];
+    }
+
+    /**
+     * @notice Returns the open collection offer with the lowest interest rate for a collection and currency.
+     * @dev Ties are broken in favour of the larger loan amount, then the oldest offer.
+     * @param nftAddress Address of the NFT contract.
+     * @param currency Loan currency (address(0) for native CORE).
+     * @return found Whether an open offer exists.
+     * @return offerId ID of the best offer.
+     */
+    function getBestCollectionOffer(
+        address nftAddress,
+        address currency
+    ) external view returns (bool found, uint256 offerId) {
+        uint256[] storage offerIds = openCollectionOfferIds[nftAddress];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            CollectionOffer storage offer = collectionOffers[offerIds[i]];
+            if (offer.currency != currency) {
+                continue;
+            }
+            if (!found) {
+                (found, offerId) = (true, offerIds[i]);
+                continue;
+            }
+            CollectionOffer storage best = collectionOffers[offerId];
+            if (
+                offer.interestRate < best.interestRate ||
+                (offer.interestRate == best.interestRate &&
+                    offer.loanAmount > best.loanAmount)
+            ) {
+                offerId = offerIds[i];
+            }
+        }
+    }
+
+    /**
+     * @notice Lists a new loan by depositing units of an ERC-1155 token as collateral.
+     * @param nftAddress Address of the ERC-1155 contract.
+     * @param tokenId Token ID of the collateral.
+     * @param collateralAmount Number of units deposited as collateral.
+     * @param loanAmount Desired loan amount in wei.
+     * @param maxInterestRate Maximum acceptable interest rate (basis points).
+     * @param duration Loan duration in seconds.
+     * @param loanType Fixed or APR.
+     * @param currency Loan currency (address(0) for native CORE or an allowed ERC-20).
+     */
+    function listLoanERC1155(
+        address nftAddress,
+        uint256 tokenId,
+        uint256 collateralAmount,
+        uint256 loanAmount,
+        uint256 maxInterestRate,
+        uint256 duration,
+        LoanType loanType,
+        address currency
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_LISTING)
+        isAllowedNFT(nftAddress)
+        isAllowedCurrency(currency)
+    {
+        uint256 loanId = _createLoan(
+            nftAddress,
+            tokenId,
+            loanAmount,
+            maxInterestRate,
+            duration,
+            loanType,
+            currency
+        );
+
+        // Transfer the units to the contract
+        _depositCollateral(loanId, collateralAmount);
+        _checkLoanToValue(loanId);
+        _emitLoanListed(loanId);
+    }
+
+    /**
+     * @notice Accepts ERC-1155 collateral deposited by the contract itself.
+     */
+    function onERC1155Received(
+        address operator,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(operator == address(this), "Direct transfers not accepted");
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @notice Accepts batches of ERC-1155 collateral deposited by the contract itself.
+     */
+    function onERC1155BatchReceived(
+        address operator,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(operator == address(this), "Direct transfers not accepted");
+        return this.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @notice Delist a loan
+     * @param loanId ID of the loan to delist.
+     */
+    function delistLoan(
+        uint256 loanId
+    )
+        external
+        nonReentrant
+        loanExists(loanId)
+        isNotAccepted(loanId)
+        onlyBorrower(loanId)
+    {
+        _delistLoan(loanId);
+    }
+
+    /**
+     * @notice Lists a new loan backed by a bundle of tokens, possibly across several allowed collections.
+     * @dev The first token becomes the loan's `nftAddress`/`tokenId`, the others are returned by
+     *      `getLoanCollateral`. All tokens are released together on delisting, repayment and default.
+     *      The terms must meet the limits of every collection in the bundle.
+     * @param items Tokens deposited as collateral, with the units of ERC-1155 tokens (0 for ERC-721 tokens).
+     * @param loanAmount Desired loan amount in wei.
+     * @param maxInterestRate Maximum acceptable interest rate (basis points).
+     * @param duration Loan duration in seconds.
+     * @param loanType Fixed or APR.
+     * @param currency Loan currency (address(0) for native CORE or an allowed ERC-20).
+     */
+    function listLoanBundle(
+        CollateralItem[] calldata items,
+        uint256 loanAmount,
+        uint256 maxInterestRate,
+        uint256 duration,
+        LoanType loanType,
+        address currency
+    )
+        external
+        nonReentrant
+        whenNotPaused(PAUSE_LISTING)
+        isAllowedCurrency(currency)
+    {
+        require(
+            items.length > 1 && items.length <= MAX_BUNDLE_SIZE,
+            "Invalid bundle size"
+        );
+        for (uint256 i = 0; i < items.length; i++) {
+            require(
+                allowedNFTContracts[items[i].nftAddress],
+                "NFT contract not allowed"
+            );
+        }
+
+        uint256 loanId = _createLoan(
+            items[0].nftAddress,
+            items[0].tokenId,
+            loanAmount,
+            maxInterestRate,
+            duration,
+            loanType,
+            currency
+        );
+
+        // Transfer every token to the contract
+        _depositCollateral(loanId, items[0].amount);
+        for (uint256 i = 1; i < items.length; i++) {
+            bundleItems[loanId].push(items[i]);
+            _depositToken(
+                items[i].nftAddress,
+                items[i].tokenId,
+                items[i].amount
+            );
+        }
+
+        _checkCollectionLimits(loanId, loanAmount, maxInterestRate, duration);
+        _checkLoanToValue(loanId);
+        _emitLoanListed(loanId);
+        emit BundleCollateralDeposited(loanId, items);
+    }
+
+    /**
+     * @dev Creates a loan on a signed offer's terms and starts it immediately.
+     * @param offer The signed lender offer.
+     * @param tokenId Token ID of the NFT used as collateral.
+     * @return loanId ID of the new loan.
+     */
+    function _startOfferLoan(
+        LoanOffer calldata offer,
+        uint256 tokenId
+    ) private returns (uint256 loanId) {
+        loanId = _createLoan(
+            offer.nftAddress,
+            tokenId,
+            offer.loanAmount,
+            offer.interestRate,
+            offer.duration,
+            offer.loanType,
+            offer.currency
+        );
+
+        Loan storage loan = loans[loanId];
+        _setLender(loan, loanId, offer.lender);
+        loan.startTime = block.timestamp;
+        _setStatus(loanId, LoanStatus.ACTIVE);
+    }
+
+    /**
+     * @dev Removes an offer from the open offers of its collection and refunds
+     *      its remaining escrow to the lender's pending withdrawals.
+     * @param offerId ID of the collection offer to close.
+     * @return refund Amount refunded to the lender.
+     */
+    function _closeCollectionOffer(
+        uint256 offerId
+    ) private returns (uint256 refund) {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        uint256[] storage offerIds = openCollectionOfferIds[offer.nftAddress];
+        uint256 index = openCollectionOfferIndex[offerId];
+        uint256 lastOfferId = offerIds[offerIds.length - 1];
+
+        offerIds[index] = lastOfferId;
+        openCollectionOfferIndex[lastOfferId] = index;
+        offerIds.pop();
+        delete openCollectionOfferIndex[offerId];
+
+        refund = offer.remainingFunds;
+        offer.remainingFunds = 0;
+        if (refund > 0) {
+            collectionOfferEscrow[offer.currency] -= refund;
+            addPendingWithdrawal(offer.lender, offer.currency, refund);
+        }
+    }
+
+    /**
+     * @dev Target of the fallback: every unknown selector runs in the servicing module.
+     */
+    function _implementation() internal view override returns (address) {
+        return servicing;
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "./ILoanNote.sol";
+
+/**
+ * @title NFTLendAuctionV1LoanNote
+ * @notice ERC-721 promissory notes of NFTLendAuctionV1 loans. One contract is deployed for lender
+ *         notes and, optionally, one for borrower obligation tokens.
+ * @dev The auction mints a note when a loan starts and burns it when the loan closes. Every
+ *      transfer between holders calls back the auction, which moves the position to the new
+ *      holder: repayments and default claims then go to the current holder of a lender note,
+ *      and the collateral goes back to the current holder of a borrower note.
+ */
+contract NFTLendAuctionV1LoanNote is ERC721, ILoanNote {
+    address public immutable auction; // Auction minting and burning the notes
+
+    modifier onlyAuction() {
+        require(msg.sender == auction, "Only auction");
+        _;
+    }
+
+    /**
+     * @param name Name of the note collection.
+     * @param symbol Symbol of the note collection.
+     * @param _auction Address of the auction (the proxy for upgradeable deployments).
+     */
+    constructor(
+        string memory name,
+        string memory symbol,
+        address _auction
+    ) ERC721(name, symbol) {
+        require(_auction != address(0), "Invalid auction");
+        auction = _auction;
+    }
+
+    /**
+     * @inheritdoc ILoanNote
+     */
+    function mint(address to, uint256 loanId) external onlyAuction {
+        _mint(to, loanId);
+    }
+
+    /**
+     * @inheritdoc ILoanNote
+     */
+    function burn(uint256 loanId) external onlyAuction {
+        if (_ownerOf(loanId) != address(0)) {
+            _burn(loanId);
+        }
+    }
+
+    /**
+     * @dev Moves the loan position along with the note on transfers between holders.
+     */
+    function _update(
+        address to,
+        uint256 tokenId,
+        address auth
+    ) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0)) {
+            ILoanNoteReceiver(auction).onLoanNoteTransfer(tokenId, to);
+        }
+    }
+}
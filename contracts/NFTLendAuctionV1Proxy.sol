@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title NFTLendAuctionV1Proxy
+ * @notice ERC-1967 proxy holding the state of an upgradeable NFTLendAuctionV1 deployment.
+ * @dev Upgrades go through `upgradeToAndCall` on NFTLendAuctionV1Upgradeable (UUPS).
+ */
+contract NFTLendAuctionV1Proxy is ERC1967Proxy {
+    /**
+     * @param implementation Address of the NFTLendAuctionV1Upgradeable implementation.
+     * @param data Encoded `initialize` call.
+     */
+    constructor(
+        address implementation,
+        bytes memory data
+    ) ERC1967Proxy(implementation, data) {}
+}
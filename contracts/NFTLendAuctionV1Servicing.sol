@@ -0,0 +1,621 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "./NFTLendAuctionV1Base.sol";
+import "./IDelegationLookup.sol";
+
+/**
+ * @title NFTLendAuctionV1Servicing
+ * @notice Servicing of NFTLendAuctionV1 loans: bid cancellation and bid books of listed loans,
+ *         loan status and repayment quotes, partial repayment, duration extensions, refinancing
+ *         by a new lender, and delegation and airdrops of escrowed collateral.
+ * @dev Never used directly. NFTLendAuctionV1Extension delegatecalls into this contract for every
+ *      selector it does not implement itself, so all state lives in the auction contract.
+ *      Selectors unknown here are in turn delegated to NFTLendAuctionV1Defaults.
+ */
+contract NFTLendAuctionV1Servicing is
+    NFTLendAuctionV1Base,
+    Proxy,
+    IDelegationLookup
+{
+    address public immutable defaults; // NFTLendAuctionV1Defaults implementation
+
+    /**
+     * @param _defaults Address of the NFTLendAuctionV1Defaults implementation.
+     */
+    constructor(address _defaults) {
+        require(_defaults.code.length > 0, "Defaults is not a contract");
+        defaults = _defaults;
+    }
+    /**
+     * @notice Returns the lifecycle status of a loan.
+     * @param loanId ID of the loan.
+     */
+    function getLoanStatus(
+        uint256 loanId
+    ) external view loanExists(loanId) returns (LoanStatus) {
+        return loans[loanId].status;
+    }
+
+    /**
+     * @notice Returns what repaying or claiming a loan would cost right now.
+     * @dev `borrowerPayment` is the amount `repayLoan` requires and `lenderFee` the
+     *      amount `claimDefaultedLoan` requires.
+     * @param loanId ID of the loan.
+     */
+    function getRepaymentBreakdown(
+        uint256 loanId
+    )
+        external
+        view
+        loanExists(loanId)
+        returns (RepaymentBreakdown memory breakdown)
+    {
+        Loan storage loan = loans[loanId];
+        breakdown.principal = loan.loanAmount;
+        breakdown.interest = _calculateInterest(loan, loan.loanAmount);
+
+        uint256 totalRepayment = breakdown.principal + breakdown.interest;
+        breakdown.gracePenalty = _calculateGracePenalty(loan, totalRepayment);
+        breakdown.borrowerFee = _borrowerFee(loanId, totalRepayment);
+        breakdown.lenderFee = _lenderFee(loanId, totalRepayment);
+        breakdown.borrowerPayment =
+            totalRepayment +
+            breakdown.borrowerFee +
+            breakdown.gracePenalty;
+        breakdown.lenderPayout =
+            totalRepayment -
+            breakdown.lenderFee +
+            breakdown.gracePenalty;
+    }
+
+    /**
+     * @notice Repays part of a loan's principal, along with the interest accrued on that part.
+     * @dev Interest on the repaid principal is settled now, so interest on the remaining principal
+     *      keeps accruing from the loan start time. Protocol fees apply as on full repayment.
+     *      Native loans accept msg.value of at least the required payment and credit any excess
+     *      to the borrower's pending withdrawals, ERC-20 loans pull exactly the required payment.
+     * @param loanId ID of the loan to repay.
+     * @param principalAmount Principal to repay, lower than the outstanding principal.
+     */
+    function repayLoanPartial(
+        uint256 loanId,
+        uint256 principalAmount
+    ) external payable nonReentrant loanExists(loanId) onlyBorrower(loanId) {
+        Loan storage loan = loans[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted yet");
+        require(
+            block.timestamp <= loan.startTime + loan.duration,
+            "Loan duration expired"
+        );
+        require(
+            principalAmount > 0 && principalAmount < loan.loanAmount,
+            "Invalid partial principal amount"
+        );
+
+        uint256 interestAmount = _calculateInterest(loan, principalAmount);
+        uint256 repaidAmount = principalAmount + interestAmount;
+
+        // Calculate protocol fees
+        uint256 borrowerProtocolFee = _borrowerFee(loanId, repaidAmount);
+        uint256 lenderProtocolFee = _lenderFee(loanId, repaidAmount);
+
+        // Total amount required from borrower
+        uint256 requiredPayment = repaidAmount + borrowerProtocolFee;
+        if (loan.currency == address(0)) {
+            require(
+                msg.value >= requiredPayment,
+                "Incorrect repayment amount"
+            );
+            _refundNativeExcess(requiredPayment);
+        } else {
+            _pullFunds(loan.currency, msg.sender, requiredPayment);
+        }
+
+        _collectFees(loanId, borrowerProtocolFee, listingReferrers[loanId]);
+        _collectFees(loanId, lenderProtocolFee, bidReferrers[loanId]);
+        loan.loanAmount -= principalAmount;
+
+        // Add Pending lender payout
+        addPendingWithdrawal(
+            loan.lender,
+            loan.currency,
+            repaidAmount - lenderProtocolFee
+        );
+
+        emit LoanPartiallyRepaid(
+            loanId,
+            principalAmount,
+            interestAmount,
+            loan.loanAmount,
+            borrowerProtocolFee,
+            lenderProtocolFee
+        );
+    }
+
+    /**
+     * @notice Requests the lender to extend an accepted loan.
+     * @dev Can be requested after the loan expired, as long as the lender has not claimed the collateral
+     *      and no liquidation auction has started. A new request replaces the previous one.
+     * @param loanId ID of the loan to extend.
+     * @param newDuration Requested total loan duration in seconds, counted from the loan start time.
+     */
+    function requestLoanExtension(
+        uint256 loanId,
+        uint256 newDuration
+    ) external loanExists(loanId) onlyBorrower(loanId) {
+        Loan storage loan = loans[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted");
+        require(
+            liquidations[loanId].endTime == 0,
+            "Liquidation already started"
+        );
+        require(newDuration > loan.duration, "Extension must increase duration");
+
+        extensionRequests[loanId] = newDuration;
+
+        emit LoanExtensionRequested(loanId, msg.sender, newDuration);
+    }
+
+    /**
+     * @notice Approves the borrower's pending extension request, updating the loan duration.
+     * @dev Extensions can no longer be approved once a liquidation auction has started.
+     * @param loanId ID of the loan to extend.
+     * @param newDuration Duration the lender agrees to, must match the pending request.
+     */
+    function approveLoanExtension(
+        uint256 loanId,
+        uint256 newDuration
+    ) external loanExists(loanId) onlyLender(loanId) {
+        Loan storage loan = loans[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted");
+        require(
+            liquidations[loanId].endTime == 0,
+            "Liquidation already started"
+        );
+        require(
+            extensionRequests[loanId] > 0 &&
+                extensionRequests[loanId] == newDuration,
+            "No matching extension request"
+        );
+
+        loan.duration = newDuration;
+        delete extensionRequests[loanId];
+
+        emit LoanExtended(loanId, msg.sender, newDuration);
+    }
+
+    /**
+     * @notice Opens an accepted loan for refinancing, or updates or closes its refinance terms.
+     * @param loanId ID of the loan.
+     * @param maxInterestRate Maximum interest rate accepted from a new lender (basis points), 0 to close.
+     * @param minDuration Minimum duration of the refinanced loan in seconds.
+     */
+    function setRefinanceTerms(
+        uint256 loanId,
+        uint256 maxInterestRate,
+        uint256 minDuration
+    ) external loanExists(loanId) onlyBorrower(loanId) {
+        require(
+            loans[loanId].status == LoanStatus.ACTIVE,
+            "Loan not accepted"
+        );
+
+        refinanceTerms[loanId] = RefinanceTerms({
+            maxInterestRate: maxInterestRate,
+            minDuration: minDuration
+        });
+
+        emit RefinanceTermsUpdated(loanId, maxInterestRate, minDuration);
+    }
+
+    /**
+     * @notice Refinances an accepted loan: a new lender pays off the current lender and takes over the loan.
+     * @dev The new lender pays what the borrower would owe to repay now (total repayment plus borrower
+     *      protocol fee) and the current lender is credited as on repayment. The loan restarts with the
+     *      payoff amount as principal under the new terms, while the NFT stays in escrow.
+     *      The new terms must fall within the borrower's refinance terms, and the payoff amount, new rate
+     *      and duration within the collection limits and maximum loan-to-value, like a new loan. Native
+     *      value sent above the payoff amount is credited to the new lender's pending withdrawals.
+     * @param loanId ID of the loan to refinance.
+     * @param newInterestRate Interest rate of the refinanced loan (basis points).
+     * @param newDuration Duration of the refinanced loan in seconds, starting now.
+     */
+    function refinanceLoan(
+        uint256 loanId,
+        uint256 newInterestRate,
+        uint256 newDuration
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_BIDDING)
+        loanExists(loanId)
+    {
+        Loan storage loan = loans[loanId];
+        require(loan.status == LoanStatus.ACTIVE, "Loan not accepted");
+        require(
+            block.timestamp <= loan.startTime + loan.duration,
+            "Loan duration expired"
+        );
+        require(msg.sender != loan.lender, "Already loan lender");
+        {
+            RefinanceTerms storage terms = refinanceTerms[loanId];
+            require(terms.maxInterestRate > 0, "Loan not open for refinancing");
+            require(
+                newInterestRate > 0 &&
+                    newInterestRate <= terms.maxInterestRate,
+                "Refinance interest rate invalid"
+            );
+            require(
+                newDuration > 0 && newDuration >= terms.minDuration,
+                "Refinance duration invalid"
+            );
+        }
+
+        // Pay off the current lender as on repayment
+        RepaymentBreakdown memory payoff;
+        payoff.principal = loan.loanAmount;
+        payoff.interest = _calculateInterest(loan, loan.loanAmount);
+        uint256 totalRepayment = payoff.principal + payoff.interest;
+        payoff.borrowerFee = _borrowerFee(loanId, totalRepayment);
+        payoff.lenderFee = _lenderFee(loanId, totalRepayment);
+        uint256 payoffAmount = totalRepayment + payoff.borrowerFee;
+
+        if (loan.currency == address(0)) {
+            require(msg.value >= payoffAmount, "Incorrect payoff amount");
+            _refundNativeExcess(payoffAmount);
+        } else {
+            _pullFunds(loan.currency, msg.sender, payoffAmount);
+        }
+
+        _collectFees(loanId, payoff.borrowerFee, listingReferrers[loanId]);
+        _collectFees(loanId, payoff.lenderFee, bidReferrers[loanId]);
+        addPendingWithdrawal(
+            loan.lender,
+            loan.currency,
+            totalRepayment - payoff.lenderFee
+        );
+
+        emit LoanRefinanced(
+            loanId,
+            loan.lender,
+            msg.sender,
+            loan.loanAmount,
+            loan.currentInterestRate,
+            loan.duration,
+            payoffAmount,
+            newInterestRate,
+            newDuration,
+            payoff.interest,
+            payoff.borrowerFee,
+            payoff.lenderFee
+        );
+
+        // Restart the loan under the new lender's terms
+        _checkCollectionLimits(
+            loanId,
+            payoffAmount,
+            newInterestRate,
+            newDuration
+        );
+        _setLender(loan, loanId, msg.sender);
+        loan.loanAmount = payoffAmount;
+        loan.currentInterestRate = newInterestRate;
+        loan.duration = newDuration;
+        loan.startTime = block.timestamp;
+        _checkLoanToValue(loanId);
+        delete refinanceTerms[loanId];
+        delete extensionRequests[loanId];
+        delete bidReferrers[loanId];
+    }
+
+    /**
+     * @notice Cancels a bid if the borrower doesn't accept.
+     * @param loanId ID of the loan to cancel.
+     */
+    function cancelBid(
+        uint256 loanId
+    )
+        external
+        nonReentrant
+        loanExists(loanId)
+        isNotAccepted(loanId)
+        onlyLender(loanId)
+    {
+        Loan storage loan = loans[loanId];
+
+        // Enforce cooldown period before cancel
+        require(
+            block.timestamp >= bidTimestamps[loanId] + bidCancelPeriod,
+            "bidCancelPeriod not met"
+        );
+
+        // Refund escrowed funds to the last bidder (if any)
+        address previousBidder = loan.lender;
+        uint256 escrowRefund = escrowedFunds[loanId];
+        _setEscrow(loanId, 0); // Clear escrow
+
+        // Clear lender information
+        loan.lender = address(0);
+        delete bidReferrers[loanId];
+        _setStatus(loanId, LoanStatus.LISTED);
+        loan.currentInterestRate = loan.maxInterestRate; // Reset to max rate
+
+        if (previousBidder != address(0) && escrowRefund > 0) {
+            _sendFunds(loan.currency, previousBidder, escrowRefund);
+        }
+
+        emit LoanBidCancelled(loanId, previousBidder);
+    }
+
+    /**
+     * @notice Places a bid on a listed loan with its own amount, interest rate and duration.
+     * @dev Bids stay open alongside the leading `placeBid` bid until the borrower accepts one of
+     *      them with `acceptLoan`, the loan is delisted or the lender cancels. The proposed
+     *      amount is escrowed like a `placeBid` bid.
+     * @param loanId ID of the loan to bid on.
+     * @param loanAmount Proposed loan amount.
+     * @param interestRate Proposed interest rate (basis points).
+     * @param duration Proposed loan duration in seconds.
+     * @param referrer Front end credited with a share of the lender fees (address(0) for none).
+     * @return bidId ID of the bid in the loan's bid book.
+     */
+    function placeBookBid(
+        uint256 loanId,
+        uint256 loanAmount,
+        uint256 interestRate,
+        uint256 duration,
+        address referrer
+    )
+        external
+        payable
+        nonReentrant
+        whenNotPaused(PAUSE_BIDDING)
+        loanExists(loanId)
+        isNotAccepted(loanId)
+        isListingOpen(loanId)
+        returns (uint256 bidId)
+    {
+        Loan storage loan = loans[loanId];
+        require(
+            loanAmount > 0 && interestRate > 0 && duration > 0,
+            "Invalid bid terms"
+        );
+        require(referrer != msg.sender, "Invalid referrer");
+        require(
+            openBidIds[loanId].length < MAX_OPEN_BIDS,
+            "Too many open bids"
+        );
+        _checkCollectionLimits(
+            loanId,
+            loanAmount,
+            interestRate,
+            duration
+        );
+        if (loan.currency == address(0)) {
+            require(msg.value == loanAmount, "Incorrect loan amount");
+        } else {
+            _pullFunds(loan.currency, msg.sender, loanAmount);
+        }
+
+        loanBids[loanId].push(
+            Bid({
+                lender: msg.sender,
+                loanAmount: loanAmount,
+                interestRate: interestRate,
+                duration: duration,
+                referrer: referrer,
+                timestamp: block.timestamp,
+                status: BidStatus.OPEN
+            })
+        );
+        bidId = loanBids[loanId].length;
+        openBidIds[loanId].push(bidId);
+        totalEscrowedFunds[loan.currency] += loanAmount;
+        _indexLenderLoan(msg.sender, loanId);
+
+        emit BookBidPlaced(
+            loanId,
+            bidId,
+            msg.sender,
+            loanAmount,
+            interestRate,
+            duration
+        );
+    }
+
+    /**
+     * @notice Cancels an open bid of a loan's bid book and refunds its escrow.
+     * @dev Like `cancelBid`, only allowed once the bid cancel period has passed.
+     * @param loanId ID of the loan.
+     * @param bidId ID of the bid to cancel.
+     */
+    function cancelBookBid(
+        uint256 loanId,
+        uint256 bidId
+    ) external nonReentrant loanExists(loanId) {
+        require(
+            bidId > 0 && bidId <= loanBids[loanId].length,
+            "Bid does not exist"
+        );
+        Bid storage bid = loanBids[loanId][bidId - 1];
+        require(bid.status == BidStatus.OPEN, "Bid not open");
+        require(msg.sender == bid.lender, "Not bid lender");
+        require(
+            block.timestamp >= bid.timestamp + bidCancelPeriod,
+            "bidCancelPeriod not met"
+        );
+
+        address currency = loans[loanId].currency;
+        _closeBid(loanId, bidId, currency, BidStatus.CANCELLED);
+        _sendFunds(currency, bid.lender, bid.loanAmount);
+    }
+
+    /**
+     * @notice Closes a listing past its deadline: returns the NFT to the borrower and refunds
+     *         the leading bid and the bid book to pending withdrawals.
+     * @dev Callable by anyone, so collateral never stays locked in an expired listing.
+     * @param loanId ID of the expired loan.
+     */
+    function expireListing(
+        uint256 loanId
+    ) external nonReentrant loanExists(loanId) isNotAccepted(loanId) {
+        uint256 deadline = listingDeadlines[loanId];
+        require(
+            deadline > 0 && block.timestamp > deadline,
+            "Listing not expired"
+        );
+
+        _delistLoan(loanId);
+        emit ListingExpired(loanId, msg.sender);
+    }
+
+    /**
+     * @notice Returns every bid placed in a loan's bid book, in order (bid ID = index + 1).
+     * @param loanId ID of the loan.
+     */
+    function getLoanBids(uint256 loanId) external view returns (Bid[] memory) {
+        return loanBids[loanId];
+    }
+
+    /**
+     * @notice Returns the open bids of a loan's bid book.
+     * @param loanId ID of the loan.
+     * @return bidIds IDs of the open bids.
+     * @return bids Terms of the open bids.
+     */
+    function getOpenBids(
+        uint256 loanId
+    ) external view returns (uint256[] memory bidIds, Bid[] memory bids) {
+        bidIds = openBidIds[loanId];
+        bids = new Bid[](bidIds.length);
+        for (uint256 i = 0; i < bidIds.length; i++) {
+            bids[i] = loanBids[loanId][bidIds[i] - 1];
+        }
+    }
+
+    /**
+     * @notice Moves the lender or borrower position of a loan to the new holder of its note.
+     * @dev Only callable by the lender and borrower note contracts, on every transfer between
+     *      holders. Repayments, default claims and liquidation proceeds then go to the new
+     *      lender, and the new borrower repays and reclaims the collateral. A new borrower
+     *      ends the delegation of the collateral. The borrower's
+     *      loan index keeps listing the loan under the original borrower.
+     * @param loanId ID of the loan.
+     * @param to New holder of the note.
+     */
+    function onLoanNoteTransfer(
+        uint256 loanId,
+        address to
+    ) external nonReentrant {
+        Loan storage loan = loans[loanId];
+        bool isLender = msg.sender == lenderNote && lenderNote != address(0);
+        if (isLender) {
+            loan.lender = to;
+            _indexLenderLoan(to, loanId);
+        } else {
+            require(
+                msg.sender == borrowerNote && borrowerNote != address(0),
+                "Not a loan note"
+            );
+            loan.borrower = to;
+            // The new borrower chooses its own delegate
+            if (loanDelegates[loanId] != address(0)) {
+                _setDelegate(loanId, address(0));
+            }
+        }
+        emit LoanPositionTransferred(loanId, to, isLender);
+    }
+
+    /**
+     * @notice Delegates the utility of a loan's collateral, such as token-gated access, to an
+     *         address while the collateral is escrowed.
+     * @dev Delegates are looked up through `isDelegated`. The delegation ends when the collateral
+     *      leaves escrow.
+     * @param loanId ID of the loan.
+     * @param delegate Address acting for the borrower (address(0) to end the delegation).
+     */
+    function setLoanDelegate(
+        uint256 loanId,
+        address delegate
+    ) external loanExists(loanId) onlyBorrower(loanId) {
+        LoanStatus status = loans[loanId].status;
+        require(
+            status == LoanStatus.LISTED ||
+                status == LoanStatus.BIDDED ||
+                status == LoanStatus.ACTIVE,
+            "Loan closed"
+        );
+        _setDelegate(loanId, delegate);
+    }
+
+    /**
+     * @inheritdoc IDelegationLookup
+     * @dev Only tokens escrowed by this contract can be delegated, so `vault` must be the auction.
+     */
+    function isDelegated(
+        address vault,
+        address delegate,
+        address collection,
+        uint256 tokenId
+    ) external view returns (bool) {
+        return
+            vault == address(this) &&
+            delegatedTokens[delegate][collection][tokenId] > 0;
+    }
+
+    /**
+     * @notice Forwards an airdrop received for a loan's escrowed collateral to the loan's borrower.
+     * @dev Which loan an airdrop belongs to is decided off-chain, from the airdrop's snapshot.
+     *      Collateral and ERC-20 tokens the protocol owes to users cannot be forwarded.
+     * @param loanId ID of the loan.
+     * @param token Address of the airdropped ERC-20 or ERC-721 token.
+     * @param tokenIdOrAmount Token ID for ERC-721 airdrops, amount for ERC-20 airdrops.
+     * @param isERC721 Whether the token is an ERC-721 token.
+     */
+    function forwardAirdrop(
+        uint256 loanId,
+        address token,
+        uint256 tokenIdOrAmount,
+        bool isERC721
+    ) external nonReentrant onlyRole(MANAGER_ROLE) loanExists(loanId) {
+        address borrower = loans[loanId].borrower;
+        if (isERC721) {
+            require(
+                !isCollateralized[token][tokenIdOrAmount],
+                "Token is collateral"
+            );
+            IERC721(token).safeTransferFrom(
+                address(this),
+                borrower,
+                tokenIdOrAmount
+            );
+        } else {
+            require(
+                token != address(0) &&
+                    totalEscrowedFunds[token] == 0 &&
+                    totalPendingWithdrawals[token] == 0 &&
+                    protocolFeeBalance[token] == 0 &&
+                    collectionOfferEscrow[token] == 0,
+                "Token holds protocol funds"
+            );
+            _sendFunds(token, borrower, tokenIdOrAmount);
+        }
+        emit AirdropForwarded(
+            loanId,
+            token,
+            borrower,
+            tokenIdOrAmount,
+            isERC721
+        );
+    }
+
+    /**
+     * @dev Target of the fallback: every unknown selector runs in the defaults module.
+     */
+    function _implementation() internal view override returns (address) {
+        return defaults;
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./NFTLendAuctionV1.sol";
+
+/**
+ * @title NFTLendAuctionV1Upgradeable
+ * @notice Upgradeable (UUPS) variant of NFTLendAuctionV1, deployed behind NFTLendAuctionV1Proxy.
+ * @dev Shares the storage layout of NFTLendAuctionV1Base, so upgrades must only ever append
+ *      state there. The extension is an immutable of each implementation: upgrading to a new
+ *      implementation also switches to the extension it was deployed with.
+ */
+contract NFTLendAuctionV1Upgradeable is
+    NFTLendAuctionV1,
+    Initializable,
+    UUPSUpgradeable
+{
+    /**
+     * @notice Deploys an implementation and locks it against initialization.
+     * @dev The roles granted by the inherited constructor only live in the implementation's
+     *      own storage; the proxy gets its roles from `initialize`.
+     * @param _extension Address of the NFTLendAuctionV1Extension implementation.
+     */
+    constructor(address _extension) NFTLendAuctionV1(msg.sender, _extension) {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy storage in place of the constructor.
+     * @param _govAddress Address granted the admin, owner, manager and guardian roles.
+     */
+    function initialize(address _govAddress) external initializer {
+        require(_govAddress != address(0), "Invalid governance address");
+        _grantGovernanceRoles(_govAddress);
+
+        // Storage defaults of NFTLendAuctionV1Base, only set by its constructor
+        maxActiveLoans = 1000;
+        borrowerFeeRate = 200;
+        lenderFeeRate = 200;
+        bidCancelPeriod = 1 days;
+        auctionExtensionWindow = 10 minutes;
+    }
+
+    /**
+     * @dev Restricts upgrades to the owner role, through the governance timelock.
+     */
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyRole(OWNER_ROLE) timelocked {
+        require(
+            newImplementation.code.length > 0,
+            "Implementation is not a contract"
+        );
+    }
+}
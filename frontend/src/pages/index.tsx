@@ -27,10 +27,33 @@ type Loan = {
     startTime: string; // Friendly start time
     endTime: string; // Friendly end time
     isAccepted: boolean;
+    status: string;
     loanType: string;
 };
 
+// Loan struct of the auction ABI, as decoded by ethers
+type LoanStruct = {
+    borrower: string;
+    lender: string;
+    nftAddress: string;
+    tokenId: ethers.BigNumber;
+    loanAmount: ethers.BigNumber;
+    maxInterestRate: ethers.BigNumber;
+    currentInterestRate: ethers.BigNumber;
+    duration: ethers.BigNumber;
+    startTime: ethers.BigNumber;
+    loanType: number; // LoanType enum
+    isAccepted: boolean;
+    currency: string;
+    status: number; // LoanStatus enum
+};
+
 const allowedNFTs = process.env.NEXT_PUBLIC_ALLOWED_NFTS?.split(",") || [];
+const NATIVE_CURRENCY = ethers.constants.AddressZero; // Loans are listed in native $CORE
+const REFERRER = process.env.NEXT_PUBLIC_REFERRER_ADDRESS || ethers.constants.AddressZero; // Front end credited with referral fees
+const LOAN_STATUSES = ["Listed", "Bidded", "Active", "Repaid", "Defaulted", "Delisted"]; // LoanStatus enum
+const LOANS_PAGE_SIZE = 50; // Loans fetched per getActiveLoansPage call
+const REPAYMENT_BUFFER_BPS = 10; // APR interest accrues per second until the tx is mined, the excess is refunded
 
 export default function Home() {
     const [walletAddress, setWalletAddress] = useState<string | null>(null);
@@ -54,17 +77,23 @@ export default function Home() {
             const provider = new ethers.providers.JsonRpcProvider(process.env.NEXT_PUBLIC_RPC_URL);
             const contract = getContract(provider);
     
-            // Fetch active loan IDs
-            const activeLoanIds = await contract.getActiveLoans();
-            console.log("Active Loan IDs:", activeLoanIds);
-    
             const fetchedLoans: Loan[] = [];
-    
-            for (const id of activeLoanIds) {
-                try {
-                    // Fetch loan details for each active loan
-                    const loan = await contract.loans(id);
-    
+            const filter = {
+                borrower: ethers.constants.AddressZero,
+                lender: ethers.constants.AddressZero,
+                nftAddress: ethers.constants.AddressZero,
+                state: 0, // LoanQueryState.ANY
+            };
+
+            // Fetch active loans one page at a time, a short page means the list is exhausted
+            let offset = ethers.BigNumber.from(0);
+            let pageLength = 0;
+            do {
+                const [loanIds, page, nextOffset] = await contract.getActiveLoansPage(filter, offset, LOANS_PAGE_SIZE);
+                offset = nextOffset;
+                pageLength = page.length;
+
+                page.forEach((loan: LoanStruct, i: number) => {
                     const startTime = Number(loan.startTime);
                     const duration = Number(loan.duration);
     
@@ -79,7 +108,7 @@ export default function Home() {
                             : "N/A";
     
                     fetchedLoans.push({
-                        id: id.toNumber(),
+                        id: loanIds[i].toNumber(),
                         borrower: loan.borrower,
                         lender: loan.lender,
                         nftAddress: loan.nftAddress,
@@ -91,12 +120,11 @@ export default function Home() {
                         startTime: startTimeFormatted,
                         endTime: endTimeFormatted,
                         isAccepted: loan.isAccepted, // Updated terminology
+                        status: LOAN_STATUSES[loan.status],
                         loanType: loan.loanType === 0 ? "Fixed" : "APR"
                     });
-                } catch (error) {
-                    console.warn(`Error fetching loan ID ${id.toNumber()}:`, error);
-                }
-            }
+                });
+            } while (pageLength === LOANS_PAGE_SIZE);
     
             setLoans(fetchedLoans);
         } catch (error) {
@@ -118,7 +146,7 @@ export default function Home() {
             const provider = new ethers.providers.JsonRpcProvider(process.env.NEXT_PUBLIC_RPC_URL);
             const contract = getContract(provider);
     
-            const amount = await contract.pendingWithdrawals(walletAddress);
+            const amount = await contract.pendingWithdrawals(walletAddress, NATIVE_CURRENCY);
             setPendingWithdrawals(ethers.utils.formatEther(amount));
         } catch (error) {
             console.error("Error fetching pending withdrawals:", error);
@@ -193,7 +221,10 @@ export default function Home() {
                     ethers.utils.parseEther(loanAmount),
                     Math.round(Number(maxInterestRate) * 100), // Convert percentage to bps
                     durationInSeconds,
-                    loanType
+                    loanType,
+                    NATIVE_CURRENCY,
+                    REFERRER,
+                    { autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: 0 } // Accepted manually, no deadline or auction end
                 ]),
             };
 
@@ -215,7 +246,7 @@ export default function Home() {
 
                 // Extract LoanId from the LoanListed event
                 const loanListedEvent = receipt.logs.find(log =>
-                    log.topics[0] === ethers.utils.id("LoanListed(uint256, address, address, uint256, uint256, uint256, uint256, uint8)") // 0xa1245a80903048d748a2cbd2d90c4e25d716e52ebe400f5d87e3cb233dbb1564
+                    log.topics[0] === contract.interface.getEventTopic("LoanListed")
                 );
 
                 if (!loanListedEvent) {
@@ -260,12 +291,10 @@ export default function Home() {
     
             const contract = getContract(signer);
     
-            // Fetch loan details
-            const totalRepayment = await contract.getTotalRepayment(loanId);
-
-            const protocolFeeRate = await contract.protocolFeeRate();
-            const borrowerProtocolFee = totalRepayment.mul(protocolFeeRate).div(10000);
-            const requiredRepayment = totalRepayment.add(borrowerProtocolFee);
+            // Fetch loan details (the fee rate can be overridden per collection)
+            const breakdown = await contract.getRepaymentBreakdown(loanId);
+            const borrowerProtocolFee = breakdown.borrowerFee;
+            const requiredRepayment = breakdown.principal.add(breakdown.interest).add(borrowerProtocolFee);
             // Inform the user about the repayment amount
             if (
                 !window.confirm(
@@ -278,7 +307,7 @@ export default function Home() {
             }
     
             // Execute transaction
-            const tx = await contract.acceptLoan(loanId);
+            const tx = await contract.acceptLoan(loanId, 0); // Bid ID 0 accepts the leading bid
             await tx.wait();
     
             fetchLoans();
@@ -293,26 +322,32 @@ export default function Home() {
     
             const contract = getContract(signer);
     
-            // Fetch loan details
-            const totalRepayment = await contract.getTotalRepayment(loanId);
-
-            const protocolFeeRate = await contract.protocolFeeRate();
-            const borrowerProtocolFee = totalRepayment.mul(protocolFeeRate).div(10000);
-            const requiredRepayment = totalRepayment.add(borrowerProtocolFee);
+            // Fetch the repayment breakdown from the contract
+            const breakdown = await contract.getRepaymentBreakdown(loanId);
+            const requiredRepayment = breakdown.borrowerPayment;
+            const sentAmount = requiredRepayment.mul(10000 + REPAYMENT_BUFFER_BPS).div(10000);
 
             // Inform the user about the repayment amount
             if (
                 !window.confirm(
-                    `You will repay ${ethers.utils.formatEther(requiredRepayment)} $CORE, including a protocol fee of ${ethers.utils.formatEther(
-                        borrowerProtocolFee
-                    )} $CORE. Not repaying means loosing the NFT and associated Staked-BTC on it, Proceed?`
+                    `You will repay ${ethers.utils.formatEther(requiredRepayment)} $CORE, including ${ethers.utils.formatEther(
+                        breakdown.interest
+                    )} $CORE of interest, a protocol fee of ${ethers.utils.formatEther(
+                        breakdown.borrowerFee
+                    )} $CORE${
+                        breakdown.gracePenalty.gt(0)
+                            ? ` and a late repayment penalty of ${ethers.utils.formatEther(breakdown.gracePenalty)} $CORE`
+                            : ""
+                    }. ${ethers.utils.formatEther(
+                        sentAmount
+                    )} $CORE will be sent to cover interest accrued until the transaction is mined, the excess is refunded to your pending withdrawals. Not repaying means loosing the NFT and associated Staked-BTC on it, Proceed?`
                 )
             ) {
                 return;
             }
     
             // Execute the repayment transaction
-            const tx = await contract.repayLoan(loanId, { value: requiredRepayment });
+            const tx = await contract.repayLoan(loanId, REFERRER, { value: sentAmount });
             await tx.wait();
     
             fetchLoans();
@@ -327,15 +362,8 @@ export default function Home() {
     
             const contract = getContract(signer);
     
-            // Fetch loan details
-            const totalRepayment = await contract.getTotalRepayment(loanId);
-            const protocolFeeRate = await contract.protocolFeeRate();
-            const lenderProtocolFee = totalRepayment.mul(protocolFeeRate).div(10000);
-
-
-            // Log the fee for debugging
-            console.log("Lender Protocol Fee:", lenderProtocolFee);
-            console.log("Lender Protocol Fee:", ethers.utils.formatEther(lenderProtocolFee));
+            // Fetch the protocol fee owed by the lender from the contract
+            const { lenderFee: lenderProtocolFee } = await contract.getRepaymentBreakdown(loanId);
     
             // Inform the user about the protocol fee required
             if (
@@ -368,9 +396,19 @@ export default function Home() {
             const loan = await contract.loans(loanId);
     
             const currentInterestRate = Number(loan.currentInterestRate); // In bps
-    
-            // Calculate the new bid amount (1% lower, subtract 100 bps)
-            const bidAmount = currentInterestRate - 100;
+
+            const auctionEndTime = Number(await contract.auctionEndTimes(loanId));
+            if (auctionEndTime > 0 && Date.now() / 1000 > auctionEndTime) {
+                alert("The auction of this loan has ended.");
+                return;
+            }
+
+            // Undercut by 1% (100 bps), or by the protocol's minimum bid decrement if larger
+            const minBidDecrement = Number(await contract.minBidDecrement());
+            const requiredDecrement = (await contract.isMinBidDecrementPercentage())
+                ? Math.ceil((currentInterestRate * minBidDecrement) / 10000)
+                : minBidDecrement;
+            const bidAmount = currentInterestRate - Math.max(100, requiredDecrement);
     
             if (bidAmount <= 0) {
                 alert("Cannot place a bid lower than 0 bps.");
@@ -380,7 +418,7 @@ export default function Home() {
             console.log(`Placing bid with interest rate: ${bidAmount / 100}%`);
     
             // Place the bid with the calculated bidAmount
-            const tx = await contract.placeBid(loanId, bidAmount, {
+            const tx = await contract.placeBid(loanId, bidAmount, REFERRER, {
                 value: ethers.utils.parseEther(ethers.utils.formatEther(loan.loanAmount)),
             });
     
@@ -415,7 +453,7 @@ export default function Home() {
             if (!signer) return;
 
             const contract = getContract(signer);
-            const tx = await contract.withdrawFunds(walletAddress);
+            const tx = await contract.withdrawFunds(NATIVE_CURRENCY, walletAddress);
             await tx.wait();
 
             alert("Funds withdrawn successfully!");
@@ -534,7 +572,7 @@ export default function Home() {
                             <Typography>Duration: {loan.duration} days</Typography>
                             <Typography>Start Time: {loan.startTime}</Typography>
                             <Typography>End Time: {loan.endTime}</Typography>
-                            <Typography>Status: {loan.isAccepted ? "Accepted" : "Pending"}</Typography>
+                            <Typography>Status: {loan.status}</Typography>
                         </CardContent>
                         <CardActions>
                             {loan.borrower.toLowerCase() === walletAddress?.toLowerCase() && !loan.isAccepted && (
@@ -557,12 +595,12 @@ export default function Home() {
                             )}
                             {/* Show "Place Bid" button for loans not owned by the user and not yet accepted */}
                             {loan.borrower.toLowerCase() !== walletAddress?.toLowerCase() && !loan.isAccepted && (
-                                <Tooltip title="Bid with a 1% lower interest rate than the current rate.">
+                                <Tooltip title="Bid with a 1% lower interest rate than the current rate, or lower by the minimum bid decrement if larger.">
                                     <Button
                                         variant="contained"
                                         onClick={() => handlePlaceBid(loan.id)}
                                     >
-                                        Bid 1% Less Rate
+                                        Bid Lower Rate
                                     </Button>
                                 </Tooltip>
                             )}
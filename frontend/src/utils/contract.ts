@@ -1,9 +1,31 @@
 import { ethers } from "ethers";
 import NFTLendAuctionV1 from "../contracts/NFTLendAuctionV1.json";
+import NFTLendAuctionV1Extension from "../contracts/NFTLendAuctionV1Extension.json";
+import NFTLendAuctionV1Servicing from "../contracts/NFTLendAuctionV1Servicing.json";
+import NFTLendAuctionV1Defaults from "../contracts/NFTLendAuctionV1Defaults.json";
+import NFTLendAuctionV1Admin from "../contracts/NFTLendAuctionV1Admin.json";
+
+// Calls the auction does not implement fall through its modules in this order, all at the same address
+const MODULES = [
+  NFTLendAuctionV1,
+  NFTLendAuctionV1Extension,
+  NFTLendAuctionV1Servicing,
+  NFTLendAuctionV1Defaults,
+  NFTLendAuctionV1Admin,
+];
+
+// Merges the module ABIs, keeping the first definition of fragments declared by several modules
+const fragments = new Map<string, ethers.utils.Fragment>();
+for (const artifact of MODULES) {
+  for (const fragment of new ethers.utils.Interface(artifact.abi).fragments) {
+    if (fragment.type !== "constructor" && !fragments.has(fragment.format())) {
+      fragments.set(fragment.format(), fragment);
+    }
+  }
+}
+const abi = Array.from(fragments.values());
 
 export function getContract(signerOrProvider: ethers.Signer | ethers.providers.Provider) {
   const contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS!;
-  const abi = NFTLendAuctionV1.abi;
-
   return new ethers.Contract(contractAddress, abi, signerOrProvider);
 }
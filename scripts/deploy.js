@@ -12,9 +12,34 @@ async function main() {
   const governAddress = "0x925C888A308dB8DBE3aEb271b461937Ec784565D";
   console.log("Deploying NFTLendAuction contract...");
   
+  // Deploy the modules, each forwarding unknown functions to the next
+  const NFTLendAuctionAdmin = await hre.ethers.getContractFactory("NFTLendAuctionV1Admin");
+  const admin = await NFTLendAuctionAdmin.deploy();
+
+  await admin.deployed();
+  console.log("NFTLendAuctionV1Admin deployed to:", admin.address);
+
+  const NFTLendAuctionDefaults = await hre.ethers.getContractFactory("NFTLendAuctionV1Defaults");
+  const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+
+  await defaults.deployed();
+  console.log("NFTLendAuctionV1Defaults deployed to:", defaults.address);
+
+  const NFTLendAuctionServicing = await hre.ethers.getContractFactory("NFTLendAuctionV1Servicing");
+  const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+
+  await servicing.deployed();
+  console.log("NFTLendAuctionV1Servicing deployed to:", servicing.address);
+
+  const NFTLendAuctionExtension = await hre.ethers.getContractFactory("NFTLendAuctionV1Extension");
+  const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+
+  await extension.deployed();
+  console.log("NFTLendAuctionV1Extension deployed to:", extension.address);
+
   // Deploy the contract
   const NFTLendAuction = await hre.ethers.getContractFactory("NFTLendAuctionV1");
-  const nftLendAuction = await NFTLendAuction.deploy(governAddress);
+  const nftLendAuction = await NFTLendAuction.deploy(governAddress, extension.address);
 
   await nftLendAuction.deployed();
   console.log("NFTLendAuction deployed to:", nftLendAuction.address);
@@ -22,11 +47,24 @@ async function main() {
   // Add allowed NFT contracts
   /*console.log("Updating allowed NFT contracts...");
   for (const nft of allowedNFTs) {
-    const tx = await nftLendAuction.updateAllowedNFT(nft, true);
+    const tx = await NFTLendAuctionAdmin.attach(nftLendAuction.address).updateAllowedNFT(nft, true);
     await tx.wait();
     console.log(`Allowed NFT contract: ${nft}`);
   }*/
 
+  // Deploy the lender notes and borrower obligation tokens of accepted loans
+  const NFTLendAuctionLoanNote = await hre.ethers.getContractFactory("NFTLendAuctionV1LoanNote");
+  const lenderNote = await NFTLendAuctionLoanNote.deploy("NFTLendAuction Lender Note", "NLA-LEND", nftLendAuction.address);
+
+  await lenderNote.deployed();
+  console.log("Lender note deployed to:", lenderNote.address);
+
+  const borrowerNote = await NFTLendAuctionLoanNote.deploy("NFTLendAuction Borrower Note", "NLA-DEBT", nftLendAuction.address);
+
+  await borrowerNote.deployed();
+  console.log("Borrower note deployed to:", borrowerNote.address);
+  console.log("Governance must call setLoanNotes(lenderNote, borrowerNote) to start minting notes.");
+
   console.log("Deployment and setup completed!");
 }
 
@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+
+async function main() {
+  const governAddress = "0x925C888A308dB8DBE3aEb271b461937Ec784565D";
+  console.log("Deploying upgradeable NFTLendAuction contract...");
+
+  // Deploy the modules, each forwarding unknown functions to the next
+  const NFTLendAuctionAdmin = await hre.ethers.getContractFactory("NFTLendAuctionV1Admin");
+  const admin = await NFTLendAuctionAdmin.deploy();
+
+  await admin.deployed();
+  console.log("NFTLendAuctionV1Admin deployed to:", admin.address);
+
+  const NFTLendAuctionDefaults = await hre.ethers.getContractFactory("NFTLendAuctionV1Defaults");
+  const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+
+  await defaults.deployed();
+  console.log("NFTLendAuctionV1Defaults deployed to:", defaults.address);
+
+  const NFTLendAuctionServicing = await hre.ethers.getContractFactory("NFTLendAuctionV1Servicing");
+  const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+
+  await servicing.deployed();
+  console.log("NFTLendAuctionV1Servicing deployed to:", servicing.address);
+
+  const NFTLendAuctionExtension = await hre.ethers.getContractFactory("NFTLendAuctionV1Extension");
+  const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+
+  await extension.deployed();
+  console.log("NFTLendAuctionV1Extension deployed to:", extension.address);
+
+  // Deploy the implementation
+  const NFTLendAuctionUpgradeable = await hre.ethers.getContractFactory("NFTLendAuctionV1Upgradeable");
+  const implementation = await NFTLendAuctionUpgradeable.deploy(extension.address);
+
+  await implementation.deployed();
+  console.log("NFTLendAuctionV1Upgradeable implementation deployed to:", implementation.address);
+
+  // Deploy the proxy, initializing it with the governance roles
+  const NFTLendAuctionProxy = await hre.ethers.getContractFactory("NFTLendAuctionV1Proxy");
+  const initData = implementation.interface.encodeFunctionData("initialize", [governAddress]);
+  const proxy = await NFTLendAuctionProxy.deploy(implementation.address, initData);
+
+  await proxy.deployed();
+  console.log("NFTLendAuction proxy deployed to:", proxy.address);
+
+  // Deploy the lender notes and borrower obligation tokens of accepted loans
+  const NFTLendAuctionLoanNote = await hre.ethers.getContractFactory("NFTLendAuctionV1LoanNote");
+  const lenderNote = await NFTLendAuctionLoanNote.deploy("NFTLendAuction Lender Note", "NLA-LEND", proxy.address);
+
+  await lenderNote.deployed();
+  console.log("Lender note deployed to:", lenderNote.address);
+
+  const borrowerNote = await NFTLendAuctionLoanNote.deploy("NFTLendAuction Borrower Note", "NLA-DEBT", proxy.address);
+
+  await borrowerNote.deployed();
+  console.log("Borrower note deployed to:", borrowerNote.address);
+  console.log("Governance must call setLoanNotes(lenderNote, borrowerNote) to start minting notes.");
+
+  console.log("Deployment and setup completed!");
+}
+
+// Error handling
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,92 @@
+const hre = require("hardhat");
+
+// Minimal ABI of deployments predating the pause controls (NFTLendAuctionV0 and early V1)
+const LEGACY_ABI = [
+  "function getActiveLoans() view returns (uint256[])",
+  "function loans(uint256) view returns (address borrower, address lender, address nftAddress, uint256 tokenId)",
+  "function updateAllowedNFT(address nftAddress, bool allowed)",
+];
+
+const PAUSE_LISTING = 1;
+const PAUSE_BIDDING = 2;
+const PAUSE_ACCEPTANCE = 4;
+const LoanStatus = { LISTED: 0, BIDDED: 1, ACTIVE: 2 };
+
+async function main() {
+  // Address of the deployment being retired
+  const oldAuctionAddress = process.env.OLD_AUCTION_ADDRESS;
+  if (!oldAuctionAddress) {
+    throw new Error("OLD_AUCTION_ADDRESS is not set");
+  }
+  console.log(`Winding down NFTLendAuction at ${oldAuctionAddress}...`);
+
+  const NFTLendAuction = await hre.ethers.getContractFactory("NFTLendAuctionV1");
+  const NFTLendAuctionAdmin = await hre.ethers.getContractFactory("NFTLendAuctionV1Admin");
+  const oldAuction = NFTLendAuction.attach(oldAuctionAddress);
+  const oldAdmin = NFTLendAuctionAdmin.attach(oldAuctionAddress); // Pause controls keep their selectors across modules
+
+  let supportsWindDown = true;
+  try {
+    await oldAuction.pausedActions();
+  } catch (error) {
+    supportsWindDown = false;
+  }
+
+  if (supportsWindDown) {
+    // Stop new loans, then close every listing that was not accepted
+    const tx = await oldAdmin.setPaused(PAUSE_LISTING | PAUSE_BIDDING | PAUSE_ACCEPTANCE, true);
+    await tx.wait();
+    console.log("Listing, bidding and acceptance paused");
+
+    const activeLoanIds = await oldAuction.getActiveLoans();
+    for (const loanId of activeLoanIds) {
+      const loan = await oldAuction.loans(loanId);
+      if (loan.status === LoanStatus.LISTED || loan.status === LoanStatus.BIDDED) {
+        const windDownTx = await oldAdmin.windDownListing(loanId);
+        await windDownTx.wait();
+        console.log(`Loan ${loanId} delisted, NFT returned to ${loan.borrower}`);
+      } else {
+        console.log(`Loan ${loanId} is accepted and runs to term on the old deployment`);
+      }
+    }
+  } else {
+    // Older deployments cannot delist on behalf of borrowers: disallow the NFTs to stop new listings
+    const legacyAuction = new hre.ethers.Contract(
+      oldAuctionAddress,
+      LEGACY_ABI,
+      (await hre.ethers.getSigners())[0]
+    );
+    const activeLoanIds = await legacyAuction.getActiveLoans();
+    const nftAddresses = new Set();
+    for (const loanId of activeLoanIds) {
+      const loan = await legacyAuction.loans(loanId);
+      nftAddresses.add(loan.nftAddress);
+      console.log(
+        `Loan ${loanId}: borrower ${loan.borrower} must delist or repay token ${loan.tokenId} of ${loan.nftAddress}`
+      );
+    }
+    for (const nftAddress of nftAddresses) {
+      const tx = await legacyAuction.updateAllowedNFT(nftAddress, false);
+      await tx.wait();
+      console.log(`Disallowed NFT contract: ${nftAddress}`);
+    }
+
+    // Nothing was wound down: the migration only completes once borrowers have closed their loans
+    if (activeLoanIds.length > 0) {
+      throw new Error(
+        `${activeLoanIds.length} loans are still open on the legacy deployment. ` +
+          "Run the migration again once their borrowers have delisted or repaid them."
+      );
+    }
+  }
+
+  console.log("Borrowers can now list their NFTs on the new deployment.");
+}
+
+// Error handling
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const hre = require("hardhat");
+
+async function main() {
+  // Address of the NFTLendAuctionV1Proxy to upgrade
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  if (!proxyAddress) {
+    throw new Error("PROXY_ADDRESS is not set");
+  }
+  console.log(`Upgrading NFTLendAuction proxy at ${proxyAddress}...`);
+  const NFTLendAuctionUpgradeable = await hre.ethers.getContractFactory("NFTLendAuctionV1Upgradeable");
+
+  // Execute an upgrade queued through the governance timelock by an earlier run
+  if (process.env.IMPLEMENTATION_ADDRESS) {
+    await upgrade(NFTLendAuctionUpgradeable.attach(process.env.IMPLEMENTATION_ADDRESS), proxyAddress);
+    return;
+  }
+
+  // Deploy the new modules and implementation
+  const NFTLendAuctionAdmin = await hre.ethers.getContractFactory("NFTLendAuctionV1Admin");
+  const admin = await NFTLendAuctionAdmin.deploy();
+
+  await admin.deployed();
+  console.log("NFTLendAuctionV1Admin deployed to:", admin.address);
+
+  const NFTLendAuctionDefaults = await hre.ethers.getContractFactory("NFTLendAuctionV1Defaults");
+  const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+
+  await defaults.deployed();
+  console.log("NFTLendAuctionV1Defaults deployed to:", defaults.address);
+
+  const NFTLendAuctionServicing = await hre.ethers.getContractFactory("NFTLendAuctionV1Servicing");
+  const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+
+  await servicing.deployed();
+  console.log("NFTLendAuctionV1Servicing deployed to:", servicing.address);
+
+  const NFTLendAuctionExtension = await hre.ethers.getContractFactory("NFTLendAuctionV1Extension");
+  const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+
+  await extension.deployed();
+  console.log("NFTLendAuctionV1Extension deployed to:", extension.address);
+
+  const implementation = await NFTLendAuctionUpgradeable.deploy(extension.address);
+
+  await implementation.deployed();
+  console.log("NFTLendAuctionV1Upgradeable implementation deployed to:", implementation.address);
+
+  await upgrade(implementation, proxyAddress);
+}
+
+// Point the proxy to the new implementation (the signer needs OWNER_ROLE)
+async function upgrade(implementation, proxyAddress) {
+  const proxy = implementation.attach(proxyAddress);
+  const NFTLendAuctionAdmin = await hre.ethers.getContractFactory("NFTLendAuctionV1Admin");
+  const governance = NFTLendAuctionAdmin.attach(proxyAddress);
+
+  // With a governance delay, the upgrade is queued first and executed once the delay has passed
+  const delay = await governance.governanceDelay();
+  if (delay.gt(0)) {
+    const call = proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation.address, "0x"]);
+    const executableAt = await governance.queuedChanges(hre.ethers.utils.keccak256(call));
+    if (executableAt.eq(0)) {
+      const tx = await governance.queueChange(call);
+      await tx.wait();
+      const queuedAt = await governance.queuedChanges(hre.ethers.utils.keccak256(call));
+      console.log(`Upgrade queued, executable from ${new Date(queuedAt.toNumber() * 1000).toISOString()}.`);
+      console.log(`Run again with IMPLEMENTATION_ADDRESS=${implementation.address} to execute it.`);
+      return;
+    }
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (executableAt.gt(timestamp)) {
+      console.log(`Upgrade still timelocked until ${new Date(executableAt.toNumber() * 1000).toISOString()}.`);
+      return;
+    }
+  }
+
+  const tx = await proxy.upgradeToAndCall(implementation.address, "0x");
+  await tx.wait();
+
+  console.log("Upgrade completed!");
+}
+
+// Error handling
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
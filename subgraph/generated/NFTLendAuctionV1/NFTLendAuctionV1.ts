@@ -10,6 +10,62 @@ import {
   BigInt,
 } from "@graphprotocol/graph-ts";
 
+export class AirdropForwarded extends ethereum.Event {
+  get params(): AirdropForwarded__Params {
+    return new AirdropForwarded__Params(this);
+  }
+}
+
+export class AirdropForwarded__Params {
+  _event: AirdropForwarded;
+
+  constructor(event: AirdropForwarded) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get token(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get tokenIdOrAmount(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get isERC721(): boolean {
+    return this._event.parameters[4].value.toBoolean();
+  }
+}
+
+export class AllowedCurrencyUpdated extends ethereum.Event {
+  get params(): AllowedCurrencyUpdated__Params {
+    return new AllowedCurrencyUpdated__Params(this);
+  }
+}
+
+export class AllowedCurrencyUpdated__Params {
+  _event: AllowedCurrencyUpdated;
+
+  constructor(event: AllowedCurrencyUpdated) {
+    this._event = event;
+  }
+
+  get currency(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get allowed(): boolean {
+    return this._event.parameters[1].value.toBoolean();
+  }
+}
+
 export class AllowedNFTUpdated extends ethereum.Event {
   get params(): AllowedNFTUpdated__Params {
     return new AllowedNFTUpdated__Params(this);
@@ -32,60 +88,74 @@ export class AllowedNFTUpdated__Params {
   }
 }
 
-export class BidCancelPeriodUpdated extends ethereum.Event {
-  get params(): BidCancelPeriodUpdated__Params {
-    return new BidCancelPeriodUpdated__Params(this);
+export class AuctionExtended extends ethereum.Event {
+  get params(): AuctionExtended__Params {
+    return new AuctionExtended__Params(this);
   }
 }
 
-export class BidCancelPeriodUpdated__Params {
-  _event: BidCancelPeriodUpdated;
+export class AuctionExtended__Params {
+  _event: AuctionExtended;
 
-  constructor(event: BidCancelPeriodUpdated) {
+  constructor(event: AuctionExtended) {
     this._event = event;
   }
 
-  get newBidCancelPeriod(): BigInt {
+  get loanId(): BigInt {
     return this._event.parameters[0].value.toBigInt();
   }
+
+  get auctionEndTime(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
 }
 
-export class FundsWithdrawn extends ethereum.Event {
-  get params(): FundsWithdrawn__Params {
-    return new FundsWithdrawn__Params(this);
+export class AuctionExtensionWindowUpdated extends ethereum.Event {
+  get params(): AuctionExtensionWindowUpdated__Params {
+    return new AuctionExtensionWindowUpdated__Params(this);
   }
 }
 
-export class FundsWithdrawn__Params {
-  _event: FundsWithdrawn;
+export class AuctionExtensionWindowUpdated__Params {
+  _event: AuctionExtensionWindowUpdated;
 
-  constructor(event: FundsWithdrawn) {
+  constructor(event: AuctionExtensionWindowUpdated) {
     this._event = event;
   }
 
-  get user(): Address {
-    return this._event.parameters[0].value.toAddress();
+  get auctionExtensionWindow(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
   }
+}
 
-  get amount(): BigInt {
-    return this._event.parameters[1].value.toBigInt();
+export class BidCancelPeriodUpdated extends ethereum.Event {
+  get params(): BidCancelPeriodUpdated__Params {
+    return new BidCancelPeriodUpdated__Params(this);
   }
+}
 
-  get to(): Address {
-    return this._event.parameters[2].value.toAddress();
+export class BidCancelPeriodUpdated__Params {
+  _event: BidCancelPeriodUpdated;
+
+  constructor(event: BidCancelPeriodUpdated) {
+    this._event = event;
+  }
+
+  get newBidCancelPeriod(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
   }
 }
 
-export class LoanAccepted extends ethereum.Event {
-  get params(): LoanAccepted__Params {
-    return new LoanAccepted__Params(this);
+export class BookBidPlaced extends ethereum.Event {
+  get params(): BookBidPlaced__Params {
+    return new BookBidPlaced__Params(this);
   }
 }
 
-export class LoanAccepted__Params {
-  _event: LoanAccepted;
+export class BookBidPlaced__Params {
+  _event: BookBidPlaced;
 
-  constructor(event: LoanAccepted) {
+  constructor(event: BookBidPlaced) {
     this._event = event;
   }
 
@@ -93,29 +163,37 @@ export class LoanAccepted__Params {
     return this._event.parameters[0].value.toBigInt();
   }
 
-  get borrower(): Address {
-    return this._event.parameters[1].value.toAddress();
+  get bidId(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
   }
 
   get lender(): Address {
     return this._event.parameters[2].value.toAddress();
   }
 
-  get startTime(): BigInt {
+  get loanAmount(): BigInt {
     return this._event.parameters[3].value.toBigInt();
   }
+
+  get interestRate(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get duration(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
 }
 
-export class LoanBidCancelled extends ethereum.Event {
-  get params(): LoanBidCancelled__Params {
-    return new LoanBidCancelled__Params(this);
+export class BookBidStatusChanged extends ethereum.Event {
+  get params(): BookBidStatusChanged__Params {
+    return new BookBidStatusChanged__Params(this);
   }
 }
 
-export class LoanBidCancelled__Params {
-  _event: LoanBidCancelled;
+export class BookBidStatusChanged__Params {
+  _event: BookBidStatusChanged;
 
-  constructor(event: LoanBidCancelled) {
+  constructor(event: BookBidStatusChanged) {
     this._event = event;
   }
 
@@ -123,21 +201,25 @@ export class LoanBidCancelled__Params {
     return this._event.parameters[0].value.toBigInt();
   }
 
-  get lender(): Address {
-    return this._event.parameters[1].value.toAddress();
+  get bidId(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get status(): i32 {
+    return this._event.parameters[2].value.toI32();
   }
 }
 
-export class LoanBidPlaced extends ethereum.Event {
-  get params(): LoanBidPlaced__Params {
-    return new LoanBidPlaced__Params(this);
+export class BundleCollateralDeposited extends ethereum.Event {
+  get params(): BundleCollateralDeposited__Params {
+    return new BundleCollateralDeposited__Params(this);
   }
 }
 
-export class LoanBidPlaced__Params {
-  _event: LoanBidPlaced;
+export class BundleCollateralDeposited__Params {
+  _event: BundleCollateralDeposited;
 
-  constructor(event: LoanBidPlaced) {
+  constructor(event: BundleCollateralDeposited) {
     this._event = event;
   }
 
@@ -145,465 +227,3003 @@ export class LoanBidPlaced__Params {
     return this._event.parameters[0].value.toBigInt();
   }
 
-  get lender(): Address {
-    return this._event.parameters[1].value.toAddress();
+  get items(): Array<BundleCollateralDepositedItemsStruct> {
+    return this._event.parameters[1].value.toTupleArray<BundleCollateralDepositedItemsStruct>();
   }
+}
 
-  get currentInterestRate(): BigInt {
-    return this._event.parameters[2].value.toBigInt();
+export class BundleCollateralDepositedItemsStruct extends ethereum.Tuple {
+  get nftAddress(): Address {
+    return this[0].toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this[1].toBigInt();
+  }
+
+  get amount(): BigInt {
+    return this[2].toBigInt();
   }
 }
 
-export class LoanDefaulted extends ethereum.Event {
-  get params(): LoanDefaulted__Params {
-    return new LoanDefaulted__Params(this);
+export class ChangeCancelled extends ethereum.Event {
+  get params(): ChangeCancelled__Params {
+    return new ChangeCancelled__Params(this);
   }
 }
 
-export class LoanDefaulted__Params {
-  _event: LoanDefaulted;
+export class ChangeCancelled__Params {
+  _event: ChangeCancelled;
 
-  constructor(event: LoanDefaulted) {
+  constructor(event: ChangeCancelled) {
     this._event = event;
   }
 
-  get loanId(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get changeId(): Bytes {
+    return this._event.parameters[0].value.toBytes();
   }
 
-  get lender(): Address {
+  get caller(): Address {
     return this._event.parameters[1].value.toAddress();
   }
 }
 
-export class LoanDelisted extends ethereum.Event {
-  get params(): LoanDelisted__Params {
-    return new LoanDelisted__Params(this);
+export class ChangeExecuted extends ethereum.Event {
+  get params(): ChangeExecuted__Params {
+    return new ChangeExecuted__Params(this);
   }
 }
 
-export class LoanDelisted__Params {
-  _event: LoanDelisted;
+export class ChangeExecuted__Params {
+  _event: ChangeExecuted;
 
-  constructor(event: LoanDelisted) {
+  constructor(event: ChangeExecuted) {
     this._event = event;
   }
 
-  get loanId(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get changeId(): Bytes {
+    return this._event.parameters[0].value.toBytes();
   }
 
-  get borrower(): Address {
+  get caller(): Address {
     return this._event.parameters[1].value.toAddress();
   }
 }
 
-export class LoanListed extends ethereum.Event {
-  get params(): LoanListed__Params {
-    return new LoanListed__Params(this);
+export class ChangeQueued extends ethereum.Event {
+  get params(): ChangeQueued__Params {
+    return new ChangeQueued__Params(this);
   }
 }
 
-export class LoanListed__Params {
-  _event: LoanListed;
+export class ChangeQueued__Params {
+  _event: ChangeQueued;
 
-  constructor(event: LoanListed) {
+  constructor(event: ChangeQueued) {
     this._event = event;
   }
 
-  get loanId(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get changeId(): Bytes {
+    return this._event.parameters[0].value.toBytes();
   }
 
-  get borrower(): Address {
+  get caller(): Address {
     return this._event.parameters[1].value.toAddress();
   }
 
-  get nftAddress(): Address {
-    return this._event.parameters[2].value.toAddress();
+  get data(): Bytes {
+    return this._event.parameters[2].value.toBytes();
   }
 
-  get tokenId(): BigInt {
+  get executableAt(): BigInt {
     return this._event.parameters[3].value.toBigInt();
   }
-
-  get loanAmount(): BigInt {
-    return this._event.parameters[4].value.toBigInt();
-  }
-
-  get maxInterestRate(): BigInt {
-    return this._event.parameters[5].value.toBigInt();
-  }
-
-  get duration(): BigInt {
-    return this._event.parameters[6].value.toBigInt();
-  }
-
-  get loanType(): i32 {
-    return this._event.parameters[7].value.toI32();
-  }
 }
 
-export class LoanRepaid extends ethereum.Event {
-  get params(): LoanRepaid__Params {
-    return new LoanRepaid__Params(this);
+export class CollectionCreatorFeeUpdated extends ethereum.Event {
+  get params(): CollectionCreatorFeeUpdated__Params {
+    return new CollectionCreatorFeeUpdated__Params(this);
   }
 }
 
-export class LoanRepaid__Params {
-  _event: LoanRepaid;
+export class CollectionCreatorFeeUpdated__Params {
+  _event: CollectionCreatorFeeUpdated;
 
-  constructor(event: LoanRepaid) {
+  constructor(event: CollectionCreatorFeeUpdated) {
     this._event = event;
   }
 
-  get loanId(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get nftAddress(): Address {
+    return this._event.parameters[0].value.toAddress();
   }
 
-  get borrower(): Address {
+  get creator(): Address {
     return this._event.parameters[1].value.toAddress();
   }
 
-  get repaymentAmount(): BigInt {
+  get share(): BigInt {
     return this._event.parameters[2].value.toBigInt();
   }
 }
 
-export class MaxActiveLoansUpdated extends ethereum.Event {
-  get params(): MaxActiveLoansUpdated__Params {
-    return new MaxActiveLoansUpdated__Params(this);
+export class CollectionFeeRateUpdated extends ethereum.Event {
+  get params(): CollectionFeeRateUpdated__Params {
+    return new CollectionFeeRateUpdated__Params(this);
   }
 }
 
-export class MaxActiveLoansUpdated__Params {
-  _event: MaxActiveLoansUpdated;
+export class CollectionFeeRateUpdated__Params {
+  _event: CollectionFeeRateUpdated;
 
-  constructor(event: MaxActiveLoansUpdated) {
+  constructor(event: CollectionFeeRateUpdated) {
     this._event = event;
   }
 
-  get newMaxActiveLoans(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get nftAddress(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get hasFeeOverride(): boolean {
+    return this._event.parameters[1].value.toBoolean();
+  }
+
+  get feeRate(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
   }
 }
 
-export class PendingWithdrawalAdded extends ethereum.Event {
-  get params(): PendingWithdrawalAdded__Params {
-    return new PendingWithdrawalAdded__Params(this);
+export class CollectionLimitsUpdated extends ethereum.Event {
+  get params(): CollectionLimitsUpdated__Params {
+    return new CollectionLimitsUpdated__Params(this);
   }
 }
 
-export class PendingWithdrawalAdded__Params {
-  _event: PendingWithdrawalAdded;
+export class CollectionLimitsUpdated__Params {
+  _event: CollectionLimitsUpdated;
 
-  constructor(event: PendingWithdrawalAdded) {
+  constructor(event: CollectionLimitsUpdated) {
     this._event = event;
   }
 
-  get recipient(): Address {
+  get nftAddress(): Address {
     return this._event.parameters[0].value.toAddress();
   }
 
-  get amount(): BigInt {
+  get maxLoanAmount(): BigInt {
     return this._event.parameters[1].value.toBigInt();
   }
-}
 
-export class ProtocolFeeRateUpdated extends ethereum.Event {
-  get params(): ProtocolFeeRateUpdated__Params {
-    return new ProtocolFeeRateUpdated__Params(this);
+  get minDuration(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
   }
-}
 
-export class ProtocolFeeRateUpdated__Params {
-  _event: ProtocolFeeRateUpdated;
-
-  constructor(event: ProtocolFeeRateUpdated) {
-    this._event = event;
+  get maxDuration(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
   }
 
-  get newFeeRate(): BigInt {
-    return this._event.parameters[0].value.toBigInt();
+  get maxInterestRate(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
   }
 }
 
-export class ProtocolFeesWithdrawn extends ethereum.Event {
-  get params(): ProtocolFeesWithdrawn__Params {
-    return new ProtocolFeesWithdrawn__Params(this);
+export class CollectionOfferCancelled extends ethereum.Event {
+  get params(): CollectionOfferCancelled__Params {
+    return new CollectionOfferCancelled__Params(this);
   }
 }
 
-export class ProtocolFeesWithdrawn__Params {
-  _event: ProtocolFeesWithdrawn;
+export class CollectionOfferCancelled__Params {
+  _event: CollectionOfferCancelled;
 
-  constructor(event: ProtocolFeesWithdrawn) {
+  constructor(event: CollectionOfferCancelled) {
     this._event = event;
   }
 
-  get to(): Address {
-    return this._event.parameters[0].value.toAddress();
+  get offerId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
   }
 
-  get amount(): BigInt {
-    return this._event.parameters[1].value.toBigInt();
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get refund(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
   }
 }
 
-export class RoleAdminChanged extends ethereum.Event {
-  get params(): RoleAdminChanged__Params {
-    return new RoleAdminChanged__Params(this);
+export class CollectionOfferPlaced extends ethereum.Event {
+  get params(): CollectionOfferPlaced__Params {
+    return new CollectionOfferPlaced__Params(this);
   }
 }
 
-export class RoleAdminChanged__Params {
-  _event: RoleAdminChanged;
+export class CollectionOfferPlaced__Params {
+  _event: CollectionOfferPlaced;
 
-  constructor(event: RoleAdminChanged) {
+  constructor(event: CollectionOfferPlaced) {
     this._event = event;
   }
 
-  get role(): Bytes {
-    return this._event.parameters[0].value.toBytes();
+  get offerId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
   }
 
-  get previousAdminRole(): Bytes {
-    return this._event.parameters[1].value.toBytes();
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
   }
 
-  get newAdminRole(): Bytes {
-    return this._event.parameters[2].value.toBytes();
+  get nftAddress(): Address {
+    return this._event.parameters[2].value.toAddress();
   }
-}
 
-export class RoleGranted extends ethereum.Event {
-  get params(): RoleGranted__Params {
-    return new RoleGranted__Params(this);
+  get currency(): Address {
+    return this._event.parameters[3].value.toAddress();
   }
-}
 
-export class RoleGranted__Params {
-  _event: RoleGranted;
-
-  constructor(event: RoleGranted) {
+  get loanAmount(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get interestRate(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+
+  get duration(): BigInt {
+    return this._event.parameters[6].value.toBigInt();
+  }
+
+  get loanType(): i32 {
+    return this._event.parameters[7].value.toI32();
+  }
+
+  get totalFunds(): BigInt {
+    return this._event.parameters[8].value.toBigInt();
+  }
+}
+
+export class CollectionOfferTaken extends ethereum.Event {
+  get params(): CollectionOfferTaken__Params {
+    return new CollectionOfferTaken__Params(this);
+  }
+}
+
+export class CollectionOfferTaken__Params {
+  _event: CollectionOfferTaken;
+
+  constructor(event: CollectionOfferTaken) {
     this._event = event;
   }
 
-  get role(): Bytes {
-    return this._event.parameters[0].value.toBytes();
+  get offerId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
   }
 
-  get account(): Address {
+  get loanId(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get remainingFunds(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class CollectionOracleUpdated extends ethereum.Event {
+  get params(): CollectionOracleUpdated__Params {
+    return new CollectionOracleUpdated__Params(this);
+  }
+}
+
+export class CollectionOracleUpdated__Params {
+  _event: CollectionOracleUpdated;
+
+  constructor(event: CollectionOracleUpdated) {
+    this._event = event;
+  }
+
+  get nftAddress(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get oracle(): Address {
     return this._event.parameters[1].value.toAddress();
   }
 
-  get sender(): Address {
+  get maxLoanToValue(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get maxPriceAge(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class CreatorFeeAccrued extends ethereum.Event {
+  get params(): CreatorFeeAccrued__Params {
+    return new CreatorFeeAccrued__Params(this);
+  }
+}
+
+export class CreatorFeeAccrued__Params {
+  _event: CreatorFeeAccrued;
+
+  constructor(event: CreatorFeeAccrued) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get creator(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get currency(): Address {
     return this._event.parameters[2].value.toAddress();
   }
+
+  get amount(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
 }
 
-export class RoleRevoked extends ethereum.Event {
-  get params(): RoleRevoked__Params {
-    return new RoleRevoked__Params(this);
+export class ERC1155CollateralDeposited extends ethereum.Event {
+  get params(): ERC1155CollateralDeposited__Params {
+    return new ERC1155CollateralDeposited__Params(this);
   }
 }
 
-export class RoleRevoked__Params {
-  _event: RoleRevoked;
+export class ERC1155CollateralDeposited__Params {
+  _event: ERC1155CollateralDeposited;
 
-  constructor(event: RoleRevoked) {
+  constructor(event: ERC1155CollateralDeposited) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class FeeRatesUpdated extends ethereum.Event {
+  get params(): FeeRatesUpdated__Params {
+    return new FeeRatesUpdated__Params(this);
+  }
+}
+
+export class FeeRatesUpdated__Params {
+  _event: FeeRatesUpdated;
+
+  constructor(event: FeeRatesUpdated) {
+    this._event = event;
+  }
+
+  get borrowerFeeRate(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lenderFeeRate(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class FeeRecipientsUpdated extends ethereum.Event {
+  get params(): FeeRecipientsUpdated__Params {
+    return new FeeRecipientsUpdated__Params(this);
+  }
+}
+
+export class FeeRecipientsUpdated__Params {
+  _event: FeeRecipientsUpdated;
+
+  constructor(event: FeeRecipientsUpdated) {
+    this._event = event;
+  }
+
+  get accounts(): Array<Address> {
+    return this._event.parameters[0].value.toAddressArray();
+  }
+
+  get shares(): Array<BigInt> {
+    return this._event.parameters[1].value.toBigIntArray();
+  }
+}
+
+export class FundsWithdrawn extends ethereum.Event {
+  get params(): FundsWithdrawn__Params {
+    return new FundsWithdrawn__Params(this);
+  }
+}
+
+export class FundsWithdrawn__Params {
+  _event: FundsWithdrawn;
+
+  constructor(event: FundsWithdrawn) {
+    this._event = event;
+  }
+
+  get user(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get to(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get currency(): Address {
+    return this._event.parameters[3].value.toAddress();
+  }
+}
+
+export class GovernanceDelayUpdated extends ethereum.Event {
+  get params(): GovernanceDelayUpdated__Params {
+    return new GovernanceDelayUpdated__Params(this);
+  }
+}
+
+export class GovernanceDelayUpdated__Params {
+  _event: GovernanceDelayUpdated;
+
+  constructor(event: GovernanceDelayUpdated) {
+    this._event = event;
+  }
+
+  get governanceDelay(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class GracePeriodUpdated extends ethereum.Event {
+  get params(): GracePeriodUpdated__Params {
+    return new GracePeriodUpdated__Params(this);
+  }
+}
+
+export class GracePeriodUpdated__Params {
+  _event: GracePeriodUpdated;
+
+  constructor(event: GracePeriodUpdated) {
+    this._event = event;
+  }
+
+  get newGracePeriod(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get newPenaltyRate(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class LiquidationAuctionDurationUpdated extends ethereum.Event {
+  get params(): LiquidationAuctionDurationUpdated__Params {
+    return new LiquidationAuctionDurationUpdated__Params(this);
+  }
+}
+
+export class LiquidationAuctionDurationUpdated__Params {
+  _event: LiquidationAuctionDurationUpdated;
+
+  constructor(event: LiquidationAuctionDurationUpdated) {
+    this._event = event;
+  }
+
+  get newDuration(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class LiquidationBidPlaced extends ethereum.Event {
+  get params(): LiquidationBidPlaced__Params {
+    return new LiquidationBidPlaced__Params(this);
+  }
+}
+
+export class LiquidationBidPlaced__Params {
+  _event: LiquidationBidPlaced;
+
+  constructor(event: LiquidationBidPlaced) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get bidder(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class LiquidationSettled extends ethereum.Event {
+  get params(): LiquidationSettled__Params {
+    return new LiquidationSettled__Params(this);
+  }
+}
+
+export class LiquidationSettled__Params {
+  _event: LiquidationSettled;
+
+  constructor(event: LiquidationSettled) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get winner(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get borrowerSurplus(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get lenderFee(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+}
+
+export class LiquidationStarted extends ethereum.Event {
+  get params(): LiquidationStarted__Params {
+    return new LiquidationStarted__Params(this);
+  }
+}
+
+export class LiquidationStarted__Params {
+  _event: LiquidationStarted;
+
+  constructor(event: LiquidationStarted) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get debt(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get endTime(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class ListingExpired extends ethereum.Event {
+  get params(): ListingExpired__Params {
+    return new ListingExpired__Params(this);
+  }
+}
+
+export class ListingExpired__Params {
+  _event: ListingExpired;
+
+  constructor(event: ListingExpired) {
     this._event = event;
   }
 
-  get role(): Bytes {
-    return this._event.parameters[0].value.toBytes();
-  }
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get caller(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+}
+
+export class ListingOptionsSet extends ethereum.Event {
+  get params(): ListingOptionsSet__Params {
+    return new ListingOptionsSet__Params(this);
+  }
+}
+
+export class ListingOptionsSet__Params {
+  _event: ListingOptionsSet;
+
+  constructor(event: ListingOptionsSet) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get autoAcceptRate(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get listingDeadline(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get auctionEndTime(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class LoanAccepted extends ethereum.Event {
+  get params(): LoanAccepted__Params {
+    return new LoanAccepted__Params(this);
+  }
+}
+
+export class LoanAccepted__Params {
+  _event: LoanAccepted;
+
+  constructor(event: LoanAccepted) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get startTime(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class LoanBidCancelled extends ethereum.Event {
+  get params(): LoanBidCancelled__Params {
+    return new LoanBidCancelled__Params(this);
+  }
+}
+
+export class LoanBidCancelled__Params {
+  _event: LoanBidCancelled;
+
+  constructor(event: LoanBidCancelled) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+}
+
+export class LoanBidPlaced extends ethereum.Event {
+  get params(): LoanBidPlaced__Params {
+    return new LoanBidPlaced__Params(this);
+  }
+}
+
+export class LoanBidPlaced__Params {
+  _event: LoanBidPlaced;
+
+  constructor(event: LoanBidPlaced) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get currentInterestRate(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class LoanDefaulted extends ethereum.Event {
+  get params(): LoanDefaulted__Params {
+    return new LoanDefaulted__Params(this);
+  }
+}
+
+export class LoanDefaulted__Params {
+  _event: LoanDefaulted;
+
+  constructor(event: LoanDefaulted) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get debt(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get lenderFee(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class LoanDelegateUpdated extends ethereum.Event {
+  get params(): LoanDelegateUpdated__Params {
+    return new LoanDelegateUpdated__Params(this);
+  }
+}
+
+export class LoanDelegateUpdated__Params {
+  _event: LoanDelegateUpdated;
+
+  constructor(event: LoanDelegateUpdated) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get delegate(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+}
+
+export class LoanDelisted extends ethereum.Event {
+  get params(): LoanDelisted__Params {
+    return new LoanDelisted__Params(this);
+  }
+}
+
+export class LoanDelisted__Params {
+  _event: LoanDelisted;
+
+  constructor(event: LoanDelisted) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+}
+
+export class LoanExtended extends ethereum.Event {
+  get params(): LoanExtended__Params {
+    return new LoanExtended__Params(this);
+  }
+}
+
+export class LoanExtended__Params {
+  _event: LoanExtended;
+
+  constructor(event: LoanExtended) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get newDuration(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class LoanExtensionRequested extends ethereum.Event {
+  get params(): LoanExtensionRequested__Params {
+    return new LoanExtensionRequested__Params(this);
+  }
+}
+
+export class LoanExtensionRequested__Params {
+  _event: LoanExtensionRequested;
+
+  constructor(event: LoanExtensionRequested) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get newDuration(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class LoanListed extends ethereum.Event {
+  get params(): LoanListed__Params {
+    return new LoanListed__Params(this);
+  }
+}
+
+export class LoanListed__Params {
+  _event: LoanListed;
+
+  constructor(event: LoanListed) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get nftAddress(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get loanAmount(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get maxInterestRate(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+
+  get duration(): BigInt {
+    return this._event.parameters[6].value.toBigInt();
+  }
+
+  get loanType(): i32 {
+    return this._event.parameters[7].value.toI32();
+  }
+
+  get currency(): Address {
+    return this._event.parameters[8].value.toAddress();
+  }
+}
+
+export class LoanNotesSet extends ethereum.Event {
+  get params(): LoanNotesSet__Params {
+    return new LoanNotesSet__Params(this);
+  }
+}
+
+export class LoanNotesSet__Params {
+  _event: LoanNotesSet;
+
+  constructor(event: LoanNotesSet) {
+    this._event = event;
+  }
+
+  get lenderNote(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get borrowerNote(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+}
+
+export class LoanOfferAccepted extends ethereum.Event {
+  get params(): LoanOfferAccepted__Params {
+    return new LoanOfferAccepted__Params(this);
+  }
+}
+
+export class LoanOfferAccepted__Params {
+  _event: LoanOfferAccepted;
+
+  constructor(event: LoanOfferAccepted) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get lender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get nonce(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class LoanOfferCancelled extends ethereum.Event {
+  get params(): LoanOfferCancelled__Params {
+    return new LoanOfferCancelled__Params(this);
+  }
+}
+
+export class LoanOfferCancelled__Params {
+  _event: LoanOfferCancelled;
+
+  constructor(event: LoanOfferCancelled) {
+    this._event = event;
+  }
+
+  get lender(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get nonce(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class LoanOfferNoncesInvalidated extends ethereum.Event {
+  get params(): LoanOfferNoncesInvalidated__Params {
+    return new LoanOfferNoncesInvalidated__Params(this);
+  }
+}
+
+export class LoanOfferNoncesInvalidated__Params {
+  _event: LoanOfferNoncesInvalidated;
+
+  constructor(event: LoanOfferNoncesInvalidated) {
+    this._event = event;
+  }
+
+  get lender(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get minNonce(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class LoanPartiallyRepaid extends ethereum.Event {
+  get params(): LoanPartiallyRepaid__Params {
+    return new LoanPartiallyRepaid__Params(this);
+  }
+}
+
+export class LoanPartiallyRepaid__Params {
+  _event: LoanPartiallyRepaid;
+
+  constructor(event: LoanPartiallyRepaid) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get principalRepaid(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get interestPaid(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get remainingPrincipal(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get borrowerFee(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get lenderFee(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+}
+
+export class LoanPositionTransferred extends ethereum.Event {
+  get params(): LoanPositionTransferred__Params {
+    return new LoanPositionTransferred__Params(this);
+  }
+}
+
+export class LoanPositionTransferred__Params {
+  _event: LoanPositionTransferred;
+
+  constructor(event: LoanPositionTransferred) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get to(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get isLender(): boolean {
+    return this._event.parameters[2].value.toBoolean();
+  }
+}
+
+export class LoanReferred extends ethereum.Event {
+  get params(): LoanReferred__Params {
+    return new LoanReferred__Params(this);
+  }
+}
+
+export class LoanReferred__Params {
+  _event: LoanReferred;
+
+  constructor(event: LoanReferred) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get referrer(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get account(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get isBid(): boolean {
+    return this._event.parameters[3].value.toBoolean();
+  }
+}
+
+export class LoanRefinanced extends ethereum.Event {
+  get params(): LoanRefinanced__Params {
+    return new LoanRefinanced__Params(this);
+  }
+}
+
+export class LoanRefinanced__Params {
+  _event: LoanRefinanced;
+
+  constructor(event: LoanRefinanced) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get oldLender(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get newLender(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get oldLoanAmount(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get oldInterestRate(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get oldDuration(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+
+  get newLoanAmount(): BigInt {
+    return this._event.parameters[6].value.toBigInt();
+  }
+
+  get newInterestRate(): BigInt {
+    return this._event.parameters[7].value.toBigInt();
+  }
+
+  get newDuration(): BigInt {
+    return this._event.parameters[8].value.toBigInt();
+  }
+
+  get interestPaid(): BigInt {
+    return this._event.parameters[9].value.toBigInt();
+  }
+
+  get borrowerFee(): BigInt {
+    return this._event.parameters[10].value.toBigInt();
+  }
+
+  get lenderFee(): BigInt {
+    return this._event.parameters[11].value.toBigInt();
+  }
+}
+
+export class LoanRepaid extends ethereum.Event {
+  get params(): LoanRepaid__Params {
+    return new LoanRepaid__Params(this);
+  }
+}
+
+export class LoanRepaid__Params {
+  _event: LoanRepaid;
+
+  constructor(event: LoanRepaid) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get borrower(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get repaymentAmount(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get interestPaid(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get borrowerFee(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get lenderFee(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+
+  get gracePenalty(): BigInt {
+    return this._event.parameters[6].value.toBigInt();
+  }
+}
+
+export class LoanStatusChanged extends ethereum.Event {
+  get params(): LoanStatusChanged__Params {
+    return new LoanStatusChanged__Params(this);
+  }
+}
+
+export class LoanStatusChanged__Params {
+  _event: LoanStatusChanged;
+
+  constructor(event: LoanStatusChanged) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get status(): i32 {
+    return this._event.parameters[1].value.toI32();
+  }
+}
+
+export class MaxActiveLoansUpdated extends ethereum.Event {
+  get params(): MaxActiveLoansUpdated__Params {
+    return new MaxActiveLoansUpdated__Params(this);
+  }
+}
+
+export class MaxActiveLoansUpdated__Params {
+  _event: MaxActiveLoansUpdated;
+
+  constructor(event: MaxActiveLoansUpdated) {
+    this._event = event;
+  }
+
+  get newMaxActiveLoans(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class MinBidDecrementUpdated extends ethereum.Event {
+  get params(): MinBidDecrementUpdated__Params {
+    return new MinBidDecrementUpdated__Params(this);
+  }
+}
+
+export class MinBidDecrementUpdated__Params {
+  _event: MinBidDecrementUpdated;
+
+  constructor(event: MinBidDecrementUpdated) {
+    this._event = event;
+  }
+
+  get minBidDecrement(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get isPercentage(): boolean {
+    return this._event.parameters[1].value.toBoolean();
+  }
+}
+
+export class MinInterestPeriodUpdated extends ethereum.Event {
+  get params(): MinInterestPeriodUpdated__Params {
+    return new MinInterestPeriodUpdated__Params(this);
+  }
+}
+
+export class MinInterestPeriodUpdated__Params {
+  _event: MinInterestPeriodUpdated;
+
+  constructor(event: MinInterestPeriodUpdated) {
+    this._event = event;
+  }
+
+  get newMinInterestPeriod(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class PausedActionsUpdated extends ethereum.Event {
+  get params(): PausedActionsUpdated__Params {
+    return new PausedActionsUpdated__Params(this);
+  }
+}
+
+export class PausedActionsUpdated__Params {
+  _event: PausedActionsUpdated;
+
+  constructor(event: PausedActionsUpdated) {
+    this._event = event;
+  }
+
+  get guardian(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get pausedActions(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class ProtocolFeesDistributed extends ethereum.Event {
+  get params(): ProtocolFeesDistributed__Params {
+    return new ProtocolFeesDistributed__Params(this);
+  }
+}
+
+export class ProtocolFeesDistributed__Params {
+  _event: ProtocolFeesDistributed;
+
+  constructor(event: ProtocolFeesDistributed) {
+    this._event = event;
+  }
+
+  get currency(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class ProtocolFeesWithdrawn extends ethereum.Event {
+  get params(): ProtocolFeesWithdrawn__Params {
+    return new ProtocolFeesWithdrawn__Params(this);
+  }
+}
+
+export class ProtocolFeesWithdrawn__Params {
+  _event: ProtocolFeesWithdrawn;
+
+  constructor(event: ProtocolFeesWithdrawn) {
+    this._event = event;
+  }
+
+  get to(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get currency(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+}
+
+export class ReferralFeeAccrued extends ethereum.Event {
+  get params(): ReferralFeeAccrued__Params {
+    return new ReferralFeeAccrued__Params(this);
+  }
+}
+
+export class ReferralFeeAccrued__Params {
+  _event: ReferralFeeAccrued;
+
+  constructor(event: ReferralFeeAccrued) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get referrer(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get currency(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
+export class ReferralFeeShareUpdated extends ethereum.Event {
+  get params(): ReferralFeeShareUpdated__Params {
+    return new ReferralFeeShareUpdated__Params(this);
+  }
+}
+
+export class ReferralFeeShareUpdated__Params {
+  _event: ReferralFeeShareUpdated;
+
+  constructor(event: ReferralFeeShareUpdated) {
+    this._event = event;
+  }
+
+  get newReferralFeeShare(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class RefinanceTermsUpdated extends ethereum.Event {
+  get params(): RefinanceTermsUpdated__Params {
+    return new RefinanceTermsUpdated__Params(this);
+  }
+}
+
+export class RefinanceTermsUpdated__Params {
+  _event: RefinanceTermsUpdated;
+
+  constructor(event: RefinanceTermsUpdated) {
+    this._event = event;
+  }
+
+  get loanId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get maxInterestRate(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get minDuration(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class RoleAdminChanged extends ethereum.Event {
+  get params(): RoleAdminChanged__Params {
+    return new RoleAdminChanged__Params(this);
+  }
+}
+
+export class RoleAdminChanged__Params {
+  _event: RoleAdminChanged;
+
+  constructor(event: RoleAdminChanged) {
+    this._event = event;
+  }
+
+  get role(): Bytes {
+    return this._event.parameters[0].value.toBytes();
+  }
+
+  get previousAdminRole(): Bytes {
+    return this._event.parameters[1].value.toBytes();
+  }
+
+  get newAdminRole(): Bytes {
+    return this._event.parameters[2].value.toBytes();
+  }
+}
+
+export class RoleGranted extends ethereum.Event {
+  get params(): RoleGranted__Params {
+    return new RoleGranted__Params(this);
+  }
+}
+
+export class RoleGranted__Params {
+  _event: RoleGranted;
+
+  constructor(event: RoleGranted) {
+    this._event = event;
+  }
+
+  get role(): Bytes {
+    return this._event.parameters[0].value.toBytes();
+  }
+
+  get account(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get sender(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+}
+
+export class RoleRevoked extends ethereum.Event {
+  get params(): RoleRevoked__Params {
+    return new RoleRevoked__Params(this);
+  }
+}
+
+export class RoleRevoked__Params {
+  _event: RoleRevoked;
+
+  constructor(event: RoleRevoked) {
+    this._event = event;
+  }
+
+  get role(): Bytes {
+    return this._event.parameters[0].value.toBytes();
+  }
+
+  get account(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get sender(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+}
+
+export class NFTLendAuctionV1__collectionCreatorFeesResult {
+  value0: Address;
+  value1: BigInt;
+
+  constructor(value0: Address, value1: BigInt) {
+    this.value0 = value0;
+    this.value1 = value1;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    return map;
+  }
+
+  getAccount(): Address {
+    return this.value0;
+  }
+
+  getShare(): BigInt {
+    return this.value1;
+  }
+}
+
+export class NFTLendAuctionV1__collectionOffersResult {
+  value0: Address;
+  value1: Address;
+  value2: Address;
+  value3: BigInt;
+  value4: BigInt;
+  value5: BigInt;
+  value6: i32;
+  value7: BigInt;
+
+  constructor(
+    value0: Address,
+    value1: Address,
+    value2: Address,
+    value3: BigInt,
+    value4: BigInt,
+    value5: BigInt,
+    value6: i32,
+    value7: BigInt,
+  ) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
+    this.value6 = value6;
+    this.value7 = value7;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromAddress(this.value1));
+    map.set("value2", ethereum.Value.fromAddress(this.value2));
+    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromUnsignedBigInt(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
+    map.set(
+      "value6",
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(this.value6)),
+    );
+    map.set("value7", ethereum.Value.fromUnsignedBigInt(this.value7));
+    return map;
+  }
+
+  getLender(): Address {
+    return this.value0;
+  }
+
+  getNftAddress(): Address {
+    return this.value1;
+  }
+
+  getCurrency(): Address {
+    return this.value2;
+  }
+
+  getLoanAmount(): BigInt {
+    return this.value3;
+  }
+
+  getInterestRate(): BigInt {
+    return this.value4;
+  }
+
+  getDuration(): BigInt {
+    return this.value5;
+  }
+
+  getLoanType(): i32 {
+    return this.value6;
+  }
+
+  getRemainingFunds(): BigInt {
+    return this.value7;
+  }
+}
+
+export class NFTLendAuctionV1__collectionRiskParamsResult {
+  value0: BigInt;
+  value1: BigInt;
+  value2: BigInt;
+  value3: BigInt;
+  value4: boolean;
+  value5: BigInt;
+  value6: Address;
+  value7: BigInt;
+  value8: BigInt;
+
+  constructor(
+    value0: BigInt,
+    value1: BigInt,
+    value2: BigInt,
+    value3: BigInt,
+    value4: boolean,
+    value5: BigInt,
+    value6: Address,
+    value7: BigInt,
+    value8: BigInt,
+  ) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
+    this.value6 = value6;
+    this.value7 = value7;
+    this.value8 = value8;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromUnsignedBigInt(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    map.set("value2", ethereum.Value.fromUnsignedBigInt(this.value2));
+    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromBoolean(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
+    map.set("value6", ethereum.Value.fromAddress(this.value6));
+    map.set("value7", ethereum.Value.fromUnsignedBigInt(this.value7));
+    map.set("value8", ethereum.Value.fromUnsignedBigInt(this.value8));
+    return map;
+  }
+
+  getMaxLoanAmount(): BigInt {
+    return this.value0;
+  }
+
+  getMinDuration(): BigInt {
+    return this.value1;
+  }
+
+  getMaxDuration(): BigInt {
+    return this.value2;
+  }
+
+  getMaxInterestRate(): BigInt {
+    return this.value3;
+  }
+
+  getHasFeeOverride(): boolean {
+    return this.value4;
+  }
+
+  getFeeRate(): BigInt {
+    return this.value5;
+  }
+
+  getOracle(): Address {
+    return this.value6;
+  }
+
+  getMaxLoanToValue(): BigInt {
+    return this.value7;
+  }
+
+  getMaxPriceAge(): BigInt {
+    return this.value8;
+  }
+}
+
+export class NFTLendAuctionV1__liquidationsResult {
+  value0: BigInt;
+  value1: BigInt;
+  value2: Address;
+
+  constructor(value0: BigInt, value1: BigInt, value2: Address) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromUnsignedBigInt(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    map.set("value2", ethereum.Value.fromAddress(this.value2));
+    return map;
+  }
+
+  getEndTime(): BigInt {
+    return this.value0;
+  }
+
+  getDebt(): BigInt {
+    return this.value1;
+  }
+
+  getHighestBidder(): Address {
+    return this.value2;
+  }
+}
+
+export class NFTLendAuctionV1__loansResult {
+  value0: Address;
+  value1: Address;
+  value2: Address;
+  value3: BigInt;
+  value4: BigInt;
+  value5: BigInt;
+  value6: BigInt;
+  value7: BigInt;
+  value8: BigInt;
+  value9: i32;
+  value10: boolean;
+  value11: Address;
+  value12: i32;
+
+  constructor(
+    value0: Address,
+    value1: Address,
+    value2: Address,
+    value3: BigInt,
+    value4: BigInt,
+    value5: BigInt,
+    value6: BigInt,
+    value7: BigInt,
+    value8: BigInt,
+    value9: i32,
+    value10: boolean,
+    value11: Address,
+    value12: i32,
+  ) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
+    this.value6 = value6;
+    this.value7 = value7;
+    this.value8 = value8;
+    this.value9 = value9;
+    this.value10 = value10;
+    this.value11 = value11;
+    this.value12 = value12;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromAddress(this.value1));
+    map.set("value2", ethereum.Value.fromAddress(this.value2));
+    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromUnsignedBigInt(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
+    map.set("value6", ethereum.Value.fromUnsignedBigInt(this.value6));
+    map.set("value7", ethereum.Value.fromUnsignedBigInt(this.value7));
+    map.set("value8", ethereum.Value.fromUnsignedBigInt(this.value8));
+    map.set(
+      "value9",
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(this.value9)),
+    );
+    map.set("value10", ethereum.Value.fromBoolean(this.value10));
+    map.set("value11", ethereum.Value.fromAddress(this.value11));
+    map.set(
+      "value12",
+      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(this.value12)),
+    );
+    return map;
+  }
+
+  getBorrower(): Address {
+    return this.value0;
+  }
+
+  getLender(): Address {
+    return this.value1;
+  }
+
+  getNftAddress(): Address {
+    return this.value2;
+  }
+
+  getTokenId(): BigInt {
+    return this.value3;
+  }
+
+  getLoanAmount(): BigInt {
+    return this.value4;
+  }
+
+  getMaxInterestRate(): BigInt {
+    return this.value5;
+  }
+
+  getCurrentInterestRate(): BigInt {
+    return this.value6;
+  }
+
+  getDuration(): BigInt {
+    return this.value7;
+  }
+
+  getStartTime(): BigInt {
+    return this.value8;
+  }
+
+  getLoanType(): i32 {
+    return this.value9;
+  }
+
+  getIsAccepted(): boolean {
+    return this.value10;
+  }
+
+  getCurrency(): Address {
+    return this.value11;
+  }
+
+  getStatus(): i32 {
+    return this.value12;
+  }
+}
+
+export class NFTLendAuctionV1__refinanceTermsResult {
+  value0: BigInt;
+  value1: BigInt;
+
+  constructor(value0: BigInt, value1: BigInt) {
+    this.value0 = value0;
+    this.value1 = value1;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromUnsignedBigInt(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    return map;
+  }
+
+  getMaxInterestRate(): BigInt {
+    return this.value0;
+  }
+
+  getMinDuration(): BigInt {
+    return this.value1;
+  }
+}
+
+export class NFTLendAuctionV1 extends ethereum.SmartContract {
+  static bind(address: Address): NFTLendAuctionV1 {
+    return new NFTLendAuctionV1("NFTLendAuctionV1", address);
+  }
+
+  DEFAULT_ADMIN_ROLE(): Bytes {
+    let result = super.call(
+      "DEFAULT_ADMIN_ROLE",
+      "DEFAULT_ADMIN_ROLE():(bytes32)",
+      [],
+    );
+
+    return result[0].toBytes();
+  }
+
+  try_DEFAULT_ADMIN_ROLE(): ethereum.CallResult<Bytes> {
+    let result = super.tryCall(
+      "DEFAULT_ADMIN_ROLE",
+      "DEFAULT_ADMIN_ROLE():(bytes32)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
+  GOVERNANCE_GRACE_PERIOD(): BigInt {
+    let result = super.call(
+      "GOVERNANCE_GRACE_PERIOD",
+      "GOVERNANCE_GRACE_PERIOD():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_GOVERNANCE_GRACE_PERIOD(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "GOVERNANCE_GRACE_PERIOD",
+      "GOVERNANCE_GRACE_PERIOD():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  GUARDIAN_ROLE(): Bytes {
+    let result = super.call("GUARDIAN_ROLE", "GUARDIAN_ROLE():(bytes32)", []);
+
+    return result[0].toBytes();
+  }
+
+  try_GUARDIAN_ROLE(): ethereum.CallResult<Bytes> {
+    let result = super.tryCall(
+      "GUARDIAN_ROLE",
+      "GUARDIAN_ROLE():(bytes32)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
+  MANAGER_ROLE(): Bytes {
+    let result = super.call("MANAGER_ROLE", "MANAGER_ROLE():(bytes32)", []);
+
+    return result[0].toBytes();
+  }
+
+  try_MANAGER_ROLE(): ethereum.CallResult<Bytes> {
+    let result = super.tryCall("MANAGER_ROLE", "MANAGER_ROLE():(bytes32)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
+  MAX_AUCTION_EXTENSION_WINDOW(): BigInt {
+    let result = super.call(
+      "MAX_AUCTION_EXTENSION_WINDOW",
+      "MAX_AUCTION_EXTENSION_WINDOW():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_AUCTION_EXTENSION_WINDOW(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_AUCTION_EXTENSION_WINDOW",
+      "MAX_AUCTION_EXTENSION_WINDOW():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_BID_DECREMENT(): BigInt {
+    let result = super.call(
+      "MAX_BID_DECREMENT",
+      "MAX_BID_DECREMENT():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_BID_DECREMENT(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_BID_DECREMENT",
+      "MAX_BID_DECREMENT():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_BUNDLE_SIZE(): BigInt {
+    let result = super.call(
+      "MAX_BUNDLE_SIZE",
+      "MAX_BUNDLE_SIZE():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_BUNDLE_SIZE(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_BUNDLE_SIZE",
+      "MAX_BUNDLE_SIZE():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_FEE_RECIPIENTS(): BigInt {
+    let result = super.call(
+      "MAX_FEE_RECIPIENTS",
+      "MAX_FEE_RECIPIENTS():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_FEE_RECIPIENTS(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_FEE_RECIPIENTS",
+      "MAX_FEE_RECIPIENTS():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_GOVERNANCE_DELAY(): BigInt {
+    let result = super.call(
+      "MAX_GOVERNANCE_DELAY",
+      "MAX_GOVERNANCE_DELAY():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_GOVERNANCE_DELAY(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_GOVERNANCE_DELAY",
+      "MAX_GOVERNANCE_DELAY():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_OPEN_BIDS(): BigInt {
+    let result = super.call("MAX_OPEN_BIDS", "MAX_OPEN_BIDS():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_OPEN_BIDS(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_OPEN_BIDS",
+      "MAX_OPEN_BIDS():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  MAX_REFERRAL_FEE_SHARE(): BigInt {
+    let result = super.call(
+      "MAX_REFERRAL_FEE_SHARE",
+      "MAX_REFERRAL_FEE_SHARE():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_REFERRAL_FEE_SHARE(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_REFERRAL_FEE_SHARE",
+      "MAX_REFERRAL_FEE_SHARE():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  OWNER_ROLE(): Bytes {
+    let result = super.call("OWNER_ROLE", "OWNER_ROLE():(bytes32)", []);
+
+    return result[0].toBytes();
+  }
+
+  try_OWNER_ROLE(): ethereum.CallResult<Bytes> {
+    let result = super.tryCall("OWNER_ROLE", "OWNER_ROLE():(bytes32)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
+  PAUSE_ACCEPTANCE(): BigInt {
+    let result = super.call(
+      "PAUSE_ACCEPTANCE",
+      "PAUSE_ACCEPTANCE():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_PAUSE_ACCEPTANCE(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "PAUSE_ACCEPTANCE",
+      "PAUSE_ACCEPTANCE():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  PAUSE_BIDDING(): BigInt {
+    let result = super.call("PAUSE_BIDDING", "PAUSE_BIDDING():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_PAUSE_BIDDING(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "PAUSE_BIDDING",
+      "PAUSE_BIDDING():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  PAUSE_DEFAULT_CLAIMS(): BigInt {
+    let result = super.call(
+      "PAUSE_DEFAULT_CLAIMS",
+      "PAUSE_DEFAULT_CLAIMS():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_PAUSE_DEFAULT_CLAIMS(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "PAUSE_DEFAULT_CLAIMS",
+      "PAUSE_DEFAULT_CLAIMS():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  PAUSE_LISTING(): BigInt {
+    let result = super.call("PAUSE_LISTING", "PAUSE_LISTING():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_PAUSE_LISTING(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "PAUSE_LISTING",
+      "PAUSE_LISTING():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  activeLoanIds(param0: BigInt): BigInt {
+    let result = super.call(
+      "activeLoanIds",
+      "activeLoanIds(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_activeLoanIds(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "activeLoanIds",
+      "activeLoanIds(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  activeLoans(param0: BigInt): boolean {
+    let result = super.call("activeLoans", "activeLoans(uint256):(bool)", [
+      ethereum.Value.fromUnsignedBigInt(param0),
+    ]);
+
+    return result[0].toBoolean();
+  }
+
+  try_activeLoans(param0: BigInt): ethereum.CallResult<boolean> {
+    let result = super.tryCall("activeLoans", "activeLoans(uint256):(bool)", [
+      ethereum.Value.fromUnsignedBigInt(param0),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  allowedCurrencies(param0: Address): boolean {
+    let result = super.call(
+      "allowedCurrencies",
+      "allowedCurrencies(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBoolean();
+  }
+
+  try_allowedCurrencies(param0: Address): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "allowedCurrencies",
+      "allowedCurrencies(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  allowedNFTContracts(param0: Address): boolean {
+    let result = super.call(
+      "allowedNFTContracts",
+      "allowedNFTContracts(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBoolean();
+  }
+
+  try_allowedNFTContracts(param0: Address): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "allowedNFTContracts",
+      "allowedNFTContracts(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  auctionEndTimes(param0: BigInt): BigInt {
+    let result = super.call(
+      "auctionEndTimes",
+      "auctionEndTimes(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_auctionEndTimes(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "auctionEndTimes",
+      "auctionEndTimes(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  auctionExtensionWindow(): BigInt {
+    let result = super.call(
+      "auctionExtensionWindow",
+      "auctionExtensionWindow():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_auctionExtensionWindow(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "auctionExtensionWindow",
+      "auctionExtensionWindow():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  autoAcceptRates(param0: BigInt): BigInt {
+    let result = super.call(
+      "autoAcceptRates",
+      "autoAcceptRates(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_autoAcceptRates(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "autoAcceptRates",
+      "autoAcceptRates(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  bidCancelPeriod(): BigInt {
+    let result = super.call(
+      "bidCancelPeriod",
+      "bidCancelPeriod():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_bidCancelPeriod(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "bidCancelPeriod",
+      "bidCancelPeriod():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  bidReferrers(param0: BigInt): Address {
+    let result = super.call("bidReferrers", "bidReferrers(uint256):(address)", [
+      ethereum.Value.fromUnsignedBigInt(param0),
+    ]);
+
+    return result[0].toAddress();
+  }
+
+  try_bidReferrers(param0: BigInt): ethereum.CallResult<Address> {
+    let result = super.tryCall(
+      "bidReferrers",
+      "bidReferrers(uint256):(address)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  bidTimestamps(param0: BigInt): BigInt {
+    let result = super.call(
+      "bidTimestamps",
+      "bidTimestamps(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_bidTimestamps(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "bidTimestamps",
+      "bidTimestamps(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  borrowerFeeRate(): BigInt {
+    let result = super.call(
+      "borrowerFeeRate",
+      "borrowerFeeRate():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_borrowerFeeRate(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "borrowerFeeRate",
+      "borrowerFeeRate():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  borrowerNote(): Address {
+    let result = super.call("borrowerNote", "borrowerNote():(address)", []);
+
+    return result[0].toAddress();
+  }
+
+  try_borrowerNote(): ethereum.CallResult<Address> {
+    let result = super.tryCall("borrowerNote", "borrowerNote():(address)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  collateralAmounts(param0: BigInt): BigInt {
+    let result = super.call(
+      "collateralAmounts",
+      "collateralAmounts(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_collateralAmounts(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "collateralAmounts",
+      "collateralAmounts(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  collateralizedBalance(param0: Address, param1: BigInt): BigInt {
+    let result = super.call(
+      "collateralizedBalance",
+      "collateralizedBalance(address,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_collateralizedBalance(
+    param0: Address,
+    param1: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "collateralizedBalance",
+      "collateralizedBalance(address,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  collectionCreatorFees(
+    param0: Address,
+  ): NFTLendAuctionV1__collectionCreatorFeesResult {
+    let result = super.call(
+      "collectionCreatorFees",
+      "collectionCreatorFees(address):(address,uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return new NFTLendAuctionV1__collectionCreatorFeesResult(
+      result[0].toAddress(),
+      result[1].toBigInt(),
+    );
+  }
+
+  try_collectionCreatorFees(
+    param0: Address,
+  ): ethereum.CallResult<NFTLendAuctionV1__collectionCreatorFeesResult> {
+    let result = super.tryCall(
+      "collectionCreatorFees",
+      "collectionCreatorFees(address):(address,uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__collectionCreatorFeesResult(
+        value[0].toAddress(),
+        value[1].toBigInt(),
+      ),
+    );
+  }
+
+  collectionOfferCounter(): BigInt {
+    let result = super.call(
+      "collectionOfferCounter",
+      "collectionOfferCounter():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_collectionOfferCounter(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "collectionOfferCounter",
+      "collectionOfferCounter():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  collectionOfferEscrow(param0: Address): BigInt {
+    let result = super.call(
+      "collectionOfferEscrow",
+      "collectionOfferEscrow(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_collectionOfferEscrow(param0: Address): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "collectionOfferEscrow",
+      "collectionOfferEscrow(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  collectionOffers(param0: BigInt): NFTLendAuctionV1__collectionOffersResult {
+    let result = super.call(
+      "collectionOffers",
+      "collectionOffers(uint256):(address,address,address,uint256,uint256,uint256,uint8,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return new NFTLendAuctionV1__collectionOffersResult(
+      result[0].toAddress(),
+      result[1].toAddress(),
+      result[2].toAddress(),
+      result[3].toBigInt(),
+      result[4].toBigInt(),
+      result[5].toBigInt(),
+      result[6].toI32(),
+      result[7].toBigInt(),
+    );
+  }
+
+  try_collectionOffers(
+    param0: BigInt,
+  ): ethereum.CallResult<NFTLendAuctionV1__collectionOffersResult> {
+    let result = super.tryCall(
+      "collectionOffers",
+      "collectionOffers(uint256):(address,address,address,uint256,uint256,uint256,uint8,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__collectionOffersResult(
+        value[0].toAddress(),
+        value[1].toAddress(),
+        value[2].toAddress(),
+        value[3].toBigInt(),
+        value[4].toBigInt(),
+        value[5].toBigInt(),
+        value[6].toI32(),
+        value[7].toBigInt(),
+      ),
+    );
+  }
+
+  collectionRiskParams(
+    param0: Address,
+  ): NFTLendAuctionV1__collectionRiskParamsResult {
+    let result = super.call(
+      "collectionRiskParams",
+      "collectionRiskParams(address):(uint256,uint256,uint256,uint256,bool,uint256,address,uint256,uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return new NFTLendAuctionV1__collectionRiskParamsResult(
+      result[0].toBigInt(),
+      result[1].toBigInt(),
+      result[2].toBigInt(),
+      result[3].toBigInt(),
+      result[4].toBoolean(),
+      result[5].toBigInt(),
+      result[6].toAddress(),
+      result[7].toBigInt(),
+      result[8].toBigInt(),
+    );
+  }
+
+  try_collectionRiskParams(
+    param0: Address,
+  ): ethereum.CallResult<NFTLendAuctionV1__collectionRiskParamsResult> {
+    let result = super.tryCall(
+      "collectionRiskParams",
+      "collectionRiskParams(address):(uint256,uint256,uint256,uint256,bool,uint256,address,uint256,uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__collectionRiskParamsResult(
+        value[0].toBigInt(),
+        value[1].toBigInt(),
+        value[2].toBigInt(),
+        value[3].toBigInt(),
+        value[4].toBoolean(),
+        value[5].toBigInt(),
+        value[6].toAddress(),
+        value[7].toBigInt(),
+        value[8].toBigInt(),
+      ),
+    );
+  }
+
+  escrowedFunds(param0: BigInt): BigInt {
+    let result = super.call(
+      "escrowedFunds",
+      "escrowedFunds(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_escrowedFunds(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "escrowedFunds",
+      "escrowedFunds(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  extension(): Address {
+    let result = super.call("extension", "extension():(address)", []);
+
+    return result[0].toAddress();
+  }
+
+  try_extension(): ethereum.CallResult<Address> {
+    let result = super.tryCall("extension", "extension():(address)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  extensionRequests(param0: BigInt): BigInt {
+    let result = super.call(
+      "extensionRequests",
+      "extensionRequests(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_extensionRequests(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "extensionRequests",
+      "extensionRequests(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  getRoleAdmin(role: Bytes): Bytes {
+    let result = super.call("getRoleAdmin", "getRoleAdmin(bytes32):(bytes32)", [
+      ethereum.Value.fromFixedBytes(role),
+    ]);
+
+    return result[0].toBytes();
+  }
+
+  try_getRoleAdmin(role: Bytes): ethereum.CallResult<Bytes> {
+    let result = super.tryCall(
+      "getRoleAdmin",
+      "getRoleAdmin(bytes32):(bytes32)",
+      [ethereum.Value.fromFixedBytes(role)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
+  getTotalRepayment(loanId: BigInt): BigInt {
+    let result = super.call(
+      "getTotalRepayment",
+      "getTotalRepayment(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(loanId)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_getTotalRepayment(loanId: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "getTotalRepayment",
+      "getTotalRepayment(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(loanId)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  governanceDelay(): BigInt {
+    let result = super.call(
+      "governanceDelay",
+      "governanceDelay():(uint256)",
+      [],
+    );
 
-  get account(): Address {
-    return this._event.parameters[1].value.toAddress();
+    return result[0].toBigInt();
   }
 
-  get sender(): Address {
-    return this._event.parameters[2].value.toAddress();
+  try_governanceDelay(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "governanceDelay",
+      "governanceDelay():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
-}
 
-export class NFTLendAuctionV1__loansResult {
-  value0: Address;
-  value1: Address;
-  value2: Address;
-  value3: BigInt;
-  value4: BigInt;
-  value5: BigInt;
-  value6: BigInt;
-  value7: BigInt;
-  value8: BigInt;
-  value9: i32;
-  value10: boolean;
+  gracePenaltyRate(): BigInt {
+    let result = super.call(
+      "gracePenaltyRate",
+      "gracePenaltyRate():(uint256)",
+      [],
+    );
 
-  constructor(
-    value0: Address,
-    value1: Address,
-    value2: Address,
-    value3: BigInt,
-    value4: BigInt,
-    value5: BigInt,
-    value6: BigInt,
-    value7: BigInt,
-    value8: BigInt,
-    value9: i32,
-    value10: boolean,
-  ) {
-    this.value0 = value0;
-    this.value1 = value1;
-    this.value2 = value2;
-    this.value3 = value3;
-    this.value4 = value4;
-    this.value5 = value5;
-    this.value6 = value6;
-    this.value7 = value7;
-    this.value8 = value8;
-    this.value9 = value9;
-    this.value10 = value10;
+    return result[0].toBigInt();
   }
 
-  toMap(): TypedMap<string, ethereum.Value> {
-    let map = new TypedMap<string, ethereum.Value>();
-    map.set("value0", ethereum.Value.fromAddress(this.value0));
-    map.set("value1", ethereum.Value.fromAddress(this.value1));
-    map.set("value2", ethereum.Value.fromAddress(this.value2));
-    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
-    map.set("value4", ethereum.Value.fromUnsignedBigInt(this.value4));
-    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
-    map.set("value6", ethereum.Value.fromUnsignedBigInt(this.value6));
-    map.set("value7", ethereum.Value.fromUnsignedBigInt(this.value7));
-    map.set("value8", ethereum.Value.fromUnsignedBigInt(this.value8));
-    map.set(
-      "value9",
-      ethereum.Value.fromUnsignedBigInt(BigInt.fromI32(this.value9)),
+  try_gracePenaltyRate(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "gracePenaltyRate",
+      "gracePenaltyRate():(uint256)",
+      [],
     );
-    map.set("value10", ethereum.Value.fromBoolean(this.value10));
-    return map;
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  getBorrower(): Address {
-    return this.value0;
-  }
+  gracePeriod(): BigInt {
+    let result = super.call("gracePeriod", "gracePeriod():(uint256)", []);
 
-  getLender(): Address {
-    return this.value1;
+    return result[0].toBigInt();
   }
 
-  getNftAddress(): Address {
-    return this.value2;
+  try_gracePeriod(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("gracePeriod", "gracePeriod():(uint256)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  getTokenId(): BigInt {
-    return this.value3;
-  }
+  hasRole(role: Bytes, account: Address): boolean {
+    let result = super.call("hasRole", "hasRole(bytes32,address):(bool)", [
+      ethereum.Value.fromFixedBytes(role),
+      ethereum.Value.fromAddress(account),
+    ]);
 
-  getLoanAmount(): BigInt {
-    return this.value4;
+    return result[0].toBoolean();
   }
 
-  getMaxInterestRate(): BigInt {
-    return this.value5;
+  try_hasRole(role: Bytes, account: Address): ethereum.CallResult<boolean> {
+    let result = super.tryCall("hasRole", "hasRole(bytes32,address):(bool)", [
+      ethereum.Value.fromFixedBytes(role),
+      ethereum.Value.fromAddress(account),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  getCurrentInterestRate(): BigInt {
-    return this.value6;
-  }
+  isCollateralized(param0: Address, param1: BigInt): boolean {
+    let result = super.call(
+      "isCollateralized",
+      "isCollateralized(address,uint256):(bool)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
 
-  getDuration(): BigInt {
-    return this.value7;
+    return result[0].toBoolean();
   }
 
-  getStartTime(): BigInt {
-    return this.value8;
+  try_isCollateralized(
+    param0: Address,
+    param1: BigInt,
+  ): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "isCollateralized",
+      "isCollateralized(address,uint256):(bool)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  getLoanType(): i32 {
-    return this.value9;
-  }
+  isERC1155Collection(param0: Address): boolean {
+    let result = super.call(
+      "isERC1155Collection",
+      "isERC1155Collection(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
 
-  getIsAccepted(): boolean {
-    return this.value10;
+    return result[0].toBoolean();
   }
-}
 
-export class NFTLendAuctionV1 extends ethereum.SmartContract {
-  static bind(address: Address): NFTLendAuctionV1 {
-    return new NFTLendAuctionV1("NFTLendAuctionV1", address);
+  try_isERC1155Collection(param0: Address): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "isERC1155Collection",
+      "isERC1155Collection(address):(bool)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  DEFAULT_ADMIN_ROLE(): Bytes {
+  isMinBidDecrementPercentage(): boolean {
     let result = super.call(
-      "DEFAULT_ADMIN_ROLE",
-      "DEFAULT_ADMIN_ROLE():(bytes32)",
+      "isMinBidDecrementPercentage",
+      "isMinBidDecrementPercentage():(bool)",
       [],
     );
 
-    return result[0].toBytes();
+    return result[0].toBoolean();
   }
 
-  try_DEFAULT_ADMIN_ROLE(): ethereum.CallResult<Bytes> {
+  try_isMinBidDecrementPercentage(): ethereum.CallResult<boolean> {
     let result = super.tryCall(
-      "DEFAULT_ADMIN_ROLE",
-      "DEFAULT_ADMIN_ROLE():(bytes32)",
+      "isMinBidDecrementPercentage",
+      "isMinBidDecrementPercentage():(bool)",
       [],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBytes());
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  MANAGER_ROLE(): Bytes {
-    let result = super.call("MANAGER_ROLE", "MANAGER_ROLE():(bytes32)", []);
+  lenderFeeRate(): BigInt {
+    let result = super.call("lenderFeeRate", "lenderFeeRate():(uint256)", []);
 
-    return result[0].toBytes();
+    return result[0].toBigInt();
   }
 
-  try_MANAGER_ROLE(): ethereum.CallResult<Bytes> {
-    let result = super.tryCall("MANAGER_ROLE", "MANAGER_ROLE():(bytes32)", []);
+  try_lenderFeeRate(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "lenderFeeRate",
+      "lenderFeeRate():(uint256)",
+      [],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBytes());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  OWNER_ROLE(): Bytes {
-    let result = super.call("OWNER_ROLE", "OWNER_ROLE():(bytes32)", []);
+  lenderNote(): Address {
+    let result = super.call("lenderNote", "lenderNote():(address)", []);
 
-    return result[0].toBytes();
+    return result[0].toAddress();
   }
 
-  try_OWNER_ROLE(): ethereum.CallResult<Bytes> {
-    let result = super.tryCall("OWNER_ROLE", "OWNER_ROLE():(bytes32)", []);
+  try_lenderNote(): ethereum.CallResult<Address> {
+    let result = super.tryCall("lenderNote", "lenderNote():(address)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBytes());
+    return ethereum.CallResult.fromValue(value[0].toAddress());
   }
 
-  activeLoanIds(param0: BigInt): BigInt {
+  liquidationAuctionDuration(): BigInt {
     let result = super.call(
-      "activeLoanIds",
-      "activeLoanIds(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
+      "liquidationAuctionDuration",
+      "liquidationAuctionDuration():(uint256)",
+      [],
     );
 
     return result[0].toBigInt();
   }
 
-  try_activeLoanIds(param0: BigInt): ethereum.CallResult<BigInt> {
+  try_liquidationAuctionDuration(): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "activeLoanIds",
-      "activeLoanIds(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
+      "liquidationAuctionDuration",
+      "liquidationAuctionDuration():(uint256)",
+      [],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
@@ -612,64 +3232,95 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  activeLoans(param0: BigInt): boolean {
-    let result = super.call("activeLoans", "activeLoans(uint256):(bool)", [
-      ethereum.Value.fromUnsignedBigInt(param0),
-    ]);
+  liquidations(param0: BigInt): NFTLendAuctionV1__liquidationsResult {
+    let result = super.call(
+      "liquidations",
+      "liquidations(uint256):(uint256,uint256,address)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
 
-    return result[0].toBoolean();
+    return new NFTLendAuctionV1__liquidationsResult(
+      result[0].toBigInt(),
+      result[1].toBigInt(),
+      result[2].toAddress(),
+    );
   }
 
-  try_activeLoans(param0: BigInt): ethereum.CallResult<boolean> {
-    let result = super.tryCall("activeLoans", "activeLoans(uint256):(bool)", [
-      ethereum.Value.fromUnsignedBigInt(param0),
-    ]);
+  try_liquidations(
+    param0: BigInt,
+  ): ethereum.CallResult<NFTLendAuctionV1__liquidationsResult> {
+    let result = super.tryCall(
+      "liquidations",
+      "liquidations(uint256):(uint256,uint256,address)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__liquidationsResult(
+        value[0].toBigInt(),
+        value[1].toBigInt(),
+        value[2].toAddress(),
+      ),
+    );
   }
 
-  allowedNFTContracts(param0: Address): boolean {
+  listingDeadlines(param0: BigInt): BigInt {
     let result = super.call(
-      "allowedNFTContracts",
-      "allowedNFTContracts(address):(bool)",
-      [ethereum.Value.fromAddress(param0)],
+      "listingDeadlines",
+      "listingDeadlines(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_listingDeadlines(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "listingDeadlines",
+      "listingDeadlines(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  listingReferrers(param0: BigInt): Address {
+    let result = super.call(
+      "listingReferrers",
+      "listingReferrers(uint256):(address)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
     );
 
-    return result[0].toBoolean();
+    return result[0].toAddress();
   }
 
-  try_allowedNFTContracts(param0: Address): ethereum.CallResult<boolean> {
+  try_listingReferrers(param0: BigInt): ethereum.CallResult<Address> {
     let result = super.tryCall(
-      "allowedNFTContracts",
-      "allowedNFTContracts(address):(bool)",
-      [ethereum.Value.fromAddress(param0)],
+      "listingReferrers",
+      "listingReferrers(uint256):(address)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toAddress());
   }
 
-  bidCancelPeriod(): BigInt {
-    let result = super.call(
-      "bidCancelPeriod",
-      "bidCancelPeriod():(uint256)",
-      [],
-    );
+  loanCounter(): BigInt {
+    let result = super.call("loanCounter", "loanCounter():(uint256)", []);
 
     return result[0].toBigInt();
   }
 
-  try_bidCancelPeriod(): ethereum.CallResult<BigInt> {
-    let result = super.tryCall(
-      "bidCancelPeriod",
-      "bidCancelPeriod():(uint256)",
-      [],
-    );
+  try_loanCounter(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("loanCounter", "loanCounter():(uint256)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
@@ -677,111 +3328,141 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  bidTimestamps(param0: BigInt): BigInt {
+  loanDelegates(param0: BigInt): Address {
     let result = super.call(
-      "bidTimestamps",
-      "bidTimestamps(uint256):(uint256)",
+      "loanDelegates",
+      "loanDelegates(uint256):(address)",
       [ethereum.Value.fromUnsignedBigInt(param0)],
     );
 
-    return result[0].toBigInt();
+    return result[0].toAddress();
   }
 
-  try_bidTimestamps(param0: BigInt): ethereum.CallResult<BigInt> {
+  try_loanDelegates(param0: BigInt): ethereum.CallResult<Address> {
     let result = super.tryCall(
-      "bidTimestamps",
-      "bidTimestamps(uint256):(uint256)",
+      "loanDelegates",
+      "loanDelegates(uint256):(address)",
       [ethereum.Value.fromUnsignedBigInt(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
+    return ethereum.CallResult.fromValue(value[0].toAddress());
   }
 
-  escrowedFunds(param0: BigInt): BigInt {
+  loans(param0: BigInt): NFTLendAuctionV1__loansResult {
     let result = super.call(
-      "escrowedFunds",
-      "escrowedFunds(uint256):(uint256)",
+      "loans",
+      "loans(uint256):(address,address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint8,bool,address,uint8)",
       [ethereum.Value.fromUnsignedBigInt(param0)],
     );
 
-    return result[0].toBigInt();
+    return new NFTLendAuctionV1__loansResult(
+      result[0].toAddress(),
+      result[1].toAddress(),
+      result[2].toAddress(),
+      result[3].toBigInt(),
+      result[4].toBigInt(),
+      result[5].toBigInt(),
+      result[6].toBigInt(),
+      result[7].toBigInt(),
+      result[8].toBigInt(),
+      result[9].toI32(),
+      result[10].toBoolean(),
+      result[11].toAddress(),
+      result[12].toI32(),
+    );
   }
 
-  try_escrowedFunds(param0: BigInt): ethereum.CallResult<BigInt> {
+  try_loans(
+    param0: BigInt,
+  ): ethereum.CallResult<NFTLendAuctionV1__loansResult> {
     let result = super.tryCall(
-      "escrowedFunds",
-      "escrowedFunds(uint256):(uint256)",
+      "loans",
+      "loans(uint256):(address,address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint8,bool,address,uint8)",
       [ethereum.Value.fromUnsignedBigInt(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__loansResult(
+        value[0].toAddress(),
+        value[1].toAddress(),
+        value[2].toAddress(),
+        value[3].toBigInt(),
+        value[4].toBigInt(),
+        value[5].toBigInt(),
+        value[6].toBigInt(),
+        value[7].toBigInt(),
+        value[8].toBigInt(),
+        value[9].toI32(),
+        value[10].toBoolean(),
+        value[11].toAddress(),
+        value[12].toI32(),
+      ),
+    );
   }
 
-  getActiveLoans(): Array<BigInt> {
-    let result = super.call(
-      "getActiveLoans",
-      "getActiveLoans():(uint256[])",
-      [],
-    );
+  maxActiveLoans(): BigInt {
+    let result = super.call("maxActiveLoans", "maxActiveLoans():(uint256)", []);
 
-    return result[0].toBigIntArray();
+    return result[0].toBigInt();
   }
 
-  try_getActiveLoans(): ethereum.CallResult<Array<BigInt>> {
+  try_maxActiveLoans(): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "getActiveLoans",
-      "getActiveLoans():(uint256[])",
+      "maxActiveLoans",
+      "maxActiveLoans():(uint256)",
       [],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigIntArray());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  getRoleAdmin(role: Bytes): Bytes {
-    let result = super.call("getRoleAdmin", "getRoleAdmin(bytes32):(bytes32)", [
-      ethereum.Value.fromFixedBytes(role),
-    ]);
+  minBidDecrement(): BigInt {
+    let result = super.call(
+      "minBidDecrement",
+      "minBidDecrement():(uint256)",
+      [],
+    );
 
-    return result[0].toBytes();
+    return result[0].toBigInt();
   }
 
-  try_getRoleAdmin(role: Bytes): ethereum.CallResult<Bytes> {
+  try_minBidDecrement(): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "getRoleAdmin",
-      "getRoleAdmin(bytes32):(bytes32)",
-      [ethereum.Value.fromFixedBytes(role)],
+      "minBidDecrement",
+      "minBidDecrement():(uint256)",
+      [],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBytes());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  getTotalRepayment(loanId: BigInt): BigInt {
+  minInterestPeriod(): BigInt {
     let result = super.call(
-      "getTotalRepayment",
-      "getTotalRepayment(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(loanId)],
+      "minInterestPeriod",
+      "minInterestPeriod():(uint256)",
+      [],
     );
 
     return result[0].toBigInt();
   }
 
-  try_getTotalRepayment(loanId: BigInt): ethereum.CallResult<BigInt> {
+  try_minInterestPeriod(): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "getTotalRepayment",
-      "getTotalRepayment(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(loanId)],
+      "minInterestPeriod",
+      "minInterestPeriod():(uint256)",
+      [],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
@@ -790,67 +3471,84 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  hasRole(role: Bytes, account: Address): boolean {
-    let result = super.call("hasRole", "hasRole(bytes32,address):(bool)", [
-      ethereum.Value.fromFixedBytes(role),
-      ethereum.Value.fromAddress(account),
-    ]);
+  minOfferNonce(param0: Address): BigInt {
+    let result = super.call(
+      "minOfferNonce",
+      "minOfferNonce(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
 
-    return result[0].toBoolean();
+    return result[0].toBigInt();
   }
 
-  try_hasRole(role: Bytes, account: Address): ethereum.CallResult<boolean> {
-    let result = super.tryCall("hasRole", "hasRole(bytes32,address):(bool)", [
-      ethereum.Value.fromFixedBytes(role),
-      ethereum.Value.fromAddress(account),
-    ]);
+  try_minOfferNonce(param0: Address): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "minOfferNonce",
+      "minOfferNonce(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  isCollateralized(param0: Address, param1: BigInt): boolean {
+  onERC721Received(
+    param0: Address,
+    from: Address,
+    param2: BigInt,
+    param3: Bytes,
+  ): Bytes {
     let result = super.call(
-      "isCollateralized",
-      "isCollateralized(address,uint256):(bool)",
+      "onERC721Received",
+      "onERC721Received(address,address,uint256,bytes):(bytes4)",
       [
         ethereum.Value.fromAddress(param0),
-        ethereum.Value.fromUnsignedBigInt(param1),
+        ethereum.Value.fromAddress(from),
+        ethereum.Value.fromUnsignedBigInt(param2),
+        ethereum.Value.fromBytes(param3),
       ],
     );
 
-    return result[0].toBoolean();
+    return result[0].toBytes();
   }
 
-  try_isCollateralized(
+  try_onERC721Received(
     param0: Address,
-    param1: BigInt,
-  ): ethereum.CallResult<boolean> {
+    from: Address,
+    param2: BigInt,
+    param3: Bytes,
+  ): ethereum.CallResult<Bytes> {
     let result = super.tryCall(
-      "isCollateralized",
-      "isCollateralized(address,uint256):(bool)",
+      "onERC721Received",
+      "onERC721Received(address,address,uint256,bytes):(bytes4)",
       [
         ethereum.Value.fromAddress(param0),
-        ethereum.Value.fromUnsignedBigInt(param1),
+        ethereum.Value.fromAddress(from),
+        ethereum.Value.fromUnsignedBigInt(param2),
+        ethereum.Value.fromBytes(param3),
       ],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toBytes());
   }
 
-  loanCounter(): BigInt {
-    let result = super.call("loanCounter", "loanCounter():(uint256)", []);
+  pausedActions(): BigInt {
+    let result = super.call("pausedActions", "pausedActions():(uint256)", []);
 
     return result[0].toBigInt();
   }
 
-  try_loanCounter(): ethereum.CallResult<BigInt> {
-    let result = super.tryCall("loanCounter", "loanCounter():(uint256)", []);
+  try_pausedActions(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "pausedActions",
+      "pausedActions():(uint256)",
+      [],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
@@ -858,68 +3556,47 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  loans(param0: BigInt): NFTLendAuctionV1__loansResult {
+  pendingWithdrawals(param0: Address, param1: Address): BigInt {
     let result = super.call(
-      "loans",
-      "loans(uint256):(address,address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint8,bool)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
+      "pendingWithdrawals",
+      "pendingWithdrawals(address,address):(uint256)",
+      [ethereum.Value.fromAddress(param0), ethereum.Value.fromAddress(param1)],
     );
 
-    return new NFTLendAuctionV1__loansResult(
-      result[0].toAddress(),
-      result[1].toAddress(),
-      result[2].toAddress(),
-      result[3].toBigInt(),
-      result[4].toBigInt(),
-      result[5].toBigInt(),
-      result[6].toBigInt(),
-      result[7].toBigInt(),
-      result[8].toBigInt(),
-      result[9].toI32(),
-      result[10].toBoolean(),
-    );
+    return result[0].toBigInt();
   }
 
-  try_loans(
-    param0: BigInt,
-  ): ethereum.CallResult<NFTLendAuctionV1__loansResult> {
+  try_pendingWithdrawals(
+    param0: Address,
+    param1: Address,
+  ): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "loans",
-      "loans(uint256):(address,address,address,uint256,uint256,uint256,uint256,uint256,uint256,uint8,bool)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
+      "pendingWithdrawals",
+      "pendingWithdrawals(address,address):(uint256)",
+      [ethereum.Value.fromAddress(param0), ethereum.Value.fromAddress(param1)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(
-      new NFTLendAuctionV1__loansResult(
-        value[0].toAddress(),
-        value[1].toAddress(),
-        value[2].toAddress(),
-        value[3].toBigInt(),
-        value[4].toBigInt(),
-        value[5].toBigInt(),
-        value[6].toBigInt(),
-        value[7].toBigInt(),
-        value[8].toBigInt(),
-        value[9].toI32(),
-        value[10].toBoolean(),
-      ),
-    );
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  maxActiveLoans(): BigInt {
-    let result = super.call("maxActiveLoans", "maxActiveLoans():(uint256)", []);
+  protocolFeeBalance(param0: Address): BigInt {
+    let result = super.call(
+      "protocolFeeBalance",
+      "protocolFeeBalance(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
 
     return result[0].toBigInt();
   }
 
-  try_maxActiveLoans(): ethereum.CallResult<BigInt> {
+  try_protocolFeeBalance(param0: Address): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "maxActiveLoans",
-      "maxActiveLoans():(uint256)",
-      [],
+      "protocolFeeBalance",
+      "protocolFeeBalance(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
@@ -928,21 +3605,21 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  pendingWithdrawals(param0: Address): BigInt {
+  queuedChanges(param0: Bytes): BigInt {
     let result = super.call(
-      "pendingWithdrawals",
-      "pendingWithdrawals(address):(uint256)",
-      [ethereum.Value.fromAddress(param0)],
+      "queuedChanges",
+      "queuedChanges(bytes32):(uint256)",
+      [ethereum.Value.fromFixedBytes(param0)],
     );
 
     return result[0].toBigInt();
   }
 
-  try_pendingWithdrawals(param0: Address): ethereum.CallResult<BigInt> {
+  try_queuedChanges(param0: Bytes): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "pendingWithdrawals",
-      "pendingWithdrawals(address):(uint256)",
-      [ethereum.Value.fromAddress(param0)],
+      "queuedChanges",
+      "queuedChanges(bytes32):(uint256)",
+      [ethereum.Value.fromFixedBytes(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
@@ -951,20 +3628,20 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  protocolFeeBalance(): BigInt {
+  referralFeeShare(): BigInt {
     let result = super.call(
-      "protocolFeeBalance",
-      "protocolFeeBalance():(uint256)",
+      "referralFeeShare",
+      "referralFeeShare():(uint256)",
       [],
     );
 
     return result[0].toBigInt();
   }
 
-  try_protocolFeeBalance(): ethereum.CallResult<BigInt> {
+  try_referralFeeShare(): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "protocolFeeBalance",
-      "protocolFeeBalance():(uint256)",
+      "referralFeeShare",
+      "referralFeeShare():(uint256)",
       [],
     );
     if (result.reverted) {
@@ -974,27 +3651,37 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  protocolFeeRate(): BigInt {
+  refinanceTerms(param0: BigInt): NFTLendAuctionV1__refinanceTermsResult {
     let result = super.call(
-      "protocolFeeRate",
-      "protocolFeeRate():(uint256)",
-      [],
+      "refinanceTerms",
+      "refinanceTerms(uint256):(uint256,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
     );
 
-    return result[0].toBigInt();
+    return new NFTLendAuctionV1__refinanceTermsResult(
+      result[0].toBigInt(),
+      result[1].toBigInt(),
+    );
   }
 
-  try_protocolFeeRate(): ethereum.CallResult<BigInt> {
+  try_refinanceTerms(
+    param0: BigInt,
+  ): ethereum.CallResult<NFTLendAuctionV1__refinanceTermsResult> {
     let result = super.tryCall(
-      "protocolFeeRate",
-      "protocolFeeRate():(uint256)",
-      [],
+      "refinanceTerms",
+      "refinanceTerms(uint256):(uint256,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
+    return ethereum.CallResult.fromValue(
+      new NFTLendAuctionV1__refinanceTermsResult(
+        value[0].toBigInt(),
+        value[1].toBigInt(),
+      ),
+    );
   }
 
   supportsInterface(interfaceId: Bytes): boolean {
@@ -1004,43 +3691,98 @@ export class NFTLendAuctionV1 extends ethereum.SmartContract {
       [ethereum.Value.fromFixedBytes(interfaceId)],
     );
 
-    return result[0].toBoolean();
+    return result[0].toBoolean();
+  }
+
+  try_supportsInterface(interfaceId: Bytes): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "supportsInterface",
+      "supportsInterface(bytes4):(bool)",
+      [ethereum.Value.fromFixedBytes(interfaceId)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  totalEscrowedFunds(param0: Address): BigInt {
+    let result = super.call(
+      "totalEscrowedFunds",
+      "totalEscrowedFunds(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_totalEscrowedFunds(param0: Address): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "totalEscrowedFunds",
+      "totalEscrowedFunds(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  totalPendingWithdrawals(param0: Address): BigInt {
+    let result = super.call(
+      "totalPendingWithdrawals",
+      "totalPendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBigInt();
   }
 
-  try_supportsInterface(interfaceId: Bytes): ethereum.CallResult<boolean> {
+  try_totalPendingWithdrawals(param0: Address): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "supportsInterface",
-      "supportsInterface(bytes4):(bool)",
-      [ethereum.Value.fromFixedBytes(interfaceId)],
+      "totalPendingWithdrawals",
+      "totalPendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  totalPendingWithdrawals(): BigInt {
+  usedOfferNonces(param0: Address, param1: BigInt): boolean {
     let result = super.call(
-      "totalPendingWithdrawals",
-      "totalPendingWithdrawals():(uint256)",
-      [],
+      "usedOfferNonces",
+      "usedOfferNonces(address,uint256):(bool)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
     );
 
-    return result[0].toBigInt();
+    return result[0].toBoolean();
   }
 
-  try_totalPendingWithdrawals(): ethereum.CallResult<BigInt> {
+  try_usedOfferNonces(
+    param0: Address,
+    param1: BigInt,
+  ): ethereum.CallResult<boolean> {
     let result = super.tryCall(
-      "totalPendingWithdrawals",
-      "totalPendingWithdrawals():(uint256)",
-      [],
+      "usedOfferNonces",
+      "usedOfferNonces(address,uint256):(bool)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 }
 
@@ -1064,6 +3806,10 @@ export class ConstructorCall__Inputs {
   get _govAddress(): Address {
     return this._call.inputValues[0].value.toAddress();
   }
+
+  get _extension(): Address {
+    return this._call.inputValues[1].value.toAddress();
+  }
 }
 
 export class ConstructorCall__Outputs {
@@ -1074,152 +3820,62 @@ export class ConstructorCall__Outputs {
   }
 }
 
-export class AcceptLoanCall extends ethereum.Call {
-  get inputs(): AcceptLoanCall__Inputs {
-    return new AcceptLoanCall__Inputs(this);
-  }
-
-  get outputs(): AcceptLoanCall__Outputs {
-    return new AcceptLoanCall__Outputs(this);
-  }
-}
-
-export class AcceptLoanCall__Inputs {
-  _call: AcceptLoanCall;
-
-  constructor(call: AcceptLoanCall) {
-    this._call = call;
-  }
-
-  get loanId(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
-}
-
-export class AcceptLoanCall__Outputs {
-  _call: AcceptLoanCall;
-
-  constructor(call: AcceptLoanCall) {
-    this._call = call;
-  }
-}
-
-export class CancelBidCall extends ethereum.Call {
-  get inputs(): CancelBidCall__Inputs {
-    return new CancelBidCall__Inputs(this);
-  }
-
-  get outputs(): CancelBidCall__Outputs {
-    return new CancelBidCall__Outputs(this);
-  }
-}
-
-export class CancelBidCall__Inputs {
-  _call: CancelBidCall;
-
-  constructor(call: CancelBidCall) {
-    this._call = call;
-  }
-
-  get loanId(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
-}
-
-export class CancelBidCall__Outputs {
-  _call: CancelBidCall;
-
-  constructor(call: CancelBidCall) {
-    this._call = call;
-  }
-}
-
-export class ClaimDefaultedLoanCall extends ethereum.Call {
-  get inputs(): ClaimDefaultedLoanCall__Inputs {
-    return new ClaimDefaultedLoanCall__Inputs(this);
+export class DefaultCall extends ethereum.Call {
+  get inputs(): DefaultCall__Inputs {
+    return new DefaultCall__Inputs(this);
   }
 
-  get outputs(): ClaimDefaultedLoanCall__Outputs {
-    return new ClaimDefaultedLoanCall__Outputs(this);
+  get outputs(): DefaultCall__Outputs {
+    return new DefaultCall__Outputs(this);
   }
 }
 
-export class ClaimDefaultedLoanCall__Inputs {
-  _call: ClaimDefaultedLoanCall;
+export class DefaultCall__Inputs {
+  _call: DefaultCall;
 
-  constructor(call: ClaimDefaultedLoanCall) {
+  constructor(call: DefaultCall) {
     this._call = call;
   }
-
-  get loanId(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
 }
 
-export class ClaimDefaultedLoanCall__Outputs {
-  _call: ClaimDefaultedLoanCall;
+export class DefaultCall__Outputs {
+  _call: DefaultCall;
 
-  constructor(call: ClaimDefaultedLoanCall) {
+  constructor(call: DefaultCall) {
     this._call = call;
   }
 }
 
-export class DelistLoanCall extends ethereum.Call {
-  get inputs(): DelistLoanCall__Inputs {
-    return new DelistLoanCall__Inputs(this);
+export class AcceptLoanCall extends ethereum.Call {
+  get inputs(): AcceptLoanCall__Inputs {
+    return new AcceptLoanCall__Inputs(this);
   }
 
-  get outputs(): DelistLoanCall__Outputs {
-    return new DelistLoanCall__Outputs(this);
+  get outputs(): AcceptLoanCall__Outputs {
+    return new AcceptLoanCall__Outputs(this);
   }
 }
 
-export class DelistLoanCall__Inputs {
-  _call: DelistLoanCall;
+export class AcceptLoanCall__Inputs {
+  _call: AcceptLoanCall;
 
-  constructor(call: DelistLoanCall) {
+  constructor(call: AcceptLoanCall) {
     this._call = call;
   }
 
   get loanId(): BigInt {
     return this._call.inputValues[0].value.toBigInt();
   }
-}
-
-export class DelistLoanCall__Outputs {
-  _call: DelistLoanCall;
-
-  constructor(call: DelistLoanCall) {
-    this._call = call;
-  }
-}
-
-export class GrantManagerRoleCall extends ethereum.Call {
-  get inputs(): GrantManagerRoleCall__Inputs {
-    return new GrantManagerRoleCall__Inputs(this);
-  }
 
-  get outputs(): GrantManagerRoleCall__Outputs {
-    return new GrantManagerRoleCall__Outputs(this);
-  }
-}
-
-export class GrantManagerRoleCall__Inputs {
-  _call: GrantManagerRoleCall;
-
-  constructor(call: GrantManagerRoleCall) {
-    this._call = call;
-  }
-
-  get account(): Address {
-    return this._call.inputValues[0].value.toAddress();
+  get bidId(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
   }
 }
 
-export class GrantManagerRoleCall__Outputs {
-  _call: GrantManagerRoleCall;
+export class AcceptLoanCall__Outputs {
+  _call: AcceptLoanCall;
 
-  constructor(call: GrantManagerRoleCall) {
+  constructor(call: AcceptLoanCall) {
     this._call = call;
   }
 }
@@ -1298,6 +3954,20 @@ export class ListLoanCall__Inputs {
   get loanType(): i32 {
     return this._call.inputValues[5].value.toI32();
   }
+
+  get currency(): Address {
+    return this._call.inputValues[6].value.toAddress();
+  }
+
+  get referrer(): Address {
+    return this._call.inputValues[7].value.toAddress();
+  }
+
+  get options(): ListLoanCallOptionsStruct {
+    return changetype<ListLoanCallOptionsStruct>(
+      this._call.inputValues[8].value.toTuple(),
+    );
+  }
 }
 
 export class ListLoanCall__Outputs {
@@ -1308,6 +3978,20 @@ export class ListLoanCall__Outputs {
   }
 }
 
+export class ListLoanCallOptionsStruct extends ethereum.Tuple {
+  get autoAcceptRate(): BigInt {
+    return this[0].toBigInt();
+  }
+
+  get listingDeadline(): BigInt {
+    return this[1].toBigInt();
+  }
+
+  get auctionEndTime(): BigInt {
+    return this[2].toBigInt();
+  }
+}
+
 export class PlaceBidCall extends ethereum.Call {
   get inputs(): PlaceBidCall__Inputs {
     return new PlaceBidCall__Inputs(this);
@@ -1332,6 +4016,10 @@ export class PlaceBidCall__Inputs {
   get interestRate(): BigInt {
     return this._call.inputValues[1].value.toBigInt();
   }
+
+  get referrer(): Address {
+    return this._call.inputValues[2].value.toAddress();
+  }
 }
 
 export class PlaceBidCall__Outputs {
@@ -1396,6 +4084,10 @@ export class RepayLoanCall__Inputs {
   get loanId(): BigInt {
     return this._call.inputValues[0].value.toBigInt();
   }
+
+  get referrer(): Address {
+    return this._call.inputValues[1].value.toAddress();
+  }
 }
 
 export class RepayLoanCall__Outputs {
@@ -1406,36 +4098,6 @@ export class RepayLoanCall__Outputs {
   }
 }
 
-export class RevokeManagerRoleCall extends ethereum.Call {
-  get inputs(): RevokeManagerRoleCall__Inputs {
-    return new RevokeManagerRoleCall__Inputs(this);
-  }
-
-  get outputs(): RevokeManagerRoleCall__Outputs {
-    return new RevokeManagerRoleCall__Outputs(this);
-  }
-}
-
-export class RevokeManagerRoleCall__Inputs {
-  _call: RevokeManagerRoleCall;
-
-  constructor(call: RevokeManagerRoleCall) {
-    this._call = call;
-  }
-
-  get account(): Address {
-    return this._call.inputValues[0].value.toAddress();
-  }
-}
-
-export class RevokeManagerRoleCall__Outputs {
-  _call: RevokeManagerRoleCall;
-
-  constructor(call: RevokeManagerRoleCall) {
-    this._call = call;
-  }
-}
-
 export class RevokeRoleCall extends ethereum.Call {
   get inputs(): RevokeRoleCall__Inputs {
     return new RevokeRoleCall__Inputs(this);
@@ -1470,130 +4132,6 @@ export class RevokeRoleCall__Outputs {
   }
 }
 
-export class SetBidCancelPeriodCall extends ethereum.Call {
-  get inputs(): SetBidCancelPeriodCall__Inputs {
-    return new SetBidCancelPeriodCall__Inputs(this);
-  }
-
-  get outputs(): SetBidCancelPeriodCall__Outputs {
-    return new SetBidCancelPeriodCall__Outputs(this);
-  }
-}
-
-export class SetBidCancelPeriodCall__Inputs {
-  _call: SetBidCancelPeriodCall;
-
-  constructor(call: SetBidCancelPeriodCall) {
-    this._call = call;
-  }
-
-  get newBidCancelPeriod(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
-}
-
-export class SetBidCancelPeriodCall__Outputs {
-  _call: SetBidCancelPeriodCall;
-
-  constructor(call: SetBidCancelPeriodCall) {
-    this._call = call;
-  }
-}
-
-export class SetMaxActiveLoansCall extends ethereum.Call {
-  get inputs(): SetMaxActiveLoansCall__Inputs {
-    return new SetMaxActiveLoansCall__Inputs(this);
-  }
-
-  get outputs(): SetMaxActiveLoansCall__Outputs {
-    return new SetMaxActiveLoansCall__Outputs(this);
-  }
-}
-
-export class SetMaxActiveLoansCall__Inputs {
-  _call: SetMaxActiveLoansCall;
-
-  constructor(call: SetMaxActiveLoansCall) {
-    this._call = call;
-  }
-
-  get newMax(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
-}
-
-export class SetMaxActiveLoansCall__Outputs {
-  _call: SetMaxActiveLoansCall;
-
-  constructor(call: SetMaxActiveLoansCall) {
-    this._call = call;
-  }
-}
-
-export class SetProtocolFeeRateCall extends ethereum.Call {
-  get inputs(): SetProtocolFeeRateCall__Inputs {
-    return new SetProtocolFeeRateCall__Inputs(this);
-  }
-
-  get outputs(): SetProtocolFeeRateCall__Outputs {
-    return new SetProtocolFeeRateCall__Outputs(this);
-  }
-}
-
-export class SetProtocolFeeRateCall__Inputs {
-  _call: SetProtocolFeeRateCall;
-
-  constructor(call: SetProtocolFeeRateCall) {
-    this._call = call;
-  }
-
-  get newFeeRate(): BigInt {
-    return this._call.inputValues[0].value.toBigInt();
-  }
-}
-
-export class SetProtocolFeeRateCall__Outputs {
-  _call: SetProtocolFeeRateCall;
-
-  constructor(call: SetProtocolFeeRateCall) {
-    this._call = call;
-  }
-}
-
-export class UpdateAllowedNFTCall extends ethereum.Call {
-  get inputs(): UpdateAllowedNFTCall__Inputs {
-    return new UpdateAllowedNFTCall__Inputs(this);
-  }
-
-  get outputs(): UpdateAllowedNFTCall__Outputs {
-    return new UpdateAllowedNFTCall__Outputs(this);
-  }
-}
-
-export class UpdateAllowedNFTCall__Inputs {
-  _call: UpdateAllowedNFTCall;
-
-  constructor(call: UpdateAllowedNFTCall) {
-    this._call = call;
-  }
-
-  get nftAddress(): Address {
-    return this._call.inputValues[0].value.toAddress();
-  }
-
-  get allowed(): boolean {
-    return this._call.inputValues[1].value.toBoolean();
-  }
-}
-
-export class UpdateAllowedNFTCall__Outputs {
-  _call: UpdateAllowedNFTCall;
-
-  constructor(call: UpdateAllowedNFTCall) {
-    this._call = call;
-  }
-}
-
 export class WithdrawFundsCall extends ethereum.Call {
   get inputs(): WithdrawFundsCall__Inputs {
     return new WithdrawFundsCall__Inputs(this);
@@ -1611,45 +4149,19 @@ export class WithdrawFundsCall__Inputs {
     this._call = call;
   }
 
-  get to(): Address {
+  get currency(): Address {
     return this._call.inputValues[0].value.toAddress();
   }
-}
-
-export class WithdrawFundsCall__Outputs {
-  _call: WithdrawFundsCall;
-
-  constructor(call: WithdrawFundsCall) {
-    this._call = call;
-  }
-}
-
-export class WithdrawProtocolFeesCall extends ethereum.Call {
-  get inputs(): WithdrawProtocolFeesCall__Inputs {
-    return new WithdrawProtocolFeesCall__Inputs(this);
-  }
-
-  get outputs(): WithdrawProtocolFeesCall__Outputs {
-    return new WithdrawProtocolFeesCall__Outputs(this);
-  }
-}
-
-export class WithdrawProtocolFeesCall__Inputs {
-  _call: WithdrawProtocolFeesCall;
-
-  constructor(call: WithdrawProtocolFeesCall) {
-    this._call = call;
-  }
 
   get to(): Address {
-    return this._call.inputValues[0].value.toAddress();
+    return this._call.inputValues[1].value.toAddress();
   }
 }
 
-export class WithdrawProtocolFeesCall__Outputs {
-  _call: WithdrawProtocolFeesCall;
+export class WithdrawFundsCall__Outputs {
+  _call: WithdrawFundsCall;
 
-  constructor(call: WithdrawProtocolFeesCall) {
+  constructor(call: WithdrawFundsCall) {
     this._call = call;
   }
 }
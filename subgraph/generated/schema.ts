@@ -9,6 +9,7 @@ import {
   Bytes,
   BigInt,
   BigDecimal,
+  Int8,
 } from "@graphprotocol/graph-ts";
 
 export class Loan extends Entity {
@@ -106,6 +107,53 @@ export class Loan extends Entity {
     this.set("tokenId", Value.fromBigInt(value));
   }
 
+  get collection(): string {
+    let value = this.get("collection");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collection(value: string) {
+    this.set("collection", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get collateralAmount(): BigInt {
+    let value = this.get("collateralAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set collateralAmount(value: BigInt) {
+    this.set("collateralAmount", Value.fromBigInt(value));
+  }
+
+  get bundleItems(): BundleItemLoader {
+    return new BundleItemLoader(
+      "Loan",
+      this.get("id")!.toString(),
+      "bundleItems",
+    );
+  }
+
   get loanAmount(): BigDecimal {
     let value = this.get("loanAmount");
     if (!value || value.kind == ValueKind.NULL) {
@@ -213,57 +261,230 @@ export class Loan extends Entity {
   set loanType(value: string) {
     this.set("loanType", Value.fromString(value));
   }
-}
 
-export class User extends Entity {
-  constructor(id: string) {
-    super();
-    this.set("id", Value.fromString(id));
+  get autoAcceptRate(): BigDecimal | null {
+    let value = this.get("autoAcceptRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
   }
 
-  save(): void {
-    let id = this.get("id");
-    assert(id != null, "Cannot save User entity without an ID");
-    if (id) {
-      assert(
-        id.kind == ValueKind.STRING,
-        `Entities of type User must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
-      );
-      store.set("User", id.toString(), this);
+  set autoAcceptRate(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("autoAcceptRate");
+    } else {
+      this.set("autoAcceptRate", Value.fromBigDecimal(<BigDecimal>value));
     }
   }
 
-  static loadInBlock(id: string): User | null {
-    return changetype<User | null>(store.get_in_block("User", id));
+  get listingDeadline(): BigInt | null {
+    let value = this.get("listingDeadline");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
   }
 
-  static load(id: string): User | null {
-    return changetype<User | null>(store.get("User", id));
+  set listingDeadline(value: BigInt | null) {
+    if (!value) {
+      this.unset("listingDeadline");
+    } else {
+      this.set("listingDeadline", Value.fromBigInt(<BigInt>value));
+    }
   }
 
-  get id(): string {
-    let value = this.get("id");
+  get auctionEndTime(): BigInt | null {
+    let value = this.get("auctionEndTime");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set auctionEndTime(value: BigInt | null) {
+    if (!value) {
+      this.unset("auctionEndTime");
+    } else {
+      this.set("auctionEndTime", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get bids(): BidLoader {
+    return new BidLoader("Loan", this.get("id")!.toString(), "bids");
+  }
+
+  get bidCount(): i32 {
+    let value = this.get("bidCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set bidCount(value: i32) {
+    this.set("bidCount", Value.fromI32(value));
+  }
+
+  get currentBid(): string | null {
+    let value = this.get("currentBid");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currentBid(value: string | null) {
+    if (!value) {
+      this.unset("currentBid");
+    } else {
+      this.set("currentBid", Value.fromString(<string>value));
+    }
+  }
+
+  get escrowAmount(): BigDecimal {
+    let value = this.get("escrowAmount");
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set escrowAmount(value: BigDecimal) {
+    this.set("escrowAmount", Value.fromBigDecimal(value));
+  }
+
+  get bookBids(): BookBidLoader {
+    return new BookBidLoader("Loan", this.get("id")!.toString(), "bookBids");
+  }
+
+  get offerNonce(): BigInt | null {
+    let value = this.get("offerNonce");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set offerNonce(value: BigInt | null) {
+    if (!value) {
+      this.unset("offerNonce");
+    } else {
+      this.set("offerNonce", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get collectionOffer(): string | null {
+    let value = this.get("collectionOffer");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
     } else {
       return value.toString();
     }
   }
 
-  set id(value: string) {
-    this.set("id", Value.fromString(value));
+  set collectionOffer(value: string | null) {
+    if (!value) {
+      this.unset("collectionOffer");
+    } else {
+      this.set("collectionOffer", Value.fromString(<string>value));
+    }
   }
 
-  get loansBorrowed(): LoanLoader {
-    return new LoanLoader("User", this.get("id")!.toString(), "loansBorrowed");
+  get listingReferrer(): string | null {
+    let value = this.get("listingReferrer");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
   }
 
-  get loansLended(): LoanLoader {
-    return new LoanLoader("User", this.get("id")!.toString(), "loansLended");
+  set listingReferrer(value: string | null) {
+    if (!value) {
+      this.unset("listingReferrer");
+    } else {
+      this.set("listingReferrer", Value.fromString(<string>value));
+    }
   }
 
-  get totalWithdrawn(): BigDecimal {
-    let value = this.get("totalWithdrawn");
+  get bidReferrer(): string | null {
+    let value = this.get("bidReferrer");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set bidReferrer(value: string | null) {
+    if (!value) {
+      this.unset("bidReferrer");
+    } else {
+      this.set("bidReferrer", Value.fromString(<string>value));
+    }
+  }
+
+  get maxRefinanceRate(): BigDecimal | null {
+    let value = this.get("maxRefinanceRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set maxRefinanceRate(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("maxRefinanceRate");
+    } else {
+      this.set("maxRefinanceRate", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get minRefinanceDuration(): BigInt | null {
+    let value = this.get("minRefinanceDuration");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set minRefinanceDuration(value: BigInt | null) {
+    if (!value) {
+      this.unset("minRefinanceDuration");
+    } else {
+      this.set("minRefinanceDuration", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get requestedDuration(): BigInt | null {
+    let value = this.get("requestedDuration");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set requestedDuration(value: BigInt | null) {
+    if (!value) {
+      this.unset("requestedDuration");
+    } else {
+      this.set("requestedDuration", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get principalRepaid(): BigDecimal {
+    let value = this.get("principalRepaid");
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error("Cannot return null for a required field.");
     } else {
@@ -271,12 +492,12 @@ export class User extends Entity {
     }
   }
 
-  set totalWithdrawn(value: BigDecimal) {
-    this.set("totalWithdrawn", Value.fromBigDecimal(value));
+  set principalRepaid(value: BigDecimal) {
+    this.set("principalRepaid", Value.fromBigDecimal(value));
   }
 
-  get pendingWithdraw(): BigDecimal {
-    let value = this.get("pendingWithdraw");
+  get interestPaid(): BigDecimal {
+    let value = this.get("interestPaid");
     if (!value || value.kind == ValueKind.NULL) {
       throw new Error("Cannot return null for a required field.");
     } else {
@@ -284,25 +505,3213 @@ export class User extends Entity {
     }
   }
 
-  set pendingWithdraw(value: BigDecimal) {
-    this.set("pendingWithdraw", Value.fromBigDecimal(value));
+  set interestPaid(value: BigDecimal) {
+    this.set("interestPaid", Value.fromBigDecimal(value));
   }
-}
 
-export class LoanLoader extends Entity {
-  _entity: string;
-  _field: string;
-  _id: string;
+  get repaymentAmount(): BigDecimal | null {
+    let value = this.get("repaymentAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
 
-  constructor(entity: string, id: string, field: string) {
-    super();
-    this._entity = entity;
-    this._id = id;
-    this._field = field;
+  set repaymentAmount(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("repaymentAmount");
+    } else {
+      this.set("repaymentAmount", Value.fromBigDecimal(<BigDecimal>value));
+    }
   }
 
-  load(): Loan[] {
-    let value = store.loadRelated(this._entity, this._id, this._field);
-    return changetype<Loan[]>(value);
+  get repayments(): RepaymentLoader {
+    return new RepaymentLoader(
+      "Loan",
+      this.get("id")!.toString(),
+      "repayments",
+    );
+  }
+
+  get defaults(): DefaultLoader {
+    return new DefaultLoader("Loan", this.get("id")!.toString(), "defaults");
+  }
+
+  get delegate(): Bytes | null {
+    let value = this.get("delegate");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set delegate(value: Bytes | null) {
+    if (!value) {
+      this.unset("delegate");
+    } else {
+      this.set("delegate", Value.fromBytes(<Bytes>value));
+    }
+  }
+
+  get airdrops(): AirdropForwardLoader {
+    return new AirdropForwardLoader(
+      "Loan",
+      this.get("id")!.toString(),
+      "airdrops",
+    );
+  }
+
+  get liquidationDebt(): BigDecimal | null {
+    let value = this.get("liquidationDebt");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set liquidationDebt(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("liquidationDebt");
+    } else {
+      this.set("liquidationDebt", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get liquidationEndTime(): BigInt | null {
+    let value = this.get("liquidationEndTime");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set liquidationEndTime(value: BigInt | null) {
+    if (!value) {
+      this.unset("liquidationEndTime");
+    } else {
+      this.set("liquidationEndTime", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get liquidationBidder(): string | null {
+    let value = this.get("liquidationBidder");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set liquidationBidder(value: string | null) {
+    if (!value) {
+      this.unset("liquidationBidder");
+    } else {
+      this.set("liquidationBidder", Value.fromString(<string>value));
+    }
+  }
+
+  get liquidationBid(): BigDecimal | null {
+    let value = this.get("liquidationBid");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set liquidationBid(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("liquidationBid");
+    } else {
+      this.set("liquidationBid", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get liquidationWinner(): string | null {
+    let value = this.get("liquidationWinner");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set liquidationWinner(value: string | null) {
+    if (!value) {
+      this.unset("liquidationWinner");
+    } else {
+      this.set("liquidationWinner", Value.fromString(<string>value));
+    }
+  }
+
+  get closedAt(): BigInt | null {
+    let value = this.get("closedAt");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set closedAt(value: BigInt | null) {
+    if (!value) {
+      this.unset("closedAt");
+    } else {
+      this.set("closedAt", Value.fromBigInt(<BigInt>value));
+    }
+  }
+}
+
+export class User extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save User entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type User must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("User", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): User | null {
+    return changetype<User | null>(store.get_in_block("User", id));
+  }
+
+  static load(id: string): User | null {
+    return changetype<User | null>(store.get("User", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loansBorrowed(): LoanLoader {
+    return new LoanLoader("User", this.get("id")!.toString(), "loansBorrowed");
+  }
+
+  get loansLended(): LoanLoader {
+    return new LoanLoader("User", this.get("id")!.toString(), "loansLended");
+  }
+
+  get balances(): BalanceLoader {
+    return new BalanceLoader("User", this.get("id")!.toString(), "balances");
+  }
+
+  get totalWithdrawn(): BigDecimal {
+    let value = this.get("totalWithdrawn");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalWithdrawn(value: BigDecimal) {
+    this.set("totalWithdrawn", Value.fromBigDecimal(value));
+  }
+
+  get pendingWithdraw(): BigDecimal {
+    let value = this.get("pendingWithdraw");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set pendingWithdraw(value: BigDecimal) {
+    this.set("pendingWithdraw", Value.fromBigDecimal(value));
+  }
+
+  get minOfferNonce(): BigInt {
+    let value = this.get("minOfferNonce");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set minOfferNonce(value: BigInt) {
+    this.set("minOfferNonce", Value.fromBigInt(value));
+  }
+}
+
+export class Balance extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Balance entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Balance must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Balance", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Balance | null {
+    return changetype<Balance | null>(store.get_in_block("Balance", id));
+  }
+
+  static load(id: string): Balance | null {
+    return changetype<Balance | null>(store.get("Balance", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get user(): string {
+    let value = this.get("user");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set user(value: string) {
+    this.set("user", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get totalWithdrawn(): BigDecimal {
+    let value = this.get("totalWithdrawn");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalWithdrawn(value: BigDecimal) {
+    this.set("totalWithdrawn", Value.fromBigDecimal(value));
+  }
+
+  get pendingWithdraw(): BigDecimal {
+    let value = this.get("pendingWithdraw");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set pendingWithdraw(value: BigDecimal) {
+    this.set("pendingWithdraw", Value.fromBigDecimal(value));
+  }
+}
+
+export class Currency extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Currency entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Currency must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Currency", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Currency | null {
+    return changetype<Currency | null>(store.get_in_block("Currency", id));
+  }
+
+  static load(id: string): Currency | null {
+    return changetype<Currency | null>(store.get("Currency", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get symbol(): string {
+    let value = this.get("symbol");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set symbol(value: string) {
+    this.set("symbol", Value.fromString(value));
+  }
+
+  get decimals(): i32 {
+    let value = this.get("decimals");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set decimals(value: i32) {
+    this.set("decimals", Value.fromI32(value));
+  }
+
+  get allowed(): boolean {
+    let value = this.get("allowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set allowed(value: boolean) {
+    this.set("allowed", Value.fromBoolean(value));
+  }
+
+  get protocolFeesDistributed(): BigDecimal {
+    let value = this.get("protocolFeesDistributed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set protocolFeesDistributed(value: BigDecimal) {
+    this.set("protocolFeesDistributed", Value.fromBigDecimal(value));
+  }
+
+  get protocolFeesWithdrawn(): BigDecimal {
+    let value = this.get("protocolFeesWithdrawn");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set protocolFeesWithdrawn(value: BigDecimal) {
+    this.set("protocolFeesWithdrawn", Value.fromBigDecimal(value));
+  }
+
+  get totalVolume(): BigDecimal {
+    let value = this.get("totalVolume");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalVolume(value: BigDecimal) {
+    this.set("totalVolume", Value.fromBigDecimal(value));
+  }
+
+  get totalBorrowed(): BigDecimal {
+    let value = this.get("totalBorrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalBorrowed(value: BigDecimal) {
+    this.set("totalBorrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalEscrowed(): BigDecimal {
+    let value = this.get("totalEscrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalEscrowed(value: BigDecimal) {
+    this.set("totalEscrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalValueLocked(): BigDecimal {
+    let value = this.get("totalValueLocked");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalValueLocked(value: BigDecimal) {
+    this.set("totalValueLocked", Value.fromBigDecimal(value));
+  }
+
+  get totalInterestPaid(): BigDecimal {
+    let value = this.get("totalInterestPaid");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalInterestPaid(value: BigDecimal) {
+    this.set("totalInterestPaid", Value.fromBigDecimal(value));
+  }
+
+  get totalProtocolFees(): BigDecimal {
+    let value = this.get("totalProtocolFees");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalProtocolFees(value: BigDecimal) {
+    this.set("totalProtocolFees", Value.fromBigDecimal(value));
+  }
+}
+
+export class Collection extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Collection entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Collection must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Collection", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Collection | null {
+    return changetype<Collection | null>(store.get_in_block("Collection", id));
+  }
+
+  static load(id: string): Collection | null {
+    return changetype<Collection | null>(store.get("Collection", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get allowed(): boolean {
+    let value = this.get("allowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set allowed(value: boolean) {
+    this.set("allowed", Value.fromBoolean(value));
+  }
+
+  get loans(): LoanLoader {
+    return new LoanLoader("Collection", this.get("id")!.toString(), "loans");
+  }
+
+  get volumes(): CollectionVolumeLoader {
+    return new CollectionVolumeLoader(
+      "Collection",
+      this.get("id")!.toString(),
+      "volumes",
+    );
+  }
+
+  get loanCount(): i32 {
+    let value = this.get("loanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set loanCount(value: i32) {
+    this.set("loanCount", Value.fromI32(value));
+  }
+
+  get activeLoanCount(): i32 {
+    let value = this.get("activeLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set activeLoanCount(value: i32) {
+    this.set("activeLoanCount", Value.fromI32(value));
+  }
+
+  get repaidLoanCount(): i32 {
+    let value = this.get("repaidLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set repaidLoanCount(value: i32) {
+    this.set("repaidLoanCount", Value.fromI32(value));
+  }
+
+  get defaultedLoanCount(): i32 {
+    let value = this.get("defaultedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set defaultedLoanCount(value: i32) {
+    this.set("defaultedLoanCount", Value.fromI32(value));
+  }
+
+  get defaultRatio(): BigDecimal {
+    let value = this.get("defaultRatio");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set defaultRatio(value: BigDecimal) {
+    this.set("defaultRatio", Value.fromBigDecimal(value));
+  }
+
+  get maxLoanAmount(): BigInt | null {
+    let value = this.get("maxLoanAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxLoanAmount(value: BigInt | null) {
+    if (!value) {
+      this.unset("maxLoanAmount");
+    } else {
+      this.set("maxLoanAmount", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get minDuration(): BigInt | null {
+    let value = this.get("minDuration");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set minDuration(value: BigInt | null) {
+    if (!value) {
+      this.unset("minDuration");
+    } else {
+      this.set("minDuration", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get maxDuration(): BigInt | null {
+    let value = this.get("maxDuration");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxDuration(value: BigInt | null) {
+    if (!value) {
+      this.unset("maxDuration");
+    } else {
+      this.set("maxDuration", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get maxInterestRate(): BigDecimal | null {
+    let value = this.get("maxInterestRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set maxInterestRate(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("maxInterestRate");
+    } else {
+      this.set("maxInterestRate", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get hasFeeOverride(): boolean {
+    let value = this.get("hasFeeOverride");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set hasFeeOverride(value: boolean) {
+    this.set("hasFeeOverride", Value.fromBoolean(value));
+  }
+
+  get feeRate(): BigDecimal | null {
+    let value = this.get("feeRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set feeRate(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("feeRate");
+    } else {
+      this.set("feeRate", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get oracle(): Bytes | null {
+    let value = this.get("oracle");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set oracle(value: Bytes | null) {
+    if (!value) {
+      this.unset("oracle");
+    } else {
+      this.set("oracle", Value.fromBytes(<Bytes>value));
+    }
+  }
+
+  get maxLoanToValue(): BigDecimal | null {
+    let value = this.get("maxLoanToValue");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set maxLoanToValue(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("maxLoanToValue");
+    } else {
+      this.set("maxLoanToValue", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get maxPriceAge(): BigInt | null {
+    let value = this.get("maxPriceAge");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxPriceAge(value: BigInt | null) {
+    if (!value) {
+      this.unset("maxPriceAge");
+    } else {
+      this.set("maxPriceAge", Value.fromBigInt(<BigInt>value));
+    }
+  }
+
+  get creator(): Bytes | null {
+    let value = this.get("creator");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set creator(value: Bytes | null) {
+    if (!value) {
+      this.unset("creator");
+    } else {
+      this.set("creator", Value.fromBytes(<Bytes>value));
+    }
+  }
+
+  get creatorFeeShare(): BigDecimal | null {
+    let value = this.get("creatorFeeShare");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set creatorFeeShare(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("creatorFeeShare");
+    } else {
+      this.set("creatorFeeShare", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+}
+
+export class Protocol extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Protocol entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Protocol must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Protocol", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Protocol | null {
+    return changetype<Protocol | null>(store.get_in_block("Protocol", id));
+  }
+
+  static load(id: string): Protocol | null {
+    return changetype<Protocol | null>(store.get("Protocol", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loanCount(): i32 {
+    let value = this.get("loanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set loanCount(value: i32) {
+    this.set("loanCount", Value.fromI32(value));
+  }
+
+  get activeLoanCount(): i32 {
+    let value = this.get("activeLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set activeLoanCount(value: i32) {
+    this.set("activeLoanCount", Value.fromI32(value));
+  }
+
+  get repaidLoanCount(): i32 {
+    let value = this.get("repaidLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set repaidLoanCount(value: i32) {
+    this.set("repaidLoanCount", Value.fromI32(value));
+  }
+
+  get defaultedLoanCount(): i32 {
+    let value = this.get("defaultedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set defaultedLoanCount(value: i32) {
+    this.set("defaultedLoanCount", Value.fromI32(value));
+  }
+
+  get bidCount(): i32 {
+    let value = this.get("bidCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set bidCount(value: i32) {
+    this.set("bidCount", Value.fromI32(value));
+  }
+
+  get borrowerFeeRate(): BigDecimal {
+    let value = this.get("borrowerFeeRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set borrowerFeeRate(value: BigDecimal) {
+    this.set("borrowerFeeRate", Value.fromBigDecimal(value));
+  }
+
+  get lenderFeeRate(): BigDecimal {
+    let value = this.get("lenderFeeRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set lenderFeeRate(value: BigDecimal) {
+    this.set("lenderFeeRate", Value.fromBigDecimal(value));
+  }
+
+  get feeRecipients(): Array<Bytes> {
+    let value = this.get("feeRecipients");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytesArray();
+    }
+  }
+
+  set feeRecipients(value: Array<Bytes>) {
+    this.set("feeRecipients", Value.fromBytesArray(value));
+  }
+
+  get feeRecipientShares(): Array<BigDecimal> {
+    let value = this.get("feeRecipientShares");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimalArray();
+    }
+  }
+
+  set feeRecipientShares(value: Array<BigDecimal>) {
+    this.set("feeRecipientShares", Value.fromBigDecimalArray(value));
+  }
+
+  get referralFeeShare(): BigDecimal {
+    let value = this.get("referralFeeShare");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set referralFeeShare(value: BigDecimal) {
+    this.set("referralFeeShare", Value.fromBigDecimal(value));
+  }
+
+  get bidCancelPeriod(): BigInt {
+    let value = this.get("bidCancelPeriod");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set bidCancelPeriod(value: BigInt) {
+    this.set("bidCancelPeriod", Value.fromBigInt(value));
+  }
+
+  get maxActiveLoans(): BigInt {
+    let value = this.get("maxActiveLoans");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set maxActiveLoans(value: BigInt) {
+    this.set("maxActiveLoans", Value.fromBigInt(value));
+  }
+
+  get gracePeriod(): BigInt {
+    let value = this.get("gracePeriod");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set gracePeriod(value: BigInt) {
+    this.set("gracePeriod", Value.fromBigInt(value));
+  }
+
+  get gracePenaltyRate(): BigDecimal {
+    let value = this.get("gracePenaltyRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set gracePenaltyRate(value: BigDecimal) {
+    this.set("gracePenaltyRate", Value.fromBigDecimal(value));
+  }
+
+  get liquidationAuctionDuration(): BigInt {
+    let value = this.get("liquidationAuctionDuration");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set liquidationAuctionDuration(value: BigInt) {
+    this.set("liquidationAuctionDuration", Value.fromBigInt(value));
+  }
+
+  get minInterestPeriod(): BigInt {
+    let value = this.get("minInterestPeriod");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set minInterestPeriod(value: BigInt) {
+    this.set("minInterestPeriod", Value.fromBigInt(value));
+  }
+
+  get minBidDecrement(): BigDecimal {
+    let value = this.get("minBidDecrement");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set minBidDecrement(value: BigDecimal) {
+    this.set("minBidDecrement", Value.fromBigDecimal(value));
+  }
+
+  get isMinBidDecrementPercentage(): boolean {
+    let value = this.get("isMinBidDecrementPercentage");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isMinBidDecrementPercentage(value: boolean) {
+    this.set("isMinBidDecrementPercentage", Value.fromBoolean(value));
+  }
+
+  get auctionExtensionWindow(): BigInt {
+    let value = this.get("auctionExtensionWindow");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set auctionExtensionWindow(value: BigInt) {
+    this.set("auctionExtensionWindow", Value.fromBigInt(value));
+  }
+
+  get governanceDelay(): BigInt {
+    let value = this.get("governanceDelay");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set governanceDelay(value: BigInt) {
+    this.set("governanceDelay", Value.fromBigInt(value));
+  }
+
+  get pausedActions(): BigInt {
+    let value = this.get("pausedActions");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set pausedActions(value: BigInt) {
+    this.set("pausedActions", Value.fromBigInt(value));
+  }
+
+  get lenderNote(): Bytes | null {
+    let value = this.get("lenderNote");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set lenderNote(value: Bytes | null) {
+    if (!value) {
+      this.unset("lenderNote");
+    } else {
+      this.set("lenderNote", Value.fromBytes(<Bytes>value));
+    }
+  }
+
+  get borrowerNote(): Bytes | null {
+    let value = this.get("borrowerNote");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set borrowerNote(value: Bytes | null) {
+    if (!value) {
+      this.unset("borrowerNote");
+    } else {
+      this.set("borrowerNote", Value.fromBytes(<Bytes>value));
+    }
+  }
+}
+
+export class BundleItem extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save BundleItem entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type BundleItem must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("BundleItem", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): BundleItem | null {
+    return changetype<BundleItem | null>(store.get_in_block("BundleItem", id));
+  }
+
+  static load(id: string): BundleItem | null {
+    return changetype<BundleItem | null>(store.get("BundleItem", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get nftAddress(): Bytes {
+    let value = this.get("nftAddress");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set nftAddress(value: Bytes) {
+    this.set("nftAddress", Value.fromBytes(value));
+  }
+
+  get tokenId(): BigInt {
+    let value = this.get("tokenId");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set tokenId(value: BigInt) {
+    this.set("tokenId", Value.fromBigInt(value));
+  }
+
+  get amount(): BigInt {
+    let value = this.get("amount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set amount(value: BigInt) {
+    this.set("amount", Value.fromBigInt(value));
+  }
+}
+
+export class BookBid extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save BookBid entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type BookBid must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("BookBid", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): BookBid | null {
+    return changetype<BookBid | null>(store.get_in_block("BookBid", id));
+  }
+
+  static load(id: string): BookBid | null {
+    return changetype<BookBid | null>(store.get("BookBid", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get bidId(): BigInt {
+    let value = this.get("bidId");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set bidId(value: BigInt) {
+    this.set("bidId", Value.fromBigInt(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get loanAmount(): BigDecimal {
+    let value = this.get("loanAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set loanAmount(value: BigDecimal) {
+    this.set("loanAmount", Value.fromBigDecimal(value));
+  }
+
+  get interestRate(): BigDecimal {
+    let value = this.get("interestRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interestRate(value: BigDecimal) {
+    this.set("interestRate", Value.fromBigDecimal(value));
+  }
+
+  get duration(): BigInt {
+    let value = this.get("duration");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set duration(value: BigInt) {
+    this.set("duration", Value.fromBigInt(value));
+  }
+
+  get status(): string {
+    let value = this.get("status");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set status(value: string) {
+    this.set("status", Value.fromString(value));
+  }
+}
+
+export class CollectionOffer extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save CollectionOffer entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type CollectionOffer must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("CollectionOffer", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): CollectionOffer | null {
+    return changetype<CollectionOffer | null>(
+      store.get_in_block("CollectionOffer", id),
+    );
+  }
+
+  static load(id: string): CollectionOffer | null {
+    return changetype<CollectionOffer | null>(store.get("CollectionOffer", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get collection(): string {
+    let value = this.get("collection");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collection(value: string) {
+    this.set("collection", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get loanAmount(): BigDecimal {
+    let value = this.get("loanAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set loanAmount(value: BigDecimal) {
+    this.set("loanAmount", Value.fromBigDecimal(value));
+  }
+
+  get interestRate(): BigDecimal {
+    let value = this.get("interestRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interestRate(value: BigDecimal) {
+    this.set("interestRate", Value.fromBigDecimal(value));
+  }
+
+  get duration(): BigInt {
+    let value = this.get("duration");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set duration(value: BigInt) {
+    this.set("duration", Value.fromBigInt(value));
+  }
+
+  get loanType(): string {
+    let value = this.get("loanType");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loanType(value: string) {
+    this.set("loanType", Value.fromString(value));
+  }
+
+  get totalFunds(): BigDecimal {
+    let value = this.get("totalFunds");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalFunds(value: BigDecimal) {
+    this.set("totalFunds", Value.fromBigDecimal(value));
+  }
+
+  get remainingFunds(): BigDecimal {
+    let value = this.get("remainingFunds");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set remainingFunds(value: BigDecimal) {
+    this.set("remainingFunds", Value.fromBigDecimal(value));
+  }
+
+  get isCancelled(): boolean {
+    let value = this.get("isCancelled");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isCancelled(value: boolean) {
+    this.set("isCancelled", Value.fromBoolean(value));
+  }
+
+  get loans(): LoanLoader {
+    return new LoanLoader(
+      "CollectionOffer",
+      this.get("id")!.toString(),
+      "loans",
+    );
+  }
+}
+
+export class LoanOfferNonce extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save LoanOfferNonce entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type LoanOfferNonce must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("LoanOfferNonce", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): LoanOfferNonce | null {
+    return changetype<LoanOfferNonce | null>(
+      store.get_in_block("LoanOfferNonce", id),
+    );
+  }
+
+  static load(id: string): LoanOfferNonce | null {
+    return changetype<LoanOfferNonce | null>(store.get("LoanOfferNonce", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get nonce(): BigInt {
+    let value = this.get("nonce");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set nonce(value: BigInt) {
+    this.set("nonce", Value.fromBigInt(value));
+  }
+
+  get status(): string {
+    let value = this.get("status");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set status(value: string) {
+    this.set("status", Value.fromString(value));
+  }
+
+  get loan(): string | null {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string | null) {
+    if (!value) {
+      this.unset("loan");
+    } else {
+      this.set("loan", Value.fromString(<string>value));
+    }
+  }
+}
+
+export class AirdropForward extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save AirdropForward entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type AirdropForward must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("AirdropForward", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): AirdropForward | null {
+    return changetype<AirdropForward | null>(
+      store.get_in_block("AirdropForward", id),
+    );
+  }
+
+  static load(id: string): AirdropForward | null {
+    return changetype<AirdropForward | null>(store.get("AirdropForward", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get token(): Bytes {
+    let value = this.get("token");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set token(value: Bytes) {
+    this.set("token", Value.fromBytes(value));
+  }
+
+  get borrower(): string {
+    let value = this.get("borrower");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set borrower(value: string) {
+    this.set("borrower", Value.fromString(value));
+  }
+
+  get tokenIdOrAmount(): BigInt {
+    let value = this.get("tokenIdOrAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set tokenIdOrAmount(value: BigInt) {
+    this.set("tokenIdOrAmount", Value.fromBigInt(value));
+  }
+
+  get isERC721(): boolean {
+    let value = this.get("isERC721");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isERC721(value: boolean) {
+    this.set("isERC721", Value.fromBoolean(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+}
+
+export class GovernanceChange extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save GovernanceChange entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type GovernanceChange must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("GovernanceChange", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): GovernanceChange | null {
+    return changetype<GovernanceChange | null>(
+      store.get_in_block("GovernanceChange", id),
+    );
+  }
+
+  static load(id: string): GovernanceChange | null {
+    return changetype<GovernanceChange | null>(
+      store.get("GovernanceChange", id),
+    );
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get data(): Bytes {
+    let value = this.get("data");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set data(value: Bytes) {
+    this.set("data", Value.fromBytes(value));
+  }
+
+  get queuedBy(): Bytes {
+    let value = this.get("queuedBy");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set queuedBy(value: Bytes) {
+    this.set("queuedBy", Value.fromBytes(value));
+  }
+
+  get executableAt(): BigInt {
+    let value = this.get("executableAt");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set executableAt(value: BigInt) {
+    this.set("executableAt", Value.fromBigInt(value));
+  }
+
+  get status(): string {
+    let value = this.get("status");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set status(value: string) {
+    this.set("status", Value.fromString(value));
+  }
+
+  get updatedBy(): Bytes {
+    let value = this.get("updatedBy");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set updatedBy(value: Bytes) {
+    this.set("updatedBy", Value.fromBytes(value));
+  }
+
+  get updatedAt(): BigInt {
+    let value = this.get("updatedAt");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAt(value: BigInt) {
+    this.set("updatedAt", Value.fromBigInt(value));
+  }
+}
+
+export class RoleMember extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save RoleMember entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type RoleMember must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("RoleMember", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): RoleMember | null {
+    return changetype<RoleMember | null>(store.get_in_block("RoleMember", id));
+  }
+
+  static load(id: string): RoleMember | null {
+    return changetype<RoleMember | null>(store.get("RoleMember", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get role(): Bytes {
+    let value = this.get("role");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set role(value: Bytes) {
+    this.set("role", Value.fromBytes(value));
+  }
+
+  get account(): Bytes {
+    let value = this.get("account");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set account(value: Bytes) {
+    this.set("account", Value.fromBytes(value));
+  }
+
+  get active(): boolean {
+    let value = this.get("active");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set active(value: boolean) {
+    this.set("active", Value.fromBoolean(value));
+  }
+}
+
+export class Bid extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Bid entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Bid must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Bid", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Bid | null {
+    return changetype<Bid | null>(store.get_in_block("Bid", id));
+  }
+
+  static load(id: string): Bid | null {
+    return changetype<Bid | null>(store.get("Bid", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get loanAmount(): BigDecimal {
+    let value = this.get("loanAmount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set loanAmount(value: BigDecimal) {
+    this.set("loanAmount", Value.fromBigDecimal(value));
+  }
+
+  get interestRate(): BigDecimal {
+    let value = this.get("interestRate");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interestRate(value: BigDecimal) {
+    this.set("interestRate", Value.fromBigDecimal(value));
+  }
+
+  get status(): string {
+    let value = this.get("status");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set status(value: string) {
+    this.set("status", Value.fromString(value));
+  }
+
+  get createdAt(): BigInt {
+    let value = this.get("createdAt");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set createdAt(value: BigInt) {
+    this.set("createdAt", Value.fromBigInt(value));
+  }
+
+  get updatedAt(): BigInt {
+    let value = this.get("updatedAt");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set updatedAt(value: BigInt) {
+    this.set("updatedAt", Value.fromBigInt(value));
+  }
+
+  get transactionHash(): Bytes {
+    let value = this.get("transactionHash");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set transactionHash(value: Bytes) {
+    this.set("transactionHash", Value.fromBytes(value));
+  }
+}
+
+export class Repayment extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Repayment entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Repayment must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Repayment", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Repayment | null {
+    return changetype<Repayment | null>(store.get_in_block("Repayment", id));
+  }
+
+  static load(id: string): Repayment | null {
+    return changetype<Repayment | null>(store.get("Repayment", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get borrower(): string {
+    let value = this.get("borrower");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set borrower(value: string) {
+    this.set("borrower", Value.fromString(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get amount(): BigDecimal {
+    let value = this.get("amount");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set amount(value: BigDecimal) {
+    this.set("amount", Value.fromBigDecimal(value));
+  }
+
+  get principal(): BigDecimal {
+    let value = this.get("principal");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set principal(value: BigDecimal) {
+    this.set("principal", Value.fromBigDecimal(value));
+  }
+
+  get interest(): BigDecimal {
+    let value = this.get("interest");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interest(value: BigDecimal) {
+    this.set("interest", Value.fromBigDecimal(value));
+  }
+
+  get borrowerFee(): BigDecimal {
+    let value = this.get("borrowerFee");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set borrowerFee(value: BigDecimal) {
+    this.set("borrowerFee", Value.fromBigDecimal(value));
+  }
+
+  get lenderFee(): BigDecimal {
+    let value = this.get("lenderFee");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set lenderFee(value: BigDecimal) {
+    this.set("lenderFee", Value.fromBigDecimal(value));
+  }
+
+  get penalty(): BigDecimal {
+    let value = this.get("penalty");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set penalty(value: BigDecimal) {
+    this.set("penalty", Value.fromBigDecimal(value));
+  }
+
+  get isPartial(): boolean {
+    let value = this.get("isPartial");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isPartial(value: boolean) {
+    this.set("isPartial", Value.fromBoolean(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+
+  get transactionHash(): Bytes {
+    let value = this.get("transactionHash");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set transactionHash(value: Bytes) {
+    this.set("transactionHash", Value.fromBytes(value));
+  }
+}
+
+export class Default extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save Default entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type Default must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("Default", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): Default | null {
+    return changetype<Default | null>(store.get_in_block("Default", id));
+  }
+
+  static load(id: string): Default | null {
+    return changetype<Default | null>(store.get("Default", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get loan(): string {
+    let value = this.get("loan");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set loan(value: string) {
+    this.set("loan", Value.fromString(value));
+  }
+
+  get borrower(): string {
+    let value = this.get("borrower");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set borrower(value: string) {
+    this.set("borrower", Value.fromString(value));
+  }
+
+  get lender(): string {
+    let value = this.get("lender");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set lender(value: string) {
+    this.set("lender", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get principal(): BigDecimal {
+    let value = this.get("principal");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set principal(value: BigDecimal) {
+    this.set("principal", Value.fromBigDecimal(value));
+  }
+
+  get interest(): BigDecimal {
+    let value = this.get("interest");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interest(value: BigDecimal) {
+    this.set("interest", Value.fromBigDecimal(value));
+  }
+
+  get debt(): BigDecimal {
+    let value = this.get("debt");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set debt(value: BigDecimal) {
+    this.set("debt", Value.fromBigDecimal(value));
+  }
+
+  get lenderFee(): BigDecimal {
+    let value = this.get("lenderFee");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set lenderFee(value: BigDecimal) {
+    this.set("lenderFee", Value.fromBigDecimal(value));
+  }
+
+  get isLiquidation(): boolean {
+    let value = this.get("isLiquidation");
+    if (!value || value.kind == ValueKind.NULL) {
+      return false;
+    } else {
+      return value.toBoolean();
+    }
+  }
+
+  set isLiquidation(value: boolean) {
+    this.set("isLiquidation", Value.fromBoolean(value));
+  }
+
+  get salePrice(): BigDecimal | null {
+    let value = this.get("salePrice");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set salePrice(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("salePrice");
+    } else {
+      this.set("salePrice", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get borrowerSurplus(): BigDecimal | null {
+    let value = this.get("borrowerSurplus");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set borrowerSurplus(value: BigDecimal | null) {
+    if (!value) {
+      this.unset("borrowerSurplus");
+    } else {
+      this.set("borrowerSurplus", Value.fromBigDecimal(<BigDecimal>value));
+    }
+  }
+
+  get winner(): string | null {
+    let value = this.get("winner");
+    if (!value || value.kind == ValueKind.NULL) {
+      return null;
+    } else {
+      return value.toString();
+    }
+  }
+
+  set winner(value: string | null) {
+    if (!value) {
+      this.unset("winner");
+    } else {
+      this.set("winner", Value.fromString(<string>value));
+    }
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+
+  get transactionHash(): Bytes {
+    let value = this.get("transactionHash");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBytes();
+    }
+  }
+
+  set transactionHash(value: Bytes) {
+    this.set("transactionHash", Value.fromBytes(value));
+  }
+}
+
+export class CollectionVolume extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save CollectionVolume entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type CollectionVolume must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("CollectionVolume", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): CollectionVolume | null {
+    return changetype<CollectionVolume | null>(
+      store.get_in_block("CollectionVolume", id),
+    );
+  }
+
+  static load(id: string): CollectionVolume | null {
+    return changetype<CollectionVolume | null>(
+      store.get("CollectionVolume", id),
+    );
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get collection(): string {
+    let value = this.get("collection");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set collection(value: string) {
+    this.set("collection", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get volume(): BigDecimal {
+    let value = this.get("volume");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set volume(value: BigDecimal) {
+    this.set("volume", Value.fromBigDecimal(value));
+  }
+
+  get interestPaid(): BigDecimal {
+    let value = this.get("interestPaid");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set interestPaid(value: BigDecimal) {
+    this.set("interestPaid", Value.fromBigDecimal(value));
+  }
+
+  get defaultedPrincipal(): BigDecimal {
+    let value = this.get("defaultedPrincipal");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set defaultedPrincipal(value: BigDecimal) {
+    this.set("defaultedPrincipal", Value.fromBigDecimal(value));
+  }
+}
+
+export class DailySnapshot extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save DailySnapshot entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type DailySnapshot must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("DailySnapshot", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): DailySnapshot | null {
+    return changetype<DailySnapshot | null>(
+      store.get_in_block("DailySnapshot", id),
+    );
+  }
+
+  static load(id: string): DailySnapshot | null {
+    return changetype<DailySnapshot | null>(store.get("DailySnapshot", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+
+  get totalBorrowed(): BigDecimal {
+    let value = this.get("totalBorrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalBorrowed(value: BigDecimal) {
+    this.set("totalBorrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalEscrowed(): BigDecimal {
+    let value = this.get("totalEscrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalEscrowed(value: BigDecimal) {
+    this.set("totalEscrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalValueLocked(): BigDecimal {
+    let value = this.get("totalValueLocked");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalValueLocked(value: BigDecimal) {
+    this.set("totalValueLocked", Value.fromBigDecimal(value));
+  }
+
+  get listedLoanCount(): i32 {
+    let value = this.get("listedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set listedLoanCount(value: i32) {
+    this.set("listedLoanCount", Value.fromI32(value));
+  }
+
+  get newLoanCount(): i32 {
+    let value = this.get("newLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set newLoanCount(value: i32) {
+    this.set("newLoanCount", Value.fromI32(value));
+  }
+
+  get newLoanVolume(): BigDecimal {
+    let value = this.get("newLoanVolume");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set newLoanVolume(value: BigDecimal) {
+    this.set("newLoanVolume", Value.fromBigDecimal(value));
+  }
+
+  get repaidLoanCount(): i32 {
+    let value = this.get("repaidLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set repaidLoanCount(value: i32) {
+    this.set("repaidLoanCount", Value.fromI32(value));
+  }
+
+  get defaultedLoanCount(): i32 {
+    let value = this.get("defaultedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set defaultedLoanCount(value: i32) {
+    this.set("defaultedLoanCount", Value.fromI32(value));
+  }
+}
+
+export class HourlySnapshot extends Entity {
+  constructor(id: string) {
+    super();
+    this.set("id", Value.fromString(id));
+  }
+
+  save(): void {
+    let id = this.get("id");
+    assert(id != null, "Cannot save HourlySnapshot entity without an ID");
+    if (id) {
+      assert(
+        id.kind == ValueKind.STRING,
+        `Entities of type HourlySnapshot must have an ID of type String but the id '${id.displayData()}' is of type ${id.displayKind()}`,
+      );
+      store.set("HourlySnapshot", id.toString(), this);
+    }
+  }
+
+  static loadInBlock(id: string): HourlySnapshot | null {
+    return changetype<HourlySnapshot | null>(
+      store.get_in_block("HourlySnapshot", id),
+    );
+  }
+
+  static load(id: string): HourlySnapshot | null {
+    return changetype<HourlySnapshot | null>(store.get("HourlySnapshot", id));
+  }
+
+  get id(): string {
+    let value = this.get("id");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set id(value: string) {
+    this.set("id", Value.fromString(value));
+  }
+
+  get currency(): string {
+    let value = this.get("currency");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toString();
+    }
+  }
+
+  set currency(value: string) {
+    this.set("currency", Value.fromString(value));
+  }
+
+  get timestamp(): BigInt {
+    let value = this.get("timestamp");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigInt();
+    }
+  }
+
+  set timestamp(value: BigInt) {
+    this.set("timestamp", Value.fromBigInt(value));
+  }
+
+  get totalBorrowed(): BigDecimal {
+    let value = this.get("totalBorrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalBorrowed(value: BigDecimal) {
+    this.set("totalBorrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalEscrowed(): BigDecimal {
+    let value = this.get("totalEscrowed");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalEscrowed(value: BigDecimal) {
+    this.set("totalEscrowed", Value.fromBigDecimal(value));
+  }
+
+  get totalValueLocked(): BigDecimal {
+    let value = this.get("totalValueLocked");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set totalValueLocked(value: BigDecimal) {
+    this.set("totalValueLocked", Value.fromBigDecimal(value));
+  }
+
+  get listedLoanCount(): i32 {
+    let value = this.get("listedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set listedLoanCount(value: i32) {
+    this.set("listedLoanCount", Value.fromI32(value));
+  }
+
+  get newLoanCount(): i32 {
+    let value = this.get("newLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set newLoanCount(value: i32) {
+    this.set("newLoanCount", Value.fromI32(value));
+  }
+
+  get newLoanVolume(): BigDecimal {
+    let value = this.get("newLoanVolume");
+    if (!value || value.kind == ValueKind.NULL) {
+      throw new Error("Cannot return null for a required field.");
+    } else {
+      return value.toBigDecimal();
+    }
+  }
+
+  set newLoanVolume(value: BigDecimal) {
+    this.set("newLoanVolume", Value.fromBigDecimal(value));
+  }
+
+  get repaidLoanCount(): i32 {
+    let value = this.get("repaidLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set repaidLoanCount(value: i32) {
+    this.set("repaidLoanCount", Value.fromI32(value));
+  }
+
+  get defaultedLoanCount(): i32 {
+    let value = this.get("defaultedLoanCount");
+    if (!value || value.kind == ValueKind.NULL) {
+      return 0;
+    } else {
+      return value.toI32();
+    }
+  }
+
+  set defaultedLoanCount(value: i32) {
+    this.set("defaultedLoanCount", Value.fromI32(value));
+  }
+}
+
+export class BundleItemLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): BundleItem[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<BundleItem[]>(value);
+  }
+}
+
+export class BidLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Bid[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Bid[]>(value);
+  }
+}
+
+export class BookBidLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): BookBid[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<BookBid[]>(value);
+  }
+}
+
+export class RepaymentLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Repayment[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Repayment[]>(value);
+  }
+}
+
+export class DefaultLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Default[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Default[]>(value);
+  }
+}
+
+export class AirdropForwardLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): AirdropForward[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<AirdropForward[]>(value);
+  }
+}
+
+export class LoanLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Loan[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Loan[]>(value);
+  }
+}
+
+export class BalanceLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): Balance[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<Balance[]>(value);
+  }
+}
+
+export class CollectionVolumeLoader extends Entity {
+  _entity: string;
+  _field: string;
+  _id: string;
+
+  constructor(entity: string, id: string, field: string) {
+    super();
+    this._entity = entity;
+    this._id = id;
+    this._field = field;
+  }
+
+  load(): CollectionVolume[] {
+    let value = store.loadRelated(this._entity, this._id, this._field);
+    return changetype<CollectionVolume[]>(value);
   }
 }
@@ -0,0 +1,397 @@
+import { Address, BigDecimal, BigInt, ethereum } from '@graphprotocol/graph-ts';
+import {
+  Bid,
+  Collection,
+  CollectionVolume,
+  Currency,
+  DailySnapshot,
+  Default,
+  HourlySnapshot,
+  Loan,
+  Repayment,
+} from '../generated/schema';
+import { ZERO_BD, getOrCreateProtocol, getOrCreateUser } from './helpers';
+
+const SECONDS_PER_HOUR = 3600;
+const SECONDS_PER_DAY = 86400;
+
+// Bids
+
+/**
+ * Records a placeBid bid as the current bid of the loan, marking the previous one as outbid.
+ */
+export function placeBid(
+  event: ethereum.Event,
+  loan: Loan,
+  lender: Address,
+): void {
+  closeCurrentBid(event, loan, 'Outbid');
+  loan.bidCount = loan.bidCount + 1;
+
+  let bid = new Bid(loan.id + '-' + loan.bidCount.toString());
+  bid.loan = loan.id;
+  bid.lender = getOrCreateUser(lender).id;
+  bid.loanAmount = loan.loanAmount;
+  bid.interestRate = loan.currentInterestRate;
+  bid.status = 'Active';
+  bid.createdAt = event.block.timestamp;
+  bid.updatedAt = event.block.timestamp;
+  bid.transactionHash = event.transaction.hash;
+  bid.save();
+  loan.currentBid = bid.id;
+
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.bidCount = protocol.bidCount + 1;
+  protocol.save();
+}
+
+/**
+ * Closes the current placeBid bid of the loan, if any, with a final status.
+ */
+export function closeCurrentBid(
+  event: ethereum.Event,
+  loan: Loan,
+  status: string,
+): void {
+  let bidId = loan.currentBid;
+  if (bidId) {
+    let bid = Bid.load(bidId)!;
+    bid.status = status;
+    bid.updatedAt = event.block.timestamp;
+    bid.save();
+    loan.currentBid = null;
+  }
+}
+
+// Escrow and loan lifecycle
+
+/**
+ * Adds to the funds the auction holds in escrow for a currency.
+ */
+export function adjustEscrowed(
+  event: ethereum.Event,
+  currencyId: string,
+  delta: BigDecimal,
+): void {
+  let currency = Currency.load(currencyId)!;
+  currency.totalEscrowed = currency.totalEscrowed.plus(delta);
+  updateTotals(event, currency);
+}
+
+/**
+ * Sets the bid or collateral auction funds held for a loan.
+ */
+export function setLoanEscrow(
+  event: ethereum.Event,
+  loan: Loan,
+  amount: BigDecimal,
+): void {
+  let delta = amount.minus(loan.escrowAmount);
+  loan.escrowAmount = amount;
+  if (delta != ZERO_BD) {
+    adjustEscrowed(event, loan.currency, delta);
+  }
+}
+
+export function recordListing(event: ethereum.Event, loan: Loan): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.loanCount = protocol.loanCount + 1;
+  protocol.save();
+
+  let collection = Collection.load(loan.collection)!;
+  collection.loanCount = collection.loanCount + 1;
+  collection.save();
+
+  let currency = Currency.load(loan.currency)!;
+  let daily = getOrCreateDailySnapshot(event, currency);
+  daily.listedLoanCount = daily.listedLoanCount + 1;
+  daily.save();
+  let hourly = getOrCreateHourlySnapshot(event, currency);
+  hourly.listedLoanCount = hourly.listedLoanCount + 1;
+  hourly.save();
+}
+
+export function recordLoanStart(event: ethereum.Event, loan: Loan): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.activeLoanCount = protocol.activeLoanCount + 1;
+  protocol.save();
+
+  let collection = Collection.load(loan.collection)!;
+  collection.activeLoanCount = collection.activeLoanCount + 1;
+  collection.save();
+
+  let volume = getOrCreateCollectionVolume(loan);
+  volume.volume = volume.volume.plus(loan.loanAmount);
+  volume.save();
+
+  let currency = Currency.load(loan.currency)!;
+  currency.totalVolume = currency.totalVolume.plus(loan.loanAmount);
+  currency.totalBorrowed = currency.totalBorrowed.plus(loan.loanAmount);
+  updateTotals(event, currency);
+
+  let daily = getOrCreateDailySnapshot(event, currency);
+  daily.newLoanCount = daily.newLoanCount + 1;
+  daily.newLoanVolume = daily.newLoanVolume.plus(loan.loanAmount);
+  daily.save();
+  let hourly = getOrCreateHourlySnapshot(event, currency);
+  hourly.newLoanCount = hourly.newLoanCount + 1;
+  hourly.newLoanVolume = hourly.newLoanVolume.plus(loan.loanAmount);
+  hourly.save();
+}
+
+/**
+ * Records a full or partial repayment, with the fees and grace period penalty the contract charged on it.
+ * Must run before the loan is updated by the repayment.
+ */
+export function recordRepayment(
+  event: ethereum.Event,
+  loan: Loan,
+  principal: BigDecimal,
+  interest: BigDecimal,
+  borrowerFee: BigDecimal,
+  lenderFee: BigDecimal,
+  penalty: BigDecimal,
+  isPartial: boolean,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  let repayment = new Repayment(
+    event.transaction.hash.toHexString() + '-' + event.logIndex.toString(),
+  );
+  repayment.loan = loan.id;
+  repayment.borrower = loan.borrower;
+  repayment.lender = loan.lender!;
+  repayment.currency = loan.currency;
+  repayment.principal = principal;
+  repayment.interest = interest;
+  repayment.borrowerFee = borrowerFee;
+  repayment.lenderFee = lenderFee;
+  repayment.penalty = penalty;
+  repayment.amount = principal.plus(interest).plus(borrowerFee).plus(penalty);
+  repayment.isPartial = isPartial;
+  repayment.timestamp = event.block.timestamp;
+  repayment.transactionHash = event.transaction.hash;
+  repayment.save();
+
+  recordPayoff(
+    event,
+    loan,
+    principal,
+    interest,
+    repayment.borrowerFee.plus(repayment.lenderFee),
+  );
+
+  if (!isPartial) {
+    protocol.activeLoanCount = protocol.activeLoanCount - 1;
+    protocol.repaidLoanCount = protocol.repaidLoanCount + 1;
+    protocol.save();
+
+    let collection = Collection.load(loan.collection)!;
+    collection.activeLoanCount = collection.activeLoanCount - 1;
+    collection.repaidLoanCount = collection.repaidLoanCount + 1;
+    updateDefaultRatio(collection);
+
+    let currency = Currency.load(loan.currency)!;
+    let daily = getOrCreateDailySnapshot(event, currency);
+    daily.repaidLoanCount = daily.repaidLoanCount + 1;
+    daily.save();
+    let hourly = getOrCreateHourlySnapshot(event, currency);
+    hourly.repaidLoanCount = hourly.repaidLoanCount + 1;
+    hourly.save();
+  }
+}
+
+/**
+ * Records the interest and fees paid to the old lender of a refinanced loan
+ * and the change of its principal.
+ */
+export function recordRefinance(
+  event: ethereum.Event,
+  loan: Loan,
+  interest: BigDecimal,
+  fees: BigDecimal,
+  payoffAmount: BigDecimal,
+): void {
+  // The old principal is paid off and the payoff amount becomes the new principal
+  let currency = Currency.load(loan.currency)!;
+  currency.totalBorrowed = currency.totalBorrowed.plus(
+    payoffAmount.minus(loan.loanAmount),
+  );
+  currency.save();
+  recordPayoff(event, loan, ZERO_BD, interest, fees);
+}
+
+/**
+ * Records a default claimed by the lender, or settled by a collateral auction when a winner is given.
+ * Must run before the loan is updated by the default.
+ */
+export function recordDefault(
+  event: ethereum.Event,
+  loan: Loan,
+  debt: BigDecimal,
+  lenderFee: BigDecimal,
+  winner: Address | null,
+  salePrice: BigDecimal | null,
+  borrowerSurplus: BigDecimal | null,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  let principal = loan.loanAmount;
+
+  let record = new Default(
+    event.transaction.hash.toHexString() + '-' + event.logIndex.toString(),
+  );
+  record.loan = loan.id;
+  record.borrower = loan.borrower;
+  record.lender = loan.lender!;
+  record.currency = loan.currency;
+  record.principal = principal;
+  record.interest = debt.minus(principal);
+  record.debt = debt;
+  record.lenderFee = lenderFee;
+  record.isLiquidation = false;
+  if (winner) {
+    record.isLiquidation = true;
+    record.winner = getOrCreateUser(winner).id;
+  }
+  record.salePrice = salePrice;
+  record.borrowerSurplus = borrowerSurplus;
+  record.timestamp = event.block.timestamp;
+  record.transactionHash = event.transaction.hash;
+  record.save();
+
+  protocol.activeLoanCount = protocol.activeLoanCount - 1;
+  protocol.defaultedLoanCount = protocol.defaultedLoanCount + 1;
+  protocol.save();
+
+  let collection = Collection.load(loan.collection)!;
+  collection.activeLoanCount = collection.activeLoanCount - 1;
+  collection.defaultedLoanCount = collection.defaultedLoanCount + 1;
+  updateDefaultRatio(collection);
+
+  let volume = getOrCreateCollectionVolume(loan);
+  volume.defaultedPrincipal = volume.defaultedPrincipal.plus(principal);
+  volume.save();
+
+  let currency = Currency.load(loan.currency)!;
+  currency.totalBorrowed = currency.totalBorrowed.minus(principal);
+  currency.totalProtocolFees = currency.totalProtocolFees.plus(
+    record.lenderFee,
+  );
+  updateTotals(event, currency);
+
+  let daily = getOrCreateDailySnapshot(event, currency);
+  daily.defaultedLoanCount = daily.defaultedLoanCount + 1;
+  daily.save();
+  let hourly = getOrCreateHourlySnapshot(event, currency);
+  hourly.defaultedLoanCount = hourly.defaultedLoanCount + 1;
+  hourly.save();
+}
+
+function recordPayoff(
+  event: ethereum.Event,
+  loan: Loan,
+  principal: BigDecimal,
+  interest: BigDecimal,
+  fees: BigDecimal,
+): void {
+  let volume = getOrCreateCollectionVolume(loan);
+  volume.interestPaid = volume.interestPaid.plus(interest);
+  volume.save();
+
+  let currency = Currency.load(loan.currency)!;
+  currency.totalBorrowed = currency.totalBorrowed.minus(principal);
+  currency.totalInterestPaid = currency.totalInterestPaid.plus(interest);
+  currency.totalProtocolFees = currency.totalProtocolFees.plus(fees);
+  updateTotals(event, currency);
+}
+
+function updateDefaultRatio(collection: Collection): void {
+  let closed = collection.repaidLoanCount + collection.defaultedLoanCount;
+  collection.defaultRatio = BigDecimal.fromString(
+    collection.defaultedLoanCount.toString(),
+  ).div(BigDecimal.fromString(closed.toString()));
+  collection.save();
+}
+
+/**
+ * Saves a currency with its value locked and copies its totals to the current snapshots.
+ */
+function updateTotals(event: ethereum.Event, currency: Currency): void {
+  currency.totalValueLocked = currency.totalBorrowed.plus(
+    currency.totalEscrowed,
+  );
+  currency.save();
+
+  let daily = getOrCreateDailySnapshot(event, currency);
+  daily.totalBorrowed = currency.totalBorrowed;
+  daily.totalEscrowed = currency.totalEscrowed;
+  daily.totalValueLocked = currency.totalValueLocked;
+  daily.save();
+
+  let hourly = getOrCreateHourlySnapshot(event, currency);
+  hourly.totalBorrowed = currency.totalBorrowed;
+  hourly.totalEscrowed = currency.totalEscrowed;
+  hourly.totalValueLocked = currency.totalValueLocked;
+  hourly.save();
+}
+
+function getOrCreateCollectionVolume(loan: Loan): CollectionVolume {
+  let id = loan.collection + '-' + loan.currency;
+  let volume = CollectionVolume.load(id);
+  if (!volume) {
+    volume = new CollectionVolume(id);
+    volume.collection = loan.collection;
+    volume.currency = loan.currency;
+    volume.volume = ZERO_BD;
+    volume.interestPaid = ZERO_BD;
+    volume.defaultedPrincipal = ZERO_BD;
+  }
+  return volume;
+}
+
+// Snapshots start with the currency totals at the start of their period
+
+function getOrCreateDailySnapshot(
+  event: ethereum.Event,
+  currency: Currency,
+): DailySnapshot {
+  let day = event.block.timestamp.toI32() / SECONDS_PER_DAY;
+  let id = currency.id + '-' + day.toString();
+  let snapshot = DailySnapshot.load(id);
+  if (!snapshot) {
+    snapshot = new DailySnapshot(id);
+    snapshot.currency = currency.id;
+    snapshot.timestamp = BigInt.fromI32(day * SECONDS_PER_DAY);
+    snapshot.totalBorrowed = currency.totalBorrowed;
+    snapshot.totalEscrowed = currency.totalEscrowed;
+    snapshot.totalValueLocked = currency.totalValueLocked;
+    snapshot.listedLoanCount = 0;
+    snapshot.newLoanCount = 0;
+    snapshot.newLoanVolume = ZERO_BD;
+    snapshot.repaidLoanCount = 0;
+    snapshot.defaultedLoanCount = 0;
+  }
+  return snapshot;
+}
+
+function getOrCreateHourlySnapshot(
+  event: ethereum.Event,
+  currency: Currency,
+): HourlySnapshot {
+  let hour = event.block.timestamp.toI32() / SECONDS_PER_HOUR;
+  let id = currency.id + '-' + hour.toString();
+  let snapshot = HourlySnapshot.load(id);
+  if (!snapshot) {
+    snapshot = new HourlySnapshot(id);
+    snapshot.currency = currency.id;
+    snapshot.timestamp = BigInt.fromI32(hour * SECONDS_PER_HOUR);
+    snapshot.totalBorrowed = currency.totalBorrowed;
+    snapshot.totalEscrowed = currency.totalEscrowed;
+    snapshot.totalValueLocked = currency.totalValueLocked;
+    snapshot.listedLoanCount = 0;
+    snapshot.newLoanCount = 0;
+    snapshot.newLoanVolume = ZERO_BD;
+    snapshot.repaidLoanCount = 0;
+    snapshot.defaultedLoanCount = 0;
+  }
+  return snapshot;
+}
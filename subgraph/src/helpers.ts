@@ -0,0 +1,188 @@
+import { Address, BigDecimal, BigInt } from '@graphprotocol/graph-ts';
+import { ERC20 } from '../generated/NFTLendAuctionV1/ERC20';
+import {
+  Balance,
+  Collection,
+  Currency,
+  Loan,
+  Protocol,
+  User,
+} from '../generated/schema';
+
+export const ZERO_BI = BigInt.fromI32(0);
+export const ZERO_BD = BigDecimal.fromString('0');
+export const BPS = BigDecimal.fromString('10000');
+
+// Names of the LoanStatus values of the contract
+export const LOAN_STATUSES = [
+  'New',
+  'Pending',
+  'Accepted',
+  'Repaid',
+  'Defaulted',
+  'Delisted',
+];
+
+// Names of the BidStatus values of the contract
+export const BID_STATUSES = ['Open', 'Accepted', 'Cancelled', 'Refunded'];
+
+/**
+ * Converts an amount in the smallest unit of a currency to currency units.
+ */
+export function toDecimal(amount: BigInt, decimals: i32): BigDecimal {
+  return amount
+    .toBigDecimal()
+    .div(BigInt.fromI32(10).pow(u8(decimals)).toBigDecimal());
+}
+
+/**
+ * Converts basis points to a rate (800 bps = 0.08).
+ */
+export function toRate(bps: BigInt): BigDecimal {
+  return bps.toBigDecimal().div(BPS);
+}
+
+export function loanTypeName(loanType: i32): string {
+  return loanType == 0 ? 'FIXED' : 'APR';
+}
+
+export function getOrCreateUser(address: Address): User {
+  let user = User.load(address.toHexString());
+  if (!user) {
+    user = new User(address.toHexString());
+    user.totalWithdrawn = ZERO_BD;
+    user.pendingWithdraw = ZERO_BD;
+    user.minOfferNonce = ZERO_BI;
+    user.save();
+  }
+  return user;
+}
+
+/**
+ * Loads a currency, reading the symbol and decimals of ERC-20 tokens on first use.
+ */
+export function getOrCreateCurrency(address: Address): Currency {
+  let currency = Currency.load(address.toHexString());
+  if (!currency) {
+    currency = new Currency(address.toHexString());
+    currency.symbol = 'CORE';
+    currency.decimals = 18;
+    if (address != Address.zero()) {
+      let token = ERC20.bind(address);
+      let symbol = token.try_symbol();
+      let decimals = token.try_decimals();
+      currency.symbol = symbol.reverted ? '' : symbol.value;
+      currency.decimals = decimals.reverted ? 18 : decimals.value;
+    }
+    currency.allowed = false;
+    currency.protocolFeesDistributed = ZERO_BD;
+    currency.protocolFeesWithdrawn = ZERO_BD;
+    currency.totalVolume = ZERO_BD;
+    currency.totalBorrowed = ZERO_BD;
+    currency.totalEscrowed = ZERO_BD;
+    currency.totalValueLocked = ZERO_BD;
+    currency.totalInterestPaid = ZERO_BD;
+    currency.totalProtocolFees = ZERO_BD;
+    currency.save();
+  }
+  return currency;
+}
+
+export function getOrCreateCollection(address: Address): Collection {
+  let collection = Collection.load(address.toHexString());
+  if (!collection) {
+    collection = new Collection(address.toHexString());
+    collection.allowed = false;
+    collection.hasFeeOverride = false;
+    collection.loanCount = 0;
+    collection.activeLoanCount = 0;
+    collection.repaidLoanCount = 0;
+    collection.defaultedLoanCount = 0;
+    collection.defaultRatio = ZERO_BD;
+    collection.save();
+  }
+  return collection;
+}
+
+/**
+ * Loads the protocol parameters, starting from the defaults set by the contract.
+ */
+export function getOrCreateProtocol(address: Address): Protocol {
+  let protocol = Protocol.load(address.toHexString());
+  if (!protocol) {
+    protocol = new Protocol(address.toHexString());
+    protocol.loanCount = 0;
+    protocol.activeLoanCount = 0;
+    protocol.repaidLoanCount = 0;
+    protocol.defaultedLoanCount = 0;
+    protocol.bidCount = 0;
+    protocol.borrowerFeeRate = toRate(BigInt.fromI32(200));
+    protocol.lenderFeeRate = toRate(BigInt.fromI32(200));
+    protocol.feeRecipients = [];
+    protocol.feeRecipientShares = [];
+    protocol.referralFeeShare = ZERO_BD;
+    protocol.bidCancelPeriod = BigInt.fromI32(86400);
+    protocol.maxActiveLoans = BigInt.fromI32(1000);
+    protocol.gracePeriod = ZERO_BI;
+    protocol.gracePenaltyRate = ZERO_BD;
+    protocol.liquidationAuctionDuration = ZERO_BI;
+    protocol.minInterestPeriod = ZERO_BI;
+    protocol.minBidDecrement = ZERO_BD;
+    protocol.isMinBidDecrementPercentage = false;
+    protocol.auctionExtensionWindow = BigInt.fromI32(600);
+    protocol.governanceDelay = ZERO_BI;
+    protocol.pausedActions = ZERO_BI;
+    protocol.save();
+  }
+  return protocol;
+}
+
+/**
+ * Converts an amount in the currency of a loan to currency units.
+ */
+export function toLoanDecimal(loan: Loan, amount: BigInt): BigDecimal {
+  let currency = Currency.load(loan.currency)!;
+  return toDecimal(amount, currency.decimals);
+}
+
+export function getOrCreateBalance(
+  account: Address,
+  currency: Currency,
+): Balance {
+  let id = account.toHexString() + '-' + currency.id;
+  let balance = Balance.load(id);
+  if (!balance) {
+    getOrCreateUser(account);
+    balance = new Balance(id);
+    balance.user = account.toHexString();
+    balance.currency = currency.id;
+    balance.totalWithdrawn = ZERO_BD;
+    balance.pendingWithdraw = ZERO_BD;
+    balance.save();
+  }
+  return balance;
+}
+
+/**
+ * Adds to the funds an account can withdraw in a currency, as addPendingWithdrawal does in the contract.
+ * The native CORE balance is mirrored on the user.
+ */
+export function addPendingWithdrawal(
+  account: Address,
+  currencyId: string,
+  amount: BigDecimal,
+): void {
+  if (amount == ZERO_BD) {
+    return;
+  }
+  let currency = Currency.load(currencyId)!;
+  let balance = getOrCreateBalance(account, currency);
+  balance.pendingWithdraw = balance.pendingWithdraw.plus(amount);
+  balance.save();
+
+  if (Address.fromString(currencyId) == Address.zero()) {
+    let user = getOrCreateUser(account);
+    user.pendingWithdraw = balance.pendingWithdraw;
+    user.save();
+  }
+}
@@ -1,78 +1,499 @@
-import { ethereum, BigInt, Bytes, BigDecimal, log } from "@graphprotocol/graph-ts";
-import { LoanListed, LoanAccepted, LoanRepaid, LoanDefaulted, LoanBidPlaced, LoanBidCancelled, LoanDelisted, PendingWithdrawalAdded, FundsWithdrawn } from "../generated/NFTLendAuctionV1/NFTLendAuctionV1";
-import { Loan, User } from "../generated/schema";
-
-
-export function handleRawLoanListed(event: ethereum.Event): void {
-  let loan = Loan.load('1'); // Mock loan ID
-  if (!loan) {
-    loan = new Loan('1'); // Create new mock Loan entity
-  }
-
-  loan.borrower = "0xd6eef6a4ceb9270776d6b388cfaba62f5bc3357f"; // Mock borrower address
-  loan.nftAddress = Bytes.fromHexString("0xcc89552ff8dafd016c91b7694dc0b69e23f2479d"); // Mock NFT contract address
-  loan.tokenId = BigInt.fromString("24100"); // Mock NFT token ID
-  loan.loanAmount = BigDecimal.fromString("10.0"); // Mock loan amount (10 tokens)
-  loan.maxInterestRate = BigDecimal.fromString("0.08"); // Mock max interest rate (8%)
-  loan.duration = BigInt.fromString("172800"); // Mock duration (2 days in seconds)
-  loan.startTime = BigInt.fromString("0"); // Loan not started yet
-  loan.isAccepted = false; // Loan not accepted yet
-  loan.loanType = "FIXED"; // Mock loan type
-  loan.status = "New"; // Status set to 'New'
-  loan.save();
-
-  // Mock User entity
-  let user = User.load("0xd6eef6a4ceb9270776d6b388cfaba62f5bc3357f");
-  if (!user) {
-    user = new User("0xd6eef6a4ceb9270776d6b388cfaba62f5bc3357f");
-    user.save();
-  }
-
-}
+import {
+  Address,
+  BigDecimal,
+  BigInt,
+  Bytes,
+  ethereum,
+} from '@graphprotocol/graph-ts';
+import {
+  AirdropForwarded,
+  AllowedCurrencyUpdated,
+  AllowedNFTUpdated,
+  AuctionExtended,
+  AuctionExtensionWindowUpdated,
+  BidCancelPeriodUpdated,
+  BookBidPlaced,
+  BookBidStatusChanged,
+  BundleCollateralDeposited,
+  ChangeCancelled,
+  ChangeExecuted,
+  ChangeQueued,
+  CollectionCreatorFeeUpdated,
+  CollectionFeeRateUpdated,
+  CollectionLimitsUpdated,
+  CollectionOfferCancelled,
+  CollectionOfferPlaced,
+  CollectionOfferTaken,
+  CollectionOracleUpdated,
+  CreatorFeeAccrued,
+  ERC1155CollateralDeposited,
+  FeeRatesUpdated,
+  FeeRecipientsUpdated,
+  FundsWithdrawn,
+  GovernanceDelayUpdated,
+  GracePeriodUpdated,
+  LiquidationAuctionDurationUpdated,
+  LiquidationBidPlaced,
+  LiquidationSettled,
+  LiquidationStarted,
+  ListingExpired,
+  ListingOptionsSet,
+  LoanAccepted,
+  LoanBidCancelled,
+  LoanBidPlaced,
+  LoanDefaulted,
+  LoanDelegateUpdated,
+  LoanDelisted,
+  LoanExtended,
+  LoanExtensionRequested,
+  LoanListed,
+  LoanNotesSet,
+  LoanOfferAccepted,
+  LoanOfferCancelled,
+  LoanOfferNoncesInvalidated,
+  LoanPartiallyRepaid,
+  LoanPositionTransferred,
+  LoanReferred,
+  LoanRefinanced,
+  LoanRepaid,
+  LoanStatusChanged,
+  MaxActiveLoansUpdated,
+  MinBidDecrementUpdated,
+  MinInterestPeriodUpdated,
+  PausedActionsUpdated,
+  ProtocolFeesDistributed,
+  ProtocolFeesWithdrawn,
+  ReferralFeeAccrued,
+  ReferralFeeShareUpdated,
+  RefinanceTermsUpdated,
+  RoleGranted,
+  RoleRevoked,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  AirdropForward,
+  BookBid,
+  BundleItem,
+  CollectionOffer,
+  GovernanceChange,
+  Loan,
+  LoanOfferNonce,
+  RoleMember,
+} from '../generated/schema';
+import {
+  adjustEscrowed,
+  closeCurrentBid,
+  placeBid,
+  recordDefault,
+  recordListing,
+  recordLoanStart,
+  recordRefinance,
+  recordRepayment,
+  setLoanEscrow,
+} from './analytics';
+import {
+  BID_STATUSES,
+  BPS,
+  LOAN_STATUSES,
+  ZERO_BD,
+  ZERO_BI,
+  addPendingWithdrawal,
+  getOrCreateBalance,
+  getOrCreateCollection,
+  getOrCreateCurrency,
+  getOrCreateProtocol,
+  getOrCreateUser,
+  loanTypeName,
+  toDecimal,
+  toLoanDecimal,
+  toRate,
+} from './helpers';
 
+// Loans
 
 export function handleLoanListed(event: LoanListed): void {
+  let currency = getOrCreateCurrency(event.params.currency);
   let loan = new Loan(event.params.loanId.toString());
-  loan.borrower = event.params.borrower.toHexString();
+  loan.borrower = getOrCreateUser(event.params.borrower).id;
   loan.nftAddress = event.params.nftAddress;
   loan.tokenId = event.params.tokenId;
-  loan.loanAmount = event.params.loanAmount.toBigDecimal();
-  loan.maxInterestRate = event.params.maxInterestRate.toBigDecimal();
+  loan.collection = getOrCreateCollection(event.params.nftAddress).id;
+  loan.currency = currency.id;
+  loan.collateralAmount = ZERO_BI;
+  loan.loanAmount = toDecimal(event.params.loanAmount, currency.decimals);
+  loan.maxInterestRate = toRate(event.params.maxInterestRate);
+  loan.currentInterestRate = loan.maxInterestRate;
   loan.duration = event.params.duration;
-  loan.startTime = new BigInt(0); // Default to 0
+  loan.startTime = ZERO_BI;
   loan.isAccepted = false;
-  loan.loanType = event.params.loanType == 0 ? "FIXED" : "APR";
-  loan.status = "New";
+  loan.loanType = loanTypeName(event.params.loanType);
+  loan.status = 'New';
+  loan.bidCount = 0;
+  loan.escrowAmount = ZERO_BD;
+  loan.principalRepaid = ZERO_BD;
+  loan.interestPaid = ZERO_BD;
   loan.save();
+  recordListing(event, loan);
+}
 
-  let user = User.load(event.params.borrower.toHexString());
-  if (!user) {
-    user = new User(event.params.borrower.toHexString());
-    user.save();
+export function handleLoanStatusChanged(event: LoanStatusChanged): void {
+  // The LISTED status is emitted before LoanListed creates the loan
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.status = LOAN_STATUSES[event.params.status];
+    loan.save();
+  }
+}
+
+export function handleERC1155CollateralDeposited(
+  event: ERC1155CollateralDeposited,
+): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.collateralAmount = event.params.amount;
+    loan.save();
+  }
+}
+
+export function handleBundleCollateralDeposited(
+  event: BundleCollateralDeposited,
+): void {
+  let items = event.params.items;
+  for (let i = 0; i < items.length; i++) {
+    let item = new BundleItem(
+      event.params.loanId.toString() + '-' + i.toString(),
+    );
+    item.loan = event.params.loanId.toString();
+    item.nftAddress = items[i].nftAddress;
+    item.tokenId = items[i].tokenId;
+    item.amount = items[i].amount;
+    item.save();
+  }
+}
+
+export function handleListingOptionsSet(event: ListingOptionsSet): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.autoAcceptRate = toRate(event.params.autoAcceptRate);
+    loan.listingDeadline = event.params.listingDeadline;
+    loan.auctionEndTime = event.params.auctionEndTime;
+    loan.save();
+  }
+}
+
+export function handleAuctionExtended(event: AuctionExtended): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.auctionEndTime = event.params.auctionEndTime;
+    loan.save();
+  }
+}
+
+export function handleLoanBidPlaced(event: LoanBidPlaced): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    // The escrow of the outbid lender moves to its pending withdrawals
+    refundEscrow(loan);
+    loan.currentInterestRate = toRate(event.params.currentInterestRate);
+    loan.lender = getOrCreateUser(event.params.lender).id;
+    placeBid(event, loan, event.params.lender);
+    setLoanEscrow(event, loan, loan.loanAmount);
+    loan.save();
+  }
+}
+
+export function handleLoanBidCancelled(event: LoanBidCancelled): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    // The escrow is sent back to the lender
+    closeCurrentBid(event, loan, 'Cancelled');
+    setLoanEscrow(event, loan, ZERO_BD);
+    loan.currentInterestRate = loan.maxInterestRate;
+    loan.lender = null;
+    loan.save();
+  }
+}
+
+export function handleBookBidPlaced(event: BookBidPlaced): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    let bid = new BookBid(loan.id + '-' + event.params.bidId.toString());
+    bid.loan = loan.id;
+    bid.bidId = event.params.bidId;
+    bid.lender = getOrCreateUser(event.params.lender).id;
+    bid.loanAmount = toLoanDecimal(loan, event.params.loanAmount);
+    bid.interestRate = toRate(event.params.interestRate);
+    bid.duration = event.params.duration;
+    bid.status = 'Open';
+    bid.save();
+    adjustEscrowed(event, loan.currency, bid.loanAmount);
+  }
+}
+
+export function handleBookBidStatusChanged(event: BookBidStatusChanged): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  let bid = BookBid.load(
+    event.params.loanId.toString() + '-' + event.params.bidId.toString(),
+  );
+  if (!loan || !bid) {
+    return;
+  }
+  let wasOpen = bid.status == 'Open';
+  bid.status = BID_STATUSES[event.params.status];
+  bid.save();
+  if (wasOpen && bid.status != 'Open') {
+    adjustEscrowed(event, loan.currency, bid.loanAmount.neg());
+  }
+
+  if (bid.status == 'Refunded') {
+    addPendingWithdrawal(
+      Address.fromString(bid.lender),
+      loan.currency,
+      bid.loanAmount,
+    );
+  } else if (bid.status == 'Accepted') {
+    // Accepting a book bid refunds the escrow of the current placeBid lender
+    refundEscrow(loan);
+    closeCurrentBid(event, loan, 'Refunded');
+    loan.loanAmount = bid.loanAmount;
+    loan.currentInterestRate = bid.interestRate;
+    loan.duration = bid.duration;
+    setLoanEscrow(event, loan, bid.loanAmount);
+    loan.save();
   }
 }
 
 export function handleLoanAccepted(event: LoanAccepted): void {
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.lender = event.params.lender.toHexString();
+    closeCurrentBid(event, loan, 'Accepted');
+    loan.lender = getOrCreateUser(event.params.lender).id;
     loan.startTime = event.params.startTime;
     loan.isAccepted = true;
-    loan.status = "Accepted";
+    // The escrow is sent to the borrower
+    setLoanEscrow(event, loan, ZERO_BD);
+    loan.save();
+    recordLoanStart(event, loan);
+  }
+}
+
+export function handleLoanOfferAccepted(event: LoanOfferAccepted): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.offerNonce = event.params.nonce;
+    loan.save();
+  }
+
+  let offerNonce = getOrCreateLoanOfferNonce(
+    event.params.lender,
+    event.params.nonce,
+  );
+  offerNonce.status = 'Accepted';
+  offerNonce.loan = event.params.loanId.toString();
+  offerNonce.save();
+}
+
+export function handleLoanDelisted(event: LoanDelisted): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    // The escrow of the last bidder moves to its pending withdrawals
+    refundEscrow(loan);
+    closeCurrentBid(event, loan, 'Refunded');
+    setLoanEscrow(event, loan, ZERO_BD);
+    loan.closedAt = event.block.timestamp;
     loan.save();
+  }
+}
+
+export function handleListingExpired(event: ListingExpired): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.closedAt = event.block.timestamp;
+    loan.save();
+  }
+}
 
-    let user = User.load(event.params.lender.toHexString());
-    if (!user) {
-      user = new User(event.params.lender.toHexString());
-      user.save();
+export function handleLoanReferred(event: LoanReferred): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    let referrer = getOrCreateUser(event.params.referrer).id;
+    if (event.params.isBid) {
+      loan.bidReferrer = referrer;
+    } else {
+      loan.listingReferrer = referrer;
     }
+    loan.save();
   }
 }
 
+export function handleLoanPositionTransferred(
+  event: LoanPositionTransferred,
+): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    let holder = getOrCreateUser(event.params.to).id;
+    if (event.params.isLender) {
+      loan.lender = holder;
+    } else {
+      loan.borrower = holder;
+    }
+    loan.save();
+  }
+}
+
+export function handleLoanDelegateUpdated(event: LoanDelegateUpdated): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.delegate =
+      event.params.delegate == Address.zero() ? null : event.params.delegate;
+    loan.save();
+  }
+}
+
+export function handleAirdropForwarded(event: AirdropForwarded): void {
+  let airdrop = new AirdropForward(
+    event.transaction.hash.toHexString() + '-' + event.logIndex.toString(),
+  );
+  airdrop.loan = event.params.loanId.toString();
+  airdrop.token = event.params.token;
+  airdrop.borrower = getOrCreateUser(event.params.borrower).id;
+  airdrop.tokenIdOrAmount = event.params.tokenIdOrAmount;
+  airdrop.isERC721 = event.params.isERC721;
+  airdrop.timestamp = event.block.timestamp;
+  airdrop.save();
+}
+
+// Servicing
+
 export function handleLoanRepaid(event: LoanRepaid): void {
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.status = "Repaid";
+    recordRepayment(
+      event,
+      loan,
+      loan.loanAmount,
+      toLoanDecimal(loan, event.params.interestPaid),
+      toLoanDecimal(loan, event.params.borrowerFee),
+      toLoanDecimal(loan, event.params.lenderFee),
+      toLoanDecimal(loan, event.params.gracePenalty),
+      false,
+    );
+    loan.repaymentAmount = toLoanDecimal(loan, event.params.repaymentAmount);
+    loan.closedAt = event.block.timestamp;
+    loan.save();
+
+    // The lender is paid the repayment less both protocol fees
+    let lenderPayout = event.params.repaymentAmount
+      .minus(event.params.borrowerFee)
+      .minus(event.params.lenderFee);
+    addPendingWithdrawal(
+      Address.fromString(loan.lender!),
+      loan.currency,
+      toLoanDecimal(loan, lenderPayout),
+    );
+    refundNativeExcess(
+      event,
+      loan,
+      toLoanDecimal(loan, event.params.repaymentAmount),
+    );
+  }
+}
+
+export function handleLoanPartiallyRepaid(event: LoanPartiallyRepaid): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    let principal = toLoanDecimal(loan, event.params.principalRepaid);
+    let interest = toLoanDecimal(loan, event.params.interestPaid);
+    recordRepayment(
+      event,
+      loan,
+      principal,
+      interest,
+      toLoanDecimal(loan, event.params.borrowerFee),
+      toLoanDecimal(loan, event.params.lenderFee),
+      ZERO_BD,
+      true,
+    );
+    loan.principalRepaid = loan.principalRepaid.plus(principal);
+    loan.interestPaid = loan.interestPaid.plus(interest);
+    loan.loanAmount = toLoanDecimal(loan, event.params.remainingPrincipal);
+    loan.save();
+
+    let repaid = principal.plus(interest);
+    addPendingWithdrawal(
+      Address.fromString(loan.lender!),
+      loan.currency,
+      repaid.minus(toLoanDecimal(loan, event.params.lenderFee)),
+    );
+    refundNativeExcess(
+      event,
+      loan,
+      repaid.plus(toLoanDecimal(loan, event.params.borrowerFee)),
+    );
+  }
+}
+
+export function handleLoanRefinanced(event: LoanRefinanced): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    let payoffAmount = toLoanDecimal(loan, event.params.newLoanAmount);
+    recordRefinance(
+      event,
+      loan,
+      toLoanDecimal(loan, event.params.interestPaid),
+      toLoanDecimal(
+        loan,
+        event.params.borrowerFee.plus(event.params.lenderFee),
+      ),
+      payoffAmount,
+    );
+    loan.lender = getOrCreateUser(event.params.newLender).id;
+    loan.loanAmount = payoffAmount;
+    loan.currentInterestRate = toRate(event.params.newInterestRate);
+    loan.duration = event.params.newDuration;
+    loan.startTime = event.block.timestamp;
+    loan.maxRefinanceRate = null;
+    loan.minRefinanceDuration = null;
+    loan.requestedDuration = null;
+    loan.bidReferrer = null;
+    loan.save();
+
+    // The old lender is paid off as on repayment
+    let repaid = event.params.oldLoanAmount.plus(event.params.interestPaid);
+    addPendingWithdrawal(
+      event.params.oldLender,
+      loan.currency,
+      toLoanDecimal(loan, repaid.minus(event.params.lenderFee)),
+    );
+    refundNativeExcess(event, loan, payoffAmount);
+  }
+}
+
+export function handleRefinanceTermsUpdated(
+  event: RefinanceTermsUpdated,
+): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.maxRefinanceRate = toRate(event.params.maxInterestRate);
+    loan.minRefinanceDuration = event.params.minDuration;
+    loan.save();
+  }
+}
+
+export function handleLoanExtensionRequested(
+  event: LoanExtensionRequested,
+): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.requestedDuration = event.params.newDuration;
+    loan.save();
+  }
+}
+
+export function handleLoanExtended(event: LoanExtended): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    loan.duration = event.params.newDuration;
+    loan.requestedDuration = null;
     loan.save();
   }
 }
@@ -80,60 +501,516 @@ export function handleLoanRepaid(event: LoanRepaid): void {
 export function handleLoanDefaulted(event: LoanDefaulted): void {
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.status = "Defaulted";
+    recordDefault(
+      event,
+      loan,
+      toLoanDecimal(loan, event.params.debt),
+      toLoanDecimal(loan, event.params.lenderFee),
+      null,
+      null,
+      null,
+    );
+    loan.closedAt = event.block.timestamp;
     loan.save();
   }
 }
 
-export function handleLoanBidPlaced(event: LoanBidPlaced): void {
+export function handleLiquidationStarted(event: LiquidationStarted): void {
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.currentInterestRate = event.params.currentInterestRate.toBigDecimal();
-    loan.lender = event.params.lender.toHexString();
+    loan.liquidationDebt = toLoanDecimal(loan, event.params.debt);
+    loan.liquidationEndTime = event.params.endTime;
     loan.save();
+  }
+}
 
-    let user = User.load(event.params.lender.toHexString());
-    if (!user) {
-      user = new User(event.params.lender.toHexString());
-      user.save();
+export function handleLiquidationBidPlaced(event: LiquidationBidPlaced): void {
+  let loan = Loan.load(event.params.loanId.toString());
+  if (loan) {
+    // The outbid bidder is refunded to its pending withdrawals
+    let previousBidder = loan.liquidationBidder;
+    if (previousBidder) {
+      addPendingWithdrawal(
+        Address.fromString(previousBidder),
+        loan.currency,
+        loan.liquidationBid!,
+      );
     }
+    loan.liquidationBidder = getOrCreateUser(event.params.bidder).id;
+    loan.liquidationBid = toLoanDecimal(loan, event.params.amount);
+    setLoanEscrow(event, loan, loan.liquidationBid!);
+    loan.save();
   }
 }
 
-export function handleLoanBidCancelled(event: LoanBidCancelled): void {
+export function handleLiquidationSettled(event: LiquidationSettled): void {
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.currentInterestRate = loan.maxInterestRate;
-    loan.lender = null;
+    recordDefault(
+      event,
+      loan,
+      loan.liquidationDebt!,
+      toLoanDecimal(loan, event.params.lenderFee),
+      event.params.winner,
+      toLoanDecimal(loan, event.params.amount),
+      toLoanDecimal(loan, event.params.borrowerSurplus),
+    );
+    setLoanEscrow(event, loan, ZERO_BD);
+    loan.liquidationWinner = getOrCreateUser(event.params.winner).id;
+    loan.closedAt = event.block.timestamp;
     loan.save();
+
+    // The lender is paid the debt less its protocol fee and the borrower any surplus
+    addPendingWithdrawal(
+      Address.fromString(loan.lender!),
+      loan.currency,
+      loan.liquidationDebt!.minus(toLoanDecimal(loan, event.params.lenderFee)),
+    );
+    addPendingWithdrawal(
+      Address.fromString(loan.borrower),
+      loan.currency,
+      toLoanDecimal(loan, event.params.borrowerSurplus),
+    );
   }
 }
 
-export function handleLoanDelisted(event: LoanDelisted): void {
+// Offers
+
+export function handleCollectionOfferPlaced(
+  event: CollectionOfferPlaced,
+): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  let offer = new CollectionOffer(event.params.offerId.toString());
+  offer.lender = getOrCreateUser(event.params.lender).id;
+  offer.collection = getOrCreateCollection(event.params.nftAddress).id;
+  offer.currency = currency.id;
+  offer.loanAmount = toDecimal(event.params.loanAmount, currency.decimals);
+  offer.interestRate = toRate(event.params.interestRate);
+  offer.duration = event.params.duration;
+  offer.loanType = loanTypeName(event.params.loanType);
+  offer.totalFunds = toDecimal(event.params.totalFunds, currency.decimals);
+  offer.remainingFunds = offer.totalFunds;
+  offer.isCancelled = false;
+  offer.save();
+  adjustEscrowed(event, currency.id, offer.totalFunds);
+}
+
+export function handleCollectionOfferTaken(event: CollectionOfferTaken): void {
+  let offer = CollectionOffer.load(event.params.offerId.toString());
+  if (offer) {
+    // The loan amount and any remainder too small for another loan leave the escrow
+    let currency = getOrCreateCurrency(Address.fromString(offer.currency));
+    let remainingFunds = toDecimal(
+      event.params.remainingFunds,
+      currency.decimals,
+    );
+    adjustEscrowed(
+      event,
+      currency.id,
+      remainingFunds.minus(offer.remainingFunds),
+    );
+    // A closed offer refunds its remainder to the lender's pending withdrawals
+    addPendingWithdrawal(
+      Address.fromString(offer.lender),
+      currency.id,
+      offer.remainingFunds.minus(offer.loanAmount).minus(remainingFunds),
+    );
+    offer.remainingFunds = remainingFunds;
+    offer.save();
+  }
+
   let loan = Loan.load(event.params.loanId.toString());
   if (loan) {
-    loan.status = "Delisted";
+    loan.collectionOffer = event.params.offerId.toString();
     loan.save();
   }
 }
 
-export function handlePendingWithdrawalAdded(event: PendingWithdrawalAdded): void {
-  let user = User.load(event.params.recipient.toHexString());
-  if (!user) {
-    user = new User(event.params.recipient.toHexString());
-    user.totalWithdrawn = BigDecimal.fromString("0");
-    user.pendingWithdraw = BigDecimal.fromString("0");
+export function handleCollectionOfferCancelled(
+  event: CollectionOfferCancelled,
+): void {
+  let offer = CollectionOffer.load(event.params.offerId.toString());
+  if (offer) {
+    adjustEscrowed(event, offer.currency, offer.remainingFunds.neg());
+    addPendingWithdrawal(
+      event.params.lender,
+      offer.currency,
+      offer.remainingFunds,
+    );
+    offer.remainingFunds = ZERO_BD;
+    offer.isCancelled = true;
+    offer.save();
   }
-  user.pendingWithdraw = user.pendingWithdraw.plus(event.params.amount.toBigDecimal());
+}
+
+export function handleLoanOfferCancelled(event: LoanOfferCancelled): void {
+  let offerNonce = getOrCreateLoanOfferNonce(
+    event.params.lender,
+    event.params.nonce,
+  );
+  offerNonce.status = 'Cancelled';
+  offerNonce.save();
+}
+
+export function handleLoanOfferNoncesInvalidated(
+  event: LoanOfferNoncesInvalidated,
+): void {
+  let user = getOrCreateUser(event.params.lender);
+  user.minOfferNonce = event.params.minNonce;
   user.save();
 }
 
+function getOrCreateLoanOfferNonce(
+  lender: Address,
+  nonce: BigInt,
+): LoanOfferNonce {
+  let id = lender.toHexString() + '-' + nonce.toString();
+  let offerNonce = LoanOfferNonce.load(id);
+  if (!offerNonce) {
+    offerNonce = new LoanOfferNonce(id);
+    offerNonce.lender = getOrCreateUser(lender).id;
+    offerNonce.nonce = nonce;
+  }
+  return offerNonce;
+}
+
+// Funds
 
 export function handleFundsWithdrawn(event: FundsWithdrawn): void {
-  let user = User.load(event.params.user.toHexString());
-  if (user) {
-    user.totalWithdrawn = user.totalWithdrawn.plus(event.params.amount.toBigDecimal());
-    user.pendingWithdraw = user.pendingWithdraw.minus(event.params.amount.toBigDecimal());
+  let currency = getOrCreateCurrency(event.params.currency);
+  let amount = toDecimal(event.params.amount, currency.decimals);
+  let balance = getOrCreateBalance(event.params.user, currency);
+  balance.totalWithdrawn = balance.totalWithdrawn.plus(amount);
+  balance.pendingWithdraw = balance.pendingWithdraw.minus(amount);
+  balance.save();
+
+  if (event.params.currency == Address.zero()) {
+    let user = getOrCreateUser(event.params.user);
+    user.totalWithdrawn = user.totalWithdrawn.plus(amount);
+    user.pendingWithdraw = balance.pendingWithdraw;
     user.save();
   }
 }
+
+export function handleReferralFeeAccrued(event: ReferralFeeAccrued): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  addPendingWithdrawal(
+    event.params.referrer,
+    currency.id,
+    toDecimal(event.params.amount, currency.decimals),
+  );
+}
+
+export function handleCreatorFeeAccrued(event: CreatorFeeAccrued): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  addPendingWithdrawal(
+    event.params.creator,
+    currency.id,
+    toDecimal(event.params.amount, currency.decimals),
+  );
+}
+
+export function handleProtocolFeesDistributed(
+  event: ProtocolFeesDistributed,
+): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  currency.protocolFeesDistributed = currency.protocolFeesDistributed.plus(
+    toDecimal(event.params.amount, currency.decimals),
+  );
+  currency.save();
+
+  // Each recipient is credited its share, the last one also the rounding remainder
+  let protocol = getOrCreateProtocol(event.address);
+  let recipients = protocol.feeRecipients;
+  let shares = protocol.feeRecipientShares;
+  let remaining = event.params.amount;
+  for (let i = 0; i < recipients.length; i++) {
+    let share = remaining;
+    if (i < recipients.length - 1) {
+      let shareBps = BigInt.fromString(
+        shares[i].times(BPS).truncate(0).toString(),
+      );
+      share = event.params.amount.times(shareBps).div(BigInt.fromI32(10000));
+    }
+    remaining = remaining.minus(share);
+    addPendingWithdrawal(
+      Address.fromBytes(recipients[i]),
+      currency.id,
+      toDecimal(share, currency.decimals),
+    );
+  }
+}
+
+export function handleProtocolFeesWithdrawn(
+  event: ProtocolFeesWithdrawn,
+): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  currency.protocolFeesWithdrawn = currency.protocolFeesWithdrawn.plus(
+    toDecimal(event.params.amount, currency.decimals),
+  );
+  currency.save();
+}
+
+/**
+ * Credits the escrow of the current placeBid lender of a listing back to its pending withdrawals.
+ */
+function refundEscrow(loan: Loan): void {
+  let lender = loan.lender;
+  if (lender) {
+    addPendingWithdrawal(
+      Address.fromString(lender),
+      loan.currency,
+      loan.escrowAmount,
+    );
+  }
+}
+
+/**
+ * Credits native value sent above the amount a call required back to the sender, as the contract does.
+ * The value is read from the transaction, so it is only known when the auction is called directly.
+ */
+function refundNativeExcess(
+  event: ethereum.Event,
+  loan: Loan,
+  requiredAmount: BigDecimal,
+): void {
+  let to = event.transaction.to;
+  if (Address.fromString(loan.currency) != Address.zero() || !to) {
+    return;
+  }
+  if (to != event.address) {
+    return;
+  }
+  let excess = toDecimal(event.transaction.value, 18).minus(requiredAmount);
+  if (excess > ZERO_BD) {
+    addPendingWithdrawal(event.transaction.from, loan.currency, excess);
+  }
+}
+
+// Collections and currencies
+
+export function handleAllowedNFTUpdated(event: AllowedNFTUpdated): void {
+  let collection = getOrCreateCollection(event.params.nftAddress);
+  collection.allowed = event.params.allowed;
+  collection.save();
+}
+
+export function handleAllowedCurrencyUpdated(
+  event: AllowedCurrencyUpdated,
+): void {
+  let currency = getOrCreateCurrency(event.params.currency);
+  currency.allowed = event.params.allowed;
+  currency.save();
+}
+
+export function handleCollectionLimitsUpdated(
+  event: CollectionLimitsUpdated,
+): void {
+  let collection = getOrCreateCollection(event.params.nftAddress);
+  collection.maxLoanAmount = event.params.maxLoanAmount;
+  collection.minDuration = event.params.minDuration;
+  collection.maxDuration = event.params.maxDuration;
+  collection.maxInterestRate = toRate(event.params.maxInterestRate);
+  collection.save();
+}
+
+export function handleCollectionFeeRateUpdated(
+  event: CollectionFeeRateUpdated,
+): void {
+  let collection = getOrCreateCollection(event.params.nftAddress);
+  collection.hasFeeOverride = event.params.hasFeeOverride;
+  collection.feeRate = toRate(event.params.feeRate);
+  collection.save();
+}
+
+export function handleCollectionOracleUpdated(
+  event: CollectionOracleUpdated,
+): void {
+  let collection = getOrCreateCollection(event.params.nftAddress);
+  collection.oracle = event.params.oracle;
+  collection.maxLoanToValue = toRate(event.params.maxLoanToValue);
+  collection.maxPriceAge = event.params.maxPriceAge;
+  collection.save();
+}
+
+export function handleCollectionCreatorFeeUpdated(
+  event: CollectionCreatorFeeUpdated,
+): void {
+  let collection = getOrCreateCollection(event.params.nftAddress);
+  collection.creator = event.params.creator;
+  collection.creatorFeeShare = toRate(event.params.share);
+  collection.save();
+}
+
+// Protocol parameters
+
+export function handleFeeRatesUpdated(event: FeeRatesUpdated): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.borrowerFeeRate = toRate(event.params.borrowerFeeRate);
+  protocol.lenderFeeRate = toRate(event.params.lenderFeeRate);
+  protocol.save();
+}
+
+export function handleFeeRecipientsUpdated(event: FeeRecipientsUpdated): void {
+  let accounts = event.params.accounts;
+  let shares = event.params.shares;
+  let recipients: Bytes[] = [];
+  let recipientShares: BigDecimal[] = [];
+  for (let i = 0; i < accounts.length; i++) {
+    recipients.push(accounts[i]);
+    recipientShares.push(toRate(shares[i]));
+  }
+
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.feeRecipients = recipients;
+  protocol.feeRecipientShares = recipientShares;
+  protocol.save();
+}
+
+export function handleReferralFeeShareUpdated(
+  event: ReferralFeeShareUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.referralFeeShare = toRate(event.params.newReferralFeeShare);
+  protocol.save();
+}
+
+export function handleBidCancelPeriodUpdated(
+  event: BidCancelPeriodUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.bidCancelPeriod = event.params.newBidCancelPeriod;
+  protocol.save();
+}
+
+export function handleMaxActiveLoansUpdated(
+  event: MaxActiveLoansUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.maxActiveLoans = event.params.newMaxActiveLoans;
+  protocol.save();
+}
+
+export function handleGracePeriodUpdated(event: GracePeriodUpdated): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.gracePeriod = event.params.newGracePeriod;
+  protocol.gracePenaltyRate = toRate(event.params.newPenaltyRate);
+  protocol.save();
+}
+
+export function handleLiquidationAuctionDurationUpdated(
+  event: LiquidationAuctionDurationUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.liquidationAuctionDuration = event.params.newDuration;
+  protocol.save();
+}
+
+export function handleMinInterestPeriodUpdated(
+  event: MinInterestPeriodUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.minInterestPeriod = event.params.newMinInterestPeriod;
+  protocol.save();
+}
+
+export function handleMinBidDecrementUpdated(
+  event: MinBidDecrementUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.minBidDecrement = toRate(event.params.minBidDecrement);
+  protocol.isMinBidDecrementPercentage = event.params.isPercentage;
+  protocol.save();
+}
+
+export function handleAuctionExtensionWindowUpdated(
+  event: AuctionExtensionWindowUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.auctionExtensionWindow = event.params.auctionExtensionWindow;
+  protocol.save();
+}
+
+export function handleGovernanceDelayUpdated(
+  event: GovernanceDelayUpdated,
+): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.governanceDelay = event.params.governanceDelay;
+  protocol.save();
+}
+
+export function handlePausedActionsUpdated(event: PausedActionsUpdated): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.pausedActions = event.params.pausedActions;
+  protocol.save();
+}
+
+export function handleLoanNotesSet(event: LoanNotesSet): void {
+  let protocol = getOrCreateProtocol(event.address);
+  protocol.lenderNote = event.params.lenderNote;
+  protocol.borrowerNote =
+    event.params.borrowerNote == Address.zero()
+      ? null
+      : event.params.borrowerNote;
+  protocol.save();
+}
+
+// Governance
+
+export function handleChangeQueued(event: ChangeQueued): void {
+  let change = new GovernanceChange(event.params.changeId.toHexString());
+  change.data = event.params.data;
+  change.queuedBy = event.params.caller;
+  change.executableAt = event.params.executableAt;
+  updateChange(change, 'Queued', event.params.caller, event);
+}
+
+export function handleChangeCancelled(event: ChangeCancelled): void {
+  let change = GovernanceChange.load(event.params.changeId.toHexString());
+  if (change) {
+    updateChange(change, 'Cancelled', event.params.caller, event);
+  }
+}
+
+export function handleChangeExecuted(event: ChangeExecuted): void {
+  let change = GovernanceChange.load(event.params.changeId.toHexString());
+  if (change) {
+    updateChange(change, 'Executed', event.params.caller, event);
+  }
+}
+
+function updateChange(
+  change: GovernanceChange,
+  status: string,
+  caller: Address,
+  event: ethereum.Event,
+): void {
+  change.status = status;
+  change.updatedBy = caller;
+  change.updatedAt = event.block.timestamp;
+  change.save();
+}
+
+export function handleRoleGranted(event: RoleGranted): void {
+  updateRoleMember(event.params.role, event.params.account, true);
+}
+
+export function handleRoleRevoked(event: RoleRevoked): void {
+  updateRoleMember(event.params.role, event.params.account, false);
+}
+
+function updateRoleMember(
+  role: Bytes,
+  account: Address,
+  active: boolean,
+): void {
+  let id = role.toHexString() + '-' + account.toHexString();
+  let member = RoleMember.load(id);
+  if (!member) {
+    member = new RoleMember(id);
+    member.role = role;
+    member.account = account;
+  }
+  member.active = active;
+  member.save();
+}
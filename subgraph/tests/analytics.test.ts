@@ -0,0 +1,245 @@
+import { Address } from '@graphprotocol/graph-ts';
+import { afterEach, assert, clearStore, describe, test } from 'matchstick-as';
+import {
+  CollectionOfferPlaced,
+  CollectionOfferTaken,
+  LoanAccepted,
+  LoanBidCancelled,
+  LoanBidPlaced,
+  LoanDefaulted,
+  LoanRepaid,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleCollectionOfferPlaced,
+  handleCollectionOfferTaken,
+  handleLoanAccepted,
+  handleLoanBidCancelled,
+  handleLoanBidPlaced,
+  handleLoanDefaulted,
+  handleLoanRepaid,
+} from '../src/mapping';
+import {
+  AUCTION,
+  BORROWER,
+  LENDER,
+  NATIVE,
+  NFT,
+  OTHER_LENDER,
+  addressParam,
+  bigInt,
+  createEvent,
+  ether,
+  listLoan,
+  smallUintParam,
+  uintParam,
+} from './utils';
+
+const CURRENCY = NATIVE.toHexString();
+const SNAPSHOT = CURRENCY + '-0';
+
+// Interest and each protocol fee charged on repaying 10 CORE at 8% with 2% fees
+const INTEREST = ether('8').div(bigInt(10));
+const FEE = ether('216').div(bigInt(1000));
+
+function placeBid(loanId: i32, lender: Address, rate: i32): void {
+  handleLoanBidPlaced(
+    createEvent<LoanBidPlaced>([
+      uintParam('loanId', bigInt(loanId)),
+      addressParam('lender', lender),
+      uintParam('currentInterestRate', bigInt(rate)),
+    ]),
+  );
+}
+
+function acceptLoan(loanId: i32): void {
+  handleLoanAccepted(
+    createEvent<LoanAccepted>([
+      uintParam('loanId', bigInt(loanId)),
+      addressParam('borrower', BORROWER),
+      addressParam('lender', LENDER),
+      uintParam('startTime', bigInt(1000)),
+    ]),
+  );
+}
+
+function repaymentEvent(loanId: i32): LoanRepaid {
+  return createEvent<LoanRepaid>([
+    uintParam('loanId', bigInt(loanId)),
+    addressParam('borrower', BORROWER),
+    uintParam('repaymentAmount', ether('10').plus(INTEREST).plus(FEE)),
+    uintParam('interestPaid', INTEREST),
+    uintParam('borrowerFee', FEE),
+    uintParam('lenderFee', FEE),
+    uintParam('gracePenalty', bigInt(0)),
+  ]);
+}
+
+describe('Analytics', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('LoanBidPlaced and LoanBidCancelled record the bids of a loan', () => {
+    listLoan(1);
+    placeBid(1, LENDER, 700);
+    placeBid(1, OTHER_LENDER, 600);
+
+    assert.fieldEquals('Bid', '1-1', 'status', 'Outbid');
+    assert.fieldEquals('Bid', '1-2', 'status', 'Active');
+    assert.fieldEquals('Bid', '1-2', 'interestRate', '0.06');
+    assert.fieldEquals('Loan', '1', 'currentBid', '1-2');
+    assert.fieldEquals('Loan', '1', 'bidCount', '2');
+    assert.fieldEquals('Currency', CURRENCY, 'totalEscrowed', '10');
+    assert.fieldEquals('Protocol', AUCTION.toHexString(), 'bidCount', '2');
+
+    handleLoanBidCancelled(
+      createEvent<LoanBidCancelled>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('lender', OTHER_LENDER),
+      ]),
+    );
+    assert.fieldEquals('Bid', '1-2', 'status', 'Cancelled');
+    assert.fieldEquals('Loan', '1', 'currentBid', 'null');
+    assert.fieldEquals('Currency', CURRENCY, 'totalEscrowed', '0');
+  });
+
+  test('LoanAccepted moves the escrow to the borrowed total', () => {
+    listLoan(1);
+    placeBid(1, LENDER, 700);
+    acceptLoan(1);
+
+    assert.fieldEquals('Bid', '1-1', 'status', 'Accepted');
+    assert.fieldEquals('Currency', CURRENCY, 'totalEscrowed', '0');
+    assert.fieldEquals('Currency', CURRENCY, 'totalBorrowed', '10');
+    assert.fieldEquals('Currency', CURRENCY, 'totalVolume', '10');
+    assert.fieldEquals('Currency', CURRENCY, 'totalValueLocked', '10');
+    assert.fieldEquals('Collection', NFT.toHexString(), 'activeLoanCount', '1');
+    assert.fieldEquals(
+      'CollectionVolume',
+      NFT.toHexString() + '-' + CURRENCY,
+      'volume',
+      '10',
+    );
+    assert.fieldEquals('Protocol', AUCTION.toHexString(), 'loanCount', '1');
+    assert.fieldEquals('DailySnapshot', SNAPSHOT, 'listedLoanCount', '1');
+    assert.fieldEquals('DailySnapshot', SNAPSHOT, 'newLoanCount', '1');
+    assert.fieldEquals('DailySnapshot', SNAPSHOT, 'newLoanVolume', '10');
+    assert.fieldEquals('HourlySnapshot', SNAPSHOT, 'totalValueLocked', '10');
+  });
+
+  test('LoanRepaid records the interest and fees of the repayment', () => {
+    listLoan(1);
+    placeBid(1, LENDER, 800);
+    acceptLoan(1);
+    let event = repaymentEvent(1);
+    event.transaction.from = BORROWER;
+    handleLoanRepaid(event);
+
+    let id =
+      event.transaction.hash.toHexString() + '-' + event.logIndex.toString();
+    assert.fieldEquals('Repayment', id, 'principal', '10');
+    assert.fieldEquals('Repayment', id, 'interest', '0.8');
+    assert.fieldEquals('Repayment', id, 'borrowerFee', '0.216');
+    assert.fieldEquals('Repayment', id, 'lenderFee', '0.216');
+    assert.fieldEquals('Repayment', id, 'amount', '11.016');
+    assert.fieldEquals('Repayment', id, 'isPartial', 'false');
+    assert.fieldEquals('Currency', CURRENCY, 'totalBorrowed', '0');
+    assert.fieldEquals('Currency', CURRENCY, 'totalInterestPaid', '0.8');
+    assert.fieldEquals('Currency', CURRENCY, 'totalProtocolFees', '0.432');
+    assert.fieldEquals('Collection', NFT.toHexString(), 'repaidLoanCount', '1');
+    assert.fieldEquals('Collection', NFT.toHexString(), 'activeLoanCount', '0');
+    assert.fieldEquals('DailySnapshot', SNAPSHOT, 'repaidLoanCount', '1');
+  });
+
+  test('LoanRepaid records the fees and penalty the event reports', () => {
+    listLoan(1);
+    placeBid(1, LENDER, 800);
+    acceptLoan(1);
+    // A fee-exempt borrower repaying during the grace period
+    let penalty = ether('54').div(bigInt(100));
+    let event = createEvent<LoanRepaid>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('borrower', BORROWER),
+      uintParam('repaymentAmount', ether('10').plus(INTEREST).plus(penalty)),
+      uintParam('interestPaid', INTEREST),
+      uintParam('borrowerFee', bigInt(0)),
+      uintParam('lenderFee', ether('1').div(bigInt(10))),
+      uintParam('gracePenalty', penalty),
+    ]);
+    handleLoanRepaid(event);
+
+    let id =
+      event.transaction.hash.toHexString() + '-' + event.logIndex.toString();
+    assert.fieldEquals('Repayment', id, 'borrowerFee', '0');
+    assert.fieldEquals('Repayment', id, 'lenderFee', '0.1');
+    assert.fieldEquals('Repayment', id, 'penalty', '0.54');
+    assert.fieldEquals('Repayment', id, 'amount', '11.34');
+    assert.fieldEquals('Currency', CURRENCY, 'totalProtocolFees', '0.1');
+  });
+
+  test('LoanDefaulted records the debt and updates the default ratio', () => {
+    listLoan(1);
+    placeBid(1, LENDER, 800);
+    acceptLoan(1);
+    handleLoanRepaid(repaymentEvent(1));
+
+    listLoan(2);
+    placeBid(2, LENDER, 800);
+    acceptLoan(2);
+    let event = createEvent<LoanDefaulted>([
+      uintParam('loanId', bigInt(2)),
+      addressParam('lender', LENDER),
+      uintParam('debt', ether('10').plus(INTEREST)),
+      uintParam('lenderFee', FEE),
+    ]);
+    handleLoanDefaulted(event);
+
+    let id =
+      event.transaction.hash.toHexString() + '-' + event.logIndex.toString();
+    assert.fieldEquals('Default', id, 'principal', '10');
+    assert.fieldEquals('Default', id, 'interest', '0.8');
+    assert.fieldEquals('Default', id, 'debt', '10.8');
+    assert.fieldEquals('Default', id, 'lenderFee', '0.216');
+    assert.fieldEquals('Default', id, 'isLiquidation', 'false');
+    assert.fieldEquals('Collection', NFT.toHexString(), 'defaultRatio', '0.5');
+    assert.fieldEquals(
+      'Protocol',
+      AUCTION.toHexString(),
+      'defaultedLoanCount',
+      '1',
+    );
+    assert.fieldEquals(
+      'CollectionVolume',
+      NFT.toHexString() + '-' + CURRENCY,
+      'defaultedPrincipal',
+      '10',
+    );
+  });
+
+  test('Collection offers add their remaining funds to the escrow', () => {
+    handleCollectionOfferPlaced(
+      createEvent<CollectionOfferPlaced>([
+        uintParam('offerId', bigInt(1)),
+        addressParam('lender', LENDER),
+        addressParam('nftAddress', NFT),
+        addressParam('currency', NATIVE),
+        uintParam('loanAmount', ether('10')),
+        uintParam('interestRate', bigInt(800)),
+        uintParam('duration', bigInt(172800)),
+        smallUintParam('loanType', 0),
+        uintParam('totalFunds', ether('25')),
+      ]),
+    );
+    assert.fieldEquals('Currency', CURRENCY, 'totalEscrowed', '25');
+
+    handleCollectionOfferTaken(
+      createEvent<CollectionOfferTaken>([
+        uintParam('offerId', bigInt(1)),
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        uintParam('remainingFunds', ether('15')),
+      ]),
+    );
+    assert.fieldEquals('Currency', CURRENCY, 'totalEscrowed', '15');
+  });
+});
@@ -0,0 +1,150 @@
+import { BigInt, ethereum } from '@graphprotocol/graph-ts';
+import { afterEach, assert, clearStore, describe, test } from 'matchstick-as';
+import {
+  CreatorFeeAccrued,
+  FeeRecipientsUpdated,
+  FundsWithdrawn,
+  ProtocolFeesDistributed,
+  ProtocolFeesWithdrawn,
+  ReferralFeeAccrued,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleCreatorFeeAccrued,
+  handleFeeRecipientsUpdated,
+  handleFundsWithdrawn,
+  handleProtocolFeesDistributed,
+  handleProtocolFeesWithdrawn,
+  handleReferralFeeAccrued,
+} from '../src/mapping';
+import {
+  AUCTION,
+  BORROWER,
+  LENDER,
+  NATIVE,
+  OTHER_LENDER,
+  TOKEN,
+  addressParam,
+  bigInt,
+  createEvent,
+  ether,
+  mockToken,
+  uintParam,
+} from './utils';
+
+const LENDER_BALANCE = LENDER.toHexString() + '-' + NATIVE.toHexString();
+
+function accrueReferralFee(amount: BigInt): void {
+  handleReferralFeeAccrued(
+    createEvent<ReferralFeeAccrued>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('referrer', LENDER),
+      addressParam('currency', NATIVE),
+      uintParam('amount', amount),
+    ]),
+  );
+}
+
+describe('Funds', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('ReferralFeeAccrued credits the referrer', () => {
+    accrueReferralFee(ether('1'));
+    accrueReferralFee(ether('2'));
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '3');
+    assert.fieldEquals('User', LENDER.toHexString(), 'pendingWithdraw', '3');
+  });
+
+  test('CreatorFeeAccrued keeps token balances off the user', () => {
+    mockToken(TOKEN, 'USDC', 6);
+    handleCreatorFeeAccrued(
+      createEvent<CreatorFeeAccrued>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('creator', BORROWER),
+        addressParam('currency', TOKEN),
+        uintParam('amount', BigInt.fromString('3000000000')),
+      ]),
+    );
+    assert.fieldEquals(
+      'Balance',
+      BORROWER.toHexString() + '-' + TOKEN.toHexString(),
+      'pendingWithdraw',
+      '3000',
+    );
+    assert.fieldEquals('User', BORROWER.toHexString(), 'pendingWithdraw', '0');
+  });
+
+  test('FundsWithdrawn debits the pending withdrawal', () => {
+    accrueReferralFee(ether('3'));
+    handleFundsWithdrawn(
+      createEvent<FundsWithdrawn>([
+        addressParam('user', LENDER),
+        uintParam('amount', ether('3')),
+        addressParam('to', LENDER),
+        addressParam('currency', NATIVE),
+      ]),
+    );
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '0');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'totalWithdrawn', '3');
+    assert.fieldEquals('User', LENDER.toHexString(), 'pendingWithdraw', '0');
+    assert.fieldEquals('User', LENDER.toHexString(), 'totalWithdrawn', '3');
+  });
+
+  test('ProtocolFeesDistributed credits every fee recipient its share', () => {
+    mockToken(TOKEN, 'PTS', 0);
+    handleFeeRecipientsUpdated(
+      createEvent<FeeRecipientsUpdated>([
+        new ethereum.EventParam(
+          'accounts',
+          ethereum.Value.fromAddressArray([LENDER, OTHER_LENDER]),
+        ),
+        new ethereum.EventParam(
+          'shares',
+          ethereum.Value.fromUnsignedBigIntArray([bigInt(3333), bigInt(6667)]),
+        ),
+      ]),
+    );
+    handleProtocolFeesDistributed(
+      createEvent<ProtocolFeesDistributed>([
+        addressParam('currency', TOKEN),
+        uintParam('amount', bigInt(10)),
+      ]),
+    );
+    assert.fieldEquals(
+      'Currency',
+      TOKEN.toHexString(),
+      'protocolFeesDistributed',
+      '10',
+    );
+    assert.fieldEquals(
+      'Balance',
+      LENDER.toHexString() + '-' + TOKEN.toHexString(),
+      'pendingWithdraw',
+      '3',
+    );
+    // The last recipient also receives the rounding remainder
+    assert.fieldEquals(
+      'Balance',
+      OTHER_LENDER.toHexString() + '-' + TOKEN.toHexString(),
+      'pendingWithdraw',
+      '7',
+    );
+  });
+
+  test('ProtocolFeesWithdrawn adds to the currency total', () => {
+    handleProtocolFeesWithdrawn(
+      createEvent<ProtocolFeesWithdrawn>([
+        addressParam('to', AUCTION),
+        uintParam('amount', ether('5')),
+        addressParam('currency', NATIVE),
+      ]),
+    );
+    assert.fieldEquals(
+      'Currency',
+      NATIVE.toHexString(),
+      'protocolFeesWithdrawn',
+      '5',
+    );
+  });
+});
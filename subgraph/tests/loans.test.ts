@@ -0,0 +1,358 @@
+import { Address, ethereum } from '@graphprotocol/graph-ts';
+import {
+  afterEach,
+  assert,
+  beforeEach,
+  clearStore,
+  describe,
+  test,
+} from 'matchstick-as';
+import {
+  AirdropForwarded,
+  AuctionExtended,
+  BookBidPlaced,
+  BookBidStatusChanged,
+  BundleCollateralDeposited,
+  ERC1155CollateralDeposited,
+  ListingExpired,
+  ListingOptionsSet,
+  LoanAccepted,
+  LoanBidCancelled,
+  LoanBidPlaced,
+  LoanDelegateUpdated,
+  LoanDelisted,
+  LoanOfferAccepted,
+  LoanPositionTransferred,
+  LoanReferred,
+  LoanStatusChanged,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleAirdropForwarded,
+  handleAuctionExtended,
+  handleBookBidPlaced,
+  handleBookBidStatusChanged,
+  handleBundleCollateralDeposited,
+  handleERC1155CollateralDeposited,
+  handleListingExpired,
+  handleListingOptionsSet,
+  handleLoanAccepted,
+  handleLoanBidCancelled,
+  handleLoanBidPlaced,
+  handleLoanDelegateUpdated,
+  handleLoanDelisted,
+  handleLoanOfferAccepted,
+  handleLoanPositionTransferred,
+  handleLoanReferred,
+  handleLoanStatusChanged,
+} from '../src/mapping';
+import {
+  BORROWER,
+  LENDER,
+  NATIVE,
+  NFT,
+  OTHER_LENDER,
+  TOKEN,
+  addressParam,
+  bigInt,
+  boolParam,
+  createEvent,
+  ether,
+  listLoan,
+  smallUintParam,
+  uintParam,
+} from './utils';
+
+const LENDER_BALANCE = LENDER.toHexString() + '-' + NATIVE.toHexString();
+
+function placeBid(lender: Address, rate: i32): void {
+  handleLoanBidPlaced(
+    createEvent<LoanBidPlaced>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('lender', lender),
+      uintParam('currentInterestRate', bigInt(rate)),
+    ]),
+  );
+}
+
+function placeBookBid(bidId: i32, lender: Address): void {
+  handleBookBidPlaced(
+    createEvent<BookBidPlaced>([
+      uintParam('loanId', bigInt(1)),
+      uintParam('bidId', bigInt(bidId)),
+      addressParam('lender', lender),
+      uintParam('loanAmount', ether('12')),
+      uintParam('interestRate', bigInt(500)),
+      uintParam('duration', bigInt(86400)),
+    ]),
+  );
+}
+
+function changeBookBidStatus(bidId: i32, status: i32): void {
+  handleBookBidStatusChanged(
+    createEvent<BookBidStatusChanged>([
+      uintParam('loanId', bigInt(1)),
+      uintParam('bidId', bigInt(bidId)),
+      smallUintParam('status', status),
+    ]),
+  );
+}
+
+describe('Loans', () => {
+  beforeEach(() => {
+    listLoan(1);
+  });
+
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('LoanListed converts the amount to CORE and the rate from bps', () => {
+    assert.fieldEquals('Loan', '1', 'borrower', BORROWER.toHexString());
+    assert.fieldEquals('Loan', '1', 'collection', NFT.toHexString());
+    assert.fieldEquals('Loan', '1', 'currency', NATIVE.toHexString());
+    assert.fieldEquals('Loan', '1', 'loanAmount', '10');
+    assert.fieldEquals('Loan', '1', 'maxInterestRate', '0.08');
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.08');
+    assert.fieldEquals('Loan', '1', 'loanType', 'FIXED');
+    assert.fieldEquals('Loan', '1', 'status', 'New');
+    assert.fieldEquals('Currency', NATIVE.toHexString(), 'decimals', '18');
+    assert.fieldEquals('User', BORROWER.toHexString(), 'pendingWithdraw', '0');
+  });
+
+  test('LoanStatusChanged names the contract status', () => {
+    handleLoanStatusChanged(
+      createEvent<LoanStatusChanged>([
+        uintParam('loanId', bigInt(1)),
+        smallUintParam('status', 1),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'status', 'Pending');
+  });
+
+  test('ERC1155CollateralDeposited records the units', () => {
+    handleERC1155CollateralDeposited(
+      createEvent<ERC1155CollateralDeposited>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('amount', bigInt(5)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'collateralAmount', '5');
+  });
+
+  test('BundleCollateralDeposited records every item', () => {
+    let item = new ethereum.Tuple();
+    item.push(ethereum.Value.fromAddress(TOKEN));
+    item.push(ethereum.Value.fromUnsignedBigInt(bigInt(7)));
+    item.push(ethereum.Value.fromUnsignedBigInt(bigInt(0)));
+    handleBundleCollateralDeposited(
+      createEvent<BundleCollateralDeposited>([
+        uintParam('loanId', bigInt(1)),
+        new ethereum.EventParam('items', ethereum.Value.fromTupleArray([item])),
+      ]),
+    );
+    assert.fieldEquals('BundleItem', '1-0', 'nftAddress', TOKEN.toHexString());
+    assert.fieldEquals('BundleItem', '1-0', 'tokenId', '7');
+    assert.fieldEquals('BundleItem', '1-0', 'amount', '0');
+  });
+
+  test('ListingOptionsSet and AuctionExtended update the listing', () => {
+    handleListingOptionsSet(
+      createEvent<ListingOptionsSet>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('autoAcceptRate', bigInt(500)),
+        uintParam('listingDeadline', bigInt(2000)),
+        uintParam('auctionEndTime', bigInt(1000)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'autoAcceptRate', '0.05');
+    assert.fieldEquals('Loan', '1', 'listingDeadline', '2000');
+    assert.fieldEquals('Loan', '1', 'auctionEndTime', '1000');
+
+    handleAuctionExtended(
+      createEvent<AuctionExtended>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('auctionEndTime', bigInt(1600)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'auctionEndTime', '1600');
+  });
+
+  test('LoanBidPlaced credits the outbid lender', () => {
+    placeBid(LENDER, 700);
+    assert.fieldEquals('Loan', '1', 'lender', LENDER.toHexString());
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.07');
+    assert.notInStore('Balance', LENDER_BALANCE);
+
+    placeBid(OTHER_LENDER, 600);
+    assert.fieldEquals('Loan', '1', 'lender', OTHER_LENDER.toHexString());
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.06');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.fieldEquals('User', LENDER.toHexString(), 'pendingWithdraw', '10');
+  });
+
+  test('LoanBidCancelled resets the bid', () => {
+    placeBid(LENDER, 700);
+    handleLoanBidCancelled(
+      createEvent<LoanBidCancelled>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('lender', LENDER),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.08');
+    assert.fieldEquals('Loan', '1', 'lender', 'null');
+
+    // The escrow was sent back directly, so the next bid credits nobody
+    placeBid(OTHER_LENDER, 700);
+    assert.notInStore('Balance', LENDER_BALANCE);
+  });
+
+  test('BookBidPlaced records an open bid', () => {
+    placeBookBid(1, LENDER);
+    assert.fieldEquals('BookBid', '1-1', 'lender', LENDER.toHexString());
+    assert.fieldEquals('BookBid', '1-1', 'loanAmount', '12');
+    assert.fieldEquals('BookBid', '1-1', 'interestRate', '0.05');
+    assert.fieldEquals('BookBid', '1-1', 'status', 'Open');
+  });
+
+  test('BookBidStatusChanged credits refunded bids', () => {
+    placeBookBid(1, LENDER);
+    changeBookBidStatus(1, 3);
+    assert.fieldEquals('BookBid', '1-1', 'status', 'Refunded');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '12');
+  });
+
+  test('BookBidStatusChanged does not credit cancelled bids', () => {
+    // Cancelled bids are sent back to the lender directly
+    placeBookBid(1, LENDER);
+    changeBookBidStatus(1, 2);
+    assert.fieldEquals('BookBid', '1-1', 'status', 'Cancelled');
+    assert.notInStore('Balance', LENDER_BALANCE);
+  });
+
+  test('BookBidStatusChanged applies accepted terms and credits the outbid lender', () => {
+    placeBid(LENDER, 700);
+    placeBookBid(1, OTHER_LENDER);
+    changeBookBidStatus(1, 1);
+    assert.fieldEquals('BookBid', '1-1', 'status', 'Accepted');
+    assert.fieldEquals('Bid', '1-1', 'status', 'Refunded');
+    assert.fieldEquals('Loan', '1', 'loanAmount', '12');
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.05');
+    assert.fieldEquals('Loan', '1', 'duration', '86400');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.notInStore(
+      'Balance',
+      OTHER_LENDER.toHexString() + '-' + NATIVE.toHexString(),
+    );
+  });
+
+  test('LoanAccepted starts the loan', () => {
+    handleLoanAccepted(
+      createEvent<LoanAccepted>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        addressParam('lender', LENDER),
+        uintParam('startTime', bigInt(1000)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'lender', LENDER.toHexString());
+    assert.fieldEquals('Loan', '1', 'startTime', '1000');
+    assert.fieldEquals('Loan', '1', 'isAccepted', 'true');
+  });
+
+  test('LoanOfferAccepted records the used nonce', () => {
+    handleLoanOfferAccepted(
+      createEvent<LoanOfferAccepted>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('lender', LENDER),
+        uintParam('nonce', bigInt(4)),
+      ]),
+    );
+    let id = LENDER.toHexString() + '-4';
+    assert.fieldEquals('Loan', '1', 'offerNonce', '4');
+    assert.fieldEquals('LoanOfferNonce', id, 'status', 'Accepted');
+    assert.fieldEquals('LoanOfferNonce', id, 'loan', '1');
+  });
+
+  test('LoanDelisted credits the last bidder', () => {
+    placeBid(LENDER, 700);
+    handleLoanDelisted(
+      createEvent<LoanDelisted>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+      ]),
+    );
+    assert.fieldEquals('Bid', '1-1', 'status', 'Refunded');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.fieldEquals('User', LENDER.toHexString(), 'pendingWithdraw', '10');
+    assert.fieldEquals('Loan', '1', 'closedAt', '1');
+  });
+
+  test('ListingExpired closes the loan', () => {
+    handleListingExpired(
+      createEvent<ListingExpired>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('caller', LENDER),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'closedAt', '1');
+  });
+
+  test('LoanReferred records the referrer of each side', () => {
+    handleLoanReferred(
+      createEvent<LoanReferred>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('referrer', OTHER_LENDER),
+        addressParam('account', LENDER),
+        boolParam('isBid', true),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'bidReferrer', OTHER_LENDER.toHexString());
+    assert.fieldEquals('Loan', '1', 'listingReferrer', 'null');
+  });
+
+  test('LoanPositionTransferred moves the position', () => {
+    handleLoanPositionTransferred(
+      createEvent<LoanPositionTransferred>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('to', OTHER_LENDER),
+        boolParam('isLender', false),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'borrower', OTHER_LENDER.toHexString());
+  });
+
+  test('LoanDelegateUpdated sets and clears the delegate', () => {
+    handleLoanDelegateUpdated(
+      createEvent<LoanDelegateUpdated>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('delegate', LENDER),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'delegate', LENDER.toHexString());
+
+    handleLoanDelegateUpdated(
+      createEvent<LoanDelegateUpdated>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('delegate', Address.zero()),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'delegate', 'null');
+  });
+
+  test('AirdropForwarded records the forward', () => {
+    let event = createEvent<AirdropForwarded>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('token', TOKEN),
+      addressParam('borrower', BORROWER),
+      uintParam('tokenIdOrAmount', bigInt(9)),
+      boolParam('isERC721', true),
+    ]);
+    handleAirdropForwarded(event);
+    let id =
+      event.transaction.hash.toHexString() + '-' + event.logIndex.toString();
+    assert.fieldEquals('AirdropForward', id, 'loan', '1');
+    assert.fieldEquals('AirdropForward', id, 'token', TOKEN.toHexString());
+    assert.fieldEquals('AirdropForward', id, 'tokenIdOrAmount', '9');
+    assert.fieldEquals('AirdropForward', id, 'isERC721', 'true');
+  });
+});
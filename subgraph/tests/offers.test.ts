@@ -0,0 +1,143 @@
+import { BigInt } from '@graphprotocol/graph-ts';
+import { afterEach, assert, clearStore, describe, test } from 'matchstick-as';
+import {
+  CollectionOfferCancelled,
+  CollectionOfferPlaced,
+  CollectionOfferTaken,
+  LoanOfferCancelled,
+  LoanOfferNoncesInvalidated,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleCollectionOfferCancelled,
+  handleCollectionOfferPlaced,
+  handleCollectionOfferTaken,
+  handleLoanOfferCancelled,
+  handleLoanOfferNoncesInvalidated,
+} from '../src/mapping';
+import {
+  BORROWER,
+  LENDER,
+  NFT,
+  TOKEN,
+  addressParam,
+  bigInt,
+  createEvent,
+  listLoan,
+  mockToken,
+  smallUintParam,
+  uintParam,
+} from './utils';
+
+// 1,000 units of the 6-decimal test token
+const THOUSAND = bigInt(1000000000);
+
+const LENDER_BALANCE = LENDER.toHexString() + '-' + TOKEN.toHexString();
+
+function placeOffer(totalFunds: BigInt): void {
+  mockToken(TOKEN, 'USDC', 6);
+  handleCollectionOfferPlaced(
+    createEvent<CollectionOfferPlaced>([
+      uintParam('offerId', bigInt(1)),
+      addressParam('lender', LENDER),
+      addressParam('nftAddress', NFT),
+      addressParam('currency', TOKEN),
+      uintParam('loanAmount', THOUSAND),
+      uintParam('interestRate', bigInt(600)),
+      uintParam('duration', bigInt(86400)),
+      smallUintParam('loanType', 1),
+      uintParam('totalFunds', totalFunds),
+    ]),
+  );
+}
+
+describe('Offers', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('CollectionOfferPlaced converts amounts with the token decimals', () => {
+    placeOffer(THOUSAND.times(bigInt(3)));
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'symbol', 'USDC');
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'decimals', '6');
+    assert.fieldEquals('CollectionOffer', '1', 'loanAmount', '1000');
+    assert.fieldEquals('CollectionOffer', '1', 'interestRate', '0.06');
+    assert.fieldEquals('CollectionOffer', '1', 'loanType', 'APR');
+    assert.fieldEquals('CollectionOffer', '1', 'totalFunds', '3000');
+    assert.fieldEquals('CollectionOffer', '1', 'remainingFunds', '3000');
+  });
+
+  test('CollectionOfferTaken links the loan', () => {
+    placeOffer(THOUSAND.times(bigInt(3)));
+    listLoan(1);
+    handleCollectionOfferTaken(
+      createEvent<CollectionOfferTaken>([
+        uintParam('offerId', bigInt(1)),
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        uintParam('remainingFunds', THOUSAND.times(bigInt(2))),
+      ]),
+    );
+    assert.fieldEquals('CollectionOffer', '1', 'remainingFunds', '2000');
+    assert.fieldEquals('Loan', '1', 'collectionOffer', '1');
+    assert.notInStore('Balance', LENDER_BALANCE);
+  });
+
+  test('CollectionOfferTaken credits the remainder of a closed offer', () => {
+    // 1,500 units fund one loan and leave 500, too little for another
+    placeOffer(THOUSAND.plus(THOUSAND.div(bigInt(2))));
+    listLoan(1);
+    handleCollectionOfferTaken(
+      createEvent<CollectionOfferTaken>([
+        uintParam('offerId', bigInt(1)),
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        uintParam('remainingFunds', bigInt(0)),
+      ]),
+    );
+    assert.fieldEquals('CollectionOffer', '1', 'remainingFunds', '0');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '500');
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'totalEscrowed', '0');
+  });
+
+  test('CollectionOfferCancelled credits the refund', () => {
+    placeOffer(THOUSAND.times(bigInt(3)));
+    handleCollectionOfferCancelled(
+      createEvent<CollectionOfferCancelled>([
+        uintParam('offerId', bigInt(1)),
+        addressParam('lender', LENDER),
+        uintParam('refund', THOUSAND.times(bigInt(3))),
+      ]),
+    );
+    assert.fieldEquals('CollectionOffer', '1', 'isCancelled', 'true');
+    assert.fieldEquals('CollectionOffer', '1', 'remainingFunds', '0');
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'totalEscrowed', '0');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '3000');
+    // Token balances are not mirrored on the user
+    assert.fieldEquals('User', LENDER.toHexString(), 'pendingWithdraw', '0');
+  });
+
+  test('LoanOfferCancelled records the nonce', () => {
+    handleLoanOfferCancelled(
+      createEvent<LoanOfferCancelled>([
+        addressParam('lender', LENDER),
+        uintParam('nonce', bigInt(3)),
+      ]),
+    );
+    assert.fieldEquals(
+      'LoanOfferNonce',
+      LENDER.toHexString() + '-3',
+      'status',
+      'Cancelled',
+    );
+  });
+
+  test('LoanOfferNoncesInvalidated raises the minimum nonce', () => {
+    handleLoanOfferNoncesInvalidated(
+      createEvent<LoanOfferNoncesInvalidated>([
+        addressParam('lender', LENDER),
+        uintParam('minNonce', bigInt(10)),
+      ]),
+    );
+    assert.fieldEquals('User', LENDER.toHexString(), 'minOfferNonce', '10');
+  });
+});
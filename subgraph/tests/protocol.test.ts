@@ -0,0 +1,392 @@
+import { Address, Bytes } from '@graphprotocol/graph-ts';
+import { afterEach, assert, clearStore, describe, test } from 'matchstick-as';
+import {
+  AllowedCurrencyUpdated,
+  AllowedNFTUpdated,
+  AuctionExtensionWindowUpdated,
+  BidCancelPeriodUpdated,
+  ChangeCancelled,
+  ChangeExecuted,
+  ChangeQueued,
+  CollectionCreatorFeeUpdated,
+  CollectionFeeRateUpdated,
+  CollectionLimitsUpdated,
+  CollectionOracleUpdated,
+  FeeRatesUpdated,
+  GovernanceDelayUpdated,
+  GracePeriodUpdated,
+  LiquidationAuctionDurationUpdated,
+  LoanNotesSet,
+  MaxActiveLoansUpdated,
+  MinBidDecrementUpdated,
+  MinInterestPeriodUpdated,
+  PausedActionsUpdated,
+  ReferralFeeShareUpdated,
+  RoleGranted,
+  RoleRevoked,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleAllowedCurrencyUpdated,
+  handleAllowedNFTUpdated,
+  handleAuctionExtensionWindowUpdated,
+  handleBidCancelPeriodUpdated,
+  handleChangeCancelled,
+  handleChangeExecuted,
+  handleChangeQueued,
+  handleCollectionCreatorFeeUpdated,
+  handleCollectionFeeRateUpdated,
+  handleCollectionLimitsUpdated,
+  handleCollectionOracleUpdated,
+  handleFeeRatesUpdated,
+  handleGovernanceDelayUpdated,
+  handleGracePeriodUpdated,
+  handleLiquidationAuctionDurationUpdated,
+  handleLoanNotesSet,
+  handleMaxActiveLoansUpdated,
+  handleMinBidDecrementUpdated,
+  handleMinInterestPeriodUpdated,
+  handlePausedActionsUpdated,
+  handleReferralFeeShareUpdated,
+  handleRoleGranted,
+  handleRoleRevoked,
+} from '../src/mapping';
+import {
+  AUCTION,
+  LENDER,
+  NFT,
+  OTHER_LENDER,
+  TOKEN,
+  addressParam,
+  bigInt,
+  boolParam,
+  bytes32Param,
+  bytesParam,
+  createEvent,
+  ether,
+  mockToken,
+  uintParam,
+} from './utils';
+
+const PROTOCOL = AUCTION.toHexString();
+const CHANGE_ID = Bytes.fromHexString(
+  '0x1111111111111111111111111111111111111111111111111111111111111111',
+);
+const ROLE = Bytes.fromHexString(
+  '0x2222222222222222222222222222222222222222222222222222222222222222',
+);
+
+function queueChange(): void {
+  handleChangeQueued(
+    createEvent<ChangeQueued>([
+      bytes32Param('changeId', CHANGE_ID),
+      addressParam('caller', LENDER),
+      bytesParam('data', Bytes.fromHexString('0x12345678')),
+      uintParam('executableAt', bigInt(90000)),
+    ]),
+  );
+}
+
+describe('Collections and currencies', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('AllowedNFTUpdated allows the collection', () => {
+    handleAllowedNFTUpdated(
+      createEvent<AllowedNFTUpdated>([
+        addressParam('nftAddress', NFT),
+        boolParam('allowed', true),
+      ]),
+    );
+    assert.fieldEquals('Collection', NFT.toHexString(), 'allowed', 'true');
+  });
+
+  test('AllowedCurrencyUpdated reads the token details', () => {
+    mockToken(TOKEN, 'USDC', 6);
+    handleAllowedCurrencyUpdated(
+      createEvent<AllowedCurrencyUpdated>([
+        addressParam('currency', TOKEN),
+        boolParam('allowed', true),
+      ]),
+    );
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'allowed', 'true');
+    assert.fieldEquals('Currency', TOKEN.toHexString(), 'decimals', '6');
+  });
+
+  test('CollectionLimitsUpdated records the limits', () => {
+    handleCollectionLimitsUpdated(
+      createEvent<CollectionLimitsUpdated>([
+        addressParam('nftAddress', NFT),
+        uintParam('maxLoanAmount', ether('50')),
+        uintParam('minDuration', bigInt(3600)),
+        uintParam('maxDuration', bigInt(604800)),
+        uintParam('maxInterestRate', bigInt(2000)),
+      ]),
+    );
+    let id = NFT.toHexString();
+    assert.fieldEquals(
+      'Collection',
+      id,
+      'maxLoanAmount',
+      ether('50').toString(),
+    );
+    assert.fieldEquals('Collection', id, 'minDuration', '3600');
+    assert.fieldEquals('Collection', id, 'maxDuration', '604800');
+    assert.fieldEquals('Collection', id, 'maxInterestRate', '0.2');
+  });
+
+  test('CollectionFeeRateUpdated records the override', () => {
+    handleCollectionFeeRateUpdated(
+      createEvent<CollectionFeeRateUpdated>([
+        addressParam('nftAddress', NFT),
+        boolParam('hasFeeOverride', true),
+        uintParam('feeRate', bigInt(100)),
+      ]),
+    );
+    assert.fieldEquals(
+      'Collection',
+      NFT.toHexString(),
+      'hasFeeOverride',
+      'true',
+    );
+    assert.fieldEquals('Collection', NFT.toHexString(), 'feeRate', '0.01');
+  });
+
+  test('CollectionOracleUpdated records the oracle', () => {
+    handleCollectionOracleUpdated(
+      createEvent<CollectionOracleUpdated>([
+        addressParam('nftAddress', NFT),
+        addressParam('oracle', TOKEN),
+        uintParam('maxLoanToValue', bigInt(5000)),
+        uintParam('maxPriceAge', bigInt(3600)),
+      ]),
+    );
+    let id = NFT.toHexString();
+    assert.fieldEquals('Collection', id, 'oracle', TOKEN.toHexString());
+    assert.fieldEquals('Collection', id, 'maxLoanToValue', '0.5');
+    assert.fieldEquals('Collection', id, 'maxPriceAge', '3600');
+  });
+
+  test('CollectionCreatorFeeUpdated records the creator share', () => {
+    handleCollectionCreatorFeeUpdated(
+      createEvent<CollectionCreatorFeeUpdated>([
+        addressParam('nftAddress', NFT),
+        addressParam('creator', LENDER),
+        uintParam('share', bigInt(1000)),
+      ]),
+    );
+    let id = NFT.toHexString();
+    assert.fieldEquals('Collection', id, 'creator', LENDER.toHexString());
+    assert.fieldEquals('Collection', id, 'creatorFeeShare', '0.1');
+  });
+});
+
+describe('Protocol parameters', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('FeeRatesUpdated converts the rates from bps', () => {
+    handleFeeRatesUpdated(
+      createEvent<FeeRatesUpdated>([
+        uintParam('borrowerFeeRate', bigInt(150)),
+        uintParam('lenderFeeRate', bigInt(250)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'borrowerFeeRate', '0.015');
+    assert.fieldEquals('Protocol', PROTOCOL, 'lenderFeeRate', '0.025');
+    // Untouched parameters keep the contract defaults
+    assert.fieldEquals('Protocol', PROTOCOL, 'bidCancelPeriod', '86400');
+    assert.fieldEquals('Protocol', PROTOCOL, 'maxActiveLoans', '1000');
+  });
+
+  test('ReferralFeeShareUpdated records the share', () => {
+    handleReferralFeeShareUpdated(
+      createEvent<ReferralFeeShareUpdated>([
+        uintParam('newReferralFeeShare', bigInt(2000)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'referralFeeShare', '0.2');
+  });
+
+  test('BidCancelPeriodUpdated records the period', () => {
+    handleBidCancelPeriodUpdated(
+      createEvent<BidCancelPeriodUpdated>([
+        uintParam('newBidCancelPeriod', bigInt(3600)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'bidCancelPeriod', '3600');
+  });
+
+  test('MaxActiveLoansUpdated records the limit', () => {
+    handleMaxActiveLoansUpdated(
+      createEvent<MaxActiveLoansUpdated>([
+        uintParam('newMaxActiveLoans', bigInt(500)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'maxActiveLoans', '500');
+  });
+
+  test('GracePeriodUpdated records the period and penalty', () => {
+    handleGracePeriodUpdated(
+      createEvent<GracePeriodUpdated>([
+        uintParam('newGracePeriod', bigInt(86400)),
+        uintParam('newPenaltyRate', bigInt(300)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'gracePeriod', '86400');
+    assert.fieldEquals('Protocol', PROTOCOL, 'gracePenaltyRate', '0.03');
+  });
+
+  test('LiquidationAuctionDurationUpdated records the duration', () => {
+    handleLiquidationAuctionDurationUpdated(
+      createEvent<LiquidationAuctionDurationUpdated>([
+        uintParam('newDuration', bigInt(7200)),
+      ]),
+    );
+    assert.fieldEquals(
+      'Protocol',
+      PROTOCOL,
+      'liquidationAuctionDuration',
+      '7200',
+    );
+  });
+
+  test('MinInterestPeriodUpdated records the period', () => {
+    handleMinInterestPeriodUpdated(
+      createEvent<MinInterestPeriodUpdated>([
+        uintParam('newMinInterestPeriod', bigInt(86400)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'minInterestPeriod', '86400');
+  });
+
+  test('MinBidDecrementUpdated records the decrement', () => {
+    handleMinBidDecrementUpdated(
+      createEvent<MinBidDecrementUpdated>([
+        uintParam('minBidDecrement', bigInt(500)),
+        boolParam('isPercentage', true),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'minBidDecrement', '0.05');
+    assert.fieldEquals(
+      'Protocol',
+      PROTOCOL,
+      'isMinBidDecrementPercentage',
+      'true',
+    );
+  });
+
+  test('AuctionExtensionWindowUpdated records the window', () => {
+    handleAuctionExtensionWindowUpdated(
+      createEvent<AuctionExtensionWindowUpdated>([
+        uintParam('auctionExtensionWindow', bigInt(300)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'auctionExtensionWindow', '300');
+  });
+
+  test('GovernanceDelayUpdated records the delay', () => {
+    handleGovernanceDelayUpdated(
+      createEvent<GovernanceDelayUpdated>([
+        uintParam('governanceDelay', bigInt(172800)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'governanceDelay', '172800');
+  });
+
+  test('PausedActionsUpdated records the flags', () => {
+    handlePausedActionsUpdated(
+      createEvent<PausedActionsUpdated>([
+        addressParam('guardian', LENDER),
+        uintParam('pausedActions', bigInt(6)),
+      ]),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'pausedActions', '6');
+  });
+
+  test('LoanNotesSet records the note contracts', () => {
+    handleLoanNotesSet(
+      createEvent<LoanNotesSet>([
+        addressParam('lenderNote', LENDER),
+        addressParam('borrowerNote', Address.zero()),
+      ]),
+    );
+    assert.fieldEquals(
+      'Protocol',
+      PROTOCOL,
+      'lenderNote',
+      LENDER.toHexString(),
+    );
+    assert.fieldEquals('Protocol', PROTOCOL, 'borrowerNote', 'null');
+  });
+});
+
+describe('Governance', () => {
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('ChangeQueued records the change', () => {
+    queueChange();
+    let id = CHANGE_ID.toHexString();
+    assert.fieldEquals('GovernanceChange', id, 'status', 'Queued');
+    assert.fieldEquals('GovernanceChange', id, 'data', '0x12345678');
+    assert.fieldEquals('GovernanceChange', id, 'executableAt', '90000');
+  });
+
+  test('ChangeCancelled cancels the change', () => {
+    queueChange();
+    handleChangeCancelled(
+      createEvent<ChangeCancelled>([
+        bytes32Param('changeId', CHANGE_ID),
+        addressParam('caller', OTHER_LENDER),
+      ]),
+    );
+    let id = CHANGE_ID.toHexString();
+    assert.fieldEquals('GovernanceChange', id, 'status', 'Cancelled');
+    assert.fieldEquals(
+      'GovernanceChange',
+      id,
+      'updatedBy',
+      OTHER_LENDER.toHexString(),
+    );
+  });
+
+  test('ChangeExecuted executes the change', () => {
+    queueChange();
+    handleChangeExecuted(
+      createEvent<ChangeExecuted>([
+        bytes32Param('changeId', CHANGE_ID),
+        addressParam('caller', LENDER),
+      ]),
+    );
+    assert.fieldEquals(
+      'GovernanceChange',
+      CHANGE_ID.toHexString(),
+      'status',
+      'Executed',
+    );
+  });
+
+  test('RoleGranted and RoleRevoked track the members', () => {
+    let id = ROLE.toHexString() + '-' + LENDER.toHexString();
+    handleRoleGranted(
+      createEvent<RoleGranted>([
+        bytes32Param('role', ROLE),
+        addressParam('account', LENDER),
+        addressParam('sender', OTHER_LENDER),
+      ]),
+    );
+    assert.fieldEquals('RoleMember', id, 'active', 'true');
+
+    handleRoleRevoked(
+      createEvent<RoleRevoked>([
+        bytes32Param('role', ROLE),
+        addressParam('account', LENDER),
+        addressParam('sender', OTHER_LENDER),
+      ]),
+    );
+    assert.fieldEquals('RoleMember', id, 'active', 'false');
+  });
+});
@@ -0,0 +1,274 @@
+import {
+  afterEach,
+  assert,
+  beforeEach,
+  clearStore,
+  describe,
+  test,
+} from 'matchstick-as';
+import {
+  LiquidationBidPlaced,
+  LiquidationSettled,
+  LiquidationStarted,
+  LoanAccepted,
+  LoanDefaulted,
+  LoanExtended,
+  LoanExtensionRequested,
+  LoanPartiallyRepaid,
+  LoanRefinanced,
+  LoanRepaid,
+  RefinanceTermsUpdated,
+} from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import {
+  handleLiquidationBidPlaced,
+  handleLiquidationSettled,
+  handleLiquidationStarted,
+  handleLoanAccepted,
+  handleLoanDefaulted,
+  handleLoanExtended,
+  handleLoanExtensionRequested,
+  handleLoanPartiallyRepaid,
+  handleLoanRefinanced,
+  handleLoanRepaid,
+  handleRefinanceTermsUpdated,
+} from '../src/mapping';
+import {
+  BORROWER,
+  LENDER,
+  NATIVE,
+  OTHER_LENDER,
+  addressParam,
+  bigInt,
+  createEvent,
+  ether,
+  listLoan,
+  uintParam,
+} from './utils';
+
+const LENDER_BALANCE = LENDER.toHexString() + '-' + NATIVE.toHexString();
+const BORROWER_BALANCE = BORROWER.toHexString() + '-' + NATIVE.toHexString();
+const HALF = ether('1').div(bigInt(2));
+const TENTH = ether('1').div(bigInt(10));
+
+describe('Servicing', () => {
+  beforeEach(() => {
+    listLoan(1);
+    handleLoanAccepted(
+      createEvent<LoanAccepted>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        addressParam('lender', LENDER),
+        uintParam('startTime', bigInt(1000)),
+      ]),
+    );
+  });
+
+  afterEach(() => {
+    clearStore();
+  });
+
+  test('LoanRepaid credits the lender and the native excess of the payer', () => {
+    let event = createEvent<LoanRepaid>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('borrower', BORROWER),
+      uintParam('repaymentAmount', ether('11')),
+      uintParam('interestPaid', HALF),
+      uintParam('borrowerFee', HALF),
+      uintParam('lenderFee', HALF),
+      uintParam('gracePenalty', bigInt(0)),
+    ]);
+    event.transaction.from = BORROWER;
+    event.transaction.value = ether('12');
+    handleLoanRepaid(event);
+
+    assert.fieldEquals('Loan', '1', 'repaymentAmount', '11');
+    assert.fieldEquals('Loan', '1', 'closedAt', '1');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.fieldEquals('Balance', BORROWER_BALANCE, 'pendingWithdraw', '1');
+  });
+
+  test('LoanRepaid only sees the native excess of direct calls', () => {
+    let event = createEvent<LoanRepaid>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('borrower', BORROWER),
+      uintParam('repaymentAmount', ether('11')),
+      uintParam('interestPaid', HALF),
+      uintParam('borrowerFee', HALF),
+      uintParam('lenderFee', HALF),
+      uintParam('gracePenalty', bigInt(0)),
+    ]);
+    // Called through another contract, whose call value is not in the transaction
+    event.transaction.from = BORROWER;
+    event.transaction.to = OTHER_LENDER;
+    event.transaction.value = ether('12');
+    handleLoanRepaid(event);
+
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.notInStore('Balance', BORROWER_BALANCE);
+  });
+
+  test('LoanPartiallyRepaid tracks the principal and credits the lender', () => {
+    let event = createEvent<LoanPartiallyRepaid>([
+      uintParam('loanId', bigInt(1)),
+      uintParam('principalRepaid', ether('4')),
+      uintParam('interestPaid', ether('1')),
+      uintParam('remainingPrincipal', ether('6')),
+      uintParam('borrowerFee', TENTH),
+      uintParam('lenderFee', TENTH),
+    ]);
+    event.transaction.from = BORROWER;
+    event.transaction.value = ether('6');
+    handleLoanPartiallyRepaid(event);
+
+    assert.fieldEquals('Loan', '1', 'principalRepaid', '4');
+    assert.fieldEquals('Loan', '1', 'interestPaid', '1');
+    assert.fieldEquals('Loan', '1', 'loanAmount', '6');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '4.9');
+    assert.fieldEquals('Balance', BORROWER_BALANCE, 'pendingWithdraw', '0.9');
+  });
+
+  test('LoanRefinanced restarts the loan and pays off the old lender', () => {
+    handleRefinanceTermsUpdated(
+      createEvent<RefinanceTermsUpdated>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('maxInterestRate', bigInt(500)),
+        uintParam('minDuration', bigInt(86400)),
+      ]),
+    );
+    let event = createEvent<LoanRefinanced>([
+      uintParam('loanId', bigInt(1)),
+      addressParam('oldLender', LENDER),
+      addressParam('newLender', OTHER_LENDER),
+      uintParam('oldLoanAmount', ether('10')),
+      uintParam('oldInterestRate', bigInt(800)),
+      uintParam('oldDuration', bigInt(172800)),
+      uintParam('newLoanAmount', ether('11')),
+      uintParam('newInterestRate', bigInt(400)),
+      uintParam('newDuration', bigInt(259200)),
+      uintParam('interestPaid', HALF),
+      uintParam('borrowerFee', HALF),
+      uintParam('lenderFee', HALF),
+    ]);
+    event.transaction.from = OTHER_LENDER;
+    handleLoanRefinanced(event);
+
+    assert.fieldEquals('Loan', '1', 'lender', OTHER_LENDER.toHexString());
+    assert.fieldEquals('Loan', '1', 'loanAmount', '11');
+    assert.fieldEquals('Loan', '1', 'currentInterestRate', '0.04');
+    assert.fieldEquals('Loan', '1', 'duration', '259200');
+    assert.fieldEquals('Loan', '1', 'maxRefinanceRate', 'null');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10');
+    assert.fieldEquals('Currency', NATIVE.toHexString(), 'totalBorrowed', '11');
+    assert.fieldEquals(
+      'Currency',
+      NATIVE.toHexString(),
+      'totalInterestPaid',
+      '0.5',
+    );
+    assert.fieldEquals(
+      'Currency',
+      NATIVE.toHexString(),
+      'totalProtocolFees',
+      '1',
+    );
+  });
+
+  test('RefinanceTermsUpdated records the borrower terms', () => {
+    handleRefinanceTermsUpdated(
+      createEvent<RefinanceTermsUpdated>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('maxInterestRate', bigInt(500)),
+        uintParam('minDuration', bigInt(86400)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'maxRefinanceRate', '0.05');
+    assert.fieldEquals('Loan', '1', 'minRefinanceDuration', '86400');
+  });
+
+  test('LoanExtensionRequested and LoanExtended update the duration', () => {
+    handleLoanExtensionRequested(
+      createEvent<LoanExtensionRequested>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('borrower', BORROWER),
+        uintParam('newDuration', bigInt(259200)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'requestedDuration', '259200');
+
+    handleLoanExtended(
+      createEvent<LoanExtended>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('lender', LENDER),
+        uintParam('newDuration', bigInt(259200)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'duration', '259200');
+    assert.fieldEquals('Loan', '1', 'requestedDuration', 'null');
+  });
+
+  test('LoanDefaulted closes the loan', () => {
+    handleLoanDefaulted(
+      createEvent<LoanDefaulted>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('lender', LENDER),
+        uintParam('debt', ether('11')),
+        uintParam('lenderFee', HALF),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'closedAt', '1');
+    assert.notInStore('Balance', LENDER_BALANCE);
+  });
+
+  test('Liquidations credit the outbid bidder, the lender and the borrower', () => {
+    handleLiquidationStarted(
+      createEvent<LiquidationStarted>([
+        uintParam('loanId', bigInt(1)),
+        uintParam('debt', ether('11')),
+        uintParam('endTime', bigInt(5000)),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'liquidationDebt', '11');
+    assert.fieldEquals('Loan', '1', 'liquidationEndTime', '5000');
+
+    handleLiquidationBidPlaced(
+      createEvent<LiquidationBidPlaced>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('bidder', OTHER_LENDER),
+        uintParam('amount', ether('12')),
+      ]),
+    );
+    handleLiquidationBidPlaced(
+      createEvent<LiquidationBidPlaced>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('bidder', BORROWER),
+        uintParam('amount', ether('13')),
+      ]),
+    );
+    assert.fieldEquals('Loan', '1', 'liquidationBid', '13');
+    assert.fieldEquals(
+      'Balance',
+      OTHER_LENDER.toHexString() + '-' + NATIVE.toHexString(),
+      'pendingWithdraw',
+      '12',
+    );
+
+    handleLiquidationSettled(
+      createEvent<LiquidationSettled>([
+        uintParam('loanId', bigInt(1)),
+        addressParam('winner', BORROWER),
+        uintParam('amount', ether('13')),
+        uintParam('borrowerSurplus', ether('2')),
+        uintParam('lenderFee', HALF),
+      ]),
+    );
+    assert.fieldEquals(
+      'Loan',
+      '1',
+      'liquidationWinner',
+      BORROWER.toHexString(),
+    );
+    assert.fieldEquals('Loan', '1', 'closedAt', '1');
+    assert.fieldEquals('Balance', LENDER_BALANCE, 'pendingWithdraw', '10.5');
+    assert.fieldEquals('Balance', BORROWER_BALANCE, 'pendingWithdraw', '2');
+  });
+});
@@ -0,0 +1,108 @@
+import { Address, BigInt, Bytes, ethereum } from '@graphprotocol/graph-ts';
+import { createMockedFunction, newMockEvent } from 'matchstick-as';
+import { LoanListed } from '../generated/NFTLendAuctionV1/NFTLendAuctionV1';
+import { handleLoanListed } from '../src/mapping';
+
+export const AUCTION = Address.fromString(
+  '0xa16081f360e3847006db660bae1c6d1b2e17ec2a',
+);
+export const BORROWER = Address.fromString(
+  '0xd6eef6a4ceb9270776d6b388cfaba62f5bc3357f',
+);
+export const LENDER = Address.fromString(
+  '0x0000000000000000000000000000000000000001',
+);
+export const OTHER_LENDER = Address.fromString(
+  '0x0000000000000000000000000000000000000002',
+);
+export const NFT = Address.fromString(
+  '0xcc89552ff8dafd016c91b7694dc0b69e23f2479d',
+);
+export const TOKEN = Address.fromString(
+  '0x0000000000000000000000000000000000000003',
+);
+export const NATIVE = Address.zero();
+
+/**
+ * Converts currency units to the smallest unit of an 18-decimal currency.
+ */
+export function ether(amount: string): BigInt {
+  return BigInt.fromString(amount).times(BigInt.fromI32(10).pow(18));
+}
+
+export function bigInt(value: i32): BigInt {
+  return BigInt.fromI32(value);
+}
+
+export function uintParam(name: string, value: BigInt): ethereum.EventParam {
+  return new ethereum.EventParam(
+    name,
+    ethereum.Value.fromUnsignedBigInt(value),
+  );
+}
+
+export function smallUintParam(name: string, value: i32): ethereum.EventParam {
+  return new ethereum.EventParam(name, ethereum.Value.fromI32(value));
+}
+
+export function addressParam(
+  name: string,
+  value: Address,
+): ethereum.EventParam {
+  return new ethereum.EventParam(name, ethereum.Value.fromAddress(value));
+}
+
+export function boolParam(name: string, value: boolean): ethereum.EventParam {
+  return new ethereum.EventParam(name, ethereum.Value.fromBoolean(value));
+}
+
+export function bytes32Param(name: string, value: Bytes): ethereum.EventParam {
+  return new ethereum.EventParam(name, ethereum.Value.fromFixedBytes(value));
+}
+
+export function bytesParam(name: string, value: Bytes): ethereum.EventParam {
+  return new ethereum.EventParam(name, ethereum.Value.fromBytes(value));
+}
+
+/**
+ * Creates a mock event of the auction with the given parameters.
+ */
+export function createEvent<T extends ethereum.Event>(
+  params: ethereum.EventParam[],
+): T {
+  let event = changetype<T>(newMockEvent());
+  event.address = AUCTION;
+  event.parameters = params;
+  return event;
+}
+
+/**
+ * Mocks the symbol and decimals of an ERC-20 currency.
+ */
+export function mockToken(token: Address, symbol: string, decimals: i32): void {
+  createMockedFunction(token, 'symbol', 'symbol():(string)').returns([
+    ethereum.Value.fromString(symbol),
+  ]);
+  createMockedFunction(token, 'decimals', 'decimals():(uint8)').returns([
+    ethereum.Value.fromI32(decimals),
+  ]);
+}
+
+/**
+ * Lists a native CORE loan of 10 CORE at up to 8% for 2 days.
+ */
+export function listLoan(loanId: i32): void {
+  handleLoanListed(
+    createEvent<LoanListed>([
+      uintParam('loanId', bigInt(loanId)),
+      addressParam('borrower', BORROWER),
+      addressParam('nftAddress', NFT),
+      uintParam('tokenId', bigInt(24100)),
+      uintParam('loanAmount', ether('10')),
+      uintParam('maxInterestRate', bigInt(800)),
+      uintParam('duration', bigInt(172800)),
+      smallUintParam('loanType', 0),
+      addressParam('currency', NATIVE),
+    ]),
+  );
+}
@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+const NATIVE = ethers.constants.AddressZero; // Native CORE currency
+const NO_LISTING_OPTIONS = { autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: 0 }; // Manual acceptance, no deadline, no auction end
+
 // Helper function to calculate repayment and protocol fees
 async function calculateRepayment(loanAmount, interestRate, protocolFeeRate, nftLendAuction, loanId) {
   const totalRepayment = await nftLendAuction.getTotalRepayment(loanId);
@@ -12,8 +15,23 @@ async function calculateRepayment(loanAmount, interestRate, protocolFeeRate, nft
   return { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment };
 }
 
+// Adds the functions of the auction modules to a contract handle, since modules run at the auction address
+function withModules(contract, ...modules) {
+  const known = new Set(Object.keys(contract.interface.functions));
+  const fragments = [...contract.interface.fragments];
+  for (const module of modules) {
+    for (const [signature, fragment] of Object.entries(module.interface.functions)) {
+      if (!known.has(signature)) {
+        known.add(signature);
+        fragments.push(fragment);
+      }
+    }
+  }
+  return new ethers.Contract(contract.address, fragments, contract.signer);
+}
+
 describe("NFTLendAuctionV1", function () {
-  let NFTLendAuction, nftLendAuction, owner, borrower, lender1, lender2, nftContract, anotherNFTContract;
+  let NFTLendAuction, nftLendAuction, auctionExtension, owner, borrower, lender1, lender2, nftContract, anotherNFTContract;
 
   beforeEach(async function () {
     [owner, borrower, lender1, lender2] = await ethers.getSigners();
@@ -31,11 +49,42 @@ describe("NFTLendAuctionV1", function () {
     await nftContract.connect(borrower).mint();
     await anotherNFTContract.connect(borrower).mint();
 
-    // Deploy the NFTLendAuction contract
+    // Deploy the NFTLendAuction modules and contract
+    const NFTLendAuctionAdmin = await ethers.getContractFactory("NFTLendAuctionV1Admin");
+    const admin = await NFTLendAuctionAdmin.deploy();
+    await admin.deployed();
+
+    const NFTLendAuctionDefaults = await ethers.getContractFactory("NFTLendAuctionV1Defaults");
+    const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+    await defaults.deployed();
+
+    const NFTLendAuctionServicing = await ethers.getContractFactory("NFTLendAuctionV1Servicing");
+    const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+    await servicing.deployed();
+
+    const NFTLendAuctionExtension = await ethers.getContractFactory("NFTLendAuctionV1Extension");
+    const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+    await extension.deployed();
+
     const NFTLendAuction = await ethers.getContractFactory("NFTLendAuctionV1");
-    nftLendAuction = await NFTLendAuction.deploy(owner.address);
+    nftLendAuction = await NFTLendAuction.deploy(owner.address, extension.address);
     await nftLendAuction.deployed();
 
+    // Module functions are called through the auction address
+    auctionExtension = withModules(
+      NFTLendAuctionExtension.attach(nftLendAuction.address),
+      NFTLendAuctionServicing,
+      NFTLendAuctionDefaults,
+      NFTLendAuctionAdmin
+    );
+    nftLendAuction = withModules(
+      nftLendAuction,
+      NFTLendAuctionExtension,
+      NFTLendAuctionServicing,
+      NFTLendAuctionDefaults,
+      NFTLendAuctionAdmin
+    );
+
     // Allow the first NFT contract by the owner
     await nftLendAuction.connect(owner).updateAllowedNFT(nftContract.address, true);
   });
@@ -47,7 +96,7 @@ describe("NFTLendAuctionV1", function () {
     await expect(
       nftLendAuction
         .connect(borrower)
-        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, loanType)
+        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, loanType, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     )
       .to.emit(nftLendAuction, "LoanListed")
       .withArgs(
@@ -58,7 +107,8 @@ describe("NFTLendAuctionV1", function () {
         ethers.utils.parseEther("10"),
         1000,
         604800,
-        loanType
+        loanType,
+        NATIVE
       );
 
     const loan = await nftLendAuction.loans(0);
@@ -74,32 +124,32 @@ describe("NFTLendAuctionV1", function () {
     await expect(
       nftLendAuction
         .connect(borrower)
-        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, invalidLoanType)
+        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, invalidLoanType, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWithoutReason;
   });
 
   it("should prevent withdrawals with zero balance", async function () {
     await expect(
-      nftLendAuction.connect(lender1).withdrawFunds(lender1.address)
+      nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address)
     ).to.be.revertedWith("No funds to withdraw");
   });
 
   it("should handle multiple withdrawals without overpayment", async function () {
     const loanAmount = ethers.utils.parseEther("10");
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
 
     await nftLendAuction.connect(borrower).delistLoan(0);
 
-    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingWithdrawal).to.equal(loanAmount);
 
     // Perform first withdrawal
-    const tx1 = await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+    const tx1 = await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     const receipt1 = await tx1.wait();
     const gasUsed1 = receipt1.gasUsed.mul(receipt1.effectiveGasPrice);
     const lenderBalanceAfterFirst = await ethers.provider.getBalance(lender1.address);
@@ -107,7 +157,7 @@ describe("NFTLendAuctionV1", function () {
 
     // Attempt second withdrawal
     await expect(
-      nftLendAuction.connect(lender1).withdrawFunds(lender1.address)
+      nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address)
     ).to.be.revertedWith("No funds to withdraw");
   });
 
@@ -117,7 +167,7 @@ describe("NFTLendAuctionV1", function () {
     await expect(
       nftLendAuction
         .connect(borrower)
-        .listLoan(anotherNFTContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, loanType)
+        .listLoan(anotherNFTContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, loanType, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWith("NFT contract not allowed");
   });
 
@@ -130,7 +180,7 @@ describe("NFTLendAuctionV1", function () {
     await expect(
       nftLendAuction
         .connect(borrower)
-        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, 0)
+        .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWith("NFT contract not allowed");
 
     // Re-allow the contract
@@ -138,7 +188,7 @@ describe("NFTLendAuctionV1", function () {
 
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, 0);
+      .listLoan(nftContract.address, 1, ethers.utils.parseEther("10"), 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
     const loan = await nftLendAuction.loans(0);
     expect(loan.borrower).to.equal(borrower.address);
@@ -161,18 +211,18 @@ describe("NFTLendAuctionV1", function () {
   it("should refund escrowed funds when delisting a loan", async function () {
     const loanAmount = ethers.utils.parseEther("10");
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
 
     await nftLendAuction.connect(borrower).delistLoan(0);
 
-    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingWithdrawal).to.equal(loanAmount);
 
-    const tx = await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+    const tx = await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     const receipt = await tx.wait();
     // Calculate gas cost
     const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
@@ -187,14 +237,14 @@ describe("NFTLendAuctionV1", function () {
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
 
     const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
 
     // Borrower accepts the loan
-    const tx = await nftLendAuction.connect(borrower).acceptLoan(0);
+    const tx = await nftLendAuction.connect(borrower).acceptLoan(0, 0);
     const receipt = await tx.wait();
 
     // Calculate gas cost
@@ -214,26 +264,26 @@ describe("NFTLendAuctionV1", function () {
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0); // 1 week
+      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS); // 1 week
 
     // First lender places a bid
-    await nftLendAuction.connect(lender1).placeBid(0, 900, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
 
-    const pendingBefore = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingBefore = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingBefore).to.equal(0);
 
-    await nftLendAuction.connect(lender2).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount });
 
-    const pendingAfter = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingAfter = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingAfter).to.equal(loanAmount);
   });
 
   it("should allow lenders to cancel bids and refund escrowed funds", async function () {
     const loanAmount = ethers.utils.parseEther("10");
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
 
     // Move time forward by 1 day
     await network.provider.send("evm_increaseTime", [24 * 3601]);
@@ -241,7 +291,9 @@ describe("NFTLendAuctionV1", function () {
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
 
-    await nftLendAuction.connect(lender1).cancelBid(0);
+    await expect(nftLendAuction.connect(lender1).cancelBid(0))
+      .to.emit(nftLendAuction, "LoanBidCancelled")
+      .withArgs(0, lender1.address);
 
     const lenderBalanceAfter = await ethers.provider.getBalance(lender1.address);
     expect(lenderBalanceAfter).to.be.above(lenderBalanceBefore);
@@ -254,9 +306,9 @@ describe("NFTLendAuctionV1", function () {
   it("should prevent non-lenders from canceling bids", async function () {
     const loanAmount = ethers.utils.parseEther("10");
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
 
     await expect(
       nftLendAuction.connect(lender2).cancelBid(0)
@@ -266,10 +318,10 @@ describe("NFTLendAuctionV1", function () {
   it("should prevent bid cancellation for accepted loans", async function () {
     const loanAmount = ethers.utils.parseEther("10");
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     await expect(
       nftLendAuction.connect(lender1).cancelBid(0)
@@ -284,33 +336,33 @@ describe("NFTLendAuctionV1", function () {
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0); // LoanType.FIXED
+      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS); // LoanType.FIXED
 
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     // Calculate repayment details
     const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
     await calculateRepayment(loanAmount, interestRate, protocolFeeRate, nftLendAuction, 0);
 
     // Borrower repays the loan
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: totalRepayment.add(borrowerProtocolFee) });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: totalRepayment.add(borrowerProtocolFee) });
 
     // Verify NFT ownership returned to borrower
     expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
 
-    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingWithdrawal).to.equal(lenderPayout);
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
-    const tx = await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+    const tx = await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     const receipt = await tx.wait();
     const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
     const lenderBalanceAfter = await ethers.provider.getBalance(lender1.address);
     expect(lenderBalanceAfter.add(gasUsed)).to.equal(lenderBalanceBefore.add(lenderPayout));
 
-    const finalPending = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const finalPending = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(finalPending).to.equal(0);
   });
 
@@ -323,10 +375,10 @@ describe("NFTLendAuctionV1", function () {
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1000, 2, 0); // 2 seconds duration, LoanType.FIXED
+      .listLoan(nftContract.address, 1, loanAmount, 1000, 2, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS); // 2 seconds duration, LoanType.FIXED
 
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     // Calculate total repayment and lender's protocol fee
     const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
@@ -344,10 +396,10 @@ describe("NFTLendAuctionV1", function () {
       })
     )
       .to.emit(nftLendAuction, "LoanDefaulted")
-      .withArgs(0, lender1.address);
+      .withArgs(0, lender1.address, totalRepayment, lenderProtocolFee);
 
     // Verify protocol fee balance updated
-    const protocolFeeBalance = await nftLendAuction.protocolFeeBalance();
+    const protocolFeeBalance = await nftLendAuction.protocolFeeBalance(NATIVE);
     expect(protocolFeeBalance).to.equal(lenderProtocolFee);
 
     // Verify NFT transferred to lender
@@ -366,25 +418,25 @@ describe("NFTLendAuctionV1", function () {
 
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0); // Loan 1
+      .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS); // Loan 1
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 2, ethers.utils.parseEther("20"), 1000, 604800, 0); // Loan 2
+      .listLoan(nftContract.address, 2, ethers.utils.parseEther("20"), 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS); // Loan 2
 
     // Verify both loans are active
     let activeLoans = await nftLendAuction.getActiveLoans();
     expect(activeLoans.length).to.equal(2);
 
     // Place a bid and accept the first loan
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     // Repay the first loan
     // Calculate total repayment and lender's protocol fee
     const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
       await calculateRepayment(loanAmount, interestRate, protocolFeeRate, nftLendAuction, 0);
 
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: requiredRepayment });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
 
     // Verify only one loan is active
     activeLoans = await nftLendAuction.getActiveLoans();
@@ -403,7 +455,7 @@ describe("NFTLendAuctionV1", function () {
     await nftLendAuction.connect(owner).setMaxActiveLoans(0);
 
     await expect(
-      nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0)
+      nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWith("Active loan limit reached");
   });
 
@@ -418,40 +470,43 @@ describe("NFTLendAuctionV1", function () {
     for (let i = 0; i < 5; i++) {
       await nftContract.connect(borrower).mint(); // Mint new NFT for each loan
       await nftContract.connect(borrower).approve(nftLendAuction.address, i + 1);
-      await nftLendAuction.connect(borrower).listLoan(nftContract.address, i + 1, loanAmount, 1000, 604800, 0);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, i + 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
     }
 
     // Attempt to exceed max loans
     await nftContract.connect(borrower).mint();
     await nftContract.connect(borrower).approve(nftLendAuction.address, 6);
     await expect(
-      nftLendAuction.connect(borrower).listLoan(nftContract.address, 6, loanAmount, 1000, 604800, 0)
+      nftLendAuction.connect(borrower).listLoan(nftContract.address, 6, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWith("Active loan limit reached");
   });
 
-  it("should allow the owner to update the protocol fee rate", async function () {
-    const newFeeRate = 300; // 3%
-    await nftLendAuction.connect(owner).setProtocolFeeRate(newFeeRate);
+  it("should allow the owner to update the borrower and lender fee rates", async function () {
+    await expect(nftLendAuction.connect(owner).setFeeRates(300, 100))
+      .to.emit(nftLendAuction, "FeeRatesUpdated")
+      .withArgs(300, 100);
+
+    expect(await nftLendAuction.borrowerFeeRate()).to.equal(300);
+    expect(await nftLendAuction.lenderFeeRate()).to.equal(100);
 
-    const updatedFeeRate = await nftLendAuction.protocolFeeRate();
-    expect(updatedFeeRate).to.equal(newFeeRate);
+    await expect(nftLendAuction.connect(owner).setFeeRates(300, 1001)).to.be.revertedWith("Fee rate too high");
   });
 
-  it("should prevent non-owners from updating the protocol fee rate", async function () {
+  it("should prevent non-owners from updating the fee rates", async function () {
     await expect(
-      nftLendAuction.connect(borrower).setProtocolFeeRate(300)
+      nftLendAuction.connect(borrower).setFeeRates(300, 300)
     ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
   });
 
   it("should prevent non-owners from withdrawing protocol fees", async function () {
     await expect(
-      nftLendAuction.connect(borrower).withdrawProtocolFees(borrower.address)
+      nftLendAuction.connect(borrower).withdrawProtocolFees(NATIVE, borrower.address)
     ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
   });
 
   it("should fail to withdraw protocol fees and excess ETH if no funds are available", async function () {
     await expect(
-      nftLendAuction.connect(owner).withdrawProtocolFees(owner.address)
+      nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
     ).to.be.revertedWith("No funds available for withdrawal");
   });
 
@@ -460,32 +515,32 @@ describe("NFTLendAuctionV1", function () {
   
     // Simulate protocol fees
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
   
     const totalRepayment = await nftLendAuction.getTotalRepayment(0);
     const protocolFee = totalRepayment.mul(200).div(10000);
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: totalRepayment.add(protocolFee) });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: totalRepayment.add(protocolFee) });
   
     // Assert pending withdrawals before processing
-    const pendingBorrower = await nftLendAuction.pendingWithdrawals(borrower.address);
-    const pendingLender = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingBorrower = await nftLendAuction.pendingWithdrawals(borrower.address, NATIVE);
+    const pendingLender = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     const expectedPendingWithdrawals = pendingBorrower.add(pendingLender);
   
-    expect(await nftLendAuction.totalPendingWithdrawals()).to.equal(expectedPendingWithdrawals);
+    expect(await nftLendAuction.totalPendingWithdrawals(NATIVE)).to.equal(expectedPendingWithdrawals);
   
     // Process pending withdrawals
     if (pendingBorrower.gt(0)) {
-      await nftLendAuction.connect(borrower).withdrawFunds(borrower.address);
+      await nftLendAuction.connect(borrower).withdrawFunds(NATIVE, borrower.address);
     }
   
     if (pendingLender.gt(0)) {
-      await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+      await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     }
   
     // Verify pending withdrawals cleared
-    expect(await nftLendAuction.totalPendingWithdrawals()).to.equal(0);
+    expect(await nftLendAuction.totalPendingWithdrawals(NATIVE)).to.equal(0);
   });
   
   it("should withdraw protocol fees and excess ETH correctly", async function () {
@@ -493,27 +548,27 @@ describe("NFTLendAuctionV1", function () {
 
     // Simulate protocol fees
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     const totalRepayment = await nftLendAuction.getTotalRepayment(0);
     const protocolFee = totalRepayment.mul(200).div(10000);
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: totalRepayment.add(protocolFee) });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: totalRepayment.add(protocolFee) });
 
     // Verify balance before withdrawal
     const contractBalanceBefore = await ethers.provider.getBalance(nftLendAuction.address);
     const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
 
     // Assert total balance matches protocol fees + pending withdrawals
-    const totalPendingWithdrawals = await nftLendAuction.totalPendingWithdrawals();
-    const protocolFeeBalance = await nftLendAuction.protocolFeeBalance();
+    const totalPendingWithdrawals = await nftLendAuction.totalPendingWithdrawals(NATIVE);
+    const protocolFeeBalance = await nftLendAuction.protocolFeeBalance(NATIVE);
     const expectedTotalBalance = totalPendingWithdrawals.add(protocolFeeBalance);
 
     expect(contractBalanceBefore).to.equal(expectedTotalBalance);
 
     // Withdraw protocol fees and excess ETH
-    const tx = await nftLendAuction.connect(owner).withdrawProtocolFees(owner.address);
+    const tx = await nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address);
     const receipt = await tx.wait();
     const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
@@ -530,28 +585,28 @@ describe("NFTLendAuctionV1", function () {
   
     // Repay a previous loan to generate protocol fees
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
-    await nftLendAuction.connect(lender1).placeBid(0, 800, { value: loanAmount });
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
   
     const totalRepayment = await nftLendAuction.getTotalRepayment(0);
     const protocolFee = totalRepayment.mul(200).div(10000);
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: totalRepayment.add(protocolFee) });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: totalRepayment.add(protocolFee) });
   
     // Mint a second NFT for the borrower
     await nftContract.connect(borrower).mint(); // Token ID 2
 
     // List a second loan and place a bid
     await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0);
-    await nftLendAuction.connect(lender2).placeBid(1, 800, { value: loanAmount });
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    await nftLendAuction.connect(lender2).placeBid(1, 800, NATIVE, { value: loanAmount });
   
     // Verify escrowed funds before withdrawal
     const escrowedFundsBefore = await nftLendAuction.escrowedFunds(1);
     expect(escrowedFundsBefore).to.equal(loanAmount);
   
     // Withdraw protocol fees
-    await nftLendAuction.connect(owner).withdrawProtocolFees(owner.address);
+    await nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address);
   
     // Verify escrowed funds remain unchanged
     const escrowedFundsAfter = await nftLendAuction.escrowedFunds(1);
@@ -569,30 +624,31 @@ describe("NFTLendAuctionV1", function () {
     // Borrower lists the loan
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1); // LoanType.APR
+      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1, NATIVE, NATIVE, NO_LISTING_OPTIONS); // LoanType.APR
 
     // Lender places a bid
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
 
     // Borrower accepts the loan
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
-    // Advance time within the loan duration
-    await ethers.provider.send("evm_increaseTime", [5 * 24 * 60 * 60]); // 5 days (within duration)
-    await ethers.provider.send("evm_mine", []);
+    // Repay exactly 5 days into the loan (within duration)
+    const { startTime } = await nftLendAuction.loans(0);
+    await ethers.provider.send("evm_setNextBlockTimestamp", [startTime.toNumber() + 5 * 24 * 60 * 60]);
 
-    // Fetch total repayment and protocol fee details from the contract
-    const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
-      await calculateRepayment(loanAmount, interestRate, protocolFeeRate, nftLendAuction, 0);
+    // Interest accrues per second on the elapsed time
+    const totalRepayment = loanAmount.add(loanAmount.mul(interestRate).mul(5 * 24 * 60 * 60).div(10000 * 365 * 24 * 60 * 60));
+    const lenderPayout = totalRepayment.sub(totalRepayment.mul(protocolFeeRate).div(10000));
+    const requiredRepayment = totalRepayment.add(totalRepayment.mul(protocolFeeRate).div(10000));
 
     // Borrower repays the loan
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: requiredRepayment });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
     
-    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingWithdrawal).to.equal(lenderPayout);
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
-    const tx = await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+    const tx = await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     const receipt = await tx.wait();
     const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
@@ -608,18 +664,22 @@ describe("NFTLendAuctionV1", function () {
     const interestRate = 1200; // 12% annual interest
     const protocolFeeRate = 200; // 2% protocol fee
 
+    await expect(nftLendAuction.connect(owner).setMinInterestPeriod(24 * 60 * 60))
+      .to.emit(nftLendAuction, "MinInterestPeriodUpdated")
+      .withArgs(24 * 60 * 60);
+
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
 
     // Borrower lists the loan
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1); // LoanType.APR
+      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1, NATIVE, NATIVE, NO_LISTING_OPTIONS); // LoanType.APR
 
     // Lender places a bid
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
 
     // Borrower accepts the loan
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     // Fetch total repayment and protocol fee details from the contract
     const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
@@ -627,13 +687,13 @@ describe("NFTLendAuctionV1", function () {
 
 
     // Borrower repays the loan immediately
-    await nftLendAuction.connect(borrower).repayLoan(0, { value: requiredRepayment });
+    await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
     
-    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address);
+    const pendingWithdrawal = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
     expect(pendingWithdrawal).to.equal(lenderPayout);
 
     const lenderBalanceBefore = await ethers.provider.getBalance(lender1.address);
-    const tx = await nftLendAuction.connect(lender1).withdrawFunds(lender1.address);
+    const tx = await nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address);
     const receipt = await tx.wait();
     const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
@@ -654,13 +714,13 @@ describe("NFTLendAuctionV1", function () {
     // Borrower lists the loan
     await nftLendAuction
       .connect(borrower)
-      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1); // LoanType.APR
+      .listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 1, NATIVE, NATIVE, NO_LISTING_OPTIONS); // LoanType.APR
 
     // Lender places a bid
-    await nftLendAuction.connect(lender1).placeBid(0, interestRate, { value: loanAmount });
+    await nftLendAuction.connect(lender1).placeBid(0, interestRate, NATIVE, { value: loanAmount });
 
     // Borrower accepts the loan
-    await nftLendAuction.connect(borrower).acceptLoan(0);
+    await nftLendAuction.connect(borrower).acceptLoan(0, 0);
 
     // Simulate loan default (advance time beyond loan duration)
     await ethers.provider.send("evm_increaseTime", [604800 + 1]); // 7 days + 1 second
@@ -686,14 +746,14 @@ describe("NFTLendAuctionV1", function () {
 
     // Approve NFT and list as collateral
     await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
+    await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
 
     // Check collateralization status
     expect(await nftLendAuction.isCollateralized(nftContract.address, 1)).to.be.true;
 
     // Attempt to list the same NFT again
     await expect(
-        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0)
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
     ).to.be.revertedWith("Not NFT owner");
 
     // Delist the loan
@@ -704,18 +764,2888 @@ describe("NFTLendAuctionV1", function () {
 
      // List and accept a new loan
      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
-     await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0);
-     await nftLendAuction.connect(lender1).placeBid(1, 800, { value: loanAmount });
-     await nftLendAuction.connect(borrower).acceptLoan(1);
+     await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+     await nftLendAuction.connect(lender1).placeBid(1, 800, NATIVE, { value: loanAmount });
+     await nftLendAuction.connect(borrower).acceptLoan(1, 0);
  
      // Repay the loan
      const totalRepayment = await nftLendAuction.getTotalRepayment(1);
      const protocolFee = totalRepayment.mul(200).div(10000);
-     await nftLendAuction.connect(borrower).repayLoan(1, { value: totalRepayment.add(protocolFee) });
+     await nftLendAuction.connect(borrower).repayLoan(1, NATIVE, { value: totalRepayment.add(protocolFee) });
  
      // Verify collateralization status is cleared after repayment
      expect(await nftLendAuction.isCollateralized(nftContract.address, 1)).to.be.false;
 });
 
 
+  describe("ERC-20 loans", function () {
+    let token;
+    const loanAmount = ethers.utils.parseEther("100");
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 0);
+      await token.deployed();
+
+      await nftLendAuction.connect(owner).updateAllowedCurrency(token.address, true);
+
+      await token.mint(lender1.address, ethers.utils.parseEther("1000"));
+      await token.mint(lender2.address, ethers.utils.parseEther("1000"));
+      await token.mint(borrower.address, ethers.utils.parseEther("1000"));
+      await token.connect(lender1).approve(nftLendAuction.address, ethers.constants.MaxUint256);
+      await token.connect(lender2).approve(nftLendAuction.address, ethers.constants.MaxUint256);
+      await token.connect(borrower).approve(nftLendAuction.address, ethers.constants.MaxUint256);
+
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    it("should prevent listing a loan in a disallowed currency", async function () {
+      await nftLendAuction.connect(owner).updateAllowedCurrency(token.address, false);
+
+      await expect(
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, token.address, NATIVE, NO_LISTING_OPTIONS)
+      ).to.be.revertedWith("Currency not allowed");
+    });
+
+    it("should prevent non-managers from updating allowed currencies", async function () {
+      await expect(
+        nftLendAuction.connect(borrower).updateAllowedCurrency(token.address, false)
+      ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should reject native value on ERC-20 bids", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, token.address, NATIVE, NO_LISTING_OPTIONS);
+
+      await expect(
+        nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Native value not accepted");
+    });
+
+    it("should run the full ERC-20 loan lifecycle", async function () {
+      await expect(
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, token.address, NATIVE, NO_LISTING_OPTIONS)
+      )
+        .to.emit(nftLendAuction, "LoanListed")
+        .withArgs(0, borrower.address, nftContract.address, 1, loanAmount, 1000, 604800, 0, token.address);
+
+      // Bids escrow tokens and refund the outbid lender in the loan currency
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE);
+      await nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE);
+      expect(await nftLendAuction.escrowedFunds(0)).to.equal(loanAmount);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, token.address)).to.equal(loanAmount);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(0);
+
+      await nftLendAuction.connect(lender1).withdrawFunds(token.address, lender1.address);
+      expect(await token.balanceOf(lender1.address)).to.equal(ethers.utils.parseEther("1000"));
+
+      // Acceptance sends the escrowed tokens to the borrower
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      expect(await token.balanceOf(borrower.address)).to.equal(ethers.utils.parseEther("1100"));
+
+      const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
+        await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+
+      await expect(nftLendAuction.connect(borrower).repayLoan(0, NATIVE))
+        .to.emit(nftLendAuction, "LoanRepaid")
+        .withArgs(
+          0,
+          borrower.address,
+          requiredRepayment,
+          totalRepayment.sub(loanAmount),
+          borrowerProtocolFee,
+          lenderProtocolFee,
+          0
+        );
+
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await token.balanceOf(borrower.address)).to.equal(
+        ethers.utils.parseEther("1100").sub(requiredRepayment)
+      );
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, token.address)).to.equal(lenderPayout);
+      expect(await nftLendAuction.protocolFeeBalance(token.address)).to.equal(
+        borrowerProtocolFee.add(lenderProtocolFee)
+      );
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(0);
+
+      await expect(nftLendAuction.connect(lender2).withdrawFunds(token.address, lender2.address))
+        .to.emit(nftLendAuction, "FundsWithdrawn")
+        .withArgs(lender2.address, lenderPayout, lender2.address, token.address);
+      expect(await token.balanceOf(lender2.address)).to.equal(
+        ethers.utils.parseEther("900").add(lenderPayout)
+      );
+
+      // Protocol fees are withdrawn per currency
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.be.revertedWith("No funds available for withdrawal");
+
+      await expect(nftLendAuction.connect(owner).withdrawProtocolFees(token.address, owner.address))
+        .to.emit(nftLendAuction, "ProtocolFeesWithdrawn")
+        .withArgs(owner.address, borrowerProtocolFee.add(lenderProtocolFee), token.address);
+      expect(await token.balanceOf(owner.address)).to.equal(borrowerProtocolFee.add(lenderProtocolFee));
+      expect(await token.balanceOf(nftLendAuction.address)).to.equal(0);
+    });
+
+    it("should collect the lender protocol fee in the loan currency on default", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 2, 0, token.address, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE);
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await ethers.provider.send("evm_increaseTime", [3]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { totalRepayment, lenderProtocolFee } = await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+
+      await expect(nftLendAuction.connect(lender1).claimDefaultedLoan(0))
+        .to.emit(nftLendAuction, "LoanDefaulted")
+        .withArgs(0, lender1.address, totalRepayment, lenderProtocolFee);
+
+      expect(await nftContract.ownerOf(1)).to.equal(lender1.address);
+      expect(await nftLendAuction.protocolFeeBalance(token.address)).to.equal(lenderProtocolFee);
+      expect(await token.balanceOf(lender1.address)).to.equal(
+        ethers.utils.parseEther("900").sub(lenderProtocolFee)
+      );
+    });
+
+    it("should keep ERC-20 escrow out of protocol fee withdrawals", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, token.address, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE);
+
+      // Excess tokens sent directly to the contract are withdrawable, escrow is not
+      await token.connect(lender2).transfer(nftLendAuction.address, 5);
+      await nftLendAuction.connect(owner).withdrawProtocolFees(token.address, owner.address);
+
+      expect(await token.balanceOf(owner.address)).to.equal(5);
+      expect(await token.balanceOf(nftLendAuction.address)).to.equal(loanAmount);
+      expect(await nftLendAuction.escrowedFunds(0)).to.equal(loanAmount);
+    });
+  });
+
+  describe("Signed offers", function () {
+    let token, offer;
+    const loanAmount = ethers.utils.parseEther("100");
+
+    const offerTypes = {
+      LoanOffer: [
+        { name: "lender", type: "address" },
+        { name: "nftAddress", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "collectionOffer", type: "bool" },
+        { name: "loanAmount", type: "uint256" },
+        { name: "interestRate", type: "uint256" },
+        { name: "duration", type: "uint256" },
+        { name: "loanType", type: "uint8" },
+        { name: "currency", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+
+    async function signOffer(signer, value) {
+      const domain = {
+        name: "NFTLendAuction",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: nftLendAuction.address,
+      };
+      return signer._signTypedData(domain, offerTypes, value);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 0);
+      await token.deployed();
+
+      await nftLendAuction.connect(owner).updateAllowedCurrency(token.address, true);
+      await token.mint(lender1.address, ethers.utils.parseEther("1000"));
+      await token.connect(lender1).approve(nftLendAuction.address, ethers.constants.MaxUint256);
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+
+      const latestBlock = await ethers.provider.getBlock("latest");
+      offer = {
+        lender: lender1.address,
+        nftAddress: nftContract.address,
+        tokenId: 1,
+        collectionOffer: false,
+        loanAmount,
+        interestRate: 800,
+        duration: 604800,
+        loanType: 0,
+        currency: token.address,
+        expiry: latestBlock.timestamp + 3600,
+        nonce: 0,
+      };
+    });
+
+    it("should match the on-chain offer digest", async function () {
+      const domain = {
+        name: "NFTLendAuction",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: nftLendAuction.address,
+      };
+      expect(await auctionExtension.hashLoanOffer(offer)).to.equal(
+        ethers.utils._TypedDataEncoder.hash(domain, offerTypes, offer)
+      );
+    });
+
+    it("should start a loan against a signed offer in one transaction", async function () {
+      const signature = await signOffer(lender1, offer);
+
+      await expect(auctionExtension.connect(borrower).acceptOffer(offer, signature, 1))
+        .to.emit(nftLendAuction, "LoanListed")
+        .withArgs(0, borrower.address, nftContract.address, 1, loanAmount, 800, 604800, 0, token.address)
+        .and.to.emit(nftLendAuction, "LoanOfferAccepted")
+        .withArgs(0, lender1.address, 0);
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.lender).to.equal(lender1.address);
+      expect(loan.isAccepted).to.be.true;
+      expect(loan.currentInterestRate).to.equal(800);
+      expect(loan.startTime).to.be.gt(0);
+
+      // Funds moved straight from lender to borrower, nothing left in escrow
+      expect(await token.balanceOf(borrower.address)).to.equal(loanAmount);
+      expect(await token.balanceOf(nftLendAuction.address)).to.equal(0);
+      expect(await nftContract.ownerOf(1)).to.equal(nftLendAuction.address);
+      expect(await nftLendAuction.isCollateralized(nftContract.address, 1)).to.be.true;
+
+      // The loan repays like any other loan
+      const { requiredRepayment, lenderPayout } = await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+      await token.mint(borrower.address, requiredRepayment.sub(loanAmount));
+      await token.connect(borrower).approve(nftLendAuction.address, requiredRepayment);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE);
+
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, token.address)).to.equal(lenderPayout);
+    });
+
+    it("should accept any token of the collection for collection offers", async function () {
+      await nftContract.connect(borrower).mint(); // Token ID 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+
+      const collectionOffer = { ...offer, collectionOffer: true };
+      const signature = await signOffer(lender1, collectionOffer);
+
+      await auctionExtension.connect(borrower).acceptOffer(collectionOffer, signature, 2);
+      expect((await nftLendAuction.loans(0)).tokenId).to.equal(2);
+
+      // Token-specific offers only accept the signed token
+      const tokenOffer = { ...offer, nonce: 1 };
+      const tokenSignature = await signOffer(lender1, tokenOffer);
+      await nftContract.connect(borrower).mint(); // Token ID 3
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 3);
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(tokenOffer, tokenSignature, 3)
+      ).to.be.revertedWith("Offer not valid for token");
+    });
+
+    it("should reject tampered, expired and reused offers", async function () {
+      const signature = await signOffer(lender1, offer);
+
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer({ ...offer, interestRate: 100 }, signature, 1)
+      ).to.be.revertedWith("Invalid offer signature");
+
+      const expired = { ...offer, expiry: offer.expiry - 7200 };
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(expired, await signOffer(lender1, expired), 1)
+      ).to.be.revertedWith("Offer expired");
+
+      const nativeOffer = { ...offer, currency: NATIVE };
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(nativeOffer, await signOffer(lender1, nativeOffer), 1)
+      ).to.be.revertedWith("Offer currency must be ERC-20");
+
+      await auctionExtension.connect(borrower).acceptOffer(offer, signature, 1);
+
+      // The same nonce cannot start a second loan
+      await nftContract.connect(borrower).mint(); // Token ID 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+      const reused = { ...offer, tokenId: 2 };
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(reused, await signOffer(lender1, reused), 2)
+      ).to.be.revertedWith("Offer nonce invalid");
+    });
+
+    it("should let lenders cancel offers and invalidate nonces", async function () {
+      const signature = await signOffer(lender1, offer);
+
+      await expect(auctionExtension.connect(lender1).cancelOffer(0))
+        .to.emit(nftLendAuction, "LoanOfferCancelled")
+        .withArgs(lender1.address, 0);
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(offer, signature, 1)
+      ).to.be.revertedWith("Offer nonce invalid");
+      await expect(auctionExtension.connect(lender1).cancelOffer(0)).to.be.revertedWith(
+        "Offer nonce already used"
+      );
+
+      const nextOffer = { ...offer, nonce: 5 };
+      const nextSignature = await signOffer(lender1, nextOffer);
+      await expect(auctionExtension.connect(lender1).invalidateOfferNonces(6))
+        .to.emit(nftLendAuction, "LoanOfferNoncesInvalidated")
+        .withArgs(lender1.address, 6);
+      await expect(
+        auctionExtension.connect(borrower).acceptOffer(nextOffer, nextSignature, 1)
+      ).to.be.revertedWith("Offer nonce invalid");
+      await expect(auctionExtension.connect(lender1).invalidateOfferNonces(6)).to.be.revertedWith(
+        "Nonce too low"
+      );
+    });
+  });
+
+  describe("Collection offers", function () {
+    const loanAmount = ethers.utils.parseEther("10");
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).mint(); // Token ID 2
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+    });
+
+    it("should escrow collection offer funds once and reuse them across fills", async function () {
+      await expect(
+        auctionExtension
+          .connect(lender1)
+          .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount.mul(2), {
+            value: loanAmount.mul(2),
+          })
+      )
+        .to.emit(nftLendAuction, "CollectionOfferPlaced")
+        .withArgs(0, lender1.address, nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount.mul(2));
+
+      expect(await nftLendAuction.collectionOfferEscrow(NATIVE)).to.equal(loanAmount.mul(2));
+
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+      const tx = await auctionExtension.connect(borrower).takeCollectionOffer(0, 1);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
+      expect(borrowerBalanceAfter.add(gasCost).sub(borrowerBalanceBefore)).to.equal(loanAmount);
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.lender).to.equal(lender1.address);
+      expect(loan.isAccepted).to.be.true;
+      expect(loan.currentInterestRate).to.equal(800);
+      expect(await nftContract.ownerOf(1)).to.equal(nftLendAuction.address);
+      expect((await nftLendAuction.collectionOffers(0)).remainingFunds).to.equal(loanAmount);
+
+      // Second fill exhausts the offer and closes it
+      await expect(auctionExtension.connect(borrower).takeCollectionOffer(0, 2))
+        .to.emit(nftLendAuction, "CollectionOfferTaken")
+        .withArgs(0, 1, borrower.address, 0);
+
+      expect(await auctionExtension.getCollectionOffers(nftContract.address)).to.be.empty;
+      expect(await nftLendAuction.collectionOfferEscrow(NATIVE)).to.equal(0);
+
+      await nftContract.connect(borrower).mint(); // Token ID 3
+      await expect(
+        auctionExtension.connect(borrower).takeCollectionOffer(0, 3)
+      ).to.be.revertedWith("Collection offer not available");
+    });
+
+    it("should refund the remainder when an offer cannot fund another loan", async function () {
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount.add(5), {
+          value: loanAmount.add(5),
+        });
+
+      await auctionExtension.connect(borrower).takeCollectionOffer(0, 1);
+
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(5);
+      expect(await auctionExtension.getCollectionOffers(nftContract.address)).to.be.empty;
+    });
+
+    it("should let lenders cancel collection offers and recover escrow", async function () {
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount.mul(3), {
+          value: loanAmount.mul(3),
+        });
+      await auctionExtension.connect(borrower).takeCollectionOffer(0, 1);
+
+      await expect(auctionExtension.connect(lender2).cancelCollectionOffer(0)).to.be.revertedWith(
+        "Not offer lender"
+      );
+
+      await expect(auctionExtension.connect(lender1).cancelCollectionOffer(0))
+        .to.emit(nftLendAuction, "CollectionOfferCancelled")
+        .withArgs(0, lender1.address, loanAmount.mul(2));
+
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(loanAmount.mul(2));
+      expect(await nftLendAuction.collectionOfferEscrow(NATIVE)).to.equal(0);
+      await expect(
+        auctionExtension.connect(borrower).takeCollectionOffer(0, 2)
+      ).to.be.revertedWith("Collection offer not available");
+    });
+
+    it("should return the best standing offer for a collection", async function () {
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 900, 604800, 0, loanAmount, { value: loanAmount });
+      await auctionExtension
+        .connect(lender2)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 700, 604800, 0, loanAmount, { value: loanAmount });
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount.mul(2), 700, 604800, 0, loanAmount.mul(2), {
+          value: loanAmount.mul(2),
+        });
+
+      let [found, offerId] = await auctionExtension.getBestCollectionOffer(nftContract.address, NATIVE);
+      expect(found).to.be.true;
+      expect(offerId).to.equal(2);
+
+      await auctionExtension.connect(borrower).takeCollectionOffer(offerId, 1);
+
+      [found, offerId] = await auctionExtension.getBestCollectionOffer(nftContract.address, NATIVE);
+      expect(offerId).to.equal(1);
+
+      [found] = await auctionExtension.getBestCollectionOffer(anotherNFTContract.address, NATIVE);
+      expect(found).to.be.false;
+    });
+
+    it("should keep collection offer escrow out of protocol fee withdrawals", async function () {
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount, { value: loanAmount });
+
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.be.revertedWith("No funds available for withdrawal");
+    });
+
+    it("should only accept offers for allowed collections and tokens owned by the caller", async function () {
+      await expect(
+        auctionExtension
+          .connect(lender1)
+          .placeCollectionOffer(anotherNFTContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount, {
+            value: loanAmount,
+          })
+      ).to.be.revertedWith("NFT contract not allowed");
+
+      await auctionExtension
+        .connect(lender1)
+        .placeCollectionOffer(nftContract.address, NATIVE, loanAmount, 800, 604800, 0, loanAmount, { value: loanAmount });
+
+      await expect(
+        auctionExtension.connect(lender2).takeCollectionOffer(0, 1)
+      ).to.be.revertedWith("Not NFT owner");
+    });
+  });
+
+  describe("Refinancing", function () {
+    const loanAmount = ethers.utils.parseEther("10");
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+    });
+
+    it("should let a new lender pay off the current lender and take over the loan", async function () {
+      await expect(nftLendAuction.connect(borrower).setRefinanceTerms(0, 600, 604800))
+        .to.emit(nftLendAuction, "RefinanceTermsUpdated")
+        .withArgs(0, 600, 604800);
+
+      const { totalRepayment, borrowerProtocolFee, lenderProtocolFee, lenderPayout, requiredRepayment } =
+        await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 500, 1209600, { value: requiredRepayment })
+      )
+        .to.emit(nftLendAuction, "LoanRefinanced")
+        .withArgs(
+          0,
+          lender1.address,
+          lender2.address,
+          loanAmount,
+          800,
+          604800,
+          requiredRepayment,
+          500,
+          1209600,
+          totalRepayment.sub(loanAmount),
+          borrowerProtocolFee,
+          lenderProtocolFee
+        );
+
+      // The previous lender is paid as on repayment
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(lenderPayout);
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(borrowerProtocolFee.add(lenderProtocolFee));
+
+      // The NFT never leaves escrow
+      expect(await nftContract.ownerOf(1)).to.equal(nftLendAuction.address);
+      expect(await nftLendAuction.isCollateralized(nftContract.address, 1)).to.be.true;
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.lender).to.equal(lender2.address);
+      expect(loan.loanAmount).to.equal(requiredRepayment);
+      expect(loan.currentInterestRate).to.equal(500);
+      expect(loan.duration).to.equal(1209600);
+      expect(loan.isAccepted).to.be.true;
+
+      // Terms are consumed by the refinance
+      expect((await nftLendAuction.refinanceTerms(0)).maxInterestRate).to.equal(0);
+
+      // The borrower repays the new lender
+      const repayment = await calculateRepayment(requiredRepayment, 500, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: repayment.requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(repayment.lenderPayout);
+    });
+
+    it("should only refinance within the borrower's terms", async function () {
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 500, 604800, { value: requiredRepayment })
+      ).to.be.revertedWith("Loan not open for refinancing");
+
+      await nftLendAuction.connect(borrower).setRefinanceTerms(0, 600, 604800);
+
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 700, 604800, { value: requiredRepayment })
+      ).to.be.revertedWith("Refinance interest rate invalid");
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 500, 86400, { value: requiredRepayment })
+      ).to.be.revertedWith("Refinance duration invalid");
+      await expect(
+        nftLendAuction.connect(lender1).refinanceLoan(0, 500, 604800, { value: requiredRepayment })
+      ).to.be.revertedWith("Already loan lender");
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 500, 604800, { value: loanAmount })
+      ).to.be.revertedWith("Incorrect payoff amount");
+
+      await ethers.provider.send("evm_increaseTime", [604800 + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(
+        nftLendAuction.connect(lender2).refinanceLoan(0, 500, 604800, { value: requiredRepayment })
+      ).to.be.revertedWith("Loan duration expired");
+    });
+
+    it("should hold the refinanced loan to the collection limits and loan-to-value", async function () {
+      await nftLendAuction.connect(borrower).setRefinanceTerms(0, 600, 604800);
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 800, 200, nftLendAuction, 0);
+      const refinance = (rate, duration) =>
+        nftLendAuction.connect(lender2).refinanceLoan(0, rate, duration, { value: requiredRepayment });
+
+      // The payoff amount becomes the principal
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, loanAmount, 0, 14 * 86400, 550);
+      await expect(refinance(500, 604800)).to.be.revertedWith("Loan amount above collection limit");
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 14 * 86400, 550);
+      await expect(refinance(600, 604800)).to.be.revertedWith("Interest rate above collection limit");
+      await expect(refinance(500, 14 * 86400 + 1)).to.be.revertedWith("Duration outside collection limits");
+
+      const MockFloorPriceOracle = await ethers.getContractFactory("MockFloorPriceOracle");
+      const oracle = await MockFloorPriceOracle.deploy();
+      await oracle.setFloorPrice(nftContract.address, NATIVE, loanAmount.mul(2));
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, 0);
+      await expect(refinance(500, 604800)).to.be.revertedWith("Loan-to-value too high");
+
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 6000, 0);
+      await expect(refinance(500, 604800)).to.emit(nftLendAuction, "LoanRefinanced");
+    });
+
+    it("should only let the borrower of an accepted loan set refinance terms", async function () {
+      await expect(
+        nftLendAuction.connect(lender2).setRefinanceTerms(0, 600, 604800)
+      ).to.be.revertedWith("Not loan borrower");
+
+      await nftContract.connect(borrower).mint(); // Token ID 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await expect(
+        nftLendAuction.connect(borrower).setRefinanceTerms(1, 600, 604800)
+      ).to.be.revertedWith("Loan not accepted");
+    });
+  });
+
+  describe("Partial repayments and extensions", function () {
+    const loanAmount = ethers.utils.parseEther("10");
+
+    async function openLoan(loanType) {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1500, 604800, loanType, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 1200, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+    }
+
+    it("should repay part of a fixed loan's principal with its interest", async function () {
+      await openLoan(0); // LoanType.FIXED
+
+      const principal = ethers.utils.parseEther("4");
+      const interest = principal.mul(1200).div(10000);
+      const repaid = principal.add(interest);
+      const fee = repaid.mul(200).div(10000);
+
+      await expect(nftLendAuction.connect(borrower).repayLoanPartial(0, principal, { value: repaid.add(fee) }))
+        .to.emit(nftLendAuction, "LoanPartiallyRepaid")
+        .withArgs(0, principal, interest, loanAmount.sub(principal), fee, fee);
+
+      expect((await nftLendAuction.loans(0)).loanAmount).to.equal(loanAmount.sub(principal));
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(repaid.sub(fee));
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(fee.mul(2));
+
+      // Interest on the remaining principal is recomputed
+      const remaining = loanAmount.sub(principal);
+      expect(await nftLendAuction.getTotalRepayment(0)).to.equal(remaining.add(remaining.mul(1200).div(10000)));
+
+      // The NFT is released only on full repayment
+      expect(await nftContract.ownerOf(1)).to.equal(nftLendAuction.address);
+      const { requiredRepayment } = await calculateRepayment(remaining, 1200, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should recompute APR interest on the remaining principal", async function () {
+      await openLoan(1); // LoanType.APR
+
+      await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+
+      const principal = ethers.utils.parseEther("5");
+      const payment = principal.mul(2); // Generous upper bound for principal, interest and fee
+      await nftLendAuction.connect(borrower).repayLoanPartial(0, principal, { value: payment });
+
+      const { startTime } = await nftLendAuction.loans(0);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const remaining = loanAmount.sub(principal);
+      const interest = remaining.mul(1200).mul(timestamp - startTime.toNumber()).div(10000 * 365 * 24 * 60 * 60);
+      expect(await nftLendAuction.getTotalRepayment(0)).to.equal(remaining.add(interest));
+    });
+
+    it("should reject invalid partial repayments", async function () {
+      await openLoan(0);
+
+      await expect(
+        nftLendAuction.connect(borrower).repayLoanPartial(0, loanAmount, { value: loanAmount.mul(2) })
+      ).to.be.revertedWith("Invalid partial principal amount");
+      await expect(
+        nftLendAuction.connect(borrower).repayLoanPartial(0, 0)
+      ).to.be.revertedWith("Invalid partial principal amount");
+      await expect(
+        nftLendAuction.connect(borrower).repayLoanPartial(0, 1000, { value: 1000 })
+      ).to.be.revertedWith("Incorrect repayment amount");
+      await expect(
+        nftLendAuction.connect(lender1).repayLoanPartial(0, 1000, { value: 2000 })
+      ).to.be.revertedWith("Not loan borrower");
+    });
+
+    it("should extend a loan once the lender approves the borrower's request", async function () {
+      await openLoan(0);
+
+      // The borrower misses the deadline
+      await ethers.provider.send("evm_increaseTime", [604800 + 3600]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 1200, 200, nftLendAuction, 0);
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment })
+      ).to.be.revertedWith("Loan duration expired");
+
+      await expect(nftLendAuction.connect(borrower).requestLoanExtension(0, 604800 * 2))
+        .to.emit(nftLendAuction, "LoanExtensionRequested")
+        .withArgs(0, borrower.address, 604800 * 2);
+
+      await expect(
+        nftLendAuction.connect(borrower).approveLoanExtension(0, 604800 * 2)
+      ).to.be.revertedWith("Not loan lender");
+      await expect(
+        nftLendAuction.connect(lender1).approveLoanExtension(0, 604800 * 3)
+      ).to.be.revertedWith("No matching extension request");
+
+      await expect(nftLendAuction.connect(lender1).approveLoanExtension(0, 604800 * 2))
+        .to.emit(nftLendAuction, "LoanExtended")
+        .withArgs(0, lender1.address, 604800 * 2);
+
+      expect((await nftLendAuction.loans(0)).duration).to.equal(604800 * 2);
+      expect(await nftLendAuction.extensionRequests(0)).to.equal(0);
+
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should only accept extension requests that increase the duration", async function () {
+      await openLoan(0);
+
+      await expect(
+        nftLendAuction.connect(borrower).requestLoanExtension(0, 604800)
+      ).to.be.revertedWith("Extension must increase duration");
+      await expect(
+        nftLendAuction.connect(lender1).requestLoanExtension(0, 604800 * 2)
+      ).to.be.revertedWith("Not loan borrower");
+    });
+  });
+
+  describe("Grace period and liquidation", function () {
+    const loanAmount = ethers.utils.parseEther("10");
+    const gracePeriod = 2 * 24 * 60 * 60;
+
+    async function openLoan() {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1500, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 1200, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await expect(auctionExtension.connect(owner).setGracePeriod(gracePeriod, 500))
+        .to.emit(nftLendAuction, "GracePeriodUpdated")
+        .withArgs(gracePeriod, 500);
+    });
+
+    it("should let the borrower repay with a penalty during the grace period", async function () {
+      await openLoan();
+      await increaseTime(604800 + 3600);
+
+      const { totalRepayment, requiredRepayment, lenderPayout } = await calculateRepayment(loanAmount, 1200, 200, nftLendAuction, 0);
+      const penalty = totalRepayment.mul(500).div(10000);
+
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment })
+      ).to.be.revertedWith("Incorrect repayment amount");
+
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment.add(penalty) });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(lenderPayout.add(penalty));
+    });
+
+    it("should only allow claiming a defaulted loan after the grace period", async function () {
+      await openLoan();
+      await increaseTime(604800 + 3600);
+
+      const { lenderProtocolFee } = await calculateRepayment(loanAmount, 1200, 200, nftLendAuction, 0);
+      await expect(
+        nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee })
+      ).to.be.revertedWith("Loan not expired");
+
+      await increaseTime(gracePeriod);
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: loanAmount.mul(2) })
+      ).to.be.revertedWith("Loan duration expired");
+
+      await nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee });
+      expect(await nftContract.ownerOf(1)).to.equal(lender1.address);
+    });
+
+    it("should sell the collateral at auction and pay out lender and borrower", async function () {
+      await expect(auctionExtension.connect(owner).setLiquidationAuctionDuration(86400))
+        .to.emit(nftLendAuction, "LiquidationAuctionDurationUpdated")
+        .withArgs(86400);
+
+      await openLoan();
+      await expect(auctionExtension.startLiquidation(0)).to.be.revertedWith("Loan not expired");
+      await increaseTime(604800 + gracePeriod + 3600);
+
+      const { totalRepayment, lenderProtocolFee } = await calculateRepayment(loanAmount, 1200, 200, nftLendAuction, 0);
+      await expect(
+        nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee })
+      ).to.be.revertedWith("Liquidation auction required");
+
+      const debt = totalRepayment.add(totalRepayment.mul(500).div(10000));
+      await expect(auctionExtension.connect(lender2).startLiquidation(0)).to.emit(nftLendAuction, "LiquidationStarted");
+      expect((await nftLendAuction.liquidations(0)).debt).to.equal(debt);
+
+      await expect(
+        auctionExtension.connect(lender2).placeLiquidationBid(0, debt.sub(1), { value: debt.sub(1) })
+      ).to.be.revertedWith("Bid below debt");
+      await auctionExtension.connect(lender2).placeLiquidationBid(0, debt, { value: debt });
+
+      const topBid = debt.add(ethers.utils.parseEther("1"));
+      await expect(auctionExtension.connect(owner).placeLiquidationBid(0, topBid, { value: topBid }))
+        .to.emit(nftLendAuction, "LiquidationBidPlaced")
+        .withArgs(0, owner.address, topBid);
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(debt);
+
+      await expect(auctionExtension.settleLiquidation(0)).to.be.revertedWith("Liquidation not ended");
+      await increaseTime(86400 + 1);
+
+      const debtFee = debt.mul(200).div(10000);
+      await expect(auctionExtension.settleLiquidation(0))
+        .to.emit(nftLendAuction, "LiquidationSettled")
+        .withArgs(0, owner.address, topBid, topBid.sub(debt), debtFee);
+
+      expect(await nftContract.ownerOf(1)).to.equal(owner.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(debt.sub(debtFee));
+      expect(await nftLendAuction.pendingWithdrawals(borrower.address, NATIVE)).to.equal(topBid.sub(debt));
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(debtFee);
+      expect(await nftLendAuction.getActiveLoans()).to.be.empty;
+    });
+
+    it("should let the lender claim the NFT if the auction gets no bids", async function () {
+      await auctionExtension.connect(owner).setLiquidationAuctionDuration(86400);
+      await openLoan();
+      await increaseTime(604800 + gracePeriod + 3600);
+
+      await auctionExtension.startLiquidation(0);
+      const { lenderProtocolFee } = await calculateRepayment(loanAmount, 1200, 200, nftLendAuction, 0);
+      await expect(
+        nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee })
+      ).to.be.revertedWith("Liquidation auction in progress");
+      await expect(auctionExtension.startLiquidation(0)).to.be.revertedWith("Liquidation already started");
+
+      await increaseTime(86400 + 1);
+      await expect(auctionExtension.settleLiquidation(0)).to.be.revertedWith("No liquidation bids");
+      await nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee });
+      expect(await nftContract.ownerOf(1)).to.equal(lender1.address);
+    });
+
+    it("should not extend a loan once its liquidation started", async function () {
+      await auctionExtension.connect(owner).setLiquidationAuctionDuration(86400);
+      await openLoan();
+      await increaseTime(604800 + gracePeriod + 3600);
+
+      // A request made before the auction cannot be approved during it
+      await nftLendAuction.connect(borrower).requestLoanExtension(0, 604800 * 4);
+      await auctionExtension.startLiquidation(0);
+      await expect(
+        nftLendAuction.connect(lender1).approveLoanExtension(0, 604800 * 4)
+      ).to.be.revertedWith("Liquidation already started");
+      await expect(
+        nftLendAuction.connect(borrower).requestLoanExtension(0, 604800 * 5)
+      ).to.be.revertedWith("Liquidation already started");
+
+      const debt = (await auctionExtension.liquidations(0)).debt;
+      await auctionExtension.connect(lender2).placeLiquidationBid(0, debt, { value: debt });
+      await increaseTime(86400 + 1);
+      await auctionExtension.settleLiquidation(0);
+      expect(await nftContract.ownerOf(1)).to.equal(lender2.address);
+    });
+
+    it("should restrict grace and auction settings to the owner role", async function () {
+      await expect(auctionExtension.connect(borrower).setGracePeriod(0, 0)).to.be.reverted;
+      await expect(auctionExtension.connect(owner).setGracePeriod(31 * 86400, 0)).to.be.revertedWith("Grace period too long");
+      await expect(auctionExtension.connect(owner).setGracePeriod(0, 1001)).to.be.revertedWith("Penalty rate too high");
+      await expect(auctionExtension.connect(borrower).setLiquidationAuctionDuration(86400)).to.be.reverted;
+    });
+  });
+
+  describe("Interest accrual", function () {
+    const loanAmount = ethers.utils.parseEther("10");
+    const year = 365 * 24 * 60 * 60;
+
+    async function listLoan(duration) {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1500, duration, 1, NATIVE, NATIVE, NO_LISTING_OPTIONS); // LoanType.APR
+      await nftLendAuction.connect(lender1).placeBid(0, 1200, NATIVE, { value: loanAmount });
+    }
+
+    it("should quote APR interest on the listed duration to the second", async function () {
+      await listLoan(36 * 60 * 60);
+      const interest = loanAmount.mul(1200).mul(36 * 60 * 60).div(10000 * year);
+      expect(await nftLendAuction.getTotalRepayment(0)).to.equal(loanAmount.add(interest));
+    });
+
+    it("should stop accruing APR interest at loan expiry", async function () {
+      await listLoan(604800);
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await ethers.provider.send("evm_increaseTime", [604800 * 2]);
+      await ethers.provider.send("evm_mine", []);
+
+      const interest = loanAmount.mul(1200).mul(604800).div(10000 * year);
+      expect(await nftLendAuction.getTotalRepayment(0)).to.equal(loanAmount.add(interest));
+    });
+
+    it("should return a repayment breakdown matching what repayLoan charges", async function () {
+      await listLoan(604800);
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const { startTime } = await nftLendAuction.loans(0);
+      const repayTime = startTime.toNumber() + 3 * 24 * 60 * 60;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [repayTime]);
+      await ethers.provider.send("evm_mine", []);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      const interest = loanAmount.mul(1200).mul(3 * 24 * 60 * 60).div(10000 * year);
+      const fee = loanAmount.add(interest).mul(200).div(10000);
+      expect(breakdown.principal).to.equal(loanAmount);
+      expect(breakdown.interest).to.equal(interest);
+      expect(breakdown.gracePenalty).to.equal(0);
+      expect(breakdown.borrowerFee).to.equal(fee);
+      expect(breakdown.lenderFee).to.equal(fee);
+      expect(breakdown.borrowerPayment).to.equal(loanAmount.add(interest).add(fee));
+      expect(breakdown.lenderPayout).to.equal(loanAmount.add(interest).sub(fee));
+
+      // Repaying a second later costs one more second of interest; the buffer is refunded
+      const buffer = ethers.utils.parseEther("0.01");
+      await ethers.provider.send("evm_setNextBlockTimestamp", [repayTime + 1]);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment.add(buffer) });
+
+      const paidInterest = loanAmount.mul(1200).mul(3 * 24 * 60 * 60 + 1).div(10000 * year);
+      const paidFee = loanAmount.add(paidInterest).mul(200).div(10000);
+      const required = loanAmount.add(paidInterest).add(paidFee);
+      expect(await nftLendAuction.pendingWithdrawals(borrower.address, NATIVE)).to.equal(
+        breakdown.borrowerPayment.add(buffer).sub(required)
+      );
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(
+        loanAmount.add(paidInterest).sub(paidFee)
+      );
+    });
+
+    it("should only let the owner set a bounded minimum interest period", async function () {
+      await expect(nftLendAuction.connect(borrower).setMinInterestPeriod(3600)).to.be.reverted;
+      await expect(
+        nftLendAuction.connect(owner).setMinInterestPeriod(31 * 24 * 60 * 60)
+      ).to.be.revertedWith("Min interest period too long");
+
+      await nftLendAuction.connect(owner).setMinInterestPeriod(2 * 24 * 60 * 60);
+      await listLoan(24 * 60 * 60);
+      const interest = loanAmount.mul(1200).mul(2 * 24 * 60 * 60).div(10000 * year);
+      expect(await nftLendAuction.getTotalRepayment(0)).to.equal(loanAmount.add(interest));
+    });
+  });
+
+  describe("Loan queries", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const ANY = 0, LISTED = 1, HAS_BID = 2, ACCEPTED = 3, EXPIRED = 4; // LoanQueryState
+    const noFilter = { borrower: NATIVE, lender: NATIVE, nftAddress: NATIVE, state: ANY };
+
+    beforeEach(async function () {
+      // Borrower lists tokens 1 to 4, lender1 bids on 1 and 2, loan 2 is accepted
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      for (let tokenId = 1; tokenId <= 4; tokenId++) {
+        if (tokenId > 1) await nftContract.connect(borrower).mint();
+        await nftLendAuction.connect(borrower).listLoan(nftContract.address, tokenId, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      }
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender1).placeBid(1, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(1, 0);
+    });
+
+    it("should page through active loans with their data", async function () {
+      let [loanIds, page, nextOffset] = await auctionExtension.getActiveLoansPage(noFilter, 0, 3);
+      expect(loanIds.map(Number)).to.deep.equal([0, 1, 2]);
+      expect(page[1].lender).to.equal(lender1.address);
+      expect(page[1].isAccepted).to.equal(true);
+      expect(nextOffset).to.equal(3);
+
+      [loanIds, page, nextOffset] = await auctionExtension.getActiveLoansPage(noFilter, nextOffset, 3);
+      expect(loanIds.map(Number)).to.deep.equal([3]);
+      expect(nextOffset).to.equal(4);
+
+      [loanIds, page, nextOffset] = await auctionExtension.getActiveLoansPage(noFilter, 10, 3);
+      expect(loanIds).to.be.empty;
+      expect(nextOffset).to.equal(4);
+    });
+
+    it("should filter active loans by state, lender and NFT contract", async function () {
+      const ids = async (filter) =>
+        (await auctionExtension.getActiveLoansPage({ ...noFilter, ...filter }, 0, 10))[0].map(Number);
+
+      expect(await ids({ state: LISTED })).to.deep.equal([2, 3]);
+      expect(await ids({ state: HAS_BID })).to.deep.equal([0]);
+      expect(await ids({ state: ACCEPTED })).to.deep.equal([1]);
+      expect(await ids({ state: EXPIRED })).to.deep.equal([]);
+      expect(await ids({ lender: lender1.address })).to.deep.equal([0, 1]);
+      expect(await ids({ borrower: lender2.address })).to.deep.equal([]);
+      expect(await ids({ nftAddress: anotherNFTContract.address })).to.deep.equal([]);
+
+      await ethers.provider.send("evm_increaseTime", [604800 + 1]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await ids({ state: EXPIRED })).to.deep.equal([1]);
+
+      // Pages stop once the limit of matches is reached
+      const [loanIds, , nextOffset] = await auctionExtension.getActiveLoansPage({ ...noFilter, state: LISTED }, 0, 1);
+      expect(loanIds.map(Number)).to.deep.equal([2]);
+      expect(nextOffset).to.equal(3);
+    });
+
+    it("should keep per-user loan indexes", async function () {
+      await nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender1).placeBid(0, 700, NATIVE, { value: loanAmount });
+
+      expect((await auctionExtension.getBorrowerLoanIds(borrower.address)).map(Number)).to.deep.equal([0, 1, 2, 3]);
+      expect((await auctionExtension.getLenderLoanIds(lender1.address)).map(Number)).to.deep.equal([0, 1]);
+      expect((await auctionExtension.getLenderLoanIds(lender2.address)).map(Number)).to.deep.equal([0]);
+
+      const page = await auctionExtension.getLoansByIds([3, 1]);
+      expect(page[0].tokenId).to.equal(4);
+      expect(page[1].tokenId).to.equal(2);
+      await expect(auctionExtension.getLoansByIds([9])).to.be.revertedWith("Loan does not exist");
+    });
+
+    it("should keep the active loan list consistent when loans close", async function () {
+      await nftLendAuction.connect(borrower).delistLoan(0);
+      expect((await nftLendAuction.getActiveLoans()).map(Number)).to.deep.equal([3, 1, 2]);
+
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 1);
+      await nftLendAuction.connect(borrower).repayLoan(1, NATIVE, { value: requiredRepayment });
+      expect((await nftLendAuction.getActiveLoans()).map(Number)).to.deep.equal([3, 2]);
+
+      await nftLendAuction.connect(borrower).delistLoan(2);
+      await nftLendAuction.connect(borrower).delistLoan(3);
+      expect(await nftLendAuction.getActiveLoans()).to.be.empty;
+    });
+  });
+
+  describe("Loan lifecycle status", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const LISTED = 0, BIDDED = 1, ACTIVE = 2, REPAID = 3, DEFAULTED = 4, DELISTED = 5; // LoanStatus
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await expect(
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
+      )
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, LISTED);
+    });
+
+    it("should move through bids, acceptance and repayment", async function () {
+      await expect(nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount }))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, BIDDED);
+      expect(await nftLendAuction.getLoanStatus(0)).to.equal(BIDDED);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await expect(nftLendAuction.connect(lender1).cancelBid(0))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, LISTED);
+
+      await nftLendAuction.connect(lender2).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, ACTIVE);
+      expect((await nftLendAuction.loans(0)).status).to.equal(ACTIVE);
+
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await expect(nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment }))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, REPAID);
+
+      // Repaid loans are kept but closed to every entry point
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.status).to.equal(REPAID);
+      expect(loan.isAccepted).to.equal(false);
+      expect(loan.lender).to.equal(lender2.address);
+      await expect(
+        nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Loan closed");
+      await expect(nftLendAuction.connect(borrower).delistLoan(0)).to.be.revertedWith("Loan closed");
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment })
+      ).to.be.revertedWith("Loan not accepted yet");
+    });
+
+    it("should keep delisted loans as history", async function () {
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await expect(nftLendAuction.connect(borrower).delistLoan(0))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, DELISTED);
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.status).to.equal(DELISTED);
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.be.revertedWith("Loan closed");
+      await expect(
+        nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Loan closed");
+    });
+
+    it("should mark claimed loans as defaulted", async function () {
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      await ethers.provider.send("evm_increaseTime", [604800 + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { lenderProtocolFee } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await expect(nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee }))
+        .to.emit(nftLendAuction, "LoanStatusChanged")
+        .withArgs(0, DEFAULTED);
+      expect(await nftLendAuction.getLoanStatus(0)).to.equal(DEFAULTED);
+      await expect(
+        nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee })
+      ).to.be.revertedWith("Loan not accepted");
+    });
+
+    it("should reject status queries for unknown loans", async function () {
+      await expect(nftLendAuction.getLoanStatus(5)).to.be.revertedWith("Loan does not exist");
+    });
+  });
+
+  describe("Emergency pause", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const PAUSE_LISTING = 1, PAUSE_BIDDING = 2, PAUSE_ACCEPTANCE = 4, PAUSE_DEFAULT_CLAIMS = 8;
+    const PAUSE_ALL = PAUSE_LISTING | PAUSE_BIDDING | PAUSE_ACCEPTANCE | PAUSE_DEFAULT_CLAIMS;
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await nftContract.connect(borrower).mint(); // Token 2
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender1).placeBid(1, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+    });
+
+    it("should pause each action independently", async function () {
+      await expect(auctionExtension.connect(owner).setPaused(PAUSE_BIDDING, true))
+        .to.emit(nftLendAuction, "PausedActionsUpdated")
+        .withArgs(owner.address, PAUSE_BIDDING);
+
+      await expect(
+        nftLendAuction.connect(lender2).placeBid(1, 800, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Action paused");
+
+      // Other actions keep working
+      await nftContract.connect(borrower).mint(); // Token 3
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 3, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+
+      await auctionExtension.connect(owner).setPaused(PAUSE_LISTING | PAUSE_ACCEPTANCE, true);
+      expect(await nftLendAuction.pausedActions()).to.equal(PAUSE_LISTING | PAUSE_BIDDING | PAUSE_ACCEPTANCE);
+      await expect(nftLendAuction.connect(borrower).acceptLoan(1, 0)).to.be.revertedWith("Action paused");
+
+      await auctionExtension.connect(owner).setPaused(PAUSE_ACCEPTANCE, false);
+      expect(await nftLendAuction.pausedActions()).to.equal(PAUSE_LISTING | PAUSE_BIDDING);
+      await nftLendAuction.connect(borrower).acceptLoan(1, 0);
+    });
+
+    it("should block default claims while paused", async function () {
+      await auctionExtension.connect(owner).setPaused(PAUSE_DEFAULT_CLAIMS, true);
+      await ethers.provider.send("evm_increaseTime", [604800 + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { lenderProtocolFee } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await expect(
+        nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee })
+      ).to.be.revertedWith("Action paused");
+
+      await auctionExtension.connect(owner).setPaused(PAUSE_DEFAULT_CLAIMS, false);
+      await nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee });
+      expect(await nftContract.ownerOf(1)).to.equal(lender1.address);
+    });
+
+    it("should let users recover funds and NFTs while everything is paused", async function () {
+      await auctionExtension.connect(owner).setPaused(PAUSE_ALL, true);
+
+      // The borrower repays the accepted loan and gets the NFT back
+      const { requiredRepayment, lenderPayout } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+
+      // The borrower delists the pending loan, refunding the bidder
+      await nftLendAuction.connect(borrower).delistLoan(1);
+      expect(await nftContract.ownerOf(2)).to.equal(borrower.address);
+
+      // The lender withdraws the repayment and the refunded bid
+      const pending = await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE);
+      expect(pending).to.equal(lenderPayout.add(loanAmount));
+      await expect(
+        nftLendAuction.connect(lender1).withdrawFunds(NATIVE, lender1.address)
+      ).to.changeEtherBalance(lender1, pending);
+    });
+
+    it("should restrict pausing to the guardian role", async function () {
+      const GUARDIAN_ROLE = await nftLendAuction.GUARDIAN_ROLE();
+      await expect(auctionExtension.connect(lender2).setPaused(PAUSE_ALL, true)).to.be.reverted;
+      await expect(auctionExtension.connect(owner).setPaused(0, true)).to.be.revertedWith("Invalid pause actions");
+      await expect(auctionExtension.connect(owner).setPaused(16, true)).to.be.revertedWith("Invalid pause actions");
+
+      await nftLendAuction.connect(owner).grantRole(GUARDIAN_ROLE, lender2.address);
+      await auctionExtension.connect(lender2).setPaused(PAUSE_ALL, true);
+      expect(await nftLendAuction.pausedActions()).to.equal(PAUSE_ALL);
+    });
+  });
+
+  describe("Upgradeable deployment", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"; // ERC-1967
+    let NFTLendAuctionUpgradeable, NFTLendAuctionExtension, NFTLendAuctionServicing, NFTLendAuctionDefaults, NFTLendAuctionAdmin;
+    let proxied, proxiedExtension;
+
+    async function deployImplementation() {
+      const admin = await NFTLendAuctionAdmin.deploy();
+      await admin.deployed();
+      const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+      await defaults.deployed();
+      const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+      await servicing.deployed();
+      const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+      await extension.deployed();
+      const implementation = await NFTLendAuctionUpgradeable.deploy(extension.address);
+      await implementation.deployed();
+      return { extension, implementation };
+    }
+
+    beforeEach(async function () {
+      NFTLendAuctionUpgradeable = await ethers.getContractFactory("NFTLendAuctionV1Upgradeable");
+      NFTLendAuctionExtension = await ethers.getContractFactory("NFTLendAuctionV1Extension");
+      NFTLendAuctionServicing = await ethers.getContractFactory("NFTLendAuctionV1Servicing");
+      NFTLendAuctionDefaults = await ethers.getContractFactory("NFTLendAuctionV1Defaults");
+      NFTLendAuctionAdmin = await ethers.getContractFactory("NFTLendAuctionV1Admin");
+      const { implementation } = await deployImplementation();
+
+      const NFTLendAuctionProxy = await ethers.getContractFactory("NFTLendAuctionV1Proxy");
+      const initData = implementation.interface.encodeFunctionData("initialize", [owner.address]);
+      const proxy = await NFTLendAuctionProxy.deploy(implementation.address, initData);
+      await proxy.deployed();
+
+      proxied = withModules(NFTLendAuctionUpgradeable.attach(proxy.address), NFTLendAuctionAdmin);
+      proxiedExtension = withModules(NFTLendAuctionExtension.attach(proxy.address), NFTLendAuctionAdmin);
+      await proxied.connect(owner).updateAllowedNFT(nftContract.address, true);
+    });
+
+    it("should initialize the proxy once with the governance roles and defaults", async function () {
+      expect(await proxied.hasRole(await proxied.OWNER_ROLE(), owner.address)).to.equal(true);
+      expect(await proxied.hasRole(await proxied.GUARDIAN_ROLE(), owner.address)).to.equal(true);
+      expect(await proxied.maxActiveLoans()).to.equal(1000);
+      expect(await proxied.borrowerFeeRate()).to.equal(200);
+      expect(await proxied.lenderFeeRate()).to.equal(200);
+      expect(await proxied.bidCancelPeriod()).to.equal(24 * 60 * 60);
+      expect(await proxied.auctionExtensionWindow()).to.equal(10 * 60);
+
+      await expect(proxied.initialize(lender1.address)).to.be.revertedWithCustomError(proxied, "InvalidInitialization");
+
+      const { implementation } = await deployImplementation();
+      await expect(implementation.initialize(lender1.address)).to.be.revertedWithCustomError(
+        implementation,
+        "InvalidInitialization"
+      );
+    });
+
+    it("should upgrade mid-lifecycle and keep loans repayable", async function () {
+      await nftContract.connect(borrower).approve(proxied.address, 1);
+      await proxied.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await proxied.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await proxied.connect(borrower).acceptLoan(0, 0);
+
+      const { extension, implementation } = await deployImplementation();
+      await expect(
+        proxied.connect(lender1).upgradeToAndCall(implementation.address, "0x")
+      ).to.be.revertedWithCustomError(proxied, "AccessControlUnauthorizedAccount");
+      await proxied.connect(owner).upgradeToAndCall(implementation.address, "0x");
+
+      const slot = await ethers.provider.getStorageAt(proxied.address, IMPLEMENTATION_SLOT);
+      expect(ethers.utils.getAddress("0x" + slot.slice(26))).to.equal(implementation.address);
+      expect(await proxied.extension()).to.equal(extension.address);
+
+      // State survives the upgrade
+      const loan = await proxied.loans(0);
+      expect(loan.lender).to.equal(lender1.address);
+      expect(loan.status).to.equal(2); // LoanStatus.ACTIVE
+      const [loanIds] = await proxiedExtension.getActiveLoansPage(
+        { borrower: NATIVE, lender: NATIVE, nftAddress: NATIVE, state: 0 },
+        0,
+        10
+      );
+      expect(loanIds.map(Number)).to.deep.equal([0]);
+
+      const { requiredRepayment, lenderPayout } = await calculateRepayment(loanAmount, 900, 200, proxied, 0);
+      await proxied.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      await expect(
+        proxied.connect(lender1).withdrawFunds(NATIVE, lender1.address)
+      ).to.changeEtherBalance(lender1, lenderPayout);
+    });
+
+    it("should timelock upgrades once a governance delay is set", async function () {
+      const DAY = 24 * 60 * 60;
+      await proxied.connect(owner).setGovernanceDelay(DAY);
+
+      const { implementation } = await deployImplementation();
+      await expect(proxied.connect(owner).upgradeToAndCall(implementation.address, "0x")).to.be.revertedWith(
+        "Change not queued"
+      );
+      const call = proxied.interface.encodeFunctionData("upgradeToAndCall", [implementation.address, "0x"]);
+      await proxied.connect(owner).queueChange(call);
+
+      await network.provider.send("evm_increaseTime", [DAY]);
+      await network.provider.send("evm_mine");
+      await expect(proxied.connect(owner).upgradeToAndCall(implementation.address, "0x"))
+        .to.emit(proxied, "ChangeExecuted")
+        .withArgs(ethers.utils.keccak256(call), owner.address);
+      const slot = await ethers.provider.getStorageAt(proxied.address, IMPLEMENTATION_SLOT);
+      expect(ethers.utils.getAddress("0x" + slot.slice(26))).to.equal(implementation.address);
+    });
+
+    it("should let the owner wind down open listings of a retired deployment", async function () {
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await nftContract.connect(borrower).mint(); // Token 2
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender1).placeBid(1, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(1, 0);
+
+      await expect(auctionExtension.connect(owner).windDownListing(0)).to.be.revertedWith(
+        "Listing and acceptance not paused"
+      );
+      await auctionExtension.connect(owner).setPaused(1 | 2 | 4, true); // Listing, bidding and acceptance
+      await expect(auctionExtension.connect(lender1).windDownListing(0)).to.be.reverted;
+
+      await expect(auctionExtension.connect(owner).windDownListing(0))
+        .to.emit(nftLendAuction, "LoanDelisted")
+        .withArgs(0, borrower.address);
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(loanAmount);
+
+      // Accepted loans run to term on the old deployment
+      await expect(auctionExtension.connect(owner).windDownListing(1)).to.be.revertedWith("Loan already accepted");
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 1);
+      await nftLendAuction.connect(borrower).repayLoan(1, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(2)).to.equal(borrower.address);
+    });
+  });
+
+  describe("ERC-1155 collateral", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const TOKEN_ID = 7;
+    let multiToken;
+
+    beforeEach(async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      multiToken = await MockERC1155.deploy();
+      await multiToken.deployed();
+
+      await multiToken.connect(borrower).mint(TOKEN_ID, 10);
+      await multiToken.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await nftLendAuction.connect(owner).updateAllowedNFT(multiToken.address, true);
+    });
+
+    it("should detect the token standard of allowed collections", async function () {
+      expect(await nftLendAuction.isERC1155Collection(multiToken.address)).to.equal(true);
+      expect(await nftLendAuction.isERC1155Collection(nftContract.address)).to.equal(false);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 0);
+      await token.deployed();
+      await expect(nftLendAuction.connect(owner).updateAllowedNFT(token.address, true)).to.be.revertedWith(
+        "Failed to verify NFT interface"
+      );
+    });
+
+    it("should list, bid, accept and repay a loan backed by ERC-1155 units", async function () {
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoanERC1155(multiToken.address, TOKEN_ID, 4, loanAmount, 1000, 604800, 0, NATIVE)
+      )
+        .to.emit(nftLendAuction, "ERC1155CollateralDeposited")
+        .withArgs(0, 4)
+        .and.to.emit(nftLendAuction, "LoanListed");
+      expect(await multiToken.balanceOf(nftLendAuction.address, TOKEN_ID)).to.equal(4);
+      expect(await nftLendAuction.collateralAmounts(0)).to.equal(4);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(true);
+
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await multiToken.balanceOf(borrower.address, TOKEN_ID)).to.equal(10);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(false);
+    });
+
+    it("should track units of the same token held by several loans", async function () {
+      await nftLendAuction
+        .connect(borrower)
+        .listLoanERC1155(multiToken.address, TOKEN_ID, 4, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoanERC1155(multiToken.address, TOKEN_ID, 6, loanAmount, 1000, 604800, 0, NATIVE);
+      expect(await nftLendAuction.collateralizedBalance(multiToken.address, TOKEN_ID)).to.equal(10);
+
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoanERC1155(multiToken.address, TOKEN_ID, 1, loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("NFT transfer failed");
+
+      await nftLendAuction.connect(borrower).delistLoan(0);
+      expect(await multiToken.balanceOf(borrower.address, TOKEN_ID)).to.equal(4);
+      expect(await nftLendAuction.collateralizedBalance(multiToken.address, TOKEN_ID)).to.equal(6);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(true);
+
+      await nftLendAuction.connect(borrower).delistLoan(1);
+      expect(await multiToken.balanceOf(borrower.address, TOKEN_ID)).to.equal(10);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(false);
+    });
+
+    it("should transfer the units to the lender on default", async function () {
+      await nftLendAuction
+        .connect(borrower)
+        .listLoanERC1155(multiToken.address, TOKEN_ID, 3, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await network.provider.send("evm_increaseTime", [604801]);
+      await network.provider.send("evm_mine");
+
+      const { totalRepayment, lenderProtocolFee } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await expect(nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee }))
+        .to.emit(nftLendAuction, "LoanDefaulted")
+        .withArgs(0, lender1.address, totalRepayment, lenderProtocolFee);
+      expect(await multiToken.balanceOf(lender1.address, TOKEN_ID)).to.equal(3);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(false);
+    });
+
+    it("should require a collateral amount matching the token standard", async function () {
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoanERC1155(multiToken.address, TOKEN_ID, 0, loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Invalid collateral amount");
+      await expect(
+        nftLendAuction.connect(borrower).listLoan(multiToken.address, TOKEN_ID, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
+      ).to.be.revertedWith("Invalid collateral amount");
+
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoanERC1155(nftContract.address, 1, 1, loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Invalid collateral amount");
+
+      await expect(
+        auctionExtension
+          .connect(lender1)
+          .placeCollectionOffer(multiToken.address, NATIVE, loanAmount, 900, 604800, 0, loanAmount, {
+            value: loanAmount,
+          })
+      ).to.be.revertedWith("ERC1155 collections not supported");
+    });
+
+    it("should reject ERC-1155 tokens not deposited by the auction", async function () {
+      await expect(
+        multiToken
+          .connect(borrower)
+          .safeTransferFrom(borrower.address, nftLendAuction.address, TOKEN_ID, 1, "0x")
+      ).to.be.revertedWith("Direct transfers not accepted");
+      expect(await nftLendAuction.supportsInterface("0x4e2312e0")).to.equal(true);
+    });
+  });
+
+  describe("Bundle collateral", function () {
+    const loanAmount = ethers.utils.parseEther("3");
+    const TOKEN_ID = 7;
+    let multiToken, bundle;
+
+    beforeEach(async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      multiToken = await MockERC1155.deploy();
+      await multiToken.deployed();
+      await multiToken.connect(borrower).mint(TOKEN_ID, 10);
+
+      await nftLendAuction.connect(owner).updateAllowedNFT(anotherNFTContract.address, true);
+      await nftLendAuction.connect(owner).updateAllowedNFT(multiToken.address, true);
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await anotherNFTContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await multiToken.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+
+      bundle = [
+        { nftAddress: nftContract.address, tokenId: 1, amount: 0 },
+        { nftAddress: anotherNFTContract.address, tokenId: 1, amount: 0 },
+        { nftAddress: multiToken.address, tokenId: TOKEN_ID, amount: 5 },
+      ];
+    });
+
+    async function expectCollateralHeldBy(holder) {
+      expect(await nftContract.ownerOf(1)).to.equal(holder);
+      expect(await anotherNFTContract.ownerOf(1)).to.equal(holder);
+      expect(await multiToken.balanceOf(holder, TOKEN_ID)).to.be.gte(5);
+    }
+
+    it("should list a loan backed by tokens of several collections", async function () {
+      await expect(auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE))
+        .to.emit(nftLendAuction, "LoanListed")
+        .withArgs(0, borrower.address, nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE)
+        .and.to.emit(nftLendAuction, "BundleCollateralDeposited");
+      await expectCollateralHeldBy(nftLendAuction.address);
+      expect(await nftLendAuction.isCollateralized(anotherNFTContract.address, 1)).to.equal(true);
+
+      const items = await auctionExtension.getLoanCollateral(0);
+      expect(items.map((item) => [item.nftAddress, item.tokenId.toNumber(), item.amount.toNumber()])).to.deep.equal(
+        bundle.map((item) => [item.nftAddress, item.tokenId, item.amount])
+      );
+    });
+
+    it("should release every token on repayment and delisting", async function () {
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const { requiredRepayment } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      await expectCollateralHeldBy(borrower.address);
+      expect(await nftLendAuction.isCollateralized(anotherNFTContract.address, 1)).to.equal(false);
+
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction.connect(borrower).delistLoan(1);
+      await expectCollateralHeldBy(borrower.address);
+      expect(await nftLendAuction.isCollateralized(multiToken.address, TOKEN_ID)).to.equal(false);
+    });
+
+    it("should transfer the whole bundle to the lender on default", async function () {
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await network.provider.send("evm_increaseTime", [604801]);
+      await network.provider.send("evm_mine");
+
+      const { lenderProtocolFee } = await calculateRepayment(loanAmount, 900, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(lender1).claimDefaultedLoan(0, { value: lenderProtocolFee });
+      await expectCollateralHeldBy(lender1.address);
+    });
+
+    it("should reject invalid bundles", async function () {
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle.slice(0, 1), loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Invalid bundle size");
+
+      await nftLendAuction.connect(owner).updateAllowedNFT(anotherNFTContract.address, false);
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("NFT contract not allowed");
+      await nftLendAuction.connect(owner).updateAllowedNFT(anotherNFTContract.address, true);
+
+      await expect(
+        auctionExtension
+          .connect(borrower)
+          .listLoanBundle([bundle[0], bundle[1], bundle[0]], loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("NFT is already collateralized");
+
+      await expect(
+        auctionExtension
+          .connect(borrower)
+          .listLoanBundle([bundle[0], { ...bundle[1], amount: 1 }], loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Invalid collateral amount");
+    });
+
+    it("should enforce the limits of every collection in the bundle", async function () {
+      // Only the second collection of the bundle is restricted
+      await nftLendAuction.connect(owner).setCollectionLimits(anotherNFTContract.address, loanAmount, 0, 0, 900);
+
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount.add(1), 900, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Loan amount above collection limit");
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE)
+      ).to.be.revertedWith("Interest rate above collection limit");
+
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 900, 604800, 0, NATIVE);
+      await nftLendAuction.connect(owner).setCollectionLimits(anotherNFTContract.address, 0, 0, 0, 800);
+      await expect(
+        nftLendAuction.connect(lender1).placeBid(0, 850, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Interest rate above collection limit");
+      await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    });
+
+    it("should charge bundles the highest fee rate among their collections", async function () {
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, loanAmount, 1000, 604800, 0, NATIVE);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      const totalRepayment = await nftLendAuction.getTotalRepayment(0);
+
+      // A discount on the first collection does not apply to the whole bundle
+      await nftLendAuction.connect(owner).setCollectionFeeRate(nftContract.address, true, 50);
+      let breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      expect(breakdown.borrowerFee).to.equal(totalRepayment.mul(200).div(10000));
+
+      // A surcharge on the second collection does
+      await nftLendAuction.connect(owner).setCollectionFeeRate(anotherNFTContract.address, true, 300);
+      breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      expect(breakdown.borrowerFee).to.equal(totalRepayment.mul(300).div(10000));
+      expect(breakdown.lenderFee).to.equal(totalRepayment.mul(300).div(10000));
+
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment });
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(breakdown.borrowerFee.mul(2));
+    });
+
+    it("should return a single token for loans that are not bundles", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+
+      const items = await auctionExtension.getLoanCollateral(0);
+      expect(items.length).to.equal(1);
+      expect(items[0].nftAddress).to.equal(nftContract.address);
+      expect(items[0].tokenId).to.equal(1);
+      expect(items[0].amount).to.equal(0);
+    });
+  });
+
+  describe("Collection risk parameters", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    it("should let managers set collection limits and fee overrides", async function () {
+      await expect(
+        nftLendAuction.connect(lender1).setCollectionLimits(nftContract.address, loanAmount, DAY, 30 * DAY, 1500)
+      ).to.be.reverted;
+
+      await expect(nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, loanAmount, DAY, 30 * DAY, 1500))
+        .to.emit(nftLendAuction, "CollectionLimitsUpdated")
+        .withArgs(nftContract.address, loanAmount, DAY, 30 * DAY, 1500);
+      await expect(nftLendAuction.connect(owner).setCollectionFeeRate(nftContract.address, true, 50))
+        .to.emit(nftLendAuction, "CollectionFeeRateUpdated")
+        .withArgs(nftContract.address, true, 50);
+
+      const params = await nftLendAuction.collectionRiskParams(nftContract.address);
+      expect(params.maxLoanAmount).to.equal(loanAmount);
+      expect(params.minDuration).to.equal(DAY);
+      expect(params.maxDuration).to.equal(30 * DAY);
+      expect(params.maxInterestRate).to.equal(1500);
+      expect(params.hasFeeOverride).to.equal(true);
+      expect(params.feeRate).to.equal(50);
+
+      await expect(
+        nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 30 * DAY, DAY, 0)
+      ).to.be.revertedWith("Invalid duration limits");
+      await expect(nftLendAuction.connect(owner).setCollectionFeeRate(nftContract.address, true, 1001)).to.be.revertedWith(
+        "Fee rate too high"
+      );
+    });
+
+    it("should enforce collection limits when listing", async function () {
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, loanAmount, DAY, 30 * DAY, 1500);
+      const list = (amount, rate, duration) =>
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, amount, rate, duration, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+
+      await expect(list(loanAmount.add(1), 1000, 7 * DAY)).to.be.revertedWith("Loan amount above collection limit");
+      await expect(list(loanAmount, 1000, DAY - 1)).to.be.revertedWith("Duration outside collection limits");
+      await expect(list(loanAmount, 1000, 30 * DAY + 1)).to.be.revertedWith("Duration outside collection limits");
+      await expect(list(loanAmount, 1501, 7 * DAY)).to.be.revertedWith("Interest rate above collection limit");
+      await expect(list(loanAmount, 1500, 7 * DAY)).to.emit(nftLendAuction, "LoanListed");
+    });
+
+    it("should enforce the limits in force when bidding", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1500, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 0, 1000);
+
+      await expect(
+        nftLendAuction.connect(lender1).placeBid(0, 1200, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Interest rate above collection limit");
+      await expect(nftLendAuction.connect(lender1).placeBid(0, 1000, NATIVE, { value: loanAmount })).to.emit(
+        nftLendAuction,
+        "LoanBidPlaced"
+      );
+
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, loanAmount.div(2), 0, 0, 0);
+      await expect(
+        nftLendAuction.connect(lender2).placeBid(0, 900, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Loan amount above collection limit");
+    });
+
+    it("should charge the collection fee rate in place of the protocol fee rate", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await nftLendAuction.connect(owner).setCollectionFeeRate(nftContract.address, true, 50);
+      const totalRepayment = await nftLendAuction.getTotalRepayment(0);
+      const fee = totalRepayment.mul(50).div(10000);
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      expect(breakdown.borrowerFee).to.equal(fee);
+      expect(breakdown.lenderFee).to.equal(fee);
+
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment });
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(fee.mul(2));
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(totalRepayment.sub(fee));
+
+      await nftLendAuction.connect(owner).setCollectionFeeRate(nftContract.address, false, 50);
+      const params = await nftLendAuction.collectionRiskParams(nftContract.address);
+      expect(params.hasFeeOverride).to.equal(false);
+      expect(params.feeRate).to.equal(0);
+    });
+  });
+
+  describe("Loan-to-value", function () {
+    const floorPrice = ethers.utils.parseEther("10");
+    const DAY = 24 * 60 * 60;
+    let oracle;
+
+    beforeEach(async function () {
+      const MockFloorPriceOracle = await ethers.getContractFactory("MockFloorPriceOracle");
+      oracle = await MockFloorPriceOracle.deploy();
+      await oracle.deployed();
+      await oracle.setFloorPrice(nftContract.address, NATIVE, floorPrice);
+
+      await nftContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+    });
+
+    it("should let managers set a collection oracle and maximum loan-to-value", async function () {
+      await expect(nftLendAuction.connect(lender1).setCollectionOracle(nftContract.address, oracle.address, 5000, 0)).to
+        .be.reverted;
+      await expect(nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, DAY))
+        .to.emit(nftLendAuction, "CollectionOracleUpdated")
+        .withArgs(nftContract.address, oracle.address, 5000, DAY);
+
+      const params = await nftLendAuction.collectionRiskParams(nftContract.address);
+      expect(params.oracle).to.equal(oracle.address);
+      expect(params.maxLoanToValue).to.equal(5000);
+      expect(params.maxPriceAge).to.equal(DAY);
+
+      await expect(
+        nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, lender1.address, 5000, 0)
+      ).to.be.revertedWith("Oracle is not a contract");
+      await expect(
+        nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 10001, 0)
+      ).to.be.revertedWith("Loan-to-value too high");
+      await expect(
+        nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, NATIVE, 5000, 0)
+      ).to.be.revertedWith("Loan-to-value requires an oracle");
+    });
+
+    it("should enforce the maximum loan-to-value at listing and acceptance", async function () {
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, 0);
+
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoan(nftContract.address, 1, floorPrice.div(2).add(1), 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
+      ).to.be.revertedWith("Loan-to-value too high");
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, floorPrice.div(2), 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+
+      const [loanToValue, collateralValue] = await auctionExtension.getLoanToValue(0);
+      expect(loanToValue).to.equal(5000);
+      expect(collateralValue).to.equal(floorPrice);
+
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: floorPrice.div(2) });
+      await oracle.setFloorPrice(nftContract.address, NATIVE, floorPrice.div(2));
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.be.revertedWith("Loan-to-value too high");
+
+      await oracle.setFloorPrice(nftContract.address, NATIVE, floorPrice);
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      // Accrued interest counts towards the debt once the loan runs
+      const [runningLoanToValue] = await auctionExtension.getLoanToValue(0);
+      expect(runningLoanToValue).to.be.gt(5000);
+    });
+
+    it("should reject stale oracle prices", async function () {
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, DAY);
+      await network.provider.send("evm_increaseTime", [DAY + 1]);
+      await network.provider.send("evm_mine");
+
+      await expect(
+        nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, floorPrice.div(4), 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS)
+      ).to.be.revertedWith("Stale oracle price");
+    });
+
+    it("should value bundles and ERC-1155 units across their collections", async function () {
+      const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+      const multiToken = await MockERC1155.deploy();
+      await multiToken.deployed();
+      await multiToken.connect(borrower).mint(7, 10);
+      await multiToken.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await nftLendAuction.connect(owner).updateAllowedNFT(multiToken.address, true);
+
+      await oracle.setFloorPrice(multiToken.address, NATIVE, floorPrice.div(10));
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, 0);
+      await nftLendAuction.connect(owner).setCollectionOracle(multiToken.address, oracle.address, 0, 0);
+
+      // 10 + 4 units at 1 = 14
+      const bundle = [
+        { nftAddress: nftContract.address, tokenId: 1, amount: 0 },
+        { nftAddress: multiToken.address, tokenId: 7, amount: 4 },
+      ];
+      const maxLoan = ethers.utils.parseEther("7");
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle, maxLoan.add(1), 1000, 7 * DAY, 0, NATIVE)
+      ).to.be.revertedWith("Loan-to-value too high");
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, maxLoan, 1000, 7 * DAY, 0, NATIVE);
+
+      const [loanToValue, collateralValue] = await auctionExtension.getLoanToValue(0);
+      expect(loanToValue).to.equal(5000);
+      expect(collateralValue).to.equal(ethers.utils.parseEther("14"));
+    });
+
+    it("should hold bundles to the strictest loan-to-value among their collections", async function () {
+      await oracle.setFloorPrice(anotherNFTContract.address, NATIVE, floorPrice);
+      await anotherNFTContract.connect(borrower).setApprovalForAll(nftLendAuction.address, true);
+      await nftLendAuction.connect(owner).updateAllowedNFT(anotherNFTContract.address, true);
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 0, 0);
+      // Only the second collection of the bundle has a maximum
+      await nftLendAuction.connect(owner).setCollectionOracle(anotherNFTContract.address, oracle.address, 3000, 0);
+
+      // 10 + 10 = 20, at most 30%
+      const bundle = [
+        { nftAddress: nftContract.address, tokenId: 1, amount: 0 },
+        { nftAddress: anotherNFTContract.address, tokenId: 1, amount: 0 },
+      ];
+      const maxLoan = ethers.utils.parseEther("6");
+      await expect(
+        auctionExtension.connect(borrower).listLoanBundle(bundle, maxLoan.add(1), 1000, 7 * DAY, 0, NATIVE)
+      ).to.be.revertedWith("Loan-to-value too high");
+      await auctionExtension.connect(borrower).listLoanBundle(bundle, maxLoan, 1000, 7 * DAY, 0, NATIVE);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: maxLoan });
+
+      // A looser maximum on the first collection does not relax the bundle's
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 8000, 0);
+      await oracle.setFloorPrice(anotherNFTContract.address, NATIVE, floorPrice.div(2));
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.be.revertedWith("Loan-to-value too high");
+    });
+
+    it("should only report the loan-to-value of active loans with a priced collateral", async function () {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, floorPrice, 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await expect(auctionExtension.getLoanToValue(0)).to.be.revertedWith("No collateral price");
+
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 0, 0);
+      const [loanToValue] = await auctionExtension.getLoanToValue(0);
+      expect(loanToValue).to.equal(10000);
+
+      await nftLendAuction.connect(borrower).delistLoan(0);
+      await expect(auctionExtension.getLoanToValue(0)).to.be.revertedWith("Loan not active");
+    });
+  });
+
+  describe("Fee splitting", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    let treasury, partner, creator;
+
+    beforeEach(async function () {
+      [, , , , treasury, partner, creator] = await ethers.getSigners();
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    // Lists, funds and repays loan 0, returning its repayment breakdown
+    async function repayLoan() {
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment });
+      return breakdown;
+    }
+
+    it("should charge borrowers and lenders their own fee rates", async function () {
+      await nftLendAuction.connect(owner).setFeeRates(300, 100);
+
+      const breakdown = await repayLoan();
+      const totalRepayment = breakdown.principal.add(breakdown.interest);
+      expect(breakdown.borrowerFee).to.equal(totalRepayment.mul(300).div(10000));
+      expect(breakdown.lenderFee).to.equal(totalRepayment.mul(100).div(10000));
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(breakdown.borrowerFee.add(breakdown.lenderFee));
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(breakdown.lenderPayout);
+    });
+
+    it("should validate fee recipients", async function () {
+      await expect(
+        nftLendAuction.connect(lender1).setFeeRecipients([treasury.address], [10000])
+      ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
+      await expect(
+        nftLendAuction.connect(owner).setFeeRecipients([treasury.address], [10000, 0])
+      ).to.be.revertedWith("Invalid fee recipients");
+      await expect(
+        nftLendAuction.connect(owner).setFeeRecipients([treasury.address, NATIVE], [7000, 3000])
+      ).to.be.revertedWith("Invalid fee recipient");
+      await expect(
+        nftLendAuction.connect(owner).setFeeRecipients([treasury.address, partner.address], [7000, 2000])
+      ).to.be.revertedWith("Fee shares must total 100%");
+
+      await expect(nftLendAuction.connect(owner).setFeeRecipients([treasury.address, partner.address], [7000, 3000]))
+        .to.emit(nftLendAuction, "FeeRecipientsUpdated")
+        .withArgs([treasury.address, partner.address], [7000, 3000]);
+      const recipients = await nftLendAuction.getFeeRecipients();
+      expect(recipients.map((recipient) => recipient.account)).to.deep.equal([treasury.address, partner.address]);
+      expect(recipients.map((recipient) => recipient.share.toNumber())).to.deep.equal([7000, 3000]);
+
+      await nftLendAuction.connect(owner).setFeeRecipients([], []);
+      expect(await nftLendAuction.getFeeRecipients()).to.deep.equal([]);
+    });
+
+    it("should distribute protocol fees to the fee recipients", async function () {
+      await nftLendAuction.connect(owner).setFeeRecipients([treasury.address, partner.address], [7000, 3000]);
+      await expect(nftLendAuction.distributeProtocolFees(NATIVE)).to.be.revertedWith("No protocol fees to distribute");
+
+      await repayLoan();
+      const fees = await nftLendAuction.protocolFeeBalance(NATIVE);
+      await expect(nftLendAuction.connect(lender2).distributeProtocolFees(NATIVE))
+        .to.emit(nftLendAuction, "ProtocolFeesDistributed")
+        .withArgs(NATIVE, fees);
+
+      const treasuryShare = fees.mul(7000).div(10000);
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(0);
+      expect(await nftLendAuction.pendingWithdrawals(treasury.address, NATIVE)).to.equal(treasuryShare);
+      expect(await nftLendAuction.pendingWithdrawals(partner.address, NATIVE)).to.equal(fees.sub(treasuryShare));
+      await expect(
+        nftLendAuction.connect(partner).withdrawFunds(NATIVE, partner.address)
+      ).to.changeEtherBalance(partner, fees.sub(treasuryShare));
+    });
+
+    it("should distribute fees before withdrawing excess funds once recipients are set", async function () {
+      await repayLoan();
+      await nftLendAuction.connect(owner).setFeeRecipients([treasury.address], [10000]);
+      const fees = await nftLendAuction.protocolFeeBalance(NATIVE);
+
+      // Only the fees are held, so nothing is sent to the owner
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.changeEtherBalance(owner, 0);
+      expect(await nftLendAuction.pendingWithdrawals(treasury.address, NATIVE)).to.equal(fees);
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.be.revertedWith("No funds available for withdrawal");
+    });
+
+    it("should pay collection creators their share of the fees", async function () {
+      await expect(
+        nftLendAuction.connect(lender1).setCollectionCreatorFee(nftContract.address, creator.address, 1000)
+      ).to.be.reverted;
+      await expect(
+        nftLendAuction.connect(owner).setCollectionCreatorFee(nftContract.address, creator.address, 5001)
+      ).to.be.revertedWith("Creator share too high");
+      await expect(
+        nftLendAuction.connect(owner).setCollectionCreatorFee(nftContract.address, NATIVE, 1000)
+      ).to.be.revertedWith("Invalid creator");
+      await expect(nftLendAuction.connect(owner).setCollectionCreatorFee(nftContract.address, creator.address, 1000))
+        .to.emit(nftLendAuction, "CollectionCreatorFeeUpdated")
+        .withArgs(nftContract.address, creator.address, 1000);
+
+      const breakdown = await repayLoan();
+      const fees = breakdown.borrowerFee.add(breakdown.lenderFee);
+      const creatorFee = fees.mul(1000).div(10000);
+      expect(await nftLendAuction.pendingWithdrawals(creator.address, NATIVE)).to.equal(creatorFee);
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(fees.sub(creatorFee));
+
+      // Creator fees stay claimable by the creator when the owner withdraws
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.changeEtherBalance(owner, fees.sub(creatorFee));
+      await expect(
+        nftLendAuction.connect(creator).withdrawFunds(NATIVE, creator.address)
+      ).to.changeEtherBalance(creator, creatorFee);
+    });
+
+    it("should keep a running total of escrowed funds per currency", async function () {
+      await nftContract.connect(borrower).mint(); // Token 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(lender1).placeBid(1, 900, NATIVE, { value: loanAmount });
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(loanAmount.mul(2));
+
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(loanAmount);
+      await nftLendAuction.connect(borrower).delistLoan(1);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(0);
+
+      // Escrowed and refunded bids are never withdrawable as fees
+      await expect(
+        nftLendAuction.connect(owner).withdrawProtocolFees(NATIVE, owner.address)
+      ).to.be.revertedWith("No funds available for withdrawal");
+    });
+  });
+
+  describe("Referrals", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    let listingReferrer, bidReferrer, repaymentReferrer;
+
+    beforeEach(async function () {
+      [, , , , listingReferrer, bidReferrer, repaymentReferrer] = await ethers.getSigners();
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    it("should let the owner set a capped referral share", async function () {
+      await expect(nftLendAuction.connect(lender1).setReferralFeeShare(1000)).to.be.revertedWithCustomError(
+        nftLendAuction,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(nftLendAuction.connect(owner).setReferralFeeShare(5001)).to.be.revertedWith("Referral share too high");
+
+      await expect(nftLendAuction.connect(owner).setReferralFeeShare(5000))
+        .to.emit(nftLendAuction, "ReferralFeeShareUpdated")
+        .withArgs(5000);
+      expect(await nftLendAuction.referralFeeShare()).to.equal(5000);
+    });
+
+    it("should record the referrers of listings and bids", async function () {
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, borrower.address, NO_LISTING_OPTIONS)
+      ).to.be.revertedWith("Invalid referrer");
+      await expect(
+        nftLendAuction
+          .connect(borrower)
+          .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, listingReferrer.address, NO_LISTING_OPTIONS)
+      )
+        .to.emit(nftLendAuction, "LoanReferred")
+        .withArgs(0, listingReferrer.address, borrower.address, false);
+
+      await expect(nftLendAuction.connect(lender1).placeBid(0, 900, bidReferrer.address, { value: loanAmount }))
+        .to.emit(nftLendAuction, "LoanReferred")
+        .withArgs(0, bidReferrer.address, lender1.address, true);
+      expect(await nftLendAuction.listingReferrers(0)).to.equal(listingReferrer.address);
+      expect(await nftLendAuction.bidReferrers(0)).to.equal(bidReferrer.address);
+
+      // A new bid replaces the referrer of the outbid lender
+      await expect(nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount })).not.to.emit(
+        nftLendAuction,
+        "LoanReferred"
+      );
+      expect(await nftLendAuction.bidReferrers(0)).to.equal(NATIVE);
+    });
+
+    it("should credit referrers their share of the fees paid by their side", async function () {
+      await nftLendAuction.connect(owner).setReferralFeeShare(2000);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, listingReferrer.address, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, bidReferrer.address, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      const borrowerReferral = breakdown.borrowerFee.mul(2000).div(10000);
+      const lenderReferral = breakdown.lenderFee.mul(2000).div(10000);
+      await expect(nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment }))
+        .to.emit(nftLendAuction, "ReferralFeeAccrued")
+        .withArgs(0, listingReferrer.address, NATIVE, borrowerReferral)
+        .and.to.emit(nftLendAuction, "ReferralFeeAccrued")
+        .withArgs(0, bidReferrer.address, NATIVE, lenderReferral);
+
+      expect(await nftLendAuction.pendingWithdrawals(listingReferrer.address, NATIVE)).to.equal(borrowerReferral);
+      expect(await nftLendAuction.pendingWithdrawals(bidReferrer.address, NATIVE)).to.equal(lenderReferral);
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(
+        breakdown.borrowerFee.add(breakdown.lenderFee).sub(borrowerReferral).sub(lenderReferral)
+      );
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(breakdown.lenderPayout);
+    });
+
+    it("should credit the repayment referrer instead of the listing referrer", async function () {
+      await nftLendAuction.connect(owner).setReferralFeeShare(2000);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, listingReferrer.address, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, borrower.address, { value: breakdown.borrowerPayment })
+      ).to.be.revertedWith("Invalid referrer");
+      await nftLendAuction
+        .connect(borrower)
+        .repayLoan(0, repaymentReferrer.address, { value: breakdown.borrowerPayment });
+
+      expect(await nftLendAuction.pendingWithdrawals(repaymentReferrer.address, NATIVE)).to.equal(
+        breakdown.borrowerFee.mul(2000).div(10000)
+      );
+      expect(await nftLendAuction.pendingWithdrawals(listingReferrer.address, NATIVE)).to.equal(0);
+      // The bid had no referrer, so the protocol keeps the whole lender fee
+      expect(await nftLendAuction.protocolFeeBalance(NATIVE)).to.equal(
+        breakdown.borrowerFee.sub(breakdown.borrowerFee.mul(2000).div(10000)).add(breakdown.lenderFee)
+      );
+    });
+  });
+
+  describe("Bid book", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const DAY = 24 * 60 * 60;
+    let lender3;
+
+    beforeEach(async function () {
+      [, , , , lender3] = await ethers.getSigners();
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 1, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    });
+
+    it("should escrow bids with their own terms and list the open bids", async function () {
+      const amount = ethers.utils.parseEther("2");
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, 0, 1200, 14 * DAY, NATIVE, { value: 0 })
+      ).to.be.revertedWith("Invalid bid terms");
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, amount, 1200, 14 * DAY, lender2.address, { value: amount })
+      ).to.be.revertedWith("Invalid referrer");
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, amount, 1200, 14 * DAY, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Incorrect loan amount");
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 10 * DAY, 0);
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, amount, 1200, 14 * DAY, NATIVE, { value: amount })
+      ).to.be.revertedWith("Duration outside collection limits");
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 0, 0);
+
+      await expect(auctionExtension.connect(lender2).placeBookBid(0, amount, 1200, 14 * DAY, NATIVE, { value: amount }))
+        .to.emit(nftLendAuction, "BookBidPlaced")
+        .withArgs(0, 1, lender2.address, amount, 1200, 14 * DAY);
+      await auctionExtension.connect(lender3).placeBookBid(0, loanAmount, 800, 7 * DAY, NATIVE, { value: loanAmount });
+
+      const [bidIds, bids] = await auctionExtension.getOpenBids(0);
+      expect(bidIds.map(Number)).to.deep.equal([1, 2]);
+      expect(bids[0].lender).to.equal(lender2.address);
+      expect(bids[0].loanAmount).to.equal(amount);
+      expect(bids[0].interestRate).to.equal(1200);
+      expect(bids[0].duration).to.equal(14 * DAY);
+      expect(bids[1].lender).to.equal(lender3.address);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(amount.add(loanAmount));
+      expect((await auctionExtension.getLenderLoanIds(lender2.address)).map(Number)).to.deep.equal([0]);
+
+      // Bids in the book do not change the leading bid
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.lender).to.equal(NATIVE);
+      expect(loan.status).to.equal(0); // LoanStatus.LISTED
+    });
+
+    it("should start the loan on the terms of the accepted bid and refund the others", async function () {
+      const amount = ethers.utils.parseEther("2");
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await auctionExtension
+        .connect(lender2)
+        .placeBookBid(0, amount, 1200, 14 * DAY, lender3.address, { value: amount });
+      await auctionExtension.connect(lender3).placeBookBid(0, loanAmount, 800, 7 * DAY, NATIVE, { value: loanAmount });
+
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 3)).to.be.revertedWith("Bid does not exist");
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 1))
+        .to.changeEtherBalance(borrower, amount)
+        .and.to.emit(nftLendAuction, "BookBidStatusChanged")
+        .withArgs(0, 1, 1); // BidStatus.ACCEPTED
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.lender).to.equal(lender2.address);
+      expect(loan.loanAmount).to.equal(amount);
+      expect(loan.currentInterestRate).to.equal(1200);
+      expect(loan.duration).to.equal(14 * DAY);
+      expect(loan.status).to.equal(2); // LoanStatus.ACTIVE
+      expect(await nftLendAuction.bidReferrers(0)).to.equal(lender3.address);
+
+      // The leading bid and the other bids of the book are refunded
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.pendingWithdrawals(lender3.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(0);
+      const [bidIds] = await auctionExtension.getOpenBids(0);
+      expect(bidIds).to.deep.equal([]);
+      const bids = await auctionExtension.getLoanBids(0);
+      expect(bids.map((bid) => bid.status)).to.deep.equal([1, 3]); // ACCEPTED, REFUNDED
+
+      const { requiredRepayment } = await calculateRepayment(amount, 1200, 200, nftLendAuction, 0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: requiredRepayment });
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should hold accepted bids to the collection limits in force", async function () {
+      const amount = ethers.utils.parseEther("2");
+      await auctionExtension.connect(lender2).placeBookBid(0, amount, 1200, 14 * DAY, NATIVE, { value: amount });
+
+      // Tightening the limits applies to bids placed before
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, loanAmount, 0, 0, 0);
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 1)).to.be.revertedWith(
+        "Loan amount above collection limit"
+      );
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 10 * DAY, 0);
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 1)).to.be.revertedWith(
+        "Duration outside collection limits"
+      );
+
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 0, 0, 0, 0);
+      await nftLendAuction.connect(borrower).acceptLoan(0, 1);
+      expect((await nftLendAuction.loans(0)).lender).to.equal(lender2.address);
+    });
+
+    it("should refund the book when the leading bid is accepted or the loan is delisted", async function () {
+      await auctionExtension.connect(lender2).placeBookBid(0, loanAmount, 1200, 14 * DAY, NATIVE, { value: loanAmount });
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.be.revertedWith("No lender bid yet");
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      expect((await nftLendAuction.loans(0)).lender).to.equal(lender1.address);
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(0);
+
+      await nftContract.connect(borrower).mint(); // Token 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+      await nftLendAuction.connect(borrower).listLoan(nftContract.address, 2, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await auctionExtension.connect(lender3).placeBookBid(1, loanAmount, 1200, 14 * DAY, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).delistLoan(1);
+
+      expect(await nftLendAuction.pendingWithdrawals(lender3.address, NATIVE)).to.equal(loanAmount);
+      expect((await auctionExtension.getLoanBids(1))[0].status).to.equal(3); // BidStatus.REFUNDED
+    });
+
+    it("should let lenders cancel their bids after the bid cancel period", async function () {
+      await auctionExtension.connect(lender2).placeBookBid(0, loanAmount, 1200, 14 * DAY, NATIVE, { value: loanAmount });
+
+      await expect(auctionExtension.connect(lender2).cancelBookBid(0, 1)).to.be.revertedWith("bidCancelPeriod not met");
+      await network.provider.send("evm_increaseTime", [DAY]);
+      await network.provider.send("evm_mine");
+      await expect(auctionExtension.connect(lender1).cancelBookBid(0, 1)).to.be.revertedWith("Not bid lender");
+      await expect(auctionExtension.connect(lender2).cancelBookBid(0, 1)).to.changeEtherBalance(lender2, loanAmount);
+
+      expect((await auctionExtension.getLoanBids(0))[0].status).to.equal(2); // BidStatus.CANCELLED
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(0);
+      await expect(auctionExtension.connect(lender2).cancelBookBid(0, 1)).to.be.revertedWith("Bid not open");
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 1)).to.be.revertedWith("Bid not open");
+    });
+
+    it("should cap the number of open bids per loan", async function () {
+      const amount = ethers.utils.parseEther("0.01");
+      for (let i = 0; i < 20; i++) {
+        await auctionExtension.connect(lender2).placeBookBid(0, amount, 1000, 7 * DAY, NATIVE, { value: amount });
+      }
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, amount, 1000, 7 * DAY, NATIVE, { value: amount })
+      ).to.be.revertedWith("Too many open bids");
+    });
+  });
+
+  describe("Listing options", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    const list = (options) =>
+      nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, options);
+
+    it("should validate and record the listing options", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await expect(list({ autoAcceptRate: 1001, listingDeadline: 0, auctionEndTime: 0 })).to.be.revertedWith("Invalid auto-accept rate");
+      await expect(list({ autoAcceptRate: 0, listingDeadline: timestamp, auctionEndTime: 0 })).to.be.revertedWith(
+        "Invalid listing deadline"
+      );
+
+      await expect(list({ autoAcceptRate: 800, listingDeadline: timestamp + DAY, auctionEndTime: 0 }))
+        .to.emit(nftLendAuction, "ListingOptionsSet")
+        .withArgs(0, 800, timestamp + DAY, 0);
+      expect(await nftLendAuction.autoAcceptRates(0)).to.equal(800);
+      expect(await nftLendAuction.listingDeadlines(0)).to.equal(timestamp + DAY);
+    });
+
+    it("should start the loan when a bid reaches the auto-accept rate", async function () {
+      await list({ autoAcceptRate: 800, listingDeadline: 0, auctionEndTime: 0 });
+      await auctionExtension.connect(lender2).placeBookBid(0, loanAmount, 1200, 14 * DAY, NATIVE, { value: loanAmount });
+
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      expect((await nftLendAuction.loans(0)).status).to.equal(1); // LoanStatus.BIDDED
+
+      const bid = nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+      await expect(bid).to.emit(nftLendAuction, "LoanAccepted");
+      await expect(bid).to.changeEtherBalances([lender1, borrower], [loanAmount.mul(-1), loanAmount]);
+
+      const loan = await nftLendAuction.loans(0);
+      expect(loan.status).to.equal(2); // LoanStatus.ACTIVE
+      expect(loan.currentInterestRate).to.equal(800);
+      // The outbid lender and the bid book are refunded
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.totalEscrowedFunds(NATIVE)).to.equal(0);
+    });
+
+    it("should keep auto-accepted bids open while acceptance is paused", async function () {
+      await list({ autoAcceptRate: 800, listingDeadline: 0, auctionEndTime: 0 });
+      await nftLendAuction.connect(owner).setPaused(4, true); // Acceptance
+
+      await nftLendAuction.connect(lender1).placeBid(0, 700, NATIVE, { value: loanAmount });
+      expect((await nftLendAuction.loans(0)).status).to.equal(1); // LoanStatus.BIDDED
+      expect(await nftLendAuction.escrowedFunds(0)).to.equal(loanAmount);
+    });
+
+    it("should let anyone close a listing past its deadline", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await list({ autoAcceptRate: 0, listingDeadline: timestamp + DAY, auctionEndTime: 0 });
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await auctionExtension.connect(lender2).placeBookBid(0, loanAmount, 1200, 14 * DAY, NATIVE, { value: loanAmount });
+      await expect(auctionExtension.connect(lender2).expireListing(0)).to.be.revertedWith("Listing not expired");
+
+      await network.provider.send("evm_increaseTime", [DAY + 1]);
+      await network.provider.send("evm_mine");
+      await expect(
+        nftLendAuction.connect(lender2).placeBid(0, 800, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Listing expired");
+      await expect(
+        auctionExtension.connect(lender2).placeBookBid(0, loanAmount, 800, 7 * DAY, NATIVE, { value: loanAmount })
+      ).to.be.revertedWith("Listing expired");
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.be.revertedWith("Listing expired");
+
+      await expect(auctionExtension.connect(lender2).expireListing(0))
+        .to.emit(nftLendAuction, "ListingExpired")
+        .withArgs(0, lender2.address)
+        .and.to.emit(nftLendAuction, "LoanDelisted")
+        .withArgs(0, borrower.address);
+      expect(await nftContract.ownerOf(1)).to.equal(borrower.address);
+      expect(await nftLendAuction.getLoanStatus(0)).to.equal(5); // LoanStatus.DELISTED
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(loanAmount);
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(loanAmount);
+      await expect(auctionExtension.connect(lender2).expireListing(0)).to.be.revertedWith("Loan closed");
+    });
+
+    it("should never expire listings without a deadline", async function () {
+      await list(NO_LISTING_OPTIONS);
+      await network.provider.send("evm_increaseTime", [365 * DAY]);
+      await network.provider.send("evm_mine");
+
+      await expect(auctionExtension.expireListing(0)).to.be.revertedWith("Listing not expired");
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+    });
+  });
+
+  describe("Bid increments", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const DAY = 24 * 60 * 60;
+    const WINDOW = 10 * 60;
+
+    beforeEach(async function () {
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+    });
+
+    const list = (options) =>
+      nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, options);
+
+    const bid = (lender, rate) => nftLendAuction.connect(lender).placeBid(0, rate, NATIVE, { value: loanAmount });
+
+    it("should let the owner set the minimum bid decrement", async function () {
+      await expect(nftLendAuction.connect(lender1).setMinBidDecrement(100, false)).to.be.revertedWithCustomError(
+        nftLendAuction,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(nftLendAuction.connect(owner).setMinBidDecrement(5001, true)).to.be.revertedWith(
+        "Bid decrement too high"
+      );
+
+      await expect(nftLendAuction.connect(owner).setMinBidDecrement(500, true))
+        .to.emit(nftLendAuction, "MinBidDecrementUpdated")
+        .withArgs(500, true);
+      expect(await nftLendAuction.minBidDecrement()).to.equal(500);
+      expect(await nftLendAuction.isMinBidDecrementPercentage()).to.equal(true);
+    });
+
+    it("should require bids to undercut the current bid by an absolute decrement", async function () {
+      await nftLendAuction.connect(owner).setMinBidDecrement(100, false);
+      await list(NO_LISTING_OPTIONS);
+
+      // The first bid only has to beat the borrower's maximum rate
+      await bid(lender1, 999);
+      await expect(bid(lender2, 900)).to.be.revertedWith("Bid decrement too small");
+      await bid(lender2, 899);
+      expect((await nftLendAuction.loans(0)).currentInterestRate).to.equal(899);
+    });
+
+    it("should require bids to undercut the current bid by a percentage decrement", async function () {
+      await nftLendAuction.connect(owner).setMinBidDecrement(1000, true); // 10% of the current rate
+      await list(NO_LISTING_OPTIONS);
+
+      await bid(lender1, 900);
+      await expect(bid(lender2, 811)).to.be.revertedWith("Bid decrement too small");
+      await bid(lender2, 810);
+      expect((await nftLendAuction.loans(0)).lender).to.equal(lender2.address);
+    });
+
+    it("should validate and record the auction end", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await expect(list({ autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: timestamp })).to.be.revertedWith(
+        "Invalid auction end"
+      );
+      await expect(
+        list({ autoAcceptRate: 0, listingDeadline: timestamp + DAY, auctionEndTime: timestamp + DAY + 1 })
+      ).to.be.revertedWith("Invalid auction end");
+
+      await expect(list({ autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: timestamp + DAY }))
+        .to.emit(nftLendAuction, "ListingOptionsSet")
+        .withArgs(0, 0, 0, timestamp + DAY);
+      expect(await nftLendAuction.auctionEndTimes(0)).to.equal(timestamp + DAY);
+    });
+
+    it("should extend the auction when a bid lands in its final minutes", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const endTime = timestamp + DAY;
+      await list({ autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: endTime });
+
+      // Bids before the final window leave the end unchanged
+      await expect(bid(lender1, 900)).to.not.emit(nftLendAuction, "AuctionExtended");
+
+      const lateBidTime = endTime - 60;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lateBidTime]);
+      await expect(bid(lender2, 800))
+        .to.emit(nftLendAuction, "AuctionExtended")
+        .withArgs(0, lateBidTime + WINDOW);
+      expect(await nftLendAuction.auctionEndTimes(0)).to.equal(lateBidTime + WINDOW);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [lateBidTime + WINDOW + 1]);
+      await expect(bid(lender1, 700)).to.be.revertedWith("Auction ended");
+
+      // The borrower can still take the winning bid once the auction has ended
+      await expect(nftLendAuction.connect(borrower).acceptLoan(0, 0)).to.emit(nftLendAuction, "LoanAccepted");
+      expect((await nftLendAuction.loans(0)).lender).to.equal(lender2.address);
+    });
+
+    it("should cap auction extensions at the listing deadline", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const endTime = timestamp + DAY;
+      await list({ autoAcceptRate: 0, listingDeadline: endTime + 60, auctionEndTime: endTime });
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [endTime - 60]);
+      await expect(bid(lender1, 900))
+        .to.emit(nftLendAuction, "AuctionExtended")
+        .withArgs(0, endTime + 60);
+    });
+
+    it("should let the owner set the extension window", async function () {
+      await expect(nftLendAuction.connect(owner).setAuctionExtensionWindow(DAY + 1)).to.be.revertedWith(
+        "Extension window too long"
+      );
+      await expect(nftLendAuction.connect(owner).setAuctionExtensionWindow(0))
+        .to.emit(nftLendAuction, "AuctionExtensionWindowUpdated")
+        .withArgs(0);
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const endTime = timestamp + DAY;
+      await list({ autoAcceptRate: 0, listingDeadline: 0, auctionEndTime: endTime });
+      await ethers.provider.send("evm_setNextBlockTimestamp", [endTime - 60]);
+      await expect(bid(lender1, 900)).to.not.emit(nftLendAuction, "AuctionExtended");
+      expect(await nftLendAuction.auctionEndTimes(0)).to.equal(endTime);
+    });
+  });
+
+  describe("Loan notes", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    const DAY = 24 * 60 * 60;
+    let lenderNote;
+    let borrowerNote;
+
+    beforeEach(async function () {
+      const LoanNote = await ethers.getContractFactory("NFTLendAuctionV1LoanNote");
+      lenderNote = await LoanNote.deploy("NFTLendAuction Lender Note", "NLA-LEND", nftLendAuction.address);
+      borrowerNote = await LoanNote.deploy("NFTLendAuction Borrower Note", "NLA-DEBT", nftLendAuction.address);
+      await nftLendAuction.connect(owner).setLoanNotes(lenderNote.address, borrowerNote.address);
+
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 7 * DAY, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+      await nftLendAuction.connect(lender1).placeBid(0, 800, NATIVE, { value: loanAmount });
+    });
+
+    it("should only let the owner set the notes once", async function () {
+      const LoanNote = await ethers.getContractFactory("NFTLendAuctionV1LoanNote");
+      const otherNote = await LoanNote.deploy("Other Note", "OTHER", lender2.address);
+
+      await expect(
+        nftLendAuction.connect(lender1).setLoanNotes(lenderNote.address, NATIVE)
+      ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
+      await expect(nftLendAuction.connect(owner).setLoanNotes(lenderNote.address, NATIVE)).to.be.revertedWith(
+        "Loan notes already set"
+      );
+      expect(await nftLendAuction.lenderNote()).to.equal(lenderNote.address);
+      expect(await nftLendAuction.borrowerNote()).to.equal(borrowerNote.address);
+
+      // Notes must be bound to the auction they are set on
+      const NFTLendAuctionAdmin = await ethers.getContractFactory("NFTLendAuctionV1Admin");
+      const NFTLendAuctionDefaults = await ethers.getContractFactory("NFTLendAuctionV1Defaults");
+      const NFTLendAuctionServicing = await ethers.getContractFactory("NFTLendAuctionV1Servicing");
+      const NFTLendAuctionExtension = await ethers.getContractFactory("NFTLendAuctionV1Extension");
+      const NFTLendAuction = await ethers.getContractFactory("NFTLendAuctionV1");
+      const admin = await NFTLendAuctionAdmin.deploy();
+      const defaults = await NFTLendAuctionDefaults.deploy(admin.address);
+      const servicing = await NFTLendAuctionServicing.deploy(defaults.address);
+      const extension = await NFTLendAuctionExtension.deploy(servicing.address);
+      const otherAuction = NFTLendAuctionAdmin.attach(
+        (await NFTLendAuction.deploy(owner.address, extension.address)).address
+      );
+      await expect(otherAuction.connect(owner).setLoanNotes(otherNote.address, NATIVE)).to.be.revertedWith(
+        "Invalid lender note"
+      );
+      await expect(otherAuction.connect(owner).setLoanNotes(NATIVE, NATIVE)).to.be.revertedWith("Invalid lender note");
+    });
+
+    it("should start loans of contract lenders that do not accept ERC-721 tokens", async function () {
+      const MockWallet = await ethers.getContractFactory("MockWallet");
+      const wallet = await MockWallet.deploy();
+      const bid = nftLendAuction.interface.encodeFunctionData("placeBid", [0, 700, NATIVE]);
+      await wallet.execute(nftLendAuction.address, bid, { value: loanAmount });
+
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      expect((await nftLendAuction.loans(0)).status).to.equal(2); // LoanStatus.ACTIVE
+      expect(await lenderNote.ownerOf(0)).to.equal(wallet.address);
+    });
+
+    it("should mint the notes when a loan starts", async function () {
+      await expect(lenderNote.ownerOf(0)).to.be.revertedWithCustomError(lenderNote, "ERC721NonexistentToken");
+
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      expect(await lenderNote.ownerOf(0)).to.equal(lender1.address);
+      expect(await borrowerNote.ownerOf(0)).to.equal(borrower.address);
+
+      await expect(lenderNote.connect(lender1).mint(lender1.address, 1)).to.be.revertedWith("Only auction");
+      await expect(lenderNote.connect(lender1).burn(0)).to.be.revertedWith("Only auction");
+      await expect(nftLendAuction.connect(lender1).onLoanNoteTransfer(0, lender1.address)).to.be.revertedWith(
+        "Not a loan note"
+      );
+    });
+
+    it("should pay the repayment to the holder of the lender note", async function () {
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+
+      await expect(lenderNote.connect(lender1).transferFrom(lender1.address, lender2.address, 0))
+        .to.emit(nftLendAuction, "LoanPositionTransferred")
+        .withArgs(0, lender2.address, true);
+      expect((await nftLendAuction.loans(0)).lender).to.equal(lender2.address);
+      expect(await auctionExtension.getLenderLoanIds(lender2.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      await nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment });
+      expect(await nftLendAuction.pendingWithdrawals(lender2.address, NATIVE)).to.equal(breakdown.lenderPayout);
+      expect(await nftLendAuction.pendingWithdrawals(lender1.address, NATIVE)).to.equal(0);
+
+      // Closed loans burn their notes
+      await expect(lenderNote.ownerOf(0)).to.be.revertedWithCustomError(lenderNote, "ERC721NonexistentToken");
+      await expect(borrowerNote.ownerOf(0)).to.be.revertedWithCustomError(borrowerNote, "ERC721NonexistentToken");
+    });
+
+    it("should send defaulted collateral to the holder of the lender note", async function () {
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      await lenderNote.connect(lender1).transferFrom(lender1.address, lender2.address, 0);
+
+      await network.provider.send("evm_increaseTime", [7 * DAY + 1]);
+      await network.provider.send("evm_mine");
+      const { lenderFee } = await nftLendAuction.getRepaymentBreakdown(0);
+      await nftLendAuction.connect(lender2).claimDefaultedLoan(0, { value: lenderFee });
+      expect(await nftContract.ownerOf(1)).to.equal(lender2.address);
+      await expect(lenderNote.ownerOf(0)).to.be.revertedWithCustomError(lenderNote, "ERC721NonexistentToken");
+    });
+
+    it("should return the collateral to the holder of the borrower note", async function () {
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      await expect(borrowerNote.connect(borrower).transferFrom(borrower.address, lender2.address, 0))
+        .to.emit(nftLendAuction, "LoanPositionTransferred")
+        .withArgs(0, lender2.address, false);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      await expect(
+        nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment })
+      ).to.be.revertedWith("Not loan borrower");
+      await nftLendAuction.connect(lender2).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment });
+      expect(await nftContract.ownerOf(1)).to.equal(lender2.address);
+    });
+
+    it("should move the lender note to a refinancing lender", async function () {
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      await nftLendAuction.connect(borrower).setRefinanceTerms(0, 600, 7 * DAY);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      const payoff = breakdown.principal.add(breakdown.interest).add(breakdown.borrowerFee);
+      await nftLendAuction.connect(lender2).refinanceLoan(0, 500, 7 * DAY, { value: payoff });
+      expect(await lenderNote.ownerOf(0)).to.equal(lender2.address);
+      expect(await borrowerNote.ownerOf(0)).to.equal(borrower.address);
+    });
+  });
+
+  describe("Governance timelock", function () {
+    const DAY = 24 * 60 * 60;
+    let guardian;
+
+    beforeEach(async function () {
+      guardian = lender2;
+      await nftLendAuction.connect(owner).grantRole(await nftLendAuction.GUARDIAN_ROLE(), guardian.address);
+      await nftLendAuction.connect(owner).grantManagerRole(borrower.address);
+    });
+
+    const queue = async (signer, functionName, args) => {
+      const data = nftLendAuction.interface.encodeFunctionData(functionName, args);
+      await nftLendAuction.connect(signer).queueChange(data);
+      return ethers.utils.keccak256(data);
+    };
+
+    const increaseTime = async (seconds) => {
+      await network.provider.send("evm_increaseTime", [seconds]);
+      await network.provider.send("evm_mine");
+    };
+
+    it("should let the owner set the governance delay", async function () {
+      await expect(nftLendAuction.connect(lender1).setGovernanceDelay(DAY)).to.be.revertedWithCustomError(
+        nftLendAuction,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(nftLendAuction.connect(owner).setGovernanceDelay(31 * DAY)).to.be.revertedWith(
+        "Governance delay too long"
+      );
+      await expect(nftLendAuction.connect(owner).queueChange("0x12345678")).to.be.revertedWith("Timelock disabled");
+
+      // Without a delay the change applies immediately
+      await expect(nftLendAuction.connect(owner).setGovernanceDelay(DAY))
+        .to.emit(nftLendAuction, "GovernanceDelayUpdated")
+        .withArgs(DAY);
+      expect(await nftLendAuction.governanceDelay()).to.equal(DAY);
+
+      // Shortening the delay is timelocked as well
+      await expect(nftLendAuction.connect(owner).setGovernanceDelay(0)).to.be.revertedWith("Change not queued");
+    });
+
+    it("should only execute queued changes once the delay has passed", async function () {
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+      await expect(nftLendAuction.connect(owner).setFeeRates(300, 300)).to.be.revertedWith("Change not queued");
+
+      const data = nftLendAuction.interface.encodeFunctionData("setFeeRates", [300, 300]);
+      const changeId = ethers.utils.keccak256(data);
+      const tx = nftLendAuction.connect(owner).queueChange(data);
+      await expect(tx).to.emit(nftLendAuction, "ChangeQueued");
+      const { timestamp } = await ethers.provider.getBlock((await (await tx).wait()).blockNumber);
+      expect(await nftLendAuction.queuedChanges(changeId)).to.equal(timestamp + DAY);
+      await expect(nftLendAuction.connect(owner).queueChange(data)).to.be.revertedWith("Change already queued");
+
+      await expect(nftLendAuction.connect(owner).setFeeRates(300, 300)).to.be.revertedWith("Change still timelocked");
+      // Other arguments are a different change
+      await increaseTime(DAY);
+      await expect(nftLendAuction.connect(owner).setFeeRates(300, 400)).to.be.revertedWith("Change not queued");
+
+      await expect(nftLendAuction.connect(owner).setFeeRates(300, 300))
+        .to.emit(nftLendAuction, "ChangeExecuted")
+        .withArgs(changeId, owner.address)
+        .and.to.emit(nftLendAuction, "FeeRatesUpdated")
+        .withArgs(300, 300);
+      expect(await nftLendAuction.borrowerFeeRate()).to.equal(300);
+      expect(await nftLendAuction.queuedChanges(changeId)).to.equal(0);
+      await expect(nftLendAuction.connect(owner).setFeeRates(300, 300)).to.be.revertedWith("Change not queued");
+    });
+
+    it("should keep the role checks of queued changes", async function () {
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+      const data = nftLendAuction.interface.encodeFunctionData("setBidCancelPeriod", [2 * DAY]);
+      await expect(nftLendAuction.connect(lender1).queueChange(data)).to.be.revertedWith("Not governance");
+
+      // Managers queue changes, but executing one still needs the function's role
+      await queue(borrower, "setBidCancelPeriod", [2 * DAY]);
+      await increaseTime(DAY);
+      await expect(nftLendAuction.connect(borrower).setBidCancelPeriod(2 * DAY)).to.be.revertedWithCustomError(
+        nftLendAuction,
+        "AccessControlUnauthorizedAccount"
+      );
+      await nftLendAuction.connect(owner).setBidCancelPeriod(2 * DAY);
+      expect(await nftLendAuction.bidCancelPeriod()).to.equal(2 * DAY);
+    });
+
+    it("should let the owner or the guardian cancel queued changes", async function () {
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+      const changeId = await queue(owner, "setMaxActiveLoans", [2000]);
+
+      await expect(nftLendAuction.connect(borrower).cancelChange(changeId)).to.be.revertedWith("Not governance");
+      await expect(nftLendAuction.connect(guardian).cancelChange(changeId))
+        .to.emit(nftLendAuction, "ChangeCancelled")
+        .withArgs(changeId, guardian.address);
+      await expect(nftLendAuction.connect(owner).cancelChange(changeId)).to.be.revertedWith("Change not queued");
+
+      await increaseTime(DAY);
+      await expect(nftLendAuction.connect(owner).setMaxActiveLoans(2000)).to.be.revertedWith("Change not queued");
+    });
+
+    it("should expire changes not executed within the grace period", async function () {
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+      await queue(owner, "withdrawProtocolFees", [owner.address, NATIVE]);
+
+      await increaseTime(DAY + 14 * DAY + 1);
+      await expect(nftLendAuction.connect(owner).withdrawProtocolFees(owner.address, NATIVE)).to.be.revertedWith(
+        "Change expired"
+      );
+    });
+
+    it("should keep de-risking actions immediate", async function () {
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+
+      // Disallowing a collection takes effect right away, allowing one is timelocked
+      await expect(nftLendAuction.connect(borrower).updateAllowedNFT(nftContract.address, false))
+        .to.emit(nftLendAuction, "AllowedNFTUpdated")
+        .withArgs(nftContract.address, false);
+      await expect(
+        nftLendAuction.connect(borrower).updateAllowedNFT(anotherNFTContract.address, true)
+      ).to.be.revertedWith("Change not queued");
+      await queue(borrower, "updateAllowedNFT", [anotherNFTContract.address, true]);
+      await increaseTime(DAY);
+      await nftLendAuction.connect(borrower).updateAllowedNFT(anotherNFTContract.address, true);
+      expect(await nftLendAuction.allowedNFTContracts(anotherNFTContract.address)).to.equal(true);
+
+      await nftLendAuction.connect(guardian).setPaused(1, true); // Listing
+      expect(await nftLendAuction.pausedActions()).to.equal(1);
+    });
+
+    it("should only timelock risk-increasing loan and collection parameters", async function () {
+      const MockFloorPriceOracle = await ethers.getContractFactory("MockFloorPriceOracle");
+      const oracle = await MockFloorPriceOracle.deploy();
+      const otherOracle = await MockFloorPriceOracle.deploy();
+      await nftLendAuction.connect(owner).setCollectionLimits(nftContract.address, 100, DAY, 30 * DAY, 1500);
+      await nftLendAuction.connect(owner).setCollectionOracle(nftContract.address, oracle.address, 5000, DAY);
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+
+      // Lowering the active loan cap is immediate, raising it is timelocked
+      await nftLendAuction.connect(owner).setMaxActiveLoans(500);
+      expect(await nftLendAuction.maxActiveLoans()).to.equal(500);
+      await expect(nftLendAuction.connect(owner).setMaxActiveLoans(600)).to.be.revertedWith("Change not queued");
+
+      // Tighter limits are immediate, any looser limit is timelocked
+      await nftLendAuction.connect(borrower).setCollectionLimits(nftContract.address, 50, 2 * DAY, 20 * DAY, 1000);
+      expect((await nftLendAuction.collectionRiskParams(nftContract.address)).maxLoanAmount).to.equal(50);
+      for (const limits of [
+        [0, 2 * DAY, 20 * DAY, 1000],
+        [50, DAY, 20 * DAY, 1000],
+        [50, 2 * DAY, 21 * DAY, 1000],
+        [50, 2 * DAY, 0, 1000],
+        [50, 2 * DAY, 20 * DAY, 1100],
+      ]) {
+        await expect(
+          nftLendAuction.connect(borrower).setCollectionLimits(nftContract.address, ...limits)
+        ).to.be.revertedWith("Change not queued");
+      }
+
+      // Lowering the loan-to-value or price age is immediate, a new oracle or looser values are timelocked
+      await nftLendAuction.connect(borrower).setCollectionOracle(nftContract.address, oracle.address, 4000, DAY / 2);
+      expect((await nftLendAuction.collectionRiskParams(nftContract.address)).maxLoanToValue).to.equal(4000);
+      for (const args of [
+        [otherOracle.address, 4000, DAY / 2],
+        [oracle.address, 0, DAY / 2],
+        [oracle.address, 4000, DAY],
+      ]) {
+        await expect(
+          nftLendAuction.connect(borrower).setCollectionOracle(nftContract.address, ...args)
+        ).to.be.revertedWith("Change not queued");
+      }
+      await queue(borrower, "setCollectionOracle", [nftContract.address, otherOracle.address, 4000, DAY / 2]);
+      await increaseTime(DAY);
+      await nftLendAuction.connect(borrower).setCollectionOracle(nftContract.address, otherOracle.address, 4000, DAY / 2);
+      expect((await nftLendAuction.collectionRiskParams(nftContract.address)).oracle).to.equal(otherOracle.address);
+    });
+
+    it("should not let changes queued before a risk-reducing change undo it", async function () {
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const otherNFT = await MockNFT.deploy();
+      await nftLendAuction.connect(owner).setGovernanceDelay(DAY);
+      const changeId = await queue(borrower, "updateAllowedNFT", [otherNFT.address, true]);
+      await queue(owner, "setMaxActiveLoans", [2000]);
+
+      // Disallowing the collection applies immediately and invalidates its queued allowance
+      await nftLendAuction.connect(borrower).updateAllowedNFT(otherNFT.address, false);
+      await increaseTime(DAY);
+      await expect(nftLendAuction.connect(borrower).updateAllowedNFT(otherNFT.address, true)).to.be.revertedWith(
+        "Setting changed since queued"
+      );
+
+      // Changes of other settings still execute
+      await nftLendAuction.connect(owner).setMaxActiveLoans(2000);
+      expect(await nftLendAuction.maxActiveLoans()).to.equal(2000);
+
+      // A change queued after the risk-reducing one executes
+      await nftLendAuction.connect(owner).cancelChange(changeId);
+      await queue(borrower, "updateAllowedNFT", [otherNFT.address, true]);
+      await increaseTime(DAY);
+      await nftLendAuction.connect(borrower).updateAllowedNFT(otherNFT.address, true);
+      expect(await nftLendAuction.allowedNFTContracts(otherNFT.address)).to.equal(true);
+    });
+  });
+
+  describe("Collateral delegation", function () {
+    const loanAmount = ethers.utils.parseEther("1");
+    let delegate;
+
+    beforeEach(async function () {
+      delegate = lender2;
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 1);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 1, loanAmount, 1000, 604800, 0, NATIVE, NATIVE, NO_LISTING_OPTIONS);
+    });
+
+    const isDelegated = (account) =>
+      nftLendAuction.isDelegated(nftLendAuction.address, account.address, nftContract.address, 1);
+
+    it("should let the borrower delegate the escrowed collateral", async function () {
+      await expect(nftLendAuction.connect(lender1).setLoanDelegate(0, delegate.address)).to.be.revertedWith(
+        "Not loan borrower"
+      );
+      expect(await isDelegated(delegate)).to.equal(false);
+
+      await expect(nftLendAuction.connect(borrower).setLoanDelegate(0, delegate.address))
+        .to.emit(nftLendAuction, "LoanDelegateUpdated")
+        .withArgs(0, delegate.address);
+      expect(await nftLendAuction.loanDelegates(0)).to.equal(delegate.address);
+      expect(await isDelegated(delegate)).to.equal(true);
+      // Only the auction vouches for the tokens it escrows
+      expect(
+        await nftLendAuction.isDelegated(borrower.address, delegate.address, nftContract.address, 1)
+      ).to.equal(false);
+
+      // A new delegate replaces the previous one
+      await nftLendAuction.connect(borrower).setLoanDelegate(0, lender1.address);
+      expect(await isDelegated(delegate)).to.equal(false);
+      expect(await isDelegated(lender1)).to.equal(true);
+    });
+
+    it("should end the delegation when the collateral leaves escrow", async function () {
+      await nftLendAuction.connect(borrower).setLoanDelegate(0, delegate.address);
+      await nftLendAuction.connect(lender1).placeBid(0, 900, NATIVE, { value: loanAmount });
+      await nftLendAuction.connect(borrower).acceptLoan(0, 0);
+      expect(await isDelegated(delegate)).to.equal(true);
+
+      const breakdown = await nftLendAuction.getRepaymentBreakdown(0);
+      await expect(nftLendAuction.connect(borrower).repayLoan(0, NATIVE, { value: breakdown.borrowerPayment }))
+        .to.emit(nftLendAuction, "LoanDelegateUpdated")
+        .withArgs(0, NATIVE);
+      expect(await isDelegated(delegate)).to.equal(false);
+      await expect(nftLendAuction.connect(borrower).setLoanDelegate(0, delegate.address)).to.be.revertedWith(
+        "Loan closed"
+      );
+    });
+
+    it("should let managers forward ERC-721 airdrops to the borrower", async function () {
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const airdrop = await MockNFT.deploy();
+      await airdrop.safeMint(nftLendAuction.address);
+
+      // Only safe mints are accepted, stray safe transfers are rejected
+      await airdrop.connect(lender1).mint();
+      await expect(
+        airdrop
+          .connect(lender1)
+          ["safeTransferFrom(address,address,uint256)"](lender1.address, nftLendAuction.address, 2)
+      ).to.be.revertedWith("Direct transfers not accepted");
+
+      await expect(
+        nftLendAuction.connect(lender1).forwardAirdrop(0, airdrop.address, 1, true)
+      ).to.be.revertedWithCustomError(nftLendAuction, "AccessControlUnauthorizedAccount");
+      await expect(nftLendAuction.connect(owner).forwardAirdrop(0, nftContract.address, 1, true)).to.be.revertedWith(
+        "Token is collateral"
+      );
+
+      await expect(nftLendAuction.connect(owner).forwardAirdrop(0, airdrop.address, 1, true))
+        .to.emit(nftLendAuction, "AirdropForwarded")
+        .withArgs(0, airdrop.address, borrower.address, 1, true);
+      expect(await airdrop.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should let managers forward ERC-20 airdrops but never protocol funds", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const airdrop = await MockERC20.deploy("Airdrop", "AIR", 0);
+      await airdrop.mint(nftLendAuction.address, 1000);
+
+      await nftLendAuction.connect(owner).forwardAirdrop(0, airdrop.address, 1000, false);
+      expect(await airdrop.balanceOf(borrower.address)).to.equal(1000);
+
+      // Tokens held for users cannot be forwarded
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 0);
+      await nftLendAuction.connect(owner).updateAllowedCurrency(token.address, true);
+      await nftContract.connect(borrower).mint(); // Token 2
+      await nftContract.connect(borrower).approve(nftLendAuction.address, 2);
+      await nftLendAuction
+        .connect(borrower)
+        .listLoan(nftContract.address, 2, 1000, 1000, 604800, 0, token.address, NATIVE, NO_LISTING_OPTIONS);
+      await token.mint(lender1.address, 1000);
+      await token.connect(lender1).approve(nftLendAuction.address, 1000);
+      await nftLendAuction.connect(lender1).placeBid(1, 900, NATIVE);
+
+      await expect(nftLendAuction.connect(owner).forwardAirdrop(0, token.address, 1000, false)).to.be.revertedWith(
+        "Token holds protocol funds"
+      );
+    });
+  });
 });